@@ -0,0 +1,36 @@
+import { Roles } from '@defra/forms-model'
+
+import { DEFAULT_ROLE_POLICY } from '~/src/helpers/authorisation.js'
+
+/**
+ * The rules the service applies when no policy is configured
+ * @type {RolePolicy}
+ */
+export const defaultRolePolicy = DEFAULT_ROLE_POLICY
+
+/**
+ * Admins may manage admins and their own entitlement, and nobody may both
+ * create and publish forms
+ * @type {RolePolicy}
+ */
+export const customRolePolicy = {
+  management: [
+    { role: Roles.Superadmin, manages: '*' },
+    {
+      role: Roles.Admin,
+      manages: [Roles.Admin, Roles.FormPublisher, Roles.FormCreator]
+    },
+    { role: Roles.FormPublisher, manages: [Roles.FormCreator] }
+  ],
+  allowSelfAction: true,
+  separationOfDuties: [
+    {
+      roles: [Roles.FormCreator, Roles.FormPublisher],
+      description: 'forms are reviewed by somebody other than their author'
+    }
+  ]
+}
+
+/**
+ * @import { RolePolicy } from '~/src/api/types.js'
+ */
@@ -8,9 +8,11 @@ import { requestLogger } from '~/src/helpers/logging/request-logger.js'
 import { requestTracing } from '~/src/helpers/request-tracing.js'
 import { client, db, locker, prepareDb } from '~/src/mongo.js'
 import { auth } from '~/src/plugins/auth/index.js'
+import { idempotency } from '~/src/plugins/idempotency.js'
 import { router } from '~/src/plugins/router.js'
 import { scheduler } from '~/src/plugins/scheduler.js'
 import { prepareSecureContext } from '~/src/secure-context.js'
+import { loadRolePolicy } from '~/src/services/role-policy.js'
 import { setupProxy } from '~/src/utils/setup-proxy.js'
 
 const isProduction = config.get('isProduction')
@@ -61,6 +63,7 @@ export async function createServer() {
   }
 
   await prepareDb(/** @type {any} */ (server.logger))
+  await loadRolePolicy()
 
   server.decorate('server', 'mongoClient', client)
   server.decorate('server', 'db', db)
@@ -86,6 +89,7 @@ export async function createServer() {
     }
   })
 
+  await server.register(idempotency)
   await server.register(router)
   await server.register(scheduler)
 
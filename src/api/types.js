@@ -1,20 +1,371 @@
 /**
- * User as stored in MongoDB — scopes are not stored, they are computed at read-time
- * @typedef {Omit<EntitlementUser, 'scopes'>} StoredUser
+ * User as stored in MongoDB — scopes are not stored, they are computed at read-time.
+ * The version goes up by one with every change and is used as the user's ETag
+ * @typedef {Omit<EntitlementUser, 'scopes'> & { roleExpiries?: RoleExpiry[], roleRevocations?: RoleRevocation[] } & Partial<UserAuditFields> & { version?: number }} StoredUser
+ */
+
+/**
+ * The parts of a stored user needed to work out their roles
+ * @typedef {Pick<StoredUser, 'userId' | 'email' | 'displayName' | 'roles'>} UserRoles
+ */
+
+/**
+ * When a stored user was created and last changed, and by whom. Set on every
+ * write, and backfilled for users stored before they were kept
+ * @typedef {object} UserAuditFields
+ * @property {Date} createdAt - when the user was created
+ * @property {AuditUser} createdBy - the user or sync run that created the user
+ * @property {Date} updatedAt - when the user was last changed
+ * @property {AuditUser} updatedBy - the user or sync run that last changed the user
+ */
+
+/**
+ * When a role held by a user is taken away
+ * @typedef {object} RoleExpiry
+ * @property {Roles} role - the role that expires
+ * @property {Date} expiresAt - when the role is taken away
+ */
+
+/**
+ * Why a role was taken away from a user
+ * @typedef {object} RoleRevocation
+ * @property {Roles} role - the role that was taken away
+ * @property {'expired'} reason - why the role was taken away
+ * @property {Date} expiredAt - when the role was due to be taken away
+ * @property {Date} revokedAt - when the role was taken away
+ * @property {AuditUser} revokedBy - who took the role away
  */
 
 /**
  * @typedef {{ userId: string }} UserById
- * @typedef {{ email: string, roles: Roles[] }} UserEntitlementCreateRequest
- * @typedef {{ roles: Roles[] }} UserEntitlementUpdateRequest
+ * @typedef {{ email: string, roles: Roles[], roleExpiries: RoleExpiry[] }} UserEntitlementCreateRequest
+ * @typedef {{ roles: Roles[], roleExpiries: RoleExpiry[] }} UserEntitlementUpdateRequest
  * @typedef {AuditUser & { roles: Roles[] }} CallingUser
  * @typedef {Request<{ Server: { db: Db }, Payload: UserEntitlementCreateRequest }>} CreateUserRequest
  * @typedef {Request<{ Server: { db: Db }, Params: UserById, Payload: UserEntitlementUpdateRequest }>} UpdateUserRequest
+ * @typedef {{ add: Roles[], remove: Roles[] }} UserRolesUpdateRequest
+ * @typedef {Request<{ Server: { db: Db }, Params: UserById, Payload: UserRolesUpdateRequest }>} UpdateUserRolesRequest
  * @typedef {Request<{ Server: { db: Db }, Params: UserById }>} DeleteUserRequest
+ * @typedef {{ at?: Date }} PointInTimeQuery
+ * @typedef {Request<{ Server: { db: Db }, Params: UserById, Query: PointInTimeQuery }>} GetUserRequest
+ * @typedef {Request<{ Server: { db: Db }, Query: UserQueryOptions & PointInTimeQuery }>} GetUsersRequest
+ */
+
+/**
+ * @typedef {{ email: string, roles: Roles[] }} BulkUserItem
+ * @typedef {'best-effort' | 'all-or-nothing'} BulkUserMode
+ * @typedef {{ users: BulkUserItem[], mode: BulkUserMode }} UserEntitlementBulkCreateRequest
+ * @typedef {Request<{ Server: { db: Db }, Payload: UserEntitlementBulkCreateRequest }>} CreateUsersBulkRequest
+ * @typedef {'created' | 'conflict' | 'not-found' | 'forbidden' | 'failed' | 'skipped'} BulkUserStatus
+ */
+
+/**
+ * The outcome for one user of adding users in bulk
+ * @typedef {object} BulkUserResult
+ * @property {string} email - email the user was requested by
+ * @property {BulkUserStatus} status - whether the user was added, or why not
+ * @property {string} [id] - Azure AD user ID, once the user is found
+ * @property {string} [displayName] - display name, once the user is found
+ * @property {string} [error] - why the user was not added
+ */
+
+/**
+ * @typedef {'create' | 'update' | 'unchanged' | 'invalid'} UserImportAction
+ * @typedef {Request<{ Server: { db: Db }, Payload: string, Query: { dryRun: boolean } }>} ImportUsersRequest
+ */
+
+/**
+ * A row of a user import, with the change it makes
+ * @typedef {object} UserImportRow
+ * @property {number} line - line of the CSV the row starts on
+ * @property {string} email - email of the user
+ * @property {UserImportAction} action - the change the row makes
+ * @property {Roles[]} [roles] - roles the user is given
+ * @property {string} [userId] - ID of the user, if already stored
+ * @property {Roles[]} [previousRoles] - roles the stored user holds now
+ * @property {Roles[]} [addedRoles] - roles the stored user is given
+ * @property {Roles[]} [removedRoles] - roles the stored user loses
+ * @property {'applied' | 'failed'} [status] - whether the change was made, once applied
+ * @property {string} [error] - why the row is invalid or the change failed
+ */
+
+/**
+ * Maps the members of an Azure AD group to an entitlement role
+ * @typedef {object} GroupRoleMapping
+ * @property {string} groupId - Azure AD group object ID
+ * @property {Roles} role - role granted to members of the group
+ * @property {number} precedence - the mapping that wins when a user is in several mapped groups (highest first)
+ * @property {boolean} authoritative - whether the sync takes the role away from users who leave the group
+ * @property {string} [description] - note describing the mapping
+ */
+
+/**
+ * Group role mapping as stored in MongoDB
+ * @typedef {GroupRoleMapping & { createdAt: Date, createdBy: AuditUser, updatedAt: Date, updatedBy: AuditUser }} StoredGroupRoleMapping
+ */
+
+/**
+ * @typedef {{ groupId: string }} GroupRoleMappingById
+ * @typedef {Omit<GroupRoleMapping, 'groupId'>} GroupRoleMappingUpdateRequest
+ * @typedef {Request<{ Server: { db: Db }, Params: GroupRoleMappingById }>} GetGroupRoleMappingRequest
+ * @typedef {Request<{ Server: { db: Db }, Payload: GroupRoleMapping }>} CreateGroupRoleMappingRequest
+ * @typedef {Request<{ Server: { db: Db }, Params: GroupRoleMappingById, Payload: GroupRoleMappingUpdateRequest }>} UpdateGroupRoleMappingRequest
+ * @typedef {Request<{ Server: { db: Db }, Params: GroupRoleMappingById }>} DeleteGroupRoleMappingRequest
+ */
+
+/**
+ * The entitlement of the calling user, as returned by GET /users/me
+ * @typedef {object} CallingUserEntitlement
+ * @property {string} userId - ID of the user
+ * @property {string} displayName - display name of the user
+ * @property {boolean} entitled - whether the user has an entitlement; a user without one holds no roles
+ * @property {Roles[]} roles - the roles the user holds
+ * @property {string[]} scopes - the scopes the roles grant
+ * @property {Roles[]} manageableRoles - the roles the user may grant and manage users with under the role policy
+ */
+
+/**
+ * A role as listed for the caller by GET /roles
+ * @typedef {object} RoleCatalogueEntry
+ * @property {Roles} role - the role
+ * @property {string} name - display name of the role
+ * @property {string} description - what holders of the role can do
+ * @property {Scopes[]} scopes - the scopes the role grants
+ * @property {boolean} assignable - whether the caller may grant the role and manage its holders
+ */
+
+/**
+ * A scope as listed by GET /scopes
+ * @typedef {object} ScopeCatalogueEntry
+ * @property {Scopes} scope - the scope
+ * @property {Roles[]} roles - the roles that grant the scope
+ */
+
+/**
+ * Which roles the holders of a role may grant, take away and manage users with
+ * @typedef {object} RoleManagementRule
+ * @property {Roles} role - role of the caller
+ * @property {Roles[] | '*'} manages - roles the caller may manage, or '*' for every role
+ */
+
+/**
+ * Roles one user may not hold together
+ * @typedef {object} SeparationOfDutiesRule
+ * @property {Roles[]} roles - roles of which a user may hold at most one
+ * @property {string} [description] - why the roles are kept apart
+ */
+
+/**
+ * Who may manage whose entitlements
+ * @typedef {object} RolePolicy
+ * @property {RoleManagementRule[]} management - management rights, highest privilege first; a caller gets the rights of the first rule for a role they hold
+ * @property {boolean} allowSelfAction - whether callers may change or delete their own entitlement
+ * @property {SeparationOfDutiesRule[]} separationOfDuties - roles that may not be held together
+ */
+
+/**
+ * @typedef {Request<{ Query: { dryRun: boolean } }>} SyncAdminUsersRequest
+ */
+
+/**
+ * @typedef {'cron' | 'startup' | 'manual'} SyncRunTrigger
+ * @typedef {'completed' | 'skipped-locked' | 'failed'} SyncRunOutcome
+ */
+
+/**
+ * Number of changes made by a sync run
+ * @typedef {object} SyncRunCounts
+ * @property {number} created - users created
+ * @property {number} updated - users whose roles changed
+ * @property {number} revoked - users who lost roles
+ * @property {number} errors - changes or events that failed
+ */
+
+/**
+ * Record of a single run of a scheduled task
+ * @typedef {object} SyncRun
+ * @property {string} runId - unique ID of the run
+ * @property {string} task - name of the scheduled task
+ * @property {SyncRunTrigger} trigger - what started the run
+ * @property {AuditUser} [triggeredBy] - user or platform service that triggered a manual run
+ * @property {string} containerId - container the run was started on
+ * @property {Date} startedAt - when the run started
+ * @property {Date} endedAt - when the run ended
+ * @property {SyncRunOutcome} outcome - how the run ended
+ * @property {SyncRunCounts | OutboxRelayCounts} counts - changes made by a sync, or events relayed by the outbox relay
+ * @property {SyncRunMembership} [membership] - group members read by an admin user sync
+ * @property {string} [error] - why the run failed
+ * @property {Date} [expireAt] - when the stored run is removed
+ */
+
+/**
+ * Options for listing sync runs
+ * @typedef {PaginationOptions & { task?: string }} SyncRunQueryOptions
+ */
+
+/**
+ * Group members read from Azure AD by an admin user sync
+ * @typedef {object} SyncRunMembership
+ * @property {number} pageCount - number of Graph pages read across all groups
+ * @property {number} memberCount - number of distinct group members
+ * @property {boolean} truncated - true if any group listing stopped at the page ceiling
+ */
+
+/**
+ * What a sync resolves to when it was not skipped
+ * @typedef {Pick<SyncRun, 'counts' | 'membership'>} SyncRunResult
+ */
+
+/**
+ * Pause state of a scheduled task, shared by every container
+ * @typedef {object} SchedulerTaskState
+ * @property {string} name - name of the scheduled task
+ * @property {boolean} paused - whether scheduled runs are skipped
+ * @property {Date} updatedAt - when the task was last paused or resumed
+ * @property {AuditUser} updatedBy - who last paused or resumed the task
+ */
+
+/**
+ * A scheduled task as reported by the API
+ * @typedef {object} SchedulerTask
+ * @property {string} name - name of the scheduled task
+ * @property {string} cronExpression - when the task runs
+ * @property {'running' | 'paused' | 'stopped'} state - whether the task is scheduled on this container, or paused everywhere
+ * @property {SyncRun | null} lastRun - the most recent run on any container
+ * @property {Date | null} nextRun - when the task next runs, or null if it is paused or stopped
+ * @property {{ runId: string, at: Date, message?: string } | null} lastError - the most recent failed run
+ * @property {Date} [pausedAt] - when the task was paused
+ * @property {AuditUser} [pausedBy] - who paused the task
+ */
+
+/**
+ * @typedef {Request<{ Server: { db: Db }, Params: { name: string } }>} SchedulerTaskRequest
+ * @typedef {Request<{ Server: { db: Db }, Query: SyncRunQueryOptions }>} GetSyncRunsRequest
+ * @typedef {Request<{ Server: { db: Db }, Params: { runId: string } }>} GetSyncRunRequest
+ */
+
+/**
+ * @typedef {'pending' | 'published' | 'dead-lettered'} OutboxMessageStatus
+ */
+
+/**
+ * Entitlement updated event data with the roles held before the change
+ * @typedef {EntitlementMessageData & { previousRoles: string[], addedRoles: string[], removedRoles: string[] }} EntitlementUpdatedMessageDataV2
+ */
+
+/**
+ * Entitlement updated event published as schema version 2
+ * @typedef {Omit<EntitlementUpdatedMessage, 'schemaVersion' | 'data'> & { schemaVersion: 2, data: EntitlementUpdatedMessageDataV2 }} EntitlementUpdatedMessageV2
+ */
+
+/**
+ * An event published by this service, in any of its schema versions
+ * @typedef {AuditMessage | EntitlementUpdatedMessageV2} EntitlementEventMessage
+ */
+
+/**
+ * An audit event saved in the same transaction as the change it describes,
+ * waiting to be published by the outbox relay
+ * @typedef {object} OutboxMessage
+ * @property {string} messageId - unique ID of the outbox entry
+ * @property {string} entityId - ID of the user the event is about; events for one user are published in order
+ * @property {EntitlementEventMessage} message - the event to publish
+ * @property {OutboxMessageStatus} status - whether the event is waiting, published or given up on
+ * @property {number} attempts - number of failed attempts to publish
+ * @property {Date} createdAt - when the event was saved
+ * @property {Date} nextAttemptAt - when the relay next tries to publish the event
+ * @property {Date} [publishedAt] - when the event was published
+ * @property {Date} [expireAt] - when a published event is removed from the outbox
+ * @property {string} [lastError] - why the last attempt failed
+ */
+
+/**
+ * Number of outbox entries the relay handled in one pass
+ * @typedef {object} OutboxRelayCounts
+ * @property {number} published - events published
+ * @property {number} retried - events that failed and will be retried
+ * @property {number} deadLettered - events given up on
+ */
+
+/**
+ * @typedef {Request<{ Server: { db: Db }, Query: PaginationOptions }>} GetOutboxRequest
+ */
+
+/**
+ * @typedef {'in-progress' | 'completed'} IdempotencyKeyStatus
+ */
+
+/**
+ * A request made with an Idempotency-Key and, once handled, its response
+ * @typedef {object} IdempotencyKeyRecord
+ * @property {string} key - the Idempotency-Key header sent with the request
+ * @property {string} callerId - ID of the user or service that sent the request
+ * @property {string} fingerprint - hash of the method, path, query and payload of the request
+ * @property {IdempotencyKeyStatus} status - whether the request is still being handled
+ * @property {Date} createdAt - when the request was first received
+ * @property {Date} expireAt - when the key and the response to its request are removed
+ * @property {Date} [lockedUntil] - when the reservation lapses if the request is still being handled
+ * @property {number} [statusCode] - status code of the response
+ * @property {unknown} [response] - payload of the response
+ * @property {Date} [completedAt] - when the response was sent
+ */
+
+/**
+ * The document every transaction that takes the superadmin role away
+ * updates, so concurrent ones conflict
+ * @typedef {object} SuperadminGuard
+ * @property {'superadmins'} _id - the one guard document
+ * @property {number} removals - number of changes that took the superadmin role away
+ */
+
+/**
+ * A published entitlement event kept in Mongo so it can be read back. The
+ * message is stored as mapped, alongside the ID of its outbox entry
+ * @typedef {EntitlementEventMessage & { messageId: string, recordCreatedAt: Date }} EntitlementAuditRecord
+ */
+
+/**
+ * Options for filtering the list of audit records
+ * @typedef {object} AuditSearchOptions
+ * @property {string} [userId] - only include records about this user
+ * @property {string} [actor] - only include records created by this user or sync run
+ * @property {AuditEventMessageType} [type] - only include records of this event type
+ * @property {Date} [from] - only include records created at or after this time
+ * @property {Date} [to] - only include records created at or before this time
+ */
+
+/**
+ * Options for querying the list of audit records
+ * @typedef {PaginationOptions & AuditSearchOptions} AuditQueryOptions
+ */
+
+/**
+ * @typedef {Request<{ Server: { db: Db }, Params: UserById, Query: PaginationOptions }>} GetUserHistoryRequest
+ * @typedef {Request<{ Server: { db: Db }, Query: Omit<AuditQueryOptions, 'userId'> }>} GetAuditRequest
+ */
+
+/**
+ * Options for filtering the list of users
+ * @typedef {object} UserSearchOptions
+ * @property {Roles} [role] - only include users holding this role
+ * @property {string} [email] - partial, case-insensitive match on email
+ * @property {string} [displayName] - partial, case-insensitive match on display name
+ */
+
+/**
+ * Options for sorting the list of users
+ * @typedef {object} UserSortingOptions
+ * @property {'updatedAt' | 'displayName' | 'email'} sortBy - field to sort by
+ * @property {'asc' | 'desc'} order - sort order
+ */
+
+/**
+ * Options for querying the list of users
+ * @typedef {PaginationOptions & UserSortingOptions & UserSearchOptions} UserQueryOptions
  */
 
 /**
  * @import { Request } from '@hapi/hapi'
- * @import { AuditUser, EntitlementUser, Roles } from '@defra/forms-model'
+ * @import { AuditEventMessageType, AuditMessage, AuditUser, EntitlementMessageData, EntitlementUpdatedMessage, EntitlementUser, PaginationOptions, Roles, Scopes } from '@defra/forms-model'
  * @import { Db } from 'mongodb'
  */
@@ -7,6 +7,24 @@ const isProduction = process.env.NODE_ENV === 'production'
 const isDev = process.env.NODE_ENV !== 'production'
 const isTest = process.env.NODE_ENV === 'test'
 
+/**
+ * Build a format accepting whole numbers in a range
+ * @param {number} min - smallest value allowed
+ * @param {number} max - largest value allowed
+ * @returns {(value: unknown) => void}
+ */
+function integerBetween(min, max) {
+  return (value) => {
+    if (
+      !Number.isInteger(value) ||
+      Number(value) < min ||
+      Number(value) > max
+    ) {
+      throw new Error(`must be an integer from ${min} to ${max}`)
+    }
+  }
+}
+
 export const config = convict({
   /**@type {SchemaObj<string>} */
   env: {
@@ -101,7 +119,12 @@ export const config = convict({
       doc: 'Log paths to redact',
       format: Array,
       default: isProduction
-        ? ['req.headers.authorization', 'req.headers.cookie', 'res.headers']
+        ? [
+            'req.headers.authorization',
+            'req.headers.cookie',
+            'req.headers["x-service-token"]',
+            'res.headers'
+          ]
         : ['req', 'res', 'responseTime']
     }
   },
@@ -181,6 +204,30 @@ export const config = convict({
     default: null,
     env: 'ROLE_EDITOR_GROUP_ID'
   },
+  /** @type {SchemaObj<number>} */
+  minSuperadmins: {
+    doc: 'The fewest superadmins a change to users may leave, so somebody can still manage entitlements',
+    format: 'nat',
+    default: 1,
+    env: 'MIN_SUPERADMINS'
+  },
+  rolePolicy: {
+    /** @type {SchemaObj<'config' | 'mongo'>} */
+    source: {
+      doc: "Where the role policy is read from at startup. 'config' uses ROLE_POLICY, or the built-in policy when it is not set; 'mongo' uses the document in the role-policy collection",
+      format: ['config', 'mongo'],
+      default: 'config',
+      env: 'ROLE_POLICY_SOURCE'
+    },
+    /** @type {SchemaObj<object | null>} */
+    document: {
+      doc: 'Role policy as JSON, giving who may manage which roles, whether callers may manage their own entitlement and roles that may not be held together',
+      format: Object,
+      nullable: true,
+      default: null,
+      env: 'ROLE_POLICY'
+    }
+  },
   azure: {
     /** @type {SchemaObj<string>} */
     clientId: {
@@ -203,6 +250,13 @@ export const config = convict({
       format: String,
       default: null,
       env: 'AZURE_TENANT_ID'
+    },
+    /** @type {SchemaObj<number>} */
+    lookupConcurrency: {
+      doc: 'Most Azure AD user lookups made at once when adding users in bulk',
+      format: 'nat',
+      default: 5,
+      env: 'AZURE_LOOKUP_CONCURRENCY'
     }
   },
   tracing: {
@@ -235,6 +289,13 @@ export const config = convict({
     default: null,
     env: 'SNS_TOPIC_ARN'
   },
+  /** @type {SchemaObj<'v1' | 'v2'>} */
+  entitlementEventSchemaVersion: {
+    doc: "Schema version of the entitlement updated events published. 'v2' adds the previous, added and removed roles to the event data",
+    format: ['v1', 'v2'],
+    default: 'v1',
+    env: 'ENTITLEMENT_EVENT_SCHEMA_VERSION'
+  },
   sync: {
     adminUsers: {
       /** @type {SchemaObj<boolean>} */
@@ -250,8 +311,180 @@ export const config = convict({
         format: String,
         default: null,
         env: 'SYNC_ADMIN_USERS_CRON'
+      },
+      /** @type {SchemaObj<'none' | 'demote' | 'remove'>} */
+      removalPolicy: {
+        doc: "What to do with stored users who are no longer members of any group granting an authoritative mapping's role: 'none' keeps the role, 'demote' takes it away (leaving the demoted role if they hold no other) and 'remove' takes it away (deleting them if they hold no other)",
+        format: ['none', 'demote', 'remove'],
+        default: 'demote',
+        env: 'SYNC_ADMIN_USERS_REMOVAL_POLICY'
+      },
+      /** @type {SchemaObj<string>} */
+      demotedRole: {
+        doc: 'The role given to users the admin user sync takes every role away from, when the removal policy is demote',
+        format: ['admin', 'form-publisher', 'form-creator'],
+        default: 'form-creator',
+        env: 'SYNC_ADMIN_USERS_DEMOTED_ROLE'
+      },
+      /** @type {SchemaObj<number>} */
+      maxRemovalPercentage: {
+        doc: 'Largest percentage (0 to 100) of the stored users holding a revocable role that a single sync may take roles away from. Above this the group listings are treated as incomplete and no one loses a role',
+        format: integerBetween(0, 100),
+        default: 50,
+        env: 'SYNC_ADMIN_USERS_MAX_REMOVAL_PERCENTAGE'
+      },
+      /** @type {SchemaObj<number>} */
+      pageSize: {
+        doc: 'Number of group members to request per Graph API page (1 to 999)',
+        format: integerBetween(1, 999),
+        default: 100,
+        env: 'SYNC_ADMIN_USERS_PAGE_SIZE'
+      },
+      /** @type {SchemaObj<number>} */
+      maxPages: {
+        doc: 'Safety ceiling on the number of Graph API pages read for each mapped group',
+        format: 'nat',
+        default: 50,
+        env: 'SYNC_ADMIN_USERS_MAX_PAGES'
+      },
+      /** @type {SchemaObj<boolean>} */
+      transitiveMembership: {
+        doc: 'Include members of groups nested inside the mapped groups',
+        format: Boolean,
+        default: false,
+        env: 'SYNC_ADMIN_USERS_TRANSITIVE_MEMBERSHIP'
+      }
+    },
+    groupMappings: {
+      /** @type {SchemaObj<'config' | 'mongo'>} */
+      source: {
+        doc: "Where the sync reads its group role mappings from, alongside the role editor group mapped to superadmin. 'config' adds the mappings in SYNC_GROUP_MAPPINGS, 'mongo' the mappings managed through /group-mappings",
+        format: ['config', 'mongo'],
+        default: 'config',
+        env: 'SYNC_GROUP_MAPPINGS_SOURCE'
+      },
+      /** @type {SchemaObj<GroupRoleMapping[]>} */
+      mappings: {
+        doc: 'Group role mappings the sync applies when the source is config, as a JSON list of { groupId, role, precedence, authoritative, description }',
+        format: (value) => {
+          if (!Array.isArray(value)) {
+            throw new Error('must be a JSON list of group role mappings')
+          }
+        },
+        default: [],
+        env: 'SYNC_GROUP_MAPPINGS'
       }
     }
+  },
+  scheduler: {
+    /** @type {SchemaObj<string | null>} */
+    serviceToken: {
+      doc: 'Shared secret platform callers (such as a CDP cron job) send in the x-service-token header to use the scheduler routes without a user token. Service access is disabled when not set',
+      format: String,
+      nullable: true,
+      default: null,
+      sensitive: true,
+      env: 'SCHEDULER_SERVICE_TOKEN'
+    },
+    /** @type {SchemaObj<string>} */
+    serviceName: {
+      doc: 'Name that scheduler calls made with the service token are attributed to',
+      format: String,
+      default: 'platform-cron',
+      env: 'SCHEDULER_SERVICE_NAME'
+    },
+    /** @type {SchemaObj<number>} */
+    runRetentionDays: {
+      doc: 'Number of days recorded sync runs are kept. A change applies to runs recorded afterwards',
+      format: 'nat',
+      default: 30,
+      env: 'SCHEDULER_RUN_RETENTION_DAYS'
+    }
+  },
+  roleExpiry: {
+    /** @type {SchemaObj<boolean>} */
+    enabled: {
+      doc: 'Enable the periodic job that takes expired roles away from users',
+      format: Boolean,
+      default: true,
+      env: 'ROLE_EXPIRY_ENABLED'
+    },
+    /** @type {SchemaObj<string>} */
+    cronSchedule: {
+      doc: 'Cron schedule for the role expiry job (default: every 15 minutes)',
+      format: String,
+      default: '*/15 * * * *',
+      env: 'ROLE_EXPIRY_CRON'
+    }
+  },
+  outbox: {
+    relay: {
+      /** @type {SchemaObj<boolean>} */
+      enabled: {
+        doc: 'Enable the relay that publishes entitlement events saved in the outbox',
+        format: Boolean,
+        default: true,
+        env: 'OUTBOX_RELAY_ENABLED'
+      },
+      /** @type {SchemaObj<string>} */
+      cronSchedule: {
+        doc: 'Cron schedule for the outbox relay, with seconds (default: every 10 seconds)',
+        format: String,
+        default: '*/10 * * * * *',
+        env: 'OUTBOX_RELAY_CRON'
+      },
+      /** @type {SchemaObj<number>} */
+      batchSize: {
+        doc: 'Largest number of outbox events the relay reads in one pass',
+        format: 'nat',
+        default: 100,
+        env: 'OUTBOX_RELAY_BATCH_SIZE'
+      }
+    },
+    /** @type {SchemaObj<number>} */
+    maxAttempts: {
+      doc: 'Number of failed attempts to publish an event before it is dead-lettered',
+      format: 'nat',
+      default: 10,
+      env: 'OUTBOX_MAX_ATTEMPTS'
+    },
+    /** @type {SchemaObj<number>} */
+    backoffBaseSeconds: {
+      doc: 'Wait before the first retry of an event. Each later retry waits twice as long as the one before',
+      format: 'nat',
+      default: 5,
+      env: 'OUTBOX_BACKOFF_BASE_SECONDS'
+    },
+    /** @type {SchemaObj<number>} */
+    backoffMaxSeconds: {
+      doc: 'Longest wait between retries of an event',
+      format: 'nat',
+      default: 900,
+      env: 'OUTBOX_BACKOFF_MAX_SECONDS'
+    },
+    /** @type {SchemaObj<number>} */
+    retentionDays: {
+      doc: 'Number of days published events are kept in the outbox. A change applies to events published afterwards',
+      format: 'nat',
+      default: 7,
+      env: 'OUTBOX_RETENTION_DAYS'
+    }
+  },
+  idempotency: {
+    /** @type {SchemaObj<number>} */
+    retentionHours: {
+      doc: 'Number of hours an Idempotency-Key and the response to its request are kept. A change applies to keys sent afterwards',
+      format: 'nat',
+      default: 24,
+      env: 'IDEMPOTENCY_KEY_RETENTION_HOURS'
+    },
+    /** @type {SchemaObj<number>} */
+    lockSeconds: {
+      doc: 'Number of seconds an Idempotency-Key is held for a request being handled. A request sent again with the key after this takes it over',
+      format: 'nat',
+      default: 60,
+      env: 'IDEMPOTENCY_KEY_LOCK_SECONDS'
+    }
   }
 })
 
@@ -260,4 +493,5 @@ config.validate({ allowed: 'strict' })
 /**
  * @import { SchemaObj } from 'convict'
  * @import { LevelWithSilent } from 'pino'
+ * @import { GroupRoleMapping } from '~/src/api/types.js'
  */
@@ -0,0 +1,72 @@
+describe('config', () => {
+  const env = { ...process.env }
+
+  afterEach(() => {
+    process.env = { ...env }
+  })
+
+  describe('sync.adminUsers.pageSize', () => {
+    test.each(['1', '999'])('should accept %s', async (pageSize) => {
+      process.env.SYNC_ADMIN_USERS_PAGE_SIZE = pageSize
+
+      const { config } = await import('~/src/config/index.js')
+
+      expect(config.get('sync.adminUsers.pageSize')).toBe(Number(pageSize))
+    })
+
+    test.each(['0', '1000', '1.5'])('should reject %s', async (pageSize) => {
+      process.env.SYNC_ADMIN_USERS_PAGE_SIZE = pageSize
+
+      await expect(import('~/src/config/index.js')).rejects.toThrow(
+        'sync.adminUsers.pageSize: must be an integer from 1 to 999'
+      )
+    })
+  })
+
+  describe('sync.adminUsers.maxRemovalPercentage', () => {
+    test.each(['0', '100'])('should accept %s', async (percentage) => {
+      process.env.SYNC_ADMIN_USERS_MAX_REMOVAL_PERCENTAGE = percentage
+
+      const { config } = await import('~/src/config/index.js')
+
+      expect(config.get('sync.adminUsers.maxRemovalPercentage')).toBe(
+        Number(percentage)
+      )
+    })
+
+    test.each(['101', '-1'])('should reject %s', async (percentage) => {
+      process.env.SYNC_ADMIN_USERS_MAX_REMOVAL_PERCENTAGE = percentage
+
+      await expect(import('~/src/config/index.js')).rejects.toThrow(
+        'sync.adminUsers.maxRemovalPercentage: must be an integer from 0 to 100'
+      )
+    })
+  })
+
+  describe('sync.groupMappings.mappings', () => {
+    test('should read the mappings as JSON', async () => {
+      const mappings = [
+        {
+          groupId: '7a2e3c1d-51b4-4f1c-9a3e-0c3f7b1e8d42',
+          role: 'admin',
+          precedence: 10,
+          authoritative: true
+        }
+      ]
+
+      process.env.SYNC_GROUP_MAPPINGS = JSON.stringify(mappings)
+
+      const { config } = await import('~/src/config/index.js')
+
+      expect(config.get('sync.groupMappings.mappings')).toEqual(mappings)
+    })
+
+    test('should reject a value that is not a list', async () => {
+      process.env.SYNC_GROUP_MAPPINGS = '{}'
+
+      await expect(import('~/src/config/index.js')).rejects.toThrow(
+        'sync.groupMappings.mappings: must be a JSON list of group role mappings'
+      )
+    })
+  })
+})
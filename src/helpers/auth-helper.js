@@ -1,5 +1,7 @@
 import Boom from '@hapi/boom'
 
+import { validateSuperadmin } from '~/src/helpers/authorisation.js'
+
 /**
  * Get the calling user from the auth credentials
  * @param {(UserCredentials & OidcStandardClaims) | undefined} user
@@ -25,9 +27,30 @@ export function getCallingUser(user, roles) {
   }
 }
 
+/**
+ * Get the caller of a scheduler route. Platform services are identified by
+ * the scheduler service token; users must be superadmins.
+ * @param {AuthCredentials} credentials - The request auth credentials
+ * @returns {AuditUser}
+ */
+export function getSchedulerCaller(credentials) {
+  if (credentials.service) {
+    return {
+      id: `service:${credentials.service}`,
+      displayName: credentials.service
+    }
+  }
+
+  const callingUser = getCallingUser(credentials.user, credentials.roles)
+
+  validateSuperadmin(callingUser.roles)
+
+  return { id: callingUser.id, displayName: callingUser.displayName }
+}
+
 /**
  * @import { CallingUser } from '~/src/api/types.js'
- * @import { UserCredentials } from '@hapi/hapi'
+ * @import { AuthCredentials, UserCredentials } from '@hapi/hapi'
  * @import { OidcStandardClaims } from 'oidc-client-ts'
- * @import { Roles } from '@defra/forms-model'
+ * @import { AuditUser, Roles } from '@defra/forms-model'
  */
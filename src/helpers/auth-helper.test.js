@@ -1,6 +1,10 @@
 import { Roles } from '@defra/forms-model'
 
-import { getCallingUser } from '~/src/helpers/auth-helper.js'
+import {
+  getCallingUser,
+  getSchedulerCaller
+} from '~/src/helpers/auth-helper.js'
+import { formCreatorAuth, superadminAuth } from '~/test/fixtures/auth.js'
 
 describe('auth-helper', () => {
   describe('getCallingUser', () => {
@@ -42,4 +46,25 @@ describe('auth-helper', () => {
       })
     })
   })
+
+  describe('getSchedulerCaller', () => {
+    test('should return a superadmin caller', () => {
+      expect(getSchedulerCaller(superadminAuth.credentials)).toEqual({
+        id: superadminAuth.credentials.user.oid,
+        displayName: 'Admin Super'
+      })
+    })
+
+    test('should forbid users who are not superadmins', () => {
+      expect(() => getSchedulerCaller(formCreatorAuth.credentials)).toThrow(
+        'Only superadmins can perform this action'
+      )
+    })
+
+    test('should return a platform service caller', () => {
+      expect(
+        getSchedulerCaller({ service: 'platform-cron', scope: [], roles: [] })
+      ).toEqual({ id: 'service:platform-cron', displayName: 'platform-cron' })
+    })
+  })
 })
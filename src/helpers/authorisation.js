@@ -2,34 +2,80 @@ import { Roles } from '@defra/forms-model'
 import Boom from '@hapi/boom'
 
 /**
- * Roles that each caller role is permitted to manage.
+ * The built-in role policy, used unless another is loaded at startup.
  * Superadmin can manage all roles; Admin can only manage lower-privilege roles.
+ * @type {RolePolicy}
  */
-const manageableRoles = {
-  [Roles.Superadmin]: Object.values(Roles),
-  [Roles.Admin]: [Roles.FormPublisher, Roles.FormCreator]
+export const DEFAULT_ROLE_POLICY = {
+  management: [
+    { role: Roles.Superadmin, manages: '*' },
+    { role: Roles.Admin, manages: [Roles.FormPublisher, Roles.FormCreator] }
+  ],
+  allowSelfAction: false,
+  separationOfDuties: []
+}
+
+/** @type {RolePolicy} */
+let rolePolicy = DEFAULT_ROLE_POLICY
+
+/**
+ * Gets the role policy the checks below apply
+ * @returns {RolePolicy}
+ */
+export function getRolePolicy() {
+  return rolePolicy
+}
+
+/**
+ * Sets the role policy the checks below apply
+ * @param {RolePolicy} policy - a validated role policy
+ */
+export function setRolePolicy(policy) {
+  rolePolicy = policy
 }
 
 /**
  * Validates that the calling user is not performing an action on themselves.
- * Throws `Boom.forbidden` if the calling user's ID matches the target user's ID.
+ * Throws `Boom.forbidden` if the calling user's ID matches the target user's ID,
+ * unless the policy allows self-action.
  * @param {string} callingUserId - The ID of the calling user
  * @param {string} targetUserId - The ID of the target user
+ * @param {RolePolicy} [policy] - The role policy to apply
  */
-export function validateNotSelfAction(callingUserId, targetUserId) {
-  if (callingUserId === targetUserId) {
+export function validateNotSelfAction(
+  callingUserId,
+  targetUserId,
+  policy = rolePolicy
+) {
+  if (!policy.allowSelfAction && callingUserId === targetUserId) {
     throw Boom.forbidden('You cannot perform this action on your own account')
   }
 }
 
+/**
+ * Validates that the calling user is a superadmin.
+ * Throws `Boom.forbidden` if the caller does not hold the superadmin role.
+ * @param {string[]} callingUserRoles - The roles of the calling user
+ */
+export function validateSuperadmin(callingUserRoles) {
+  if (!callingUserRoles.includes(Roles.Superadmin)) {
+    throw Boom.forbidden('Only superadmins can perform this action')
+  }
+}
+
 /**
  * Validates that the calling user's role level permits managing a user with the given target roles.
  * Throws `Boom.forbidden` if the caller's highest role does not permit managing any of the target roles.
  * @param {string[]} callingUserRoles - The roles of the calling user
  * @param {string[]} targetRoles - The roles of the target user (current or requested)
+ * @param {RolePolicy} [policy] - The role policy to apply
  */
-export function validateRoleHierarchy(callingUserRoles, targetRoles) {
-  const callerAllowedRoles = getHighestAllowedRoles(callingUserRoles)
+export function validateRoleHierarchy(
+  callingUserRoles,
+  targetRoles,
+  policy = rolePolicy
+) {
+  const callerAllowedRoles = getHighestAllowedRoles(callingUserRoles, policy)
 
   if (!callerAllowedRoles) {
     throw Boom.forbidden(
@@ -48,6 +94,26 @@ export function validateRoleHierarchy(callingUserRoles, targetRoles) {
   }
 }
 
+/**
+ * Validates that a user is not given roles the policy keeps apart.
+ * Throws `Boom.badRequest` naming the roles and why they are kept apart.
+ * @param {string[]} roles - The roles the user would hold
+ * @param {RolePolicy} [policy] - The role policy to apply
+ */
+export function validateSeparationOfDuties(roles, policy = rolePolicy) {
+  for (const rule of policy.separationOfDuties) {
+    const heldRoles = rule.roles.filter((role) => roles.includes(role))
+
+    if (heldRoles.length > 1) {
+      const reason = rule.description ? ` - ${rule.description}` : ''
+
+      throw Boom.badRequest(
+        `A user cannot hold the ${heldRoles.join(' and ')} roles together${reason}`
+      )
+    }
+  }
+}
+
 /**
  * Formats an array of items as a human-readable list.
  * e.g. ['a'] → 'a', ['a', 'b'] → 'a or b', ['a', 'b', 'c'] → 'a, b or c'
@@ -63,28 +129,33 @@ function formatList(items) {
 }
 
 /**
- * Validates self-management prevention, hierarchy against requested roles,
- * and optionally hierarchy against the target user's current roles.
- * Throws `Boom.forbidden` if any check fails.
+ * Validates self-management prevention, hierarchy and separation of duties
+ * against requested roles, and optionally hierarchy against the target
+ * user's current roles.
+ * Throws `Boom.forbidden` if any check fails, or `Boom.badRequest` if the
+ * requested roles may not be held together.
  * @param {string} callingUserId - The ID of the calling user
  * @param {string[]} callingUserRoles - The roles of the calling user
  * @param {string} targetUserId - The ID of the target user
  * @param {string[]} requestedRoles - The roles being requested (pass empty array for delete operations)
  * @param {string[]} [currentRoles] - The target user's current roles from the database
+ * @param {RolePolicy} [policy] - The role policy to apply
  */
 export function validateUserManagement(
   callingUserId,
   callingUserRoles,
   targetUserId,
   requestedRoles,
-  currentRoles = []
+  currentRoles = [],
+  policy = rolePolicy
 ) {
-  validateNotSelfAction(callingUserId, targetUserId)
+  validateNotSelfAction(callingUserId, targetUserId, policy)
   if (requestedRoles.length > 0) {
-    validateRoleHierarchy(callingUserRoles, requestedRoles)
+    validateRoleHierarchy(callingUserRoles, requestedRoles, policy)
+    validateSeparationOfDuties(requestedRoles, policy)
   }
   if (currentRoles.length > 0) {
-    validateRoleHierarchy(callingUserRoles, currentRoles)
+    validateRoleHierarchy(callingUserRoles, currentRoles, policy)
   }
 }
 
@@ -92,17 +163,22 @@ export function validateUserManagement(
  * Returns the set of roles that the highest-privilege role in the caller's roles can manage.
  * Returns `null` if the caller has no user-management privileges.
  * @param {string[]} callingUserRoles - The roles of the calling user
+ * @param {RolePolicy} [policy] - The role policy to apply
  * @returns {string[] | null} The roles the caller is permitted to manage, or null
  */
-function getHighestAllowedRoles(callingUserRoles) {
-  // Check in order of highest privilege
-  if (callingUserRoles.includes(Roles.Superadmin)) {
-    return manageableRoles[Roles.Superadmin]
-  }
+export function getHighestAllowedRoles(callingUserRoles, policy = rolePolicy) {
+  // Rules are in order of highest privilege
+  const rule = policy.management.find(({ role }) =>
+    callingUserRoles.includes(role)
+  )
 
-  if (callingUserRoles.includes(Roles.Admin)) {
-    return manageableRoles[Roles.Admin]
+  if (!rule) {
+    return null
   }
 
-  return null
+  return rule.manages === '*' ? Object.values(Roles) : rule.manages
 }
+
+/**
+ * @import { RolePolicy } from '~/src/api/types.js'
+ */
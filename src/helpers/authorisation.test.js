@@ -1,8 +1,17 @@
 import { Roles } from '@defra/forms-model'
 
 import {
+  customRolePolicy,
+  defaultRolePolicy
+} from '~/src/api/__stubs__/role-policy.js'
+import {
+  DEFAULT_ROLE_POLICY,
+  getRolePolicy,
+  setRolePolicy,
   validateNotSelfAction,
   validateRoleHierarchy,
+  validateSeparationOfDuties,
+  validateSuperadmin,
   validateUserManagement
 } from '~/src/helpers/authorisation.js'
 
@@ -12,7 +21,7 @@ describe('Authorisation helper', () => {
       expect.assertions(2)
 
       expect(() => {
-        validateNotSelfAction('user-1', 'user-1')
+        validateNotSelfAction('user-1', 'user-1', defaultRolePolicy)
       }).toThrow(
         expect.objectContaining({
           isBoom: true,
@@ -21,42 +30,78 @@ describe('Authorisation helper', () => {
       )
 
       expect(() => {
-        validateNotSelfAction('user-1', 'user-1')
+        validateNotSelfAction('user-1', 'user-1', defaultRolePolicy)
       }).toThrow(/your own account/)
     })
 
     it('should not throw when callingUserId differs from targetUserId', () => {
       expect(() => {
-        validateNotSelfAction('user-1', 'user-2')
+        validateNotSelfAction('user-1', 'user-2', defaultRolePolicy)
       }).not.toThrow()
     })
   })
 
+  describe('validateSuperadmin', () => {
+    it('should not throw for a superadmin caller', () => {
+      expect(() => {
+        validateSuperadmin([Roles.Superadmin])
+      }).not.toThrow()
+    })
+
+    it('should throw 403 for an admin caller', () => {
+      expect(() => {
+        validateSuperadmin([Roles.Admin])
+      }).toThrow(
+        expect.objectContaining({
+          isBoom: true,
+          output: expect.objectContaining({ statusCode: 403 }),
+          message: 'Only superadmins can perform this action'
+        })
+      )
+    })
+  })
+
   describe('validateRoleHierarchy', () => {
     describe('superadmin caller', () => {
       const superadminRoles = [Roles.Superadmin]
 
       it('should allow managing superadmin users', () => {
         expect(() => {
-          validateRoleHierarchy(superadminRoles, [Roles.Superadmin])
+          validateRoleHierarchy(
+            superadminRoles,
+            [Roles.Superadmin],
+            defaultRolePolicy
+          )
         }).not.toThrow()
       })
 
       it('should allow managing admin users', () => {
         expect(() => {
-          validateRoleHierarchy(superadminRoles, [Roles.Admin])
+          validateRoleHierarchy(
+            superadminRoles,
+            [Roles.Admin],
+            defaultRolePolicy
+          )
         }).not.toThrow()
       })
 
       it('should allow managing form-publisher users', () => {
         expect(() => {
-          validateRoleHierarchy(superadminRoles, [Roles.FormPublisher])
+          validateRoleHierarchy(
+            superadminRoles,
+            [Roles.FormPublisher],
+            defaultRolePolicy
+          )
         }).not.toThrow()
       })
 
       it('should allow managing form-creator users', () => {
         expect(() => {
-          validateRoleHierarchy(superadminRoles, [Roles.FormCreator])
+          validateRoleHierarchy(
+            superadminRoles,
+            [Roles.FormCreator],
+            defaultRolePolicy
+          )
         }).not.toThrow()
       })
     })
@@ -66,19 +111,27 @@ describe('Authorisation helper', () => {
 
       it('should allow managing form-publisher users', () => {
         expect(() => {
-          validateRoleHierarchy(adminRoles, [Roles.FormPublisher])
+          validateRoleHierarchy(
+            adminRoles,
+            [Roles.FormPublisher],
+            defaultRolePolicy
+          )
         }).not.toThrow()
       })
 
       it('should allow managing form-creator users', () => {
         expect(() => {
-          validateRoleHierarchy(adminRoles, [Roles.FormCreator])
+          validateRoleHierarchy(
+            adminRoles,
+            [Roles.FormCreator],
+            defaultRolePolicy
+          )
         }).not.toThrow()
       })
 
       it('should throw 403 when trying to manage admin users', () => {
         expect(() => {
-          validateRoleHierarchy(adminRoles, [Roles.Admin])
+          validateRoleHierarchy(adminRoles, [Roles.Admin], defaultRolePolicy)
         }).toThrow(
           expect.objectContaining({
             isBoom: true,
@@ -90,7 +143,11 @@ describe('Authorisation helper', () => {
 
       it('should throw 403 when trying to manage superadmin users', () => {
         expect(() => {
-          validateRoleHierarchy(adminRoles, [Roles.Superadmin])
+          validateRoleHierarchy(
+            adminRoles,
+            [Roles.Superadmin],
+            defaultRolePolicy
+          )
         }).toThrow(
           expect.objectContaining({
             isBoom: true,
@@ -102,7 +159,11 @@ describe('Authorisation helper', () => {
 
       it('should throw 403 when target roles contain a mix including admin', () => {
         expect(() => {
-          validateRoleHierarchy(adminRoles, [Roles.FormCreator, Roles.Admin])
+          validateRoleHierarchy(
+            adminRoles,
+            [Roles.FormCreator, Roles.Admin],
+            defaultRolePolicy
+          )
         }).toThrow(
           expect.objectContaining({
             isBoom: true,
@@ -114,10 +175,11 @@ describe('Authorisation helper', () => {
 
       it('should throw 403 when target roles contain a mix including superadmin', () => {
         expect(() => {
-          validateRoleHierarchy(adminRoles, [
-            Roles.FormCreator,
-            Roles.Superadmin
-          ])
+          validateRoleHierarchy(
+            adminRoles,
+            [Roles.FormCreator, Roles.Superadmin],
+            defaultRolePolicy
+          )
         }).toThrow(
           expect.objectContaining({
             isBoom: true,
@@ -129,7 +191,11 @@ describe('Authorisation helper', () => {
 
       it('should throw 403 listing multiple disallowed roles', () => {
         expect(() => {
-          validateRoleHierarchy(adminRoles, [Roles.Admin, Roles.Superadmin])
+          validateRoleHierarchy(
+            adminRoles,
+            [Roles.Admin, Roles.Superadmin],
+            defaultRolePolicy
+          )
         }).toThrow(
           expect.objectContaining({
             isBoom: true,
@@ -143,7 +209,11 @@ describe('Authorisation helper', () => {
     describe('non-admin/non-superadmin caller (defensive)', () => {
       it('should throw 403 for form-creator caller', () => {
         expect(() => {
-          validateRoleHierarchy([Roles.FormCreator], [Roles.FormCreator])
+          validateRoleHierarchy(
+            [Roles.FormCreator],
+            [Roles.FormCreator],
+            defaultRolePolicy
+          )
         }).toThrow(
           expect.objectContaining({
             isBoom: true,
@@ -155,7 +225,11 @@ describe('Authorisation helper', () => {
 
       it('should throw 403 for form-publisher caller', () => {
         expect(() => {
-          validateRoleHierarchy([Roles.FormPublisher], [Roles.FormCreator])
+          validateRoleHierarchy(
+            [Roles.FormPublisher],
+            [Roles.FormCreator],
+            defaultRolePolicy
+          )
         }).toThrow(
           expect.objectContaining({
             isBoom: true,
@@ -167,7 +241,7 @@ describe('Authorisation helper', () => {
 
       it('should throw 403 for empty roles', () => {
         expect(() => {
-          validateRoleHierarchy([], [Roles.FormCreator])
+          validateRoleHierarchy([], [Roles.FormCreator], defaultRolePolicy)
         }).toThrow(
           expect.objectContaining({
             isBoom: true,
@@ -179,20 +253,134 @@ describe('Authorisation helper', () => {
     })
   })
 
+  describe('validateSeparationOfDuties', () => {
+    it('should allow roles the policy does not keep apart', () => {
+      expect(() => {
+        validateSeparationOfDuties(
+          [Roles.FormCreator, Roles.FormPublisher],
+          defaultRolePolicy
+        )
+      }).not.toThrow()
+    })
+
+    it('should allow one of the roles the policy keeps apart', () => {
+      expect(() => {
+        validateSeparationOfDuties(
+          [Roles.Admin, Roles.FormPublisher],
+          customRolePolicy
+        )
+      }).not.toThrow()
+    })
+
+    it('should throw 400 for roles the policy keeps apart', () => {
+      expect(() => {
+        validateSeparationOfDuties(
+          [Roles.FormPublisher, Roles.FormCreator],
+          customRolePolicy
+        )
+      }).toThrow(
+        expect.objectContaining({
+          isBoom: true,
+          output: expect.objectContaining({ statusCode: 400 }),
+          message: `A user cannot hold the ${Roles.FormCreator} and ${Roles.FormPublisher} roles together - forms are reviewed by somebody other than their author`
+        })
+      )
+    })
+  })
+
+  describe('custom policy', () => {
+    it('should allow self-action when the policy allows it', () => {
+      expect(() => {
+        validateNotSelfAction('user-1', 'user-1', customRolePolicy)
+      }).not.toThrow()
+    })
+
+    it('should give a role the management rights in the policy', () => {
+      expect(() => {
+        validateRoleHierarchy([Roles.Admin], [Roles.Admin], customRolePolicy)
+      }).not.toThrow()
+      expect(() => {
+        validateRoleHierarchy(
+          [Roles.FormPublisher],
+          [Roles.FormCreator],
+          customRolePolicy
+        )
+      }).not.toThrow()
+    })
+
+    it('should use the first rule for a role the caller holds', () => {
+      expect(() => {
+        validateRoleHierarchy(
+          [Roles.FormPublisher, Roles.Admin],
+          [Roles.Superadmin],
+          customRolePolicy
+        )
+      }).toThrow(
+        `You do not have sufficient privileges to manage ${Roles.Superadmin} users`
+      )
+    })
+
+    it('should check the requested roles are not kept apart', () => {
+      expect(() => {
+        validateUserManagement(
+          'user-1',
+          [Roles.Admin],
+          'user-2',
+          [Roles.FormCreator, Roles.FormPublisher],
+          [],
+          customRolePolicy
+        )
+      }).toThrow(
+        expect.objectContaining({
+          output: expect.objectContaining({ statusCode: 400 })
+        })
+      )
+    })
+  })
+
+  describe('getRolePolicy', () => {
+    afterEach(() => {
+      setRolePolicy(DEFAULT_ROLE_POLICY)
+    })
+
+    it('should default to the policy the service has always applied', () => {
+      expect(getRolePolicy()).toEqual(defaultRolePolicy)
+    })
+
+    it('should apply the policy that was set', () => {
+      setRolePolicy(customRolePolicy)
+
+      expect(getRolePolicy()).toBe(customRolePolicy)
+      expect(() => {
+        validateRoleHierarchy([Roles.Admin], [Roles.Admin])
+      }).not.toThrow()
+    })
+  })
+
   describe('validateUserManagement', () => {
     it('should run both self-management and hierarchy checks successfully', () => {
       expect(() => {
-        validateUserManagement('user-1', [Roles.Admin], 'user-2', [
-          Roles.FormCreator
-        ])
+        validateUserManagement(
+          'user-1',
+          [Roles.Admin],
+          'user-2',
+          [Roles.FormCreator],
+          [],
+          defaultRolePolicy
+        )
       }).not.toThrow()
     })
 
     it('should throw on self-management before hierarchy check', () => {
       expect(() => {
-        validateUserManagement('user-1', [Roles.Superadmin], 'user-1', [
-          Roles.FormCreator
-        ])
+        validateUserManagement(
+          'user-1',
+          [Roles.Superadmin],
+          'user-1',
+          [Roles.FormCreator],
+          [],
+          defaultRolePolicy
+        )
       }).toThrow(
         expect.objectContaining({
           isBoom: true,
@@ -204,9 +392,14 @@ describe('Authorisation helper', () => {
 
     it('should throw on hierarchy violation when not a self-action', () => {
       expect(() => {
-        validateUserManagement('user-1', [Roles.Admin], 'user-2', [
-          Roles.Superadmin
-        ])
+        validateUserManagement(
+          'user-1',
+          [Roles.Admin],
+          'user-2',
+          [Roles.Superadmin],
+          [],
+          defaultRolePolicy
+        )
       }).toThrow(
         expect.objectContaining({
           isBoom: true,
@@ -223,7 +416,8 @@ describe('Authorisation helper', () => {
           [Roles.Admin],
           'user-2',
           [Roles.FormCreator],
-          [Roles.Admin]
+          [Roles.Admin],
+          defaultRolePolicy
         )
       }).toThrow(
         expect.objectContaining({
@@ -241,14 +435,22 @@ describe('Authorisation helper', () => {
           [Roles.Superadmin],
           'user-2',
           [Roles.FormCreator],
-          [Roles.Admin]
+          [Roles.Admin],
+          defaultRolePolicy
         )
       }).not.toThrow()
     })
 
     it('should skip hierarchy checks when both role arrays are empty', () => {
       expect(() => {
-        validateUserManagement('user-1', [Roles.Admin], 'user-2', [], [])
+        validateUserManagement(
+          'user-1',
+          [Roles.Admin],
+          'user-2',
+          [],
+          [],
+          defaultRolePolicy
+        )
       }).not.toThrow()
     })
   })
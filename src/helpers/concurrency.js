@@ -0,0 +1,33 @@
+/**
+ * Map items with an async function, running at most `limit` calls at once.
+ * The results are in the order of the items, whichever call finishes first
+ * @template T, R
+ * @param {T[]} items - the items to map
+ * @param {number} limit - the most calls to run at once
+ * @param {(item: T, index: number) => Promise<R>} fn - the function to map each item with
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  /** @type {R[]} */
+  const results = new Array(items.length)
+  let next = 0
+
+  /**
+   * Map the next item waiting until there are none left
+   */
+  async function worker() {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  )
+
+  await Promise.all(workers)
+
+  return results
+}
@@ -0,0 +1,50 @@
+import { mapWithConcurrency } from '~/src/helpers/concurrency.js'
+
+describe('concurrency', () => {
+  describe('mapWithConcurrency', () => {
+    test('should keep the results in the order of the items', async () => {
+      const delays = [30, 10, 20, 0]
+
+      const results = await mapWithConcurrency(delays, 2, (delay, index) => {
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            resolve(`${index}:${delay}`)
+          }, delay)
+        })
+      })
+
+      expect(results).toEqual(['0:30', '1:10', '2:20', '3:0'])
+    })
+
+    test('should run no more than the limit at once', async () => {
+      let running = 0
+      let mostRunning = 0
+
+      await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+        running++
+        mostRunning = Math.max(mostRunning, running)
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        running--
+      })
+
+      expect(mostRunning).toBe(3)
+    })
+
+    test('should handle no items', async () => {
+      const fn = jest.fn()
+
+      await expect(mapWithConcurrency([], 5, fn)).resolves.toEqual([])
+      expect(fn).not.toHaveBeenCalled()
+    })
+
+    test('should reject when a call fails', async () => {
+      await expect(
+        mapWithConcurrency([1, 2], 2, (item) =>
+          item === 2
+            ? Promise.reject(new Error('failed'))
+            : Promise.resolve(item)
+        )
+      ).rejects.toThrow('failed')
+    })
+  })
+})
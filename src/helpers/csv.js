@@ -0,0 +1,98 @@
+import Boom from '@hapi/boom'
+
+/**
+ * Characters a spreadsheet treats as the start of a formula
+ */
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r']
+
+/**
+ * Formats a row of values as a line of CSV, quoting values that need it.
+ * Values a spreadsheet would run as a formula are prefixed with `'`
+ * @param {(string | undefined | null)[]} values - the values in the row
+ * @returns {string} The line, ending with CRLF
+ */
+export function formatCsvRow(values) {
+  const cells = values.map((value) => {
+    let cell = value ?? ''
+
+    if (FORMULA_PREFIXES.some((prefix) => cell.startsWith(prefix))) {
+      cell = `'${cell}`
+    }
+
+    return /[",\r\n]/.test(cell) ? `"${cell.replaceAll('"', '""')}"` : cell
+  })
+
+  return `${cells.join(',')}\r\n`
+}
+
+/**
+ * Parses CSV text into rows of values (RFC 4180). Quoted values may hold
+ * commas, doubled quotes and line breaks. Blank lines are dropped
+ * @param {string} text - the CSV text
+ * @returns {{ line: number, values: string[] }[]} The rows, with the line each starts on
+ */
+export function parseCsv(text) {
+  /** @type {{ line: number, values: string[] }[]} */
+  const rows = []
+
+  /** @type {string[]} */
+  let values = []
+  let value = ''
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+
+  const endRow = () => {
+    values.push(value)
+
+    if (values.length > 1 || values[0].trim() !== '') {
+      rows.push({ line: rowLine, values })
+    }
+
+    values = []
+    value = ''
+  }
+
+  // Drop a byte order mark left by spreadsheet software
+  const input = text.startsWith('\uFEFF') ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === '\n') {
+          line++
+        }
+        value += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      values.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++
+      }
+      endRow()
+      line++
+      rowLine = line
+    } else {
+      value += char
+    }
+  }
+
+  if (quoted) {
+    throw Boom.badRequest(`Unclosed quote in CSV row on line ${rowLine}`)
+  }
+
+  endRow()
+
+  return rows
+}
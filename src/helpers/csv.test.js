@@ -0,0 +1,57 @@
+import { formatCsvRow, parseCsv } from '~/src/helpers/csv.js'
+
+describe('csv', () => {
+  describe('formatCsvRow', () => {
+    test('should join the values with commas', () => {
+      expect(formatCsvRow(['a', 'b', undefined, null])).toBe('a,b,,\r\n')
+    })
+
+    test('should quote values holding commas, quotes or line breaks', () => {
+      expect(formatCsvRow(['a,b', 'say "hi"', 'one\ntwo'])).toBe(
+        '"a,b","say ""hi""","one\ntwo"\r\n'
+      )
+    })
+
+    test.each(['=SUM(A1)', '+1', '-1', '@cmd'])(
+      'should stop %s being run as a formula',
+      (value) => {
+        expect(formatCsvRow([value])).toBe(`'${value}\r\n`)
+      }
+    )
+  })
+
+  describe('parseCsv', () => {
+    test('should parse rows with the line each starts on', () => {
+      expect(
+        parseCsv('email,roles\r\na@b.com,admin\r\n\r\nc@d.com,\n')
+      ).toEqual([
+        { line: 1, values: ['email', 'roles'] },
+        { line: 2, values: ['a@b.com', 'admin'] },
+        { line: 4, values: ['c@d.com', ''] }
+      ])
+    })
+
+    test('should parse quoted values', () => {
+      expect(parseCsv('"a,b","say ""hi""","one\ntwo"\nnext')).toEqual([
+        { line: 1, values: ['a,b', 'say "hi"', 'one\ntwo'] },
+        { line: 3, values: ['next'] }
+      ])
+    })
+
+    test('should drop a byte order mark', () => {
+      expect(parseCsv('\uFEFFemail')).toEqual([{ line: 1, values: ['email'] }])
+    })
+
+    test('should round trip formatted rows', () => {
+      const values = ['a,b', 'say "hi"', '', 'plain']
+
+      expect(parseCsv(formatCsvRow(values))).toEqual([{ line: 1, values }])
+    })
+
+    test('should reject an unclosed quote', () => {
+      expect(() => parseCsv('a\n"b,c')).toThrow(
+        'Unclosed quote in CSV row on line 2'
+      )
+    })
+  })
+})
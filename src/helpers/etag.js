@@ -0,0 +1,31 @@
+import Boom from '@hapi/boom'
+
+/**
+ * Parses an If-Match header into the user versions it allows. Weak tags are
+ * compared as strong ones, since the tag is only ever the stored version.
+ * Returns undefined when there is no header or it is `*`, so any version
+ * matches. Throws `Boom.preconditionFailed` for a tag that is not a version,
+ * as it can never match.
+ * @param {string | string[]} [ifMatch] - the If-Match header
+ * @returns {number[] | undefined} The allowed versions
+ */
+export function parseIfMatch(ifMatch) {
+  const header = [ifMatch ?? []].flat().join(',').trim()
+
+  if (!header || header === '*') {
+    return undefined
+  }
+
+  return header.split(',').map((tag) => {
+    const value = tag
+      .trim()
+      .replace(/^W\//, '')
+      .replace(/^"(.*)"$/, '$1')
+
+    if (!/^\d+$/.test(value)) {
+      throw Boom.preconditionFailed(`Invalid entity tag '${tag.trim()}'`)
+    }
+
+    return Number(value)
+  })
+}
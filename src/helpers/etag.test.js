@@ -0,0 +1,29 @@
+import { parseIfMatch } from '~/src/helpers/etag.js'
+
+describe('etag', () => {
+  describe('parseIfMatch', () => {
+    test.each([undefined, '', '*', ' * '])(
+      'should allow any version for %p',
+      (header) => {
+        expect(parseIfMatch(header)).toBeUndefined()
+      }
+    )
+
+    test('should parse a single tag', () => {
+      expect(parseIfMatch('"3"')).toEqual([3])
+    })
+
+    test('should parse weak and unquoted tags in a list', () => {
+      expect(parseIfMatch('W/"3", "4" ,5')).toEqual([3, 4, 5])
+    })
+
+    test('should reject a tag that is not a version', () => {
+      expect(() => parseIfMatch('"3", "abc"')).toThrow(
+        expect.objectContaining({
+          message: 'Invalid entity tag \'"abc"\'',
+          output: expect.objectContaining({ statusCode: 412 })
+        })
+      )
+    })
+  })
+})
@@ -5,6 +5,9 @@ import {
   AuditEventMessageType
 } from '@defra/forms-model'
 
+import { config } from '~/src/config/index.js'
+import { EntitlementEventSchemaVersion } from '~/src/messaging/schema.js'
+
 /**
  * @param {AzureUser} azureUser
  * @param {string[]} roles
@@ -50,16 +53,40 @@ export function entitlementCreatedMapper(azureUser, roles, callingUser) {
 }
 
 /**
+ * Maps an update to the schema version set in config. V2 carries the roles
+ * held before the update and which were added and removed
  * @param {AzureUser} azureUser
  * @param {string[]} roles
  * @param {AuditUser} callingUser
- * @returns {EntitlementUpdatedMessage}
+ * @param {string[]} previousRoles - the roles held before the update
+ * @returns {EntitlementUpdatedMessage | EntitlementUpdatedMessageV2}
  */
-export function entitlementUpdatedMapper(azureUser, roles, callingUser) {
-  return {
+export function entitlementUpdatedMapper(
+  azureUser,
+  roles,
+  callingUser,
+  previousRoles
+) {
+  /** @type {EntitlementUpdatedMessage} */
+  const message = {
     ...entitlementBaseMapper(azureUser, roles, callingUser),
     type: AuditEventMessageType.ENTITLEMENT_UPDATED
   }
+
+  if (config.get('entitlementEventSchemaVersion') === 'v1') {
+    return message
+  }
+
+  return {
+    ...message,
+    schemaVersion: EntitlementEventSchemaVersion.V2,
+    data: {
+      ...message.data,
+      previousRoles,
+      addedRoles: roles.filter((role) => !previousRoles.includes(role)),
+      removedRoles: previousRoles.filter((role) => !roles.includes(role))
+    }
+  }
 }
 
 /**
@@ -76,5 +103,6 @@ export function entitlementDeletedMapper(azureUser, callingUser) {
 
 /**
  * @import { AuditUser, EntitlementCreatedMessage, EntitlementDeletedMessage, EntitlementMessageBase, EntitlementMessageData, EntitlementUpdatedMessage } from '@defra/forms-model'
+ * @import { EntitlementUpdatedMessageV2 } from '~/src/api/types.js'
  * @import { AzureUser } from '~/src/services/azure-ad.js'
  */
@@ -5,6 +5,7 @@ import {
   AuditEventMessageType
 } from '@defra/forms-model'
 
+import { config } from '~/src/config/index.js'
 import {
   adminRole,
   azureUser,
@@ -15,8 +16,19 @@ import {
   entitlementDeletedMapper,
   entitlementUpdatedMapper
 } from '~/src/messaging/mappers/events.js'
+import { EntitlementEventSchemaVersion } from '~/src/messaging/schema.js'
+
+jest.mock('~/src/config/index.js', () => ({
+  config: {
+    get: jest.fn()
+  }
+}))
 
 describe('entitlement-events', () => {
+  beforeEach(() => {
+    jest.mocked(config.get).mockReturnValue('v1')
+  })
+
   describe('entitlementCreatedMapper', () => {
     it('should map a payload into a ENTITLEMENT_CREATED event', () => {
       expect(
@@ -44,7 +56,7 @@ describe('entitlement-events', () => {
 
     it('should map a payload into a ENTITLEMENT_UPDATED event', () => {
       expect(
-        entitlementUpdatedMapper(azureUser, adminRole, callingUser)
+        entitlementUpdatedMapper(azureUser, adminRole, callingUser, [])
       ).toEqual({
         schemaVersion: AuditEventMessageSchemaVersion.V1,
         category: AuditEventMessageCategory.ENTITLEMENT,
@@ -66,6 +78,41 @@ describe('entitlement-events', () => {
       })
     })
 
+    it('should map a payload into a V2 ENTITLEMENT_UPDATED event with the role changes', () => {
+      jest.mocked(config.get).mockReturnValue('v2')
+
+      expect(
+        entitlementUpdatedMapper(
+          azureUser,
+          ['admin', 'form-publisher'],
+          callingUser,
+          ['form-creator', 'form-publisher']
+        )
+      ).toEqual({
+        schemaVersion: EntitlementEventSchemaVersion.V2,
+        category: AuditEventMessageCategory.ENTITLEMENT,
+        source: AuditEventMessageSource.ENTITLEMENT,
+        type: AuditEventMessageType.ENTITLEMENT_UPDATED,
+        entityId: azureUser.id,
+        createdAt: expect.any(Date),
+        createdBy: {
+          id: callingUser.id,
+          displayName: callingUser.displayName
+        },
+        messageCreatedAt: expect.any(Date),
+        data: {
+          userId: azureUser.id,
+          email: azureUser.email,
+          roles: ['admin', 'form-publisher'],
+          displayName: azureUser.displayName,
+          previousRoles: ['form-creator', 'form-publisher'],
+          addedRoles: ['admin'],
+          removedRoles: ['form-creator']
+        }
+      })
+      expect(config.get).toHaveBeenCalledWith('entitlementEventSchemaVersion')
+    })
+
     it('should map a payload into a ENTITLEMENT_DELETED event', () => {
       expect(entitlementDeletedMapper(azureUser, callingUser)).toEqual({
         schemaVersion: AuditEventMessageSchemaVersion.V1,
@@ -10,7 +10,7 @@ const client = getSNSClient()
 
 /**
  * Publish event onto topic
- * @param {AuditMessage} message
+ * @param {EntitlementEventMessage} message
  */
 export async function publishEvent(message) {
   const command = new PublishCommand({
@@ -28,5 +28,5 @@ export async function publishEvent(message) {
 }
 
 /**
- * @import { AuditMessage } from '@defra/forms-model'
+ * @import { EntitlementEventMessage } from '~/src/api/types.js'
  */
@@ -1,3 +1,5 @@
+import { randomUUID } from 'node:crypto'
+
 import { messageSchema } from '@defra/forms-model'
 import Joi from 'joi'
 
@@ -6,64 +8,121 @@ import {
   entitlementDeletedMapper,
   entitlementUpdatedMapper
 } from '~/src/messaging/mappers/events.js'
-import { publishEvent } from '~/src/messaging/publish-base.js'
+import {
+  EntitlementEventSchemaVersion,
+  entitlementUpdatedMessageSchemaV2
+} from '~/src/messaging/schema.js'
+import { create as createAuditRecord } from '~/src/repositories/audit-repository.js'
+import { create } from '~/src/repositories/outbox-repository.js'
 
 /**
- * Helper to validate and publish an event
- * @param {AuditMessage} auditMessage
+ * Helper to validate an event against the schema of its version
+ * @param {EntitlementEventMessage} auditMessage
+ * @returns {EntitlementEventMessage}
  */
-async function validateAndPublishEvent(auditMessage) {
-  const value = Joi.attempt(auditMessage, messageSchema, {
+function validateEvent(auditMessage) {
+  const schema =
+    auditMessage.schemaVersion === EntitlementEventSchemaVersion.V2
+      ? entitlementUpdatedMessageSchemaV2
+      : messageSchema
+
+  return Joi.attempt(auditMessage, schema, {
     abortEarly: false
   })
+}
+
+/**
+ * Helper to validate an event and save it to the outbox, to be published by
+ * the outbox relay once the transaction commits, and to the audit history
+ * @param {EntitlementEventMessage} auditMessage
+ * @param {ClientSession} session - the transaction the change is saved in
+ */
+async function validateAndSaveEvent(auditMessage, session) {
+  const message = validateEvent(auditMessage)
+  const messageId = randomUUID()
+  const now = new Date()
+
+  await create(
+    {
+      messageId,
+      entityId: message.entityId,
+      message,
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now
+    },
+    session
+  )
 
-  return publishEvent(value)
+  await createAuditRecord(
+    { ...message, messageId, recordCreatedAt: now },
+    session
+  )
 }
 
 /**
- * Publish entitlement created event
+ * Save an entitlement created event to the outbox
  * @param {AzureUser} azureUser
  * @param {string[]} roles
  * @param {AuditUser} callingUser
+ * @param {ClientSession} session
  */
-export async function publishEntitlementCreatedEvent(
+export async function saveEntitlementCreatedEvent(
   azureUser,
   roles,
-  callingUser
+  callingUser,
+  session
 ) {
   const auditMessage = entitlementCreatedMapper(azureUser, roles, callingUser)
 
-  return validateAndPublishEvent(auditMessage)
+  return validateAndSaveEvent(auditMessage, session)
 }
 
 /**
- * Publish entitlement updated event
+ * Save an entitlement updated event to the outbox
  * @param {AzureUser} azureUser
  * @param {string[]} roles
  * @param {AuditUser} callingUser
+ * @param {string[]} previousRoles - the roles held before the update
+ * @param {ClientSession} session
  */
-export async function publishEntitlementUpdatedEvent(
+export async function saveEntitlementUpdatedEvent(
   azureUser,
   roles,
-  callingUser
+  callingUser,
+  previousRoles,
+  session
 ) {
-  const auditMessage = entitlementUpdatedMapper(azureUser, roles, callingUser)
+  const auditMessage = entitlementUpdatedMapper(
+    azureUser,
+    roles,
+    callingUser,
+    previousRoles
+  )
 
-  return validateAndPublishEvent(auditMessage)
+  return validateAndSaveEvent(auditMessage, session)
 }
 
 /**
- * Publish entitlement deleted event
+ * Save an entitlement deleted event to the outbox
  * @param {AzureUser} azureUser
  * @param {AuditUser} callingUser
+ * @param {ClientSession} session
  */
-export async function publishEntitlementDeletedEvent(azureUser, callingUser) {
+export async function saveEntitlementDeletedEvent(
+  azureUser,
+  callingUser,
+  session
+) {
   const auditMessage = entitlementDeletedMapper(azureUser, callingUser)
 
-  return validateAndPublishEvent(auditMessage)
+  return validateAndSaveEvent(auditMessage, session)
 }
 
 /**
- * @import { AuditMessage, AuditUser } from '@defra/forms-model'
+ * @import { AuditUser } from '@defra/forms-model'
+ * @import { ClientSession } from 'mongodb'
+ * @import { EntitlementEventMessage } from '~/src/api/types.js'
  * @import { AzureUser } from '~/src/services/azure-ad.js'
  */
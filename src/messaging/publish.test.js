@@ -6,6 +6,7 @@ import {
 } from '@defra/forms-model'
 import { ValidationError } from 'joi'
 
+import { config } from '~/src/config/index.js'
 import {
   adminRole,
   azureUser,
@@ -13,138 +14,215 @@ import {
 } from '~/src/messaging/__stubs__/users.js'
 import { publishEvent } from '~/src/messaging/publish-base.js'
 import {
-  publishEntitlementCreatedEvent,
-  publishEntitlementDeletedEvent,
-  publishEntitlementUpdatedEvent
+  saveEntitlementCreatedEvent,
+  saveEntitlementDeletedEvent,
+  saveEntitlementUpdatedEvent
 } from '~/src/messaging/publish.js'
+import { EntitlementEventSchemaVersion } from '~/src/messaging/schema.js'
+import { create as createAuditRecord } from '~/src/repositories/audit-repository.js'
+import { create } from '~/src/repositories/outbox-repository.js'
 
 jest.mock('~/src/messaging/publish-base.js')
+jest.mock('~/src/repositories/audit-repository.js')
+jest.mock('~/src/repositories/outbox-repository.js')
+jest.mock('~/src/config/index.js', () => {
+  const { config } = jest.requireActual('~/src/config/index.js')
+
+  return {
+    config: {
+      get: jest.fn((key) => config.get(key))
+    }
+  }
+})
+
+const mockSession = /** @type {any} */ ({ id: 'outbox' })
 
 describe('publish', () => {
   beforeEach(() => {
-    jest.mocked(publishEvent).mockResolvedValue({
-      MessageId: '2888a402-7609-43c5-975f-b1974969cdb6',
-      SequenceNumber: undefined,
-      $metadata: {}
-    })
+    jest.mocked(config.get).mockReturnValue('v1')
   })
   afterEach(() => {
     jest.resetAllMocks()
   })
 
-  describe('publishEntitlementCreatedEvent', () => {
-    it('should publish ENTITLEMENT_CREATED event', async () => {
-      await publishEntitlementCreatedEvent(azureUser, adminRole, callingUser)
-
-      expect(publishEvent).toHaveBeenCalledWith({
-        entityId: azureUser.id,
-        source: AuditEventMessageSource.ENTITLEMENT,
-        messageCreatedAt: expect.any(Date),
-        schemaVersion: AuditEventMessageSchemaVersion.V1,
-        category: AuditEventMessageCategory.ENTITLEMENT,
-        type: AuditEventMessageType.ENTITLEMENT_CREATED,
-        createdAt: expect.any(Date),
-        createdBy: { id: callingUser.id, displayName: callingUser.displayName },
-        data: {
-          userId: azureUser.id,
-          email: azureUser.email,
-          roles: adminRole,
-          displayName: azureUser.displayName
-        }
-      })
+  describe('saveEntitlementCreatedEvent', () => {
+    it('should save ENTITLEMENT_CREATED event to the outbox in the session', async () => {
+      await saveEntitlementCreatedEvent(
+        azureUser,
+        adminRole,
+        callingUser,
+        mockSession
+      )
+
+      expect(create).toHaveBeenCalledWith(
+        {
+          messageId: expect.any(String),
+          entityId: azureUser.id,
+          message: {
+            entityId: azureUser.id,
+            source: AuditEventMessageSource.ENTITLEMENT,
+            messageCreatedAt: expect.any(Date),
+            schemaVersion: AuditEventMessageSchemaVersion.V1,
+            category: AuditEventMessageCategory.ENTITLEMENT,
+            type: AuditEventMessageType.ENTITLEMENT_CREATED,
+            createdAt: expect.any(Date),
+            createdBy: {
+              id: callingUser.id,
+              displayName: callingUser.displayName
+            },
+            data: {
+              userId: azureUser.id,
+              email: azureUser.email,
+              roles: adminRole,
+              displayName: azureUser.displayName
+            }
+          },
+          status: 'pending',
+          attempts: 0,
+          createdAt: expect.any(Date),
+          nextAttemptAt: expect.any(Date)
+        },
+        mockSession
+      )
+      expect(createAuditRecord).toHaveBeenCalledWith(
+        {
+          ...jest.mocked(create).mock.calls[0][0].message,
+          messageId: jest.mocked(create).mock.calls[0][0].messageId,
+          recordCreatedAt: expect.any(Date)
+        },
+        mockSession
+      )
+      expect(publishEvent).not.toHaveBeenCalled()
     })
 
-    it('should not publish the event if the schema is incorrect', async () => {
-      jest.mocked(publishEvent).mockRejectedValue(new Error('rejected'))
+    it('should not save the event if the schema is incorrect', async () => {
       const invalidAzureUser = {}
 
       await expect(
-        // @ts-expect-error - invalid schema
-        publishEntitlementCreatedEvent(invalidAzureUser, adminRole, callingUser)
-      ).rejects.toThrow(
-        new ValidationError(
-          '"entityId" is required. "data.userId" is required. "data.displayName" is required. "data.email" is required',
-          [],
-          {}
+        saveEntitlementCreatedEvent(
+          // @ts-expect-error - invalid schema
+          invalidAzureUser,
+          adminRole,
+          callingUser,
+          mockSession
         )
-      )
+      ).rejects.toThrow(ValidationError)
+      expect(create).not.toHaveBeenCalled()
+      expect(createAuditRecord).not.toHaveBeenCalled()
     })
   })
 
-  describe('publishEntitlementUpdatedEvent', () => {
-    it('should publish ENTITLEMENT_UPDATED event', async () => {
-      await publishEntitlementUpdatedEvent(azureUser, adminRole, callingUser)
-
-      expect(publishEvent).toHaveBeenCalledWith({
-        entityId: azureUser.id,
-        source: AuditEventMessageSource.ENTITLEMENT,
-        messageCreatedAt: expect.any(Date),
-        schemaVersion: AuditEventMessageSchemaVersion.V1,
-        category: AuditEventMessageCategory.ENTITLEMENT,
-        type: AuditEventMessageType.ENTITLEMENT_UPDATED,
-        createdAt: expect.any(Date),
-        createdBy: { id: callingUser.id, displayName: callingUser.displayName },
-        data: {
-          userId: azureUser.id,
-          email: azureUser.email,
-          roles: adminRole,
-          displayName: azureUser.displayName
-        }
-      })
+  describe('saveEntitlementUpdatedEvent', () => {
+    it('should save ENTITLEMENT_UPDATED event to the outbox', async () => {
+      await saveEntitlementUpdatedEvent(
+        azureUser,
+        adminRole,
+        callingUser,
+        [],
+        mockSession
+      )
+
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: {
+            entityId: azureUser.id,
+            source: AuditEventMessageSource.ENTITLEMENT,
+            messageCreatedAt: expect.any(Date),
+            schemaVersion: AuditEventMessageSchemaVersion.V1,
+            category: AuditEventMessageCategory.ENTITLEMENT,
+            type: AuditEventMessageType.ENTITLEMENT_UPDATED,
+            createdAt: expect.any(Date),
+            createdBy: {
+              id: callingUser.id,
+              displayName: callingUser.displayName
+            },
+            data: {
+              userId: azureUser.id,
+              email: azureUser.email,
+              roles: adminRole,
+              displayName: azureUser.displayName
+            }
+          }
+        }),
+        mockSession
+      )
     })
 
-    it('should not publish the event if the schema is incorrect', async () => {
-      jest.mocked(publishEvent).mockRejectedValue(new Error('rejected'))
-      const invalidAzureUser = {}
+    it('should save a V2 ENTITLEMENT_UPDATED event with the role changes', async () => {
+      jest.mocked(config.get).mockReturnValue('v2')
 
-      await expect(
-        // @ts-expect-error - invalid schema
-        publishEntitlementUpdatedEvent(invalidAzureUser, adminRole, callingUser)
-      ).rejects.toThrow(
-        new ValidationError(
-          '"entityId" is required. "data.userId" is required. "data.displayName" is required. "data.email" is required',
-          [],
-          {}
-        )
+      await saveEntitlementUpdatedEvent(
+        azureUser,
+        adminRole,
+        callingUser,
+        ['form-creator'],
+        mockSession
       )
-    })
-  })
 
-  describe('publishEntitlementDeletedEvent', () => {
-    it('should publish ENTITLEMENT_DELETED event', async () => {
-      await publishEntitlementDeletedEvent(azureUser, callingUser)
-
-      expect(publishEvent).toHaveBeenCalledWith({
-        entityId: azureUser.id,
-        source: AuditEventMessageSource.ENTITLEMENT,
-        messageCreatedAt: expect.any(Date),
-        schemaVersion: AuditEventMessageSchemaVersion.V1,
-        category: AuditEventMessageCategory.ENTITLEMENT,
-        type: AuditEventMessageType.ENTITLEMENT_DELETED,
-        createdAt: expect.any(Date),
-        createdBy: { id: callingUser.id, displayName: callingUser.displayName },
-        data: {
-          userId: azureUser.id,
-          email: azureUser.email,
-          roles: [],
-          displayName: azureUser.displayName
-        }
-      })
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: expect.objectContaining({
+            schemaVersion: EntitlementEventSchemaVersion.V2,
+            type: AuditEventMessageType.ENTITLEMENT_UPDATED,
+            data: {
+              userId: azureUser.id,
+              email: azureUser.email,
+              displayName: azureUser.displayName,
+              roles: adminRole,
+              previousRoles: ['form-creator'],
+              addedRoles: adminRole,
+              removedRoles: ['form-creator']
+            }
+          })
+        }),
+        mockSession
+      )
     })
 
-    it('should not publish the event if the schema is incorrect', async () => {
-      jest.mocked(publishEvent).mockRejectedValue(new Error('rejected'))
-      const invalidAzureUser = {}
+    it('should not save a V2 event if the schema is incorrect', async () => {
+      jest.mocked(config.get).mockReturnValue('v2')
 
       await expect(
-        // @ts-expect-error - invalid schema
-        publishEntitlementDeletedEvent(invalidAzureUser, callingUser)
-      ).rejects.toThrow(
-        new ValidationError(
-          '"entityId" is required. "data.userId" is required. "data.displayName" is required. "data.email" is required',
-          [],
-          {}
+        saveEntitlementUpdatedEvent(
+          azureUser,
+          adminRole,
+          callingUser,
+          // @ts-expect-error - invalid previous roles
+          [1],
+          mockSession
         )
+      ).rejects.toThrow(ValidationError)
+      expect(create).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('saveEntitlementDeletedEvent', () => {
+    it('should save ENTITLEMENT_DELETED event to the outbox', async () => {
+      await saveEntitlementDeletedEvent(azureUser, callingUser, mockSession)
+
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: {
+            entityId: azureUser.id,
+            source: AuditEventMessageSource.ENTITLEMENT,
+            messageCreatedAt: expect.any(Date),
+            schemaVersion: AuditEventMessageSchemaVersion.V1,
+            category: AuditEventMessageCategory.ENTITLEMENT,
+            type: AuditEventMessageType.ENTITLEMENT_DELETED,
+            createdAt: expect.any(Date),
+            createdBy: {
+              id: callingUser.id,
+              displayName: callingUser.displayName
+            },
+            data: {
+              userId: azureUser.id,
+              email: azureUser.email,
+              roles: [],
+              displayName: azureUser.displayName
+            }
+          }
+        }),
+        mockSession
       )
     })
   })
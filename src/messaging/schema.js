@@ -0,0 +1,34 @@
+import {
+  AuditEventMessageType,
+  entitlementMessageData,
+  messageSchema
+} from '@defra/forms-model'
+import Joi from 'joi'
+
+/**
+ * Schema versions of the entitlement events published by this service. V2
+ * sits alongside `AuditEventMessageSchemaVersion.V1` until forms-model
+ * carries it, so consumers can move to it while V1 is still published
+ */
+export const EntitlementEventSchemaVersion = /** @type {const} */ ({
+  V2: 2
+})
+
+export const entitlementUpdatedMessageDataV2 = entitlementMessageData.append({
+  previousRoles: Joi.array().items(Joi.string()).required(),
+  addedRoles: Joi.array().items(Joi.string()).required(),
+  removedRoles: Joi.array().items(Joi.string()).required()
+})
+
+export const entitlementUpdatedMessageSchemaV2 = messageSchema.keys({
+  schemaVersion: Joi.number()
+    .valid(EntitlementEventSchemaVersion.V2)
+    .required()
+    .description(
+      'The version of the AuditMessage - bumped with breaking changes'
+    ),
+  type: Joi.string()
+    .valid(AuditEventMessageType.ENTITLEMENT_UPDATED)
+    .required(),
+  data: entitlementUpdatedMessageDataV2.required()
+})
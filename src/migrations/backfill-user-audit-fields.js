@@ -0,0 +1,57 @@
+/**
+ * The identity recorded as the creator of users stored before creators were
+ * kept
+ * @type {AuditUser}
+ */
+export const BACKFILL_USER = {
+  id: 'migration:backfill-user-audit-fields',
+  displayName: 'Backfill of user audit fields'
+}
+
+/**
+ * Set createdAt, createdBy, updatedAt and updatedBy on users stored before
+ * they were kept. The creation time is taken from the document ID and the
+ * last change is assumed to be the creation. Users that already have the
+ * fields are left alone, so this is safe to run on every startup
+ * @param {Collection<StoredUser>} coll - the user entitlement collection
+ * @param {Logger} logger - logger
+ */
+export async function backfillUserAuditFields(coll, logger) {
+  const result = await coll.updateMany(
+    {
+      $or: [
+        { createdAt: { $exists: false } },
+        { createdBy: { $exists: false } },
+        { updatedAt: { $exists: false } },
+        { updatedBy: { $exists: false } }
+      ]
+    },
+    [
+      {
+        $set: {
+          createdAt: { $ifNull: ['$createdAt', { $toDate: '$_id' }] },
+          createdBy: { $ifNull: ['$createdBy', { $literal: BACKFILL_USER }] }
+        }
+      },
+      {
+        $set: {
+          updatedAt: { $ifNull: ['$updatedAt', '$createdAt'] },
+          updatedBy: { $ifNull: ['$updatedBy', '$createdBy'] }
+        }
+      }
+    ]
+  )
+
+  if (result.modifiedCount) {
+    logger.info(
+      `[backfillUserAuditFields] Backfilled audit fields on ${result.modifiedCount} users`
+    )
+  }
+}
+
+/**
+ * @import { AuditUser } from '@defra/forms-model'
+ * @import { Collection } from 'mongodb'
+ * @import { Logger } from 'pino'
+ * @import { StoredUser } from '~/src/api/types.js'
+ */
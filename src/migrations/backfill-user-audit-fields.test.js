@@ -0,0 +1,55 @@
+import {
+  BACKFILL_USER,
+  backfillUserAuditFields
+} from '~/src/migrations/backfill-user-audit-fields.js'
+
+const mockLogger = /** @type {any} */ ({
+  info: jest.fn()
+})
+
+describe('backfill-user-audit-fields', () => {
+  const updateMany = jest.fn()
+  const coll = /** @type {any} */ ({ updateMany })
+
+  test('should backfill only the users missing a field', async () => {
+    updateMany.mockResolvedValue({ modifiedCount: 3 })
+
+    await backfillUserAuditFields(coll, mockLogger)
+
+    expect(updateMany).toHaveBeenCalledWith(
+      {
+        $or: [
+          { createdAt: { $exists: false } },
+          { createdBy: { $exists: false } },
+          { updatedAt: { $exists: false } },
+          { updatedBy: { $exists: false } }
+        ]
+      },
+      [
+        {
+          $set: {
+            createdAt: { $ifNull: ['$createdAt', { $toDate: '$_id' }] },
+            createdBy: { $ifNull: ['$createdBy', { $literal: BACKFILL_USER }] }
+          }
+        },
+        {
+          $set: {
+            updatedAt: { $ifNull: ['$updatedAt', '$createdAt'] },
+            updatedBy: { $ifNull: ['$updatedBy', '$createdBy'] }
+          }
+        }
+      ]
+    )
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      '[backfillUserAuditFields] Backfilled audit fields on 3 users'
+    )
+  })
+
+  test('should not log when there is nothing to backfill', async () => {
+    updateMany.mockResolvedValue({ modifiedCount: 0 })
+
+    await backfillUserAuditFields(coll, mockLogger)
+
+    expect(mockLogger.info).not.toHaveBeenCalled()
+  })
+})
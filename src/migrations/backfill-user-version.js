@@ -0,0 +1,25 @@
+/**
+ * Set the version used for optimistic concurrency on users stored before it
+ * was kept. Users that already have a version are left alone, so this is
+ * safe to run on every startup
+ * @param {Collection<StoredUser>} coll - the user entitlement collection
+ * @param {Logger} logger - logger
+ */
+export async function backfillUserVersion(coll, logger) {
+  const result = await coll.updateMany(
+    { version: { $exists: false } },
+    { $set: { version: 1 } }
+  )
+
+  if (result.modifiedCount) {
+    logger.info(
+      `[backfillUserVersion] Backfilled version on ${result.modifiedCount} users`
+    )
+  }
+}
+
+/**
+ * @import { Collection } from 'mongodb'
+ * @import { Logger } from 'pino'
+ * @import { StoredUser } from '~/src/api/types.js'
+ */
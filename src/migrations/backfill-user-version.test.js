@@ -0,0 +1,32 @@
+import { backfillUserVersion } from '~/src/migrations/backfill-user-version.js'
+
+const mockLogger = /** @type {any} */ ({
+  info: jest.fn()
+})
+
+describe('backfill-user-version', () => {
+  const updateMany = jest.fn()
+  const coll = /** @type {any} */ ({ updateMany })
+
+  test('should set the first version on users without one', async () => {
+    updateMany.mockResolvedValue({ modifiedCount: 2 })
+
+    await backfillUserVersion(coll, mockLogger)
+
+    expect(updateMany).toHaveBeenCalledWith(
+      { version: { $exists: false } },
+      { $set: { version: 1 } }
+    )
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      '[backfillUserVersion] Backfilled version on 2 users'
+    )
+  })
+
+  test('should not log when there is nothing to backfill', async () => {
+    updateMany.mockResolvedValue({ modifiedCount: 0 })
+
+    await backfillUserVersion(coll, mockLogger)
+
+    expect(mockLogger.info).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,64 @@
+import { randomUUID } from 'node:crypto'
+
+import { entitlementCreatedMapper } from '~/src/messaging/mappers/events.js'
+import { BACKFILL_USER } from '~/src/migrations/backfill-user-audit-fields.js'
+
+/**
+ * Save an entitlement created audit record for each user stored before the
+ * audit history was kept, so the user can be read at a point in time. The
+ * record is dated when the user was created and holds the roles they have
+ * now, as no change has been recorded since. Users that already have a
+ * record are left alone, so this is safe to run on every startup. Must run
+ * after the user audit fields are backfilled.
+ * @param {Collection<StoredUser>} userColl - the user entitlement collection
+ * @param {Collection<EntitlementAuditRecord>} auditColl - the entitlement audit collection
+ * @param {Logger} logger - logger
+ */
+export async function seedUserAuditBaseline(userColl, auditColl, logger) {
+  const auditedUserIds = await auditColl.distinct('entityId')
+
+  const users = await userColl
+    .find({ userId: { $nin: auditedUserIds } })
+    .toArray()
+
+  if (!users.length) {
+    return
+  }
+
+  const now = new Date()
+
+  await auditColl.insertMany(
+    users.map(
+      ({ _id, userId, email, displayName, roles, createdAt, createdBy }) => {
+        const azureUser = /** @type {AzureUser} */ ({
+          id: userId,
+          email,
+          displayName
+        })
+
+        return {
+          ...entitlementCreatedMapper(
+            azureUser,
+            // eslint-disable-next-line @typescript-eslint/no-unnecessary-condition -- older documents may have been stored without roles
+            roles ?? [],
+            createdBy ?? BACKFILL_USER
+          ),
+          createdAt: createdAt ?? _id.getTimestamp(),
+          messageId: randomUUID(),
+          recordCreatedAt: now
+        }
+      }
+    )
+  )
+
+  logger.info(
+    `[seedUserAuditBaseline] Saved a baseline audit record for ${users.length} users`
+  )
+}
+
+/**
+ * @import { Collection } from 'mongodb'
+ * @import { Logger } from 'pino'
+ * @import { EntitlementAuditRecord, StoredUser } from '~/src/api/types.js'
+ * @import { AzureUser } from '~/src/services/azure-ad.js'
+ */
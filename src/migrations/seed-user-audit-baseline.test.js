@@ -0,0 +1,108 @@
+import {
+  AuditEventMessageCategory,
+  AuditEventMessageSchemaVersion,
+  AuditEventMessageSource,
+  AuditEventMessageType,
+  Roles
+} from '@defra/forms-model'
+import { ObjectId } from 'mongodb'
+
+import { BACKFILL_USER } from '~/src/migrations/backfill-user-audit-fields.js'
+import { seedUserAuditBaseline } from '~/src/migrations/seed-user-audit-baseline.js'
+
+const mockLogger = /** @type {any} */ ({
+  info: jest.fn()
+})
+
+describe('seed-user-audit-baseline', () => {
+  const now = new Date('2020-06-01T00:00:00Z')
+  const createdAt = new Date('2019-01-01T00:00:00Z')
+  const createdBy = { id: 'creator-id', displayName: 'Creator' }
+
+  const toArray = jest.fn()
+  const userColl = /** @type {any} */ ({
+    find: jest.fn()
+  })
+  const auditColl = /** @type {any} */ ({
+    distinct: jest.fn(),
+    insertMany: jest.fn()
+  })
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(now)
+    userColl.find.mockReturnValue({ toArray })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('should save a created record for users without any history', async () => {
+    const _id = new ObjectId()
+
+    auditColl.distinct.mockResolvedValue(['audited-user'])
+    toArray.mockResolvedValue([
+      {
+        _id,
+        userId: 'user-1',
+        email: 'user-1@defra.gov.uk',
+        displayName: 'User 1',
+        roles: [Roles.Admin],
+        createdAt,
+        createdBy
+      },
+      {
+        _id,
+        userId: 'user-2',
+        email: 'user-2@defra.gov.uk',
+        displayName: 'User 2'
+      }
+    ])
+
+    await seedUserAuditBaseline(userColl, auditColl, mockLogger)
+
+    expect(auditColl.distinct).toHaveBeenCalledWith('entityId')
+    expect(userColl.find).toHaveBeenCalledWith({
+      userId: { $nin: ['audited-user'] }
+    })
+    expect(auditColl.insertMany).toHaveBeenCalledWith([
+      {
+        messageId: expect.any(String),
+        entityId: 'user-1',
+        source: AuditEventMessageSource.ENTITLEMENT,
+        messageCreatedAt: now,
+        schemaVersion: AuditEventMessageSchemaVersion.V1,
+        category: AuditEventMessageCategory.ENTITLEMENT,
+        type: AuditEventMessageType.ENTITLEMENT_CREATED,
+        createdAt,
+        createdBy,
+        data: {
+          userId: 'user-1',
+          email: 'user-1@defra.gov.uk',
+          displayName: 'User 1',
+          roles: [Roles.Admin]
+        },
+        recordCreatedAt: now
+      },
+      expect.objectContaining({
+        entityId: 'user-2',
+        createdAt: _id.getTimestamp(),
+        createdBy: BACKFILL_USER,
+        data: expect.objectContaining({ roles: [] })
+      })
+    ])
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      '[seedUserAuditBaseline] Saved a baseline audit record for 2 users'
+    )
+  })
+
+  test('should do nothing when every user has history', async () => {
+    auditColl.distinct.mockResolvedValue(['user-1'])
+    toArray.mockResolvedValue([])
+
+    await seedUserAuditBaseline(userColl, auditColl, mockLogger)
+
+    expect(auditColl.insertMany).not.toHaveBeenCalled()
+    expect(mockLogger.info).not.toHaveBeenCalled()
+  })
+})
@@ -2,6 +2,9 @@ import { LockManager } from 'mongo-locks'
 import { MongoClient } from 'mongodb'
 
 import { config } from '~/src/config/index.js'
+import { backfillUserAuditFields } from '~/src/migrations/backfill-user-audit-fields.js'
+import { backfillUserVersion } from '~/src/migrations/backfill-user-version.js'
+import { seedUserAuditBaseline } from '~/src/migrations/seed-user-audit-baseline.js'
 import { secureContext } from '~/src/secure-context.js'
 
 /**
@@ -26,6 +29,14 @@ export const locker = mongoConnections
 
 export const USER_COLLECTION_NAME = 'user-entitlement'
 export const MONGO_LOCKS_COLLECTION_NAME = 'mongo-locks'
+export const GROUP_ROLE_MAPPING_COLLECTION_NAME = 'group-role-mapping'
+export const SYNC_RUN_COLLECTION_NAME = 'sync-run'
+export const SCHEDULER_TASK_COLLECTION_NAME = 'scheduler-task'
+export const OUTBOX_COLLECTION_NAME = 'entitlement-outbox'
+export const AUDIT_COLLECTION_NAME = 'entitlement-audit'
+export const IDEMPOTENCY_COLLECTION_NAME = 'idempotency-key'
+export const ROLE_POLICY_COLLECTION_NAME = 'role-policy'
+export const SUPERADMIN_GUARD_COLLECTION_NAME = 'superadmin-guard'
 
 /**
  * Connects to mongo database
@@ -54,18 +65,61 @@ export async function prepareDb(logger) {
   )
 
   // Ensure db indexes
-  const userColl = db.collection(USER_COLLECTION_NAME)
+  const userColl = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
   await userColl.createIndex({ userId: 1 }, { unique: true })
+  await userColl.createIndex({ 'roleExpiries.expiresAt': 1 }, { sparse: true })
+  await userColl.createIndex({ updatedAt: -1, userId: 1 })
 
   const locksColl = db.collection(MONGO_LOCKS_COLLECTION_NAME)
   await locksColl.createIndex({ id: 1 })
 
+  const mappingColl = db.collection(GROUP_ROLE_MAPPING_COLLECTION_NAME)
+  await mappingColl.createIndex({ groupId: 1 }, { unique: true })
+
+  const syncRunColl = db.collection(SYNC_RUN_COLLECTION_NAME)
+  await syncRunColl.createIndex({ runId: 1 }, { unique: true })
+  await syncRunColl.createIndex({ startedAt: -1 })
+  await syncRunColl.createIndex({ task: 1, startedAt: -1 })
+  await syncRunColl.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 })
+
+  const schedulerTaskColl = db.collection(SCHEDULER_TASK_COLLECTION_NAME)
+  await schedulerTaskColl.createIndex({ name: 1 }, { unique: true })
+
+  const outboxColl = db.collection(OUTBOX_COLLECTION_NAME)
+  await outboxColl.createIndex({ messageId: 1 }, { unique: true })
+  await outboxColl.createIndex({ status: 1, createdAt: 1 })
+  await outboxColl.createIndex({ status: 1, nextAttemptAt: 1 })
+  // Each entry carries its own expiry, so changing the retention does not
+  // need the index to be rebuilt
+  await outboxColl.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 })
+
+  const auditColl = /** @type {Collection<EntitlementAuditRecord>} */ (
+    db.collection(AUDIT_COLLECTION_NAME)
+  )
+  await auditColl.createIndex({ messageId: 1 }, { unique: true })
+  await auditColl.createIndex({ createdAt: -1 })
+  await auditColl.createIndex({ entityId: 1, createdAt: -1 })
+  await auditColl.createIndex({ 'createdBy.id': 1, createdAt: -1 })
+  await auditColl.createIndex({ type: 1, createdAt: -1 })
+
+  const idempotencyColl = db.collection(IDEMPOTENCY_COLLECTION_NAME)
+  await idempotencyColl.createIndex({ key: 1, callerId: 1 }, { unique: true })
+  await idempotencyColl.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 })
+
+  // Backfill fields added to stored documents
+  await backfillUserAuditFields(userColl, logger)
+  await backfillUserVersion(userColl, logger)
+  await seedUserAuditBaseline(userColl, auditColl, logger)
+
   logger.info(`Mongodb connected to ${databaseName}`)
 
   return db
 }
 
 /**
- * @import { Db } from 'mongodb'
+ * @import { Collection, Db } from 'mongodb'
  * @import { Logger } from 'pino'
+ * @import { EntitlementAuditRecord, StoredUser } from '~/src/api/types.js'
  */
@@ -11,13 +11,22 @@ jest.mock('mongodb')
 jest.mock('mongo-locks')
 
 const createIndexMock = jest.fn()
+const updateManyMock = jest.fn()
+const distinctMock = jest.fn()
+const findMock = jest.fn()
 const collectionMock = jest.fn()
 
 describe('mongo', () => {
   beforeEach(() => {
     collectionMock.mockReturnValue({
-      createIndex: createIndexMock
+      createIndex: createIndexMock,
+      updateMany: updateManyMock,
+      distinct: distinctMock,
+      find: findMock
     })
+    updateManyMock.mockResolvedValue({ modifiedCount: 0 })
+    distinctMock.mockResolvedValue([])
+    findMock.mockReturnValue({ toArray: jest.fn().mockResolvedValue([]) })
 
     MongoClient.connect = jest.fn().mockResolvedValue({
       db: jest.fn().mockReturnValue({
@@ -53,10 +62,81 @@ describe('mongo', () => {
       { unique: true }
     )
 
+    expect(createIndexMock).toHaveBeenCalledWith(
+      { 'roleExpiries.expiresAt': 1 },
+      { sparse: true }
+    )
+
     // Check that mongo-locks collection index was created
     expect(collectionMock).toHaveBeenCalledWith('mongo-locks')
     expect(createIndexMock).toHaveBeenCalledWith({ id: 1 })
 
+    // Check that group role mapping collection index was created
+    expect(collectionMock).toHaveBeenCalledWith('group-role-mapping')
+    expect(createIndexMock).toHaveBeenCalledWith(
+      { groupId: 1 },
+      { unique: true }
+    )
+
+    // Check that sync run collection indexes were created
+    expect(collectionMock).toHaveBeenCalledWith('sync-run')
+    expect(createIndexMock).toHaveBeenCalledWith({ runId: 1 }, { unique: true })
+    expect(createIndexMock).toHaveBeenCalledWith({ startedAt: -1 })
+    expect(createIndexMock).toHaveBeenCalledWith({ task: 1, startedAt: -1 })
+    expect(createIndexMock).toHaveBeenCalledWith(
+      { expireAt: 1 },
+      { expireAfterSeconds: 0 }
+    )
+
+    // Check that scheduler task collection index was created
+    expect(collectionMock).toHaveBeenCalledWith('scheduler-task')
+    expect(createIndexMock).toHaveBeenCalledWith({ name: 1 }, { unique: true })
+
+    // Check that outbox collection indexes were created
+    expect(collectionMock).toHaveBeenCalledWith('entitlement-outbox')
+    expect(createIndexMock).toHaveBeenCalledWith(
+      { messageId: 1 },
+      { unique: true }
+    )
+    expect(createIndexMock).toHaveBeenCalledWith({ status: 1, createdAt: 1 })
+    expect(createIndexMock).toHaveBeenCalledWith({
+      status: 1,
+      nextAttemptAt: 1
+    })
+    expect(createIndexMock).toHaveBeenCalledWith(
+      { expireAt: 1 },
+      { expireAfterSeconds: 0 }
+    )
+
+    // Check that audit collection indexes were created
+    expect(collectionMock).toHaveBeenCalledWith('entitlement-audit')
+    expect(createIndexMock).toHaveBeenCalledWith({ createdAt: -1 })
+    expect(createIndexMock).toHaveBeenCalledWith({ entityId: 1, createdAt: -1 })
+    expect(createIndexMock).toHaveBeenCalledWith({
+      'createdBy.id': 1,
+      createdAt: -1
+    })
+    expect(createIndexMock).toHaveBeenCalledWith({ type: 1, createdAt: -1 })
+
+    // Check that idempotency key collection indexes were created
+    expect(collectionMock).toHaveBeenCalledWith('idempotency-key')
+    expect(createIndexMock).toHaveBeenCalledWith(
+      { key: 1, callerId: 1 },
+      { unique: true }
+    )
+    expect(createIndexMock).toHaveBeenCalledWith(
+      { expireAt: 1 },
+      { expireAfterSeconds: 0 }
+    )
+
+    expect(createIndexMock).toHaveBeenCalledWith({ updatedAt: -1, userId: 1 })
+
+    // Check that stored users were backfilled
+    expect(updateManyMock).toHaveBeenCalledTimes(2)
+
+    // Check that users without history were given a baseline audit record
+    expect(distinctMock).toHaveBeenCalledWith('entityId')
+
     // Check that LockManager was initialized
     expect(LockManager).toHaveBeenCalledWith(expect.any(Object))
   })
@@ -42,6 +42,7 @@ describe('auth plugin', () => {
   const server = {
     register: jest.fn().mockResolvedValue(undefined),
     auth: {
+      scheme: jest.fn(),
       strategy: jest.fn(),
       default: jest.fn()
     }
@@ -78,6 +79,18 @@ describe('auth plugin', () => {
     )
   })
 
+  test('should set up the scheduler service token strategy', async () => {
+    await auth.plugin.register(/** @type {any} */ (server))
+    expect(server.auth.scheme).toHaveBeenCalledWith(
+      'scheduler-service-token',
+      expect.any(Function)
+    )
+    expect(server.auth.strategy).toHaveBeenCalledWith(
+      'scheduler-service-token',
+      'scheduler-service-token'
+    )
+  })
+
   test('should set the default auth strategy', async () => {
     await auth.plugin.register(/** @type {any} */ (server))
     expect(server.auth.default).toHaveBeenCalledWith('azure-oidc-token')
@@ -86,11 +99,12 @@ describe('auth plugin', () => {
   describe('validate function', () => {
     beforeEach(async () => {
       await auth.plugin.register(/** @type {any} */ (server))
-      if (server.auth.strategy.mock.calls.length > 0) {
+      const jwtStrategyCall = server.auth.strategy.mock.calls.findLast(
+        ([name]) => name === 'azure-oidc-token'
+      )
+      if (jwtStrategyCall) {
         const strategyOptions = /** @type {{ validate: ValidateFn }} */ (
-          server.auth.strategy.mock.calls[
-            server.auth.strategy.mock.calls.length - 1
-          ][2]
+          jwtStrategyCall[2]
         )
         validateFn = strategyOptions.validate
       } else {
@@ -157,7 +171,8 @@ describe('auth plugin', () => {
             Scopes.FormPublish,
             Scopes.FormsFeedback
           ]),
-          roles: [Roles.Admin]
+          roles: [Roles.Admin],
+          entitled: true
         }
       })
     })
@@ -185,7 +200,8 @@ describe('auth plugin', () => {
         credentials: {
           user: mockUser,
           scope: [],
-          roles: []
+          roles: [],
+          entitled: false
         }
       })
     })
@@ -1,3 +1,5 @@
+import { timingSafeEqual } from 'node:crypto'
+
 import { mapScopesToRoles } from '@defra/forms-model'
 import Boom from '@hapi/boom'
 import Jwt from '@hapi/jwt'
@@ -11,6 +13,10 @@ const oidcJwksUri = config.get('oidcJwksUri')
 const oidcVerifyAud = config.get('oidcVerifyAud')
 const oidcVerifyIss = config.get('oidcVerifyIss')
 
+export const SCHEDULER_SERVICE_STRATEGY = 'scheduler-service-token'
+
+const SERVICE_TOKEN_HEADER = 'x-service-token'
+
 /**
  * Validates user credentials from JWT token and resolves user scopes from database
  * @param {Artifacts<UserCredentials>} artifacts - JWT artifacts
@@ -43,7 +49,8 @@ async function validateUserCredentials(artifacts) {
       credentials: {
         user,
         scope: mapScopesToRoles(entitlement.roles),
-        roles: entitlement.roles
+        roles: entitlement.roles,
+        entitled: true
       }
     }
   } catch (error) {
@@ -56,7 +63,8 @@ async function validateUserCredentials(artifacts) {
         credentials: {
           user,
           scope: [],
-          roles: []
+          roles: [],
+          entitled: false
         }
       }
     }
@@ -71,6 +79,56 @@ async function validateUserCredentials(artifacts) {
   }
 }
 
+/**
+ * Checks a token against the configured scheduler service token
+ * @param {unknown} token - token sent by the caller
+ */
+function isSchedulerServiceToken(token) {
+  const serviceToken = config.get('scheduler.serviceToken')
+
+  if (!serviceToken || typeof token !== 'string') {
+    return false
+  }
+
+  const expected = Buffer.from(serviceToken)
+  const actual = Buffer.from(token)
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected)
+}
+
+/**
+ * Auth scheme for platform services that call the scheduler routes with a
+ * shared token instead of a user token
+ * @type {ServerAuthScheme}
+ */
+function schedulerServiceTokenScheme() {
+  return {
+    authenticate(request, h) {
+      const token = request.headers[SERVICE_TOKEN_HEADER]
+
+      if (!token) {
+        throw Boom.unauthorized(null, SCHEDULER_SERVICE_STRATEGY)
+      }
+
+      if (!isSchedulerServiceToken(token)) {
+        logger.info('[authServiceToken] Auth: Invalid scheduler service token.')
+        throw Boom.unauthorized(
+          'Invalid service token',
+          SCHEDULER_SERVICE_STRATEGY
+        )
+      }
+
+      return h.authenticated({
+        credentials: {
+          service: config.get('scheduler.serviceName'),
+          scope: [],
+          roles: []
+        }
+      })
+    }
+  }
+}
+
 /**
  * @satisfies {ServerRegisterPluginObject<void>}
  */
@@ -94,6 +152,15 @@ export const auth = {
         validate: validateUserCredentials
       })
 
+      server.auth.scheme(
+        SCHEDULER_SERVICE_STRATEGY,
+        schedulerServiceTokenScheme
+      )
+      server.auth.strategy(
+        SCHEDULER_SERVICE_STRATEGY,
+        SCHEDULER_SERVICE_STRATEGY
+      )
+
       // Set as the default strategy
       server.auth.default('azure-oidc-token')
     }
@@ -101,6 +168,6 @@ export const auth = {
 }
 
 /**
- * @import { ServerRegisterPluginObject, UserCredentials } from '@hapi/hapi'
+ * @import { ServerAuthScheme, ServerRegisterPluginObject, UserCredentials } from '@hapi/hapi'
  * @import { Artifacts } from '~/src/plugins/auth/types.js'
  */
@@ -0,0 +1,165 @@
+import { createHash } from 'node:crypto'
+
+import { getErrorMessage } from '@defra/forms-model'
+import Boom from '@hapi/boom'
+
+import { config } from '~/src/config/index.js'
+import { logger } from '~/src/helpers/logging/logger.js'
+import {
+  complete,
+  release,
+  reserve
+} from '~/src/repositories/idempotency-repository.js'
+
+const IDEMPOTENCY_KEY_HEADER = 'idempotency-key'
+const IDEMPOTENT_REPLAYED_HEADER = 'idempotent-replayed'
+const MAX_KEY_LENGTH = 255
+const SECOND_MS = 1000
+const HOUR_MS = 60 * 60 * SECOND_MS
+
+/**
+ * Hash the parts of a request that must match for it to be replayed
+ * @param {Request} request - the request
+ */
+export function getRequestFingerprint(request) {
+  return createHash('sha256')
+    .update(
+      JSON.stringify([
+        request.method,
+        request.path,
+        request.query,
+        request.payload
+      ])
+    )
+    .digest('hex')
+}
+
+/**
+ * Get the Idempotency-Key sent with a request
+ * @param {Request} request - the request
+ * @returns {string | undefined}
+ */
+function getIdempotencyKey(request) {
+  const key = request.headers[IDEMPOTENCY_KEY_HEADER]
+
+  if (key === undefined) {
+    return undefined
+  }
+
+  if (Array.isArray(key) || !key.length || key.length > MAX_KEY_LENGTH) {
+    throw Boom.badRequest(
+      `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    )
+  }
+
+  return key
+}
+
+/**
+ * Replays the response to a request on routes with the `idempotency` plugin
+ * option when it is sent again with the same Idempotency-Key, instead of
+ * handling it twice. Keys are kept per caller. A response is only saved when
+ * the request did not fail with a server error, so those can be retried.
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const idempotency = {
+  plugin: {
+    name: 'idempotency',
+    version: '1.0.0',
+    register(server) {
+      server.ext('onPreHandler', async (request, h) => {
+        if (!request.route.settings.plugins?.idempotency) {
+          return h.continue
+        }
+
+        const key = getIdempotencyKey(request)
+
+        if (!key) {
+          return h.continue
+        }
+
+        const { credentials } = request.auth
+        const callerId =
+          credentials.user?.oid ?? `service:${credentials.service}`
+        const fingerprint = getRequestFingerprint(request)
+        const now = Date.now()
+        const expireAt = new Date(
+          now + config.get('idempotency.retentionHours') * HOUR_MS
+        )
+        const lockedUntil = new Date(
+          now + config.get('idempotency.lockSeconds') * SECOND_MS
+        )
+
+        const existing = await reserve(
+          key,
+          callerId,
+          fingerprint,
+          expireAt,
+          lockedUntil
+        )
+
+        if (!existing) {
+          request.plugins.idempotency = { key, callerId }
+          return h.continue
+        }
+
+        if (existing.fingerprint !== fingerprint) {
+          throw Boom.badData(
+            `Idempotency-Key '${key}' has already been used for a different request`
+          )
+        }
+
+        if (existing.status !== 'completed') {
+          throw Boom.conflict(
+            `A request with Idempotency-Key '${key}' is already in progress`
+          )
+        }
+
+        return h
+          .response(/** @type {any} */ (existing.response))
+          .code(existing.statusCode ?? 200)
+          .header(IDEMPOTENT_REPLAYED_HEADER, 'true')
+          .takeover()
+      })
+
+      server.ext('onPreResponse', async (request, h) => {
+        const reserved = request.plugins.idempotency
+
+        if (!reserved) {
+          return h.continue
+        }
+
+        const { key, callerId } = reserved
+        const { response } = request
+
+        const statusCode = Boom.isBoom(response)
+          ? response.output.statusCode
+          : response.statusCode
+
+        try {
+          if (statusCode >= 500) {
+            await release(key, callerId)
+          } else {
+            const payload = Boom.isBoom(response)
+              ? response.output.payload
+              : response.source
+
+            await complete(key, callerId, statusCode, payload ?? null)
+          }
+        } catch (err) {
+          // The response has been handled, so the caller still gets it
+          logger.error(
+            err,
+            `[idempotency] Failed to save the response for Idempotency-Key '${key}' - ${getErrorMessage(err)}`
+          )
+        }
+
+        return h.continue
+      })
+    }
+  }
+}
+
+/**
+ * @import { Request, ServerRegisterPluginObject } from '@hapi/hapi'
+ */
@@ -0,0 +1,246 @@
+import Boom from '@hapi/boom'
+import hapi from '@hapi/hapi'
+
+import { idempotency } from '~/src/plugins/idempotency.js'
+import {
+  complete,
+  release,
+  reserve
+} from '~/src/repositories/idempotency-repository.js'
+
+jest.mock('~/src/repositories/idempotency-repository.js')
+
+describe('idempotency plugin', () => {
+  /** @type {Server} */
+  let server
+
+  const handler = jest.fn()
+
+  /**
+   * @param {Record<string, string>} [headers]
+   * @param {object} [payload]
+   */
+  function inject(headers = {}, payload = { email: 'user@defra.gov.uk' }) {
+    return server.inject({
+      method: 'POST',
+      url: '/things',
+      headers,
+      payload
+    })
+  }
+
+  beforeEach(async () => {
+    server = hapi.server()
+
+    server.auth.scheme('test', () => ({
+      authenticate: (request, h) =>
+        h.authenticated({
+          credentials: { user: { oid: 'user-id' }, roles: [] }
+        })
+    }))
+    server.auth.strategy('test', 'test')
+    server.auth.default('test')
+
+    await server.register(idempotency)
+
+    server.route({
+      method: 'POST',
+      path: '/things',
+      handler,
+      options: { plugins: { idempotency: true } }
+    })
+    server.route({
+      method: 'POST',
+      path: '/other-things',
+      handler,
+      options: {}
+    })
+
+    await server.initialize()
+
+    handler.mockReturnValue({ id: 'thing-id' })
+  })
+
+  test('should handle requests without an Idempotency-Key as usual', async () => {
+    const response = await inject()
+
+    expect(response.statusCode).toBe(200)
+    expect(reserve).not.toHaveBeenCalled()
+    expect(handler).toHaveBeenCalledTimes(1)
+  })
+
+  test('should ignore the Idempotency-Key on routes without the option', async () => {
+    const response = await server.inject({
+      method: 'POST',
+      url: '/other-things',
+      headers: { 'idempotency-key': 'key-1' }
+    })
+
+    expect(response.statusCode).toBe(200)
+    expect(reserve).not.toHaveBeenCalled()
+  })
+
+  test('should reserve the key and save the response of a new request', async () => {
+    jest.mocked(reserve).mockResolvedValue(null)
+
+    const response = await inject({ 'idempotency-key': 'key-1' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.result).toEqual({ id: 'thing-id' })
+    expect(reserve).toHaveBeenCalledWith(
+      'key-1',
+      'user-id',
+      expect.stringMatching(/^[0-9a-f]{64}$/),
+      expect.any(Date),
+      expect.any(Date)
+    )
+    expect(complete).toHaveBeenCalledWith('key-1', 'user-id', 200, {
+      id: 'thing-id'
+    })
+    expect(handler).toHaveBeenCalledTimes(1)
+  })
+
+  test('should keep the key for the configured retention', async () => {
+    jest.mocked(reserve).mockResolvedValue(null)
+
+    const before = Date.now()
+    await inject({ 'idempotency-key': 'key-1' })
+    const after = Date.now()
+
+    const [[, , , expireAt]] = jest.mocked(reserve).mock.calls
+    const retentionMs = 24 * 60 * 60 * 1000
+
+    expect(expireAt.getTime()).toBeGreaterThanOrEqual(before + retentionMs)
+    expect(expireAt.getTime()).toBeLessThanOrEqual(after + retentionMs)
+  })
+
+  test('should hold the key for the configured lock', async () => {
+    jest.mocked(reserve).mockResolvedValue(null)
+
+    const before = Date.now()
+    await inject({ 'idempotency-key': 'key-1' })
+    const after = Date.now()
+
+    const [[, , , , lockedUntil]] = jest.mocked(reserve).mock.calls
+    const lockMs = 60 * 1000
+
+    expect(lockedUntil.getTime()).toBeGreaterThanOrEqual(before + lockMs)
+    expect(lockedUntil.getTime()).toBeLessThanOrEqual(after + lockMs)
+  })
+
+  test('should save client errors so they are replayed too', async () => {
+    jest.mocked(reserve).mockResolvedValue(null)
+    handler.mockImplementation(() => {
+      throw Boom.conflict('User already exists')
+    })
+
+    const response = await inject({ 'idempotency-key': 'key-1' })
+
+    expect(response.statusCode).toBe(409)
+    expect(complete).toHaveBeenCalledWith(
+      'key-1',
+      'user-id',
+      409,
+      expect.objectContaining({ message: 'User already exists' })
+    )
+  })
+
+  test('should give up the key when the request fails with a server error', async () => {
+    jest.mocked(reserve).mockResolvedValue(null)
+    handler.mockImplementation(() => {
+      throw Boom.internal('db error')
+    })
+
+    const response = await inject({ 'idempotency-key': 'key-1' })
+
+    expect(response.statusCode).toBe(500)
+    expect(release).toHaveBeenCalledWith('key-1', 'user-id')
+    expect(complete).not.toHaveBeenCalled()
+  })
+
+  test('should still respond when the response cannot be saved', async () => {
+    jest.mocked(reserve).mockResolvedValue(null)
+    jest.mocked(complete).mockRejectedValue(new Error('db error'))
+
+    const response = await inject({ 'idempotency-key': 'key-1' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.result).toEqual({ id: 'thing-id' })
+  })
+
+  test('should replay the saved response without handling the request again', async () => {
+    jest.mocked(reserve).mockResolvedValueOnce(null)
+    await inject({ 'idempotency-key': 'key-1' })
+
+    const [[, , fingerprint]] = jest.mocked(reserve).mock.calls
+    jest.mocked(reserve).mockResolvedValue({
+      key: 'key-1',
+      callerId: 'user-id',
+      fingerprint,
+      status: 'completed',
+      createdAt: new Date(),
+      expireAt: new Date(),
+      statusCode: 201,
+      response: { id: 'thing-id' }
+    })
+
+    const response = await inject({ 'idempotency-key': 'key-1' })
+
+    expect(response.statusCode).toBe(201)
+    expect(response.headers['idempotent-replayed']).toBe('true')
+    expect(JSON.parse(response.payload)).toEqual({ id: 'thing-id' })
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(complete).toHaveBeenCalledTimes(1)
+  })
+
+  test('should reject a key reused for a different request', async () => {
+    jest.mocked(reserve).mockResolvedValue({
+      key: 'key-1',
+      callerId: 'user-id',
+      fingerprint: 'another-request',
+      status: 'completed',
+      createdAt: new Date(),
+      expireAt: new Date(),
+      statusCode: 200,
+      response: { id: 'thing-id' }
+    })
+
+    const response = await inject({ 'idempotency-key': 'key-1' })
+
+    expect(response.statusCode).toBe(422)
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  test('should reject a request whose key is still in progress', async () => {
+    jest.mocked(reserve).mockResolvedValueOnce(null)
+    await inject({ 'idempotency-key': 'key-1' })
+    handler.mockClear()
+
+    const [[, , fingerprint]] = jest.mocked(reserve).mock.calls
+    jest.mocked(reserve).mockResolvedValue({
+      key: 'key-1',
+      callerId: 'user-id',
+      fingerprint,
+      status: 'in-progress',
+      createdAt: new Date(),
+      expireAt: new Date()
+    })
+
+    const response = await inject({ 'idempotency-key': 'key-1' })
+
+    expect(response.statusCode).toBe(409)
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  test('should reject a key that is too long', async () => {
+    const response = await inject({ 'idempotency-key': 'k'.repeat(256) })
+
+    expect(response.statusCode).toBe(400)
+    expect(reserve).not.toHaveBeenCalled()
+    expect(handler).not.toHaveBeenCalled()
+  })
+})
+
+/**
+ * @import { Server } from '@hapi/hapi'
+ */
@@ -1,7 +1,13 @@
 import { getErrorMessage } from '@defra/forms-model'
 
-import { initialiseAdminUserSync } from '~/src/services/scheduler.js'
-import { syncAdminUsersFromGroup } from '~/src/services/user.js'
+import { syncUsersFromGroups } from '~/src/services/group-sync.js'
+import { relayOutbox } from '~/src/services/outbox.js'
+import { expireRoles } from '~/src/services/role-expiry.js'
+import {
+  initialiseAdminUserSync,
+  initialiseOutboxRelay,
+  initialiseRoleExpiry
+} from '~/src/services/scheduler.js'
 
 /**
  * @satisfies {ServerRegisterPluginObject<void>}
@@ -12,9 +18,11 @@ export const scheduler = {
     version: '1.0.0',
     register(server) {
       try {
-        const schedulerService = initialiseAdminUserSync(
-          syncAdminUsersFromGroup
-        )
+        // The jobs share the one scheduler, so any of them may return it
+        const adminUserSync = initialiseAdminUserSync(syncUsersFromGroups)
+        const roleExpiry = initialiseRoleExpiry(expireRoles)
+        const outboxRelay = initialiseOutboxRelay(relayOutbox)
+        const schedulerService = adminUserSync ?? roleExpiry ?? outboxRelay
 
         if (schedulerService) {
           schedulerService.start()
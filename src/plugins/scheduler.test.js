@@ -11,13 +11,27 @@ jest.mock('~/src/helpers/logging/logger.js', () => ({
 }))
 
 const mockInitialiseAdminUserSync = jest.fn()
+const mockInitialiseRoleExpiry = jest.fn()
+const mockInitialiseOutboxRelay = jest.fn()
 jest.mock('~/src/services/scheduler.js', () => ({
-  initialiseAdminUserSync: mockInitialiseAdminUserSync
+  initialiseAdminUserSync: mockInitialiseAdminUserSync,
+  initialiseRoleExpiry: mockInitialiseRoleExpiry,
+  initialiseOutboxRelay: mockInitialiseOutboxRelay
 }))
 
-const mockSyncAdminUsersFromGroup = jest.fn()
-jest.mock('~/src/services/user.js', () => ({
-  syncAdminUsersFromGroup: mockSyncAdminUsersFromGroup
+const mockRelayOutbox = jest.fn()
+jest.mock('~/src/services/outbox.js', () => ({
+  relayOutbox: mockRelayOutbox
+}))
+
+const mockExpireRoles = jest.fn()
+jest.mock('~/src/services/role-expiry.js', () => ({
+  expireRoles: mockExpireRoles
+}))
+
+const mockSyncUsersFromGroups = jest.fn()
+jest.mock('~/src/services/group-sync.js', () => ({
+  syncUsersFromGroups: mockSyncUsersFromGroups
 }))
 
 const mockGetErrorMessage = jest.fn()
@@ -67,7 +81,7 @@ describe('scheduler plugin', () => {
       scheduler.plugin.register(/** @type {any} */ (server))
 
       expect(mockInitialiseAdminUserSync).toHaveBeenCalledWith(
-        mockSyncAdminUsersFromGroup
+        mockSyncUsersFromGroups
       )
 
       expect(mockSchedulerService.start).toHaveBeenCalled()
@@ -80,13 +94,36 @@ describe('scheduler plugin', () => {
       )
     })
 
+    test('should start the scheduler when only role expiry is enabled', () => {
+      mockInitialiseAdminUserSync.mockReturnValue(null)
+      mockInitialiseRoleExpiry.mockReturnValue(mockSchedulerService)
+
+      scheduler.plugin.register(/** @type {any} */ (server))
+
+      expect(mockInitialiseRoleExpiry).toHaveBeenCalledWith(mockExpireRoles)
+      expect(mockSchedulerService.start).toHaveBeenCalled()
+      expect(server.app.scheduler).toBe(mockSchedulerService)
+    })
+
+    test('should start the scheduler when only the outbox relay is enabled', () => {
+      mockInitialiseAdminUserSync.mockReturnValue(null)
+      mockInitialiseRoleExpiry.mockReturnValue(null)
+      mockInitialiseOutboxRelay.mockReturnValue(mockSchedulerService)
+
+      scheduler.plugin.register(/** @type {any} */ (server))
+
+      expect(mockInitialiseOutboxRelay).toHaveBeenCalledWith(mockRelayOutbox)
+      expect(mockSchedulerService.start).toHaveBeenCalled()
+      expect(server.app.scheduler).toBe(mockSchedulerService)
+    })
+
     test('should handle when scheduler is disabled via configuration', () => {
       mockInitialiseAdminUserSync.mockReturnValue(null)
 
       scheduler.plugin.register(/** @type {any} */ (server))
 
       expect(mockInitialiseAdminUserSync).toHaveBeenCalledWith(
-        mockSyncAdminUsersFromGroup
+        mockSyncUsersFromGroups
       )
 
       expect(mockSchedulerService.start).not.toHaveBeenCalled()
@@ -158,14 +195,14 @@ describe('scheduler plugin', () => {
   })
 
   describe('scheduler service integration', () => {
-    test('should pass syncAdminUsersFromGroup function to initialiseAdminUserSync', () => {
+    test('should pass syncUsersFromGroups function to initialiseAdminUserSync', () => {
       mockInitialiseAdminUserSync.mockReturnValue(mockSchedulerService)
 
       scheduler.plugin.register(/** @type {any} */ (server))
 
       expect(mockInitialiseAdminUserSync).toHaveBeenCalledTimes(1)
       expect(mockInitialiseAdminUserSync).toHaveBeenCalledWith(
-        mockSyncAdminUsersFromGroup
+        mockSyncUsersFromGroups
       )
     })
 
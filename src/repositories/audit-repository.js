@@ -0,0 +1,210 @@
+import { AuditEventMessageType, getErrorMessage } from '@defra/forms-model'
+
+import { logger } from '~/src/helpers/logging/logger.js'
+import { escapeRegExp } from '~/src/helpers/string-utils.js'
+import { AUDIT_COLLECTION_NAME, db } from '~/src/mongo.js'
+
+/**
+ * Save an audit record
+ * @param {EntitlementAuditRecord} document - audit record
+ * @param {ClientSession} session - mongo transaction session the change it describes is saved in
+ */
+export async function create(document, session) {
+  const coll = /** @type {Collection<EntitlementAuditRecord>} */ (
+    db.collection(AUDIT_COLLECTION_NAME)
+  )
+
+  await coll.insertOne(document, { session })
+}
+
+/**
+ * Builds the mongo filter for the audit search options
+ * @param {AuditSearchOptions} options - search options
+ * @returns {Filter<EntitlementAuditRecord>}
+ */
+function buildFilter(options) {
+  const { userId, actor, type, from, to } = options
+
+  /** @type {Filter<EntitlementAuditRecord>} */
+  const filter = {}
+
+  if (userId) {
+    filter.entityId = userId
+  }
+
+  if (actor) {
+    filter['createdBy.id'] = actor
+  }
+
+  if (type) {
+    filter.type = type
+  }
+
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    }
+  }
+
+  return filter
+}
+
+/**
+ * Retrieves a filtered page of audit records, newest first
+ * @param {AuditQueryOptions} options - pagination and search options
+ * @returns {Promise<{ documents: WithId<EntitlementAuditRecord>[], totalItems: number }>}
+ */
+export async function list(options) {
+  const { page, perPage } = options
+
+  const coll = /** @type {Collection<EntitlementAuditRecord>} */ (
+    db.collection(AUDIT_COLLECTION_NAME)
+  )
+
+  const filter = buildFilter(options)
+
+  try {
+    const [documents, totalItems] = await Promise.all([
+      coll
+        .find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * perPage)
+        .limit(perPage)
+        .toArray(),
+      coll.countDocuments(filter)
+    ])
+
+    return { documents, totalItems }
+  } catch (err) {
+    logger.error(
+      err,
+      `[listAuditRecords] Listing audit records failed - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Retrieves the last audit record for a user made at or before a time
+ * @param {string} userId - ID of the user
+ * @param {Date} at - the time to read the record at
+ */
+export async function getLatest(userId, at) {
+  const coll = /** @type {Collection<EntitlementAuditRecord>} */ (
+    db.collection(AUDIT_COLLECTION_NAME)
+  )
+
+  try {
+    return await coll.findOne(
+      { entityId: userId, createdAt: { $lte: at } },
+      { sort: { createdAt: -1, _id: -1 } }
+    )
+  } catch (err) {
+    logger.error(
+      err,
+      `[getLatestAuditRecord] Getting the audit record for user '${userId}' at ${at.toISOString()} failed - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Fields of an audit record the users at a time are sorted by
+ */
+const latestSortFields = {
+  updatedAt: 'createdAt',
+  displayName: 'data.displayName',
+  email: 'data.email'
+}
+
+/**
+ * Builds the mongo filter for the user search options, matched against the
+ * data of the last audit record for each user
+ * @param {UserSearchOptions} options - search options
+ * @returns {Filter<EntitlementAuditRecord>}
+ */
+function buildLatestFilter(options) {
+  const { role, email, displayName } = options
+
+  /** @type {Filter<EntitlementAuditRecord>} */
+  const filter = { type: { $ne: AuditEventMessageType.ENTITLEMENT_DELETED } }
+
+  if (role) {
+    filter['data.roles'] = role
+  }
+
+  if (email) {
+    filter['data.email'] = { $regex: escapeRegExp(email), $options: 'i' }
+  }
+
+  if (displayName) {
+    filter['data.displayName'] = {
+      $regex: escapeRegExp(displayName),
+      $options: 'i'
+    }
+  }
+
+  return filter
+}
+
+/**
+ * Retrieves a filtered, sorted page of the last audit record made at or
+ * before a time for each user, leaving out users deleted by then
+ * @param {Date} at - the time to read the records at
+ * @param {UserQueryOptions} options - pagination, sorting and search options
+ * @returns {Promise<{ documents: WithId<EntitlementAuditRecord>[], totalItems: number }>}
+ */
+export async function listLatest(at, options) {
+  const { page, perPage, sortBy, order } = options
+
+  const coll = /** @type {Collection<EntitlementAuditRecord>} */ (
+    db.collection(AUDIT_COLLECTION_NAME)
+  )
+
+  const direction = order === 'asc' ? 1 : -1
+
+  try {
+    const [result] = await coll
+      .aggregate([
+        { $match: { createdAt: { $lte: at } } },
+        { $sort: { entityId: 1, createdAt: -1, _id: -1 } },
+        { $group: { _id: '$entityId', record: { $first: '$$ROOT' } } },
+        { $replaceRoot: { newRoot: '$record' } },
+        { $match: buildLatestFilter(options) },
+        {
+          $facet: {
+            documents: [
+              // Tie-break on entityId so pages are stable when sort values repeat
+              { $sort: { [latestSortFields[sortBy]]: direction, entityId: 1 } },
+              { $skip: (page - 1) * perPage },
+              { $limit: perPage }
+            ],
+            totals: [{ $count: 'count' }]
+          }
+        }
+      ])
+      .toArray()
+
+    const { documents, totals } =
+      /** @type {{ documents: WithId<EntitlementAuditRecord>[], totals: { count: number }[] }} */ (
+        result
+      )
+
+    return { documents, totalItems: totals[0]?.count ?? 0 }
+  } catch (err) {
+    logger.error(
+      err,
+      `[listLatestAuditRecords] Listing users at ${at.toISOString()} failed - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * @import { ClientSession, Collection, Filter, WithId } from 'mongodb'
+ * @import { AuditQueryOptions, AuditSearchOptions, EntitlementAuditRecord, UserQueryOptions, UserSearchOptions } from '~/src/api/types.js'
+ */
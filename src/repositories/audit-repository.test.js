@@ -0,0 +1,232 @@
+import { Roles } from '@defra/forms-model'
+
+import { buildMockCollection } from '~/src/api/__stubs__/mongo.js'
+import { db } from '~/src/mongo.js'
+import {
+  create,
+  getLatest,
+  list,
+  listLatest
+} from '~/src/repositories/audit-repository.js'
+
+const mockCollection = buildMockCollection()
+const mockSession = /** @type {any} */ ({ id: 'audit' })
+
+jest.mock('~/src/mongo.js', () => ({
+  db: {
+    collection: jest.fn()
+  },
+  AUDIT_COLLECTION_NAME: 'entitlement-audit'
+}))
+
+const now = new Date('2020-01-01T00:00:00Z')
+
+const record = /** @type {EntitlementAuditRecord} */ (
+  /** @type {unknown} */ ({
+    messageId: '6a1f0c52-3a4e-4f4b-9a57-0d2b1c3e4f5a',
+    entityId: 'user-id',
+    type: 'ENTITLEMENT_UPDATED',
+    createdAt: now,
+    createdBy: { id: 'admin-id', displayName: 'Admin' },
+    recordCreatedAt: now
+  })
+)
+
+/**
+ * @param {unknown[]} documents
+ */
+function mockFind(documents) {
+  const limit = jest.fn().mockReturnValue({
+    toArray: jest.fn().mockResolvedValue(documents)
+  })
+  const skip = jest.fn().mockReturnValue({ limit })
+  const sort = jest.fn().mockReturnValue({ skip })
+  mockCollection.find.mockReturnValue({ sort })
+
+  return { sort, skip, limit }
+}
+
+describe('audit-repository', () => {
+  beforeEach(() => {
+    jest
+      .mocked(db.collection)
+      .mockReturnValue(/** @type {any} */ (mockCollection))
+  })
+
+  describe('create', () => {
+    it('should save a record in the session', async () => {
+      mockCollection.insertOne.mockResolvedValue({ acknowledged: true })
+
+      await create(record, mockSession)
+
+      expect(db.collection).toHaveBeenCalledWith('entitlement-audit')
+      expect(mockCollection.insertOne).toHaveBeenCalledWith(record, {
+        session: mockSession
+      })
+    })
+  })
+
+  describe('list', () => {
+    it('should get a page of records, newest first', async () => {
+      const { sort, skip, limit } = mockFind([record])
+      mockCollection.countDocuments.mockResolvedValue(21)
+
+      await expect(list({ page: 3, perPage: 10 })).resolves.toEqual({
+        documents: [record],
+        totalItems: 21
+      })
+      expect(mockCollection.find).toHaveBeenCalledWith({})
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 })
+      expect(skip).toHaveBeenCalledWith(20)
+      expect(limit).toHaveBeenCalledWith(10)
+    })
+
+    it('should filter by user, actor, type and date range', async () => {
+      const from = new Date('2020-01-01T00:00:00Z')
+      const to = new Date('2020-02-01T00:00:00Z')
+      mockFind([])
+      mockCollection.countDocuments.mockResolvedValue(0)
+
+      await list({
+        page: 1,
+        perPage: 10,
+        userId: 'user-id',
+        actor: 'admin-id',
+        type: /** @type {any} */ ('ENTITLEMENT_CREATED'),
+        from,
+        to
+      })
+
+      const filter = {
+        entityId: 'user-id',
+        'createdBy.id': 'admin-id',
+        type: 'ENTITLEMENT_CREATED',
+        createdAt: { $gte: from, $lte: to }
+      }
+      expect(mockCollection.find).toHaveBeenCalledWith(filter)
+      expect(mockCollection.countDocuments).toHaveBeenCalledWith(filter)
+    })
+
+    it('should filter by an open-ended date range', async () => {
+      const from = new Date('2020-01-01T00:00:00Z')
+      mockFind([])
+      mockCollection.countDocuments.mockResolvedValue(0)
+
+      await list({ page: 1, perPage: 10, from })
+
+      expect(mockCollection.find).toHaveBeenCalledWith({
+        createdAt: { $gte: from }
+      })
+    })
+
+    it('should rethrow errors', async () => {
+      mockCollection.find.mockImplementation(() => {
+        throw new Error('db error')
+      })
+
+      await expect(list({ page: 1, perPage: 10 })).rejects.toThrow('db error')
+    })
+  })
+
+  describe('getLatest', () => {
+    it('should get the last record for a user at a time', async () => {
+      mockCollection.findOne.mockResolvedValue(record)
+
+      await expect(getLatest('user-id', now)).resolves.toEqual(record)
+      expect(mockCollection.findOne).toHaveBeenCalledWith(
+        { entityId: 'user-id', createdAt: { $lte: now } },
+        { sort: { createdAt: -1, _id: -1 } }
+      )
+    })
+
+    it('should rethrow errors', async () => {
+      mockCollection.findOne.mockRejectedValue(new Error('db error'))
+
+      await expect(getLatest('user-id', now)).rejects.toThrow('db error')
+    })
+  })
+
+  describe('listLatest', () => {
+    it('should get a page of the last record for each user at a time', async () => {
+      mockCollection.aggregate.mockReturnValue({
+        toArray: jest
+          .fn()
+          .mockResolvedValue([{ documents: [record], totals: [{ count: 11 }] }])
+      })
+
+      await expect(
+        listLatest(now, {
+          page: 2,
+          perPage: 10,
+          sortBy: 'email',
+          order: 'asc',
+          role: Roles.Admin,
+          email: 'defra.gov.uk'
+        })
+      ).resolves.toEqual({ documents: [record], totalItems: 11 })
+
+      expect(mockCollection.aggregate).toHaveBeenCalledWith([
+        { $match: { createdAt: { $lte: now } } },
+        { $sort: { entityId: 1, createdAt: -1, _id: -1 } },
+        { $group: { _id: '$entityId', record: { $first: '$$ROOT' } } },
+        { $replaceRoot: { newRoot: '$record' } },
+        {
+          $match: {
+            type: { $ne: 'ENTITLEMENT_DELETED' },
+            'data.roles': Roles.Admin,
+            'data.email': { $regex: 'defra\\.gov\\.uk', $options: 'i' }
+          }
+        },
+        {
+          $facet: {
+            documents: [
+              { $sort: { 'data.email': 1, entityId: 1 } },
+              { $skip: 10 },
+              { $limit: 10 }
+            ],
+            totals: [{ $count: 'count' }]
+          }
+        }
+      ])
+    })
+
+    it('should sort by the time of the last change and report no users', async () => {
+      mockCollection.aggregate.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ documents: [], totals: [] }])
+      })
+
+      await expect(
+        listLatest(now, {
+          page: 1,
+          perPage: 10,
+          sortBy: 'updatedAt',
+          order: 'desc'
+        })
+      ).resolves.toEqual({ documents: [], totalItems: 0 })
+
+      const [pipeline] = mockCollection.aggregate.mock.calls[0]
+      expect(pipeline[5].$facet.documents[0]).toEqual({
+        $sort: { createdAt: -1, entityId: 1 }
+      })
+    })
+
+    it('should rethrow errors', async () => {
+      mockCollection.aggregate.mockImplementation(() => {
+        throw new Error('db error')
+      })
+
+      await expect(
+        listLatest(now, {
+          page: 1,
+          perPage: 10,
+          sortBy: 'updatedAt',
+          order: 'desc'
+        })
+      ).rejects.toThrow('db error')
+    })
+  })
+})
+
+/**
+ * @import { EntitlementAuditRecord } from '~/src/api/types.js'
+ */
@@ -0,0 +1,136 @@
+import { getErrorMessage } from '@defra/forms-model'
+import Boom from '@hapi/boom'
+import { MongoServerError } from 'mongodb'
+
+import { logger } from '~/src/helpers/logging/logger.js'
+import { GROUP_ROLE_MAPPING_COLLECTION_NAME, db } from '~/src/mongo.js'
+
+const DUPLICATE_DOCUMENT_CODE = 11000
+
+/**
+ * Retrieves every group role mapping, highest precedence first
+ */
+export async function getAll() {
+  const coll = /** @type {Collection<StoredGroupRoleMapping>} */ (
+    db.collection(GROUP_ROLE_MAPPING_COLLECTION_NAME)
+  )
+
+  return coll.find().sort({ precedence: -1, groupId: 1 }).toArray()
+}
+
+/**
+ * Retrieves a group role mapping by group ID
+ * @param {string} groupId - Azure AD group ID
+ * @param {ClientSession} [session] - mongo transaction session
+ */
+export async function get(groupId, session) {
+  const coll = /** @type {Collection<StoredGroupRoleMapping>} */ (
+    db.collection(GROUP_ROLE_MAPPING_COLLECTION_NAME)
+  )
+
+  try {
+    const document = await coll.findOne({ groupId }, { session })
+
+    if (!document) {
+      throw Boom.notFound(`Group role mapping for group '${groupId}' not found`)
+    }
+
+    return document
+  } catch (err) {
+    logger.error(
+      err,
+      `[getGroupRoleMapping] Getting mapping for group '${groupId}' failed - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Create a group role mapping
+ * @param {StoredGroupRoleMapping} document - group role mapping document
+ * @param {ClientSession} [session] - mongo transaction session
+ */
+export async function create(document, session) {
+  logger.info(`Creating group role mapping for group '${document.groupId}'`)
+
+  const coll = /** @type {Collection<StoredGroupRoleMapping>} */ (
+    db.collection(GROUP_ROLE_MAPPING_COLLECTION_NAME)
+  )
+
+  try {
+    const result = await coll.insertOne(document, { session })
+
+    logger.info(`Group role mapping created for group '${document.groupId}'`)
+
+    return result
+  } catch (err) {
+    if (
+      err instanceof MongoServerError &&
+      err.code === DUPLICATE_DOCUMENT_CODE
+    ) {
+      logger.info(
+        `[duplicateGroupRoleMapping] Group '${document.groupId}' is already mapped`
+      )
+      throw Boom.conflict('Group role mapping already exists')
+    }
+
+    logger.error(
+      err,
+      `[createGroupRoleMapping] Creating mapping for group '${document.groupId}' failed - ${getErrorMessage(err)}`
+    )
+    throw err
+  }
+}
+
+/**
+ * Update a group role mapping
+ * @param {string} groupId - Azure AD group ID
+ * @param {Partial<StoredGroupRoleMapping>} mapping - fields to update
+ * @param {ClientSession} [session] - mongo transaction session
+ */
+export async function update(groupId, mapping, session) {
+  logger.info(`Updating group role mapping for group '${groupId}'`)
+
+  const coll = /** @type {Collection<StoredGroupRoleMapping>} */ (
+    db.collection(GROUP_ROLE_MAPPING_COLLECTION_NAME)
+  )
+
+  const result = await coll.updateOne(
+    { groupId },
+    { $set: mapping },
+    { session }
+  )
+
+  if (result.matchedCount === 0) {
+    throw Boom.notFound(`Group role mapping for group '${groupId}' not found`)
+  }
+
+  logger.info(`Group role mapping for group '${groupId}' updated`)
+
+  return result
+}
+
+/**
+ * Removes a group role mapping
+ * @param {string} groupId - Azure AD group ID
+ * @param {ClientSession} [session] - mongo transaction session
+ */
+export async function remove(groupId, session) {
+  logger.info(`Removing group role mapping for group '${groupId}'`)
+
+  const coll = db.collection(GROUP_ROLE_MAPPING_COLLECTION_NAME)
+
+  const { deletedCount } = await coll.deleteOne({ groupId }, { session })
+
+  if (deletedCount !== 1) {
+    throw Boom.notFound(`Group role mapping for group '${groupId}' not found`)
+  }
+
+  logger.info(`Removed group role mapping for group '${groupId}'`)
+}
+
+/**
+ * @import { ClientSession, Collection } from 'mongodb'
+ * @import { StoredGroupRoleMapping } from '~/src/api/types.js'
+ */
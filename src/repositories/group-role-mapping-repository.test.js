@@ -0,0 +1,145 @@
+import { Roles } from '@defra/forms-model'
+import { MongoServerError, ObjectId } from 'mongodb'
+
+import { buildMockCollection } from '~/src/api/__stubs__/mongo.js'
+import { db } from '~/src/mongo.js'
+import {
+  create,
+  get,
+  getAll,
+  remove,
+  update
+} from '~/src/repositories/group-role-mapping-repository.js'
+
+const mockCollection = buildMockCollection()
+const mockSession = /** @type {any} */ ({ id: 'mapping' })
+
+jest.mock('~/src/mongo.js', () => ({
+  db: {
+    collection: jest.fn()
+  },
+  GROUP_ROLE_MAPPING_COLLECTION_NAME: 'group-role-mapping'
+}))
+
+const auditUser = { id: 'user-id', displayName: 'Joe Bloggs' }
+
+const mapping = {
+  groupId: 'admin-group-id',
+  role: Roles.Admin,
+  precedence: 10,
+  authoritative: true,
+  createdAt: new Date('2020-01-01'),
+  createdBy: auditUser,
+  updatedAt: new Date('2020-01-01'),
+  updatedBy: auditUser
+}
+
+describe('group-role-mapping-repository', () => {
+  beforeEach(() => {
+    jest
+      .mocked(db.collection)
+      .mockReturnValue(/** @type {any} */ (mockCollection))
+  })
+
+  describe('getAll', () => {
+    it('should get every mapping, highest precedence first', async () => {
+      const sort = jest.fn().mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([mapping])
+      })
+      mockCollection.find.mockReturnValue({ sort })
+
+      await expect(getAll()).resolves.toEqual([mapping])
+      expect(db.collection).toHaveBeenCalledWith('group-role-mapping')
+      expect(sort).toHaveBeenCalledWith({ precedence: -1, groupId: 1 })
+    })
+  })
+
+  describe('get', () => {
+    it('should get a mapping by group ID', async () => {
+      const document = { _id: new ObjectId(), ...mapping }
+      mockCollection.findOne.mockResolvedValue(document)
+
+      await expect(get('admin-group-id', mockSession)).resolves.toEqual(
+        document
+      )
+      expect(mockCollection.findOne).toHaveBeenCalledWith(
+        { groupId: 'admin-group-id' },
+        { session: mockSession }
+      )
+    })
+
+    it('should handle not found', async () => {
+      mockCollection.findOne.mockResolvedValue(null)
+
+      await expect(get('admin-group-id')).rejects.toThrow(
+        "Group role mapping for group 'admin-group-id' not found"
+      )
+    })
+  })
+
+  describe('create', () => {
+    it('should create a mapping', async () => {
+      mockCollection.insertOne.mockResolvedValue({ acknowledged: true })
+
+      await create(mapping, mockSession)
+
+      expect(mockCollection.insertOne).toHaveBeenCalledWith(mapping, {
+        session: mockSession
+      })
+    })
+
+    it('should handle a duplicate group', async () => {
+      mockCollection.insertOne.mockRejectedValueOnce(
+        new MongoServerError({ message: 'duplicate', code: 11000 })
+      )
+
+      await expect(create(mapping)).rejects.toThrow(
+        'Group role mapping already exists'
+      )
+    })
+
+    it('should handle other errors', async () => {
+      mockCollection.insertOne.mockRejectedValueOnce(new Error('db error'))
+
+      await expect(create(mapping)).rejects.toThrow('db error')
+    })
+  })
+
+  describe('update', () => {
+    it('should update a mapping', async () => {
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 1 })
+
+      await update('admin-group-id', { precedence: 5 })
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { groupId: 'admin-group-id' },
+        { $set: { precedence: 5 } },
+        { session: undefined }
+      )
+    })
+
+    it('should handle not found', async () => {
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 0 })
+
+      await expect(update('admin-group-id', { precedence: 5 })).rejects.toThrow(
+        "Group role mapping for group 'admin-group-id' not found"
+      )
+    })
+  })
+
+  describe('remove', () => {
+    it('should remove a mapping', async () => {
+      mockCollection.deleteOne.mockResolvedValue({ deletedCount: 1 })
+
+      await expect(remove('admin-group-id')).resolves.toBeUndefined()
+    })
+
+    it('should handle not found', async () => {
+      mockCollection.deleteOne.mockResolvedValue({ deletedCount: 0 })
+
+      await expect(remove('admin-group-id')).rejects.toThrow(
+        "Group role mapping for group 'admin-group-id' not found"
+      )
+    })
+  })
+})
@@ -0,0 +1,137 @@
+import { getErrorMessage } from '@defra/forms-model'
+import Boom from '@hapi/boom'
+import { MongoServerError } from 'mongodb'
+
+import { logger } from '~/src/helpers/logging/logger.js'
+import { IDEMPOTENCY_COLLECTION_NAME, db } from '~/src/mongo.js'
+
+const DUPLICATE_DOCUMENT_CODE = 11000
+
+/**
+ * Reserve an Idempotency-Key for a caller while their request is handled.
+ * The reservation is held until `lockedUntil`, after which a request sent
+ * again with the key takes it over, so a request that never finished - the
+ * process crashed or it timed out - does not hold the key until it expires.
+ * @param {string} key - the Idempotency-Key header
+ * @param {string} callerId - ID of the user or service sending the request
+ * @param {string} fingerprint - hash of the request
+ * @param {Date} expireAt - when the key is removed
+ * @param {Date} lockedUntil - when the reservation lapses if the request has not finished
+ * @returns {Promise<IdempotencyKeyRecord | null>} The earlier request made with the key, or null if the key was reserved
+ */
+export async function reserve(
+  key,
+  callerId,
+  fingerprint,
+  expireAt,
+  lockedUntil
+) {
+  const coll = /** @type {Collection<IdempotencyKeyRecord>} */ (
+    db.collection(IDEMPOTENCY_COLLECTION_NAME)
+  )
+
+  const now = new Date()
+
+  try {
+    await coll.insertOne({
+      key,
+      callerId,
+      fingerprint,
+      status: 'in-progress',
+      createdAt: now,
+      expireAt,
+      lockedUntil
+    })
+
+    return null
+  } catch (err) {
+    if (
+      !(err instanceof MongoServerError) ||
+      err.code !== DUPLICATE_DOCUMENT_CODE
+    ) {
+      logger.error(
+        err,
+        `[reserveIdempotencyKey] Reserving Idempotency-Key '${key}' failed - ${getErrorMessage(err)}`
+      )
+
+      throw err
+    }
+  }
+
+  // Keys reserved before leases were stored have no lockedUntil and lapse too
+  const { modifiedCount } = await coll.updateOne(
+    {
+      key,
+      callerId,
+      fingerprint,
+      status: 'in-progress',
+      lockedUntil: { $not: { $gt: now } }
+    },
+    { $set: { createdAt: now, expireAt, lockedUntil } }
+  )
+
+  if (modifiedCount) {
+    logger.info(
+      `[reserveIdempotencyKey] Took over Idempotency-Key '${key}' from a request that did not finish`
+    )
+
+    return null
+  }
+
+  const existing = await coll.findOne(
+    { key, callerId },
+    { projection: { _id: 0 } }
+  )
+
+  // The earlier request failed and gave up the key in the meantime
+  if (!existing) {
+    throw Boom.conflict(
+      `A request with Idempotency-Key '${key}' is already in progress`
+    )
+  }
+
+  return existing
+}
+
+/**
+ * Save the response to a request made with an Idempotency-Key
+ * @param {string} key - the Idempotency-Key header
+ * @param {string} callerId - ID of the user or service that sent the request
+ * @param {number} statusCode - status code of the response
+ * @param {unknown} response - payload of the response
+ */
+export async function complete(key, callerId, statusCode, response) {
+  const coll = /** @type {Collection<IdempotencyKeyRecord>} */ (
+    db.collection(IDEMPOTENCY_COLLECTION_NAME)
+  )
+
+  await coll.updateOne(
+    { key, callerId },
+    {
+      $set: {
+        status: 'completed',
+        statusCode,
+        response,
+        completedAt: new Date()
+      }
+    }
+  )
+}
+
+/**
+ * Give up an Idempotency-Key whose request failed, so it can be retried
+ * @param {string} key - the Idempotency-Key header
+ * @param {string} callerId - ID of the user or service that sent the request
+ */
+export async function release(key, callerId) {
+  const coll = /** @type {Collection<IdempotencyKeyRecord>} */ (
+    db.collection(IDEMPOTENCY_COLLECTION_NAME)
+  )
+
+  await coll.deleteOne({ key, callerId, status: 'in-progress' })
+}
+
+/**
+ * @import { Collection } from 'mongodb'
+ * @import { IdempotencyKeyRecord } from '~/src/api/types.js'
+ */
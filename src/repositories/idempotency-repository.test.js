@@ -0,0 +1,163 @@
+import { MongoServerError } from 'mongodb'
+
+import { buildMockCollection } from '~/src/api/__stubs__/mongo.js'
+import { db } from '~/src/mongo.js'
+import {
+  complete,
+  release,
+  reserve
+} from '~/src/repositories/idempotency-repository.js'
+
+const mockCollection = buildMockCollection()
+
+jest.mock('~/src/mongo.js', () => ({
+  db: {
+    collection: jest.fn()
+  },
+  IDEMPOTENCY_COLLECTION_NAME: 'idempotency-key'
+}))
+
+const now = new Date('2020-01-01T00:00:00Z')
+const expireAt = new Date('2020-01-02T00:00:00Z')
+const lockedUntil = new Date('2020-01-01T00:01:00Z')
+
+/** @type {IdempotencyKeyRecord} */
+const record = {
+  key: 'key-1',
+  callerId: 'user-id',
+  fingerprint: 'fingerprint',
+  status: 'completed',
+  createdAt: now,
+  expireAt,
+  statusCode: 200,
+  response: { id: 'user-id' },
+  completedAt: now
+}
+
+describe('idempotency-repository', () => {
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(now)
+    jest
+      .mocked(db.collection)
+      .mockReturnValue(/** @type {any} */ (mockCollection))
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('reserve', () => {
+    it('should reserve a new key', async () => {
+      mockCollection.insertOne.mockResolvedValue({ acknowledged: true })
+
+      await expect(
+        reserve('key-1', 'user-id', 'fingerprint', expireAt, lockedUntil)
+      ).resolves.toBeNull()
+      expect(db.collection).toHaveBeenCalledWith('idempotency-key')
+      expect(mockCollection.insertOne).toHaveBeenCalledWith({
+        key: 'key-1',
+        callerId: 'user-id',
+        fingerprint: 'fingerprint',
+        status: 'in-progress',
+        createdAt: now,
+        expireAt,
+        lockedUntil
+      })
+      expect(mockCollection.findOne).not.toHaveBeenCalled()
+    })
+
+    it('should return the earlier request made with the key', async () => {
+      mockCollection.insertOne.mockRejectedValue(
+        new MongoServerError({ message: 'duplicate', code: 11000 })
+      )
+      mockCollection.updateOne.mockResolvedValue({ modifiedCount: 0 })
+      mockCollection.findOne.mockResolvedValue(record)
+
+      await expect(
+        reserve('key-1', 'user-id', 'fingerprint', expireAt, lockedUntil)
+      ).resolves.toBe(record)
+      expect(mockCollection.findOne).toHaveBeenCalledWith(
+        { key: 'key-1', callerId: 'user-id' },
+        { projection: { _id: 0 } }
+      )
+    })
+
+    it('should take over a key whose request did not finish in time', async () => {
+      mockCollection.insertOne.mockRejectedValue(
+        new MongoServerError({ message: 'duplicate', code: 11000 })
+      )
+      mockCollection.updateOne.mockResolvedValue({ modifiedCount: 1 })
+
+      await expect(
+        reserve('key-1', 'user-id', 'fingerprint', expireAt, lockedUntil)
+      ).resolves.toBeNull()
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        {
+          key: 'key-1',
+          callerId: 'user-id',
+          fingerprint: 'fingerprint',
+          status: 'in-progress',
+          lockedUntil: { $not: { $gt: now } }
+        },
+        { $set: { createdAt: now, expireAt, lockedUntil } }
+      )
+      expect(mockCollection.findOne).not.toHaveBeenCalled()
+    })
+
+    it('should throw conflict when the earlier request gave up the key', async () => {
+      mockCollection.insertOne.mockRejectedValue(
+        new MongoServerError({ message: 'duplicate', code: 11000 })
+      )
+      mockCollection.updateOne.mockResolvedValue({ modifiedCount: 0 })
+      mockCollection.findOne.mockResolvedValue(null)
+
+      await expect(
+        reserve('key-1', 'user-id', 'fingerprint', expireAt, lockedUntil)
+      ).rejects.toThrow(
+        "A request with Idempotency-Key 'key-1' is already in progress"
+      )
+    })
+
+    it('should rethrow other errors', async () => {
+      mockCollection.insertOne.mockRejectedValue(new Error('db error'))
+
+      await expect(
+        reserve('key-1', 'user-id', 'fingerprint', expireAt, lockedUntil)
+      ).rejects.toThrow('db error')
+    })
+  })
+
+  describe('complete', () => {
+    it('should save the response', async () => {
+      await complete('key-1', 'user-id', 200, { id: 'user-id' })
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { key: 'key-1', callerId: 'user-id' },
+        {
+          $set: {
+            status: 'completed',
+            statusCode: 200,
+            response: { id: 'user-id' },
+            completedAt: now
+          }
+        }
+      )
+    })
+  })
+
+  describe('release', () => {
+    it('should delete the key while it is in progress', async () => {
+      await release('key-1', 'user-id')
+
+      expect(mockCollection.deleteOne).toHaveBeenCalledWith({
+        key: 'key-1',
+        callerId: 'user-id',
+        status: 'in-progress'
+      })
+    })
+  })
+})
+
+/**
+ * @import { IdempotencyKeyRecord } from '~/src/api/types.js'
+ */
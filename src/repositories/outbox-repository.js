@@ -0,0 +1,157 @@
+import { getErrorMessage } from '@defra/forms-model'
+
+import { logger } from '~/src/helpers/logging/logger.js'
+import { OUTBOX_COLLECTION_NAME, db } from '~/src/mongo.js'
+
+/**
+ * Save an event to the outbox
+ * @param {OutboxMessage} document - outbox entry
+ * @param {ClientSession} session - mongo transaction session the change it describes is saved in
+ */
+export async function create(document, session) {
+  const coll = /** @type {Collection<OutboxMessage>} */ (
+    db.collection(OUTBOX_COLLECTION_NAME)
+  )
+
+  await coll.insertOne(document, { session })
+}
+
+/**
+ * Retrieves the oldest events ready to be published, oldest first. Every
+ * event for a user with an event waiting to be retried is left out, so the
+ * events held up behind it do not fill the batch and stall everyone else's.
+ * @param {number} limit - the largest number of events to read
+ * @param {Date} now - the time to compare retry times with
+ */
+export async function getPending(limit, now) {
+  const coll = /** @type {Collection<OutboxMessage>} */ (
+    db.collection(OUTBOX_COLLECTION_NAME)
+  )
+
+  const heldEntityIds = await coll.distinct('entityId', {
+    status: 'pending',
+    nextAttemptAt: { $gt: now }
+  })
+
+  return coll
+    .find({ status: 'pending', entityId: { $nin: heldEntityIds } })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit)
+    .toArray()
+}
+
+/**
+ * Mark an event as published
+ * @param {string} messageId - ID of the outbox entry
+ * @param {Date} publishedAt - when the event was published
+ * @param {Date} expireAt - when the entry is removed from the outbox
+ */
+export async function markPublished(messageId, publishedAt, expireAt) {
+  const coll = /** @type {Collection<OutboxMessage>} */ (
+    db.collection(OUTBOX_COLLECTION_NAME)
+  )
+
+  await coll.updateOne(
+    { messageId },
+    { $set: { status: 'published', publishedAt, expireAt } }
+  )
+}
+
+/**
+ * Record a failed attempt to publish an event
+ * @param {string} messageId - ID of the outbox entry
+ * @param {number} attempts - number of failed attempts so far
+ * @param {Date} nextAttemptAt - when to try again
+ * @param {string} lastError - why the attempt failed
+ */
+export async function markFailed(
+  messageId,
+  attempts,
+  nextAttemptAt,
+  lastError
+) {
+  const coll = /** @type {Collection<OutboxMessage>} */ (
+    db.collection(OUTBOX_COLLECTION_NAME)
+  )
+
+  await coll.updateOne(
+    { messageId },
+    { $set: { attempts, nextAttemptAt, lastError } }
+  )
+}
+
+/**
+ * Give up on an event that has failed too many times
+ * @param {string} messageId - ID of the outbox entry
+ * @param {number} attempts - number of failed attempts
+ * @param {string} lastError - why the last attempt failed
+ */
+export async function markDeadLettered(messageId, attempts, lastError) {
+  const coll = /** @type {Collection<OutboxMessage>} */ (
+    db.collection(OUTBOX_COLLECTION_NAME)
+  )
+
+  await coll.updateOne(
+    { messageId },
+    { $set: { status: 'dead-lettered', attempts, lastError } }
+  )
+}
+
+/**
+ * Retrieves a page of the events not yet published, oldest first, with the
+ * number waiting and dead-lettered
+ * @param {PaginationOptions} options - pagination options
+ */
+export async function listBacklog(options) {
+  const { page, perPage } = options
+
+  const coll = /** @type {Collection<OutboxMessage>} */ (
+    db.collection(OUTBOX_COLLECTION_NAME)
+  )
+
+  const filter = /** @type {const} */ ({ status: { $ne: 'published' } })
+
+  try {
+    const [documents, totals] = await Promise.all([
+      coll
+        .find(filter)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * perPage)
+        .limit(perPage)
+        .toArray(),
+      coll
+        .aggregate([
+          { $match: filter },
+          {
+            $group: {
+              _id: '$status',
+              count: { $sum: 1 },
+              oldest: { $min: '$createdAt' }
+            }
+          }
+        ])
+        .toArray()
+    ])
+
+    return {
+      documents,
+      totals:
+        /** @type {{ _id: OutboxMessageStatus, count: number, oldest: Date }[]} */ (
+          totals
+        )
+    }
+  } catch (err) {
+    logger.error(
+      err,
+      `[listOutboxBacklog] Listing the outbox backlog failed - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * @import { PaginationOptions } from '@defra/forms-model'
+ * @import { ClientSession, Collection } from 'mongodb'
+ * @import { OutboxMessage, OutboxMessageStatus } from '~/src/api/types.js'
+ */
@@ -0,0 +1,159 @@
+import { buildMockCollection } from '~/src/api/__stubs__/mongo.js'
+import { db } from '~/src/mongo.js'
+import {
+  create,
+  getPending,
+  listBacklog,
+  markDeadLettered,
+  markFailed,
+  markPublished
+} from '~/src/repositories/outbox-repository.js'
+
+const mockCollection = buildMockCollection()
+const mockSession = /** @type {any} */ ({ id: 'outbox' })
+
+jest.mock('~/src/mongo.js', () => ({
+  db: {
+    collection: jest.fn()
+  },
+  OUTBOX_COLLECTION_NAME: 'entitlement-outbox'
+}))
+
+const now = new Date('2020-01-01T00:00:00Z')
+
+/** @type {OutboxMessage} */
+const entry = {
+  messageId: '6a1f0c52-3a4e-4f4b-9a57-0d2b1c3e4f5a',
+  entityId: 'user-id',
+  message: /** @type {any} */ ({ type: 'ENTITLEMENT_UPDATED' }),
+  status: 'pending',
+  attempts: 0,
+  createdAt: now,
+  nextAttemptAt: now
+}
+
+describe('outbox-repository', () => {
+  beforeEach(() => {
+    jest
+      .mocked(db.collection)
+      .mockReturnValue(/** @type {any} */ (mockCollection))
+  })
+
+  describe('create', () => {
+    it('should save an event in the session', async () => {
+      mockCollection.insertOne.mockResolvedValue({ acknowledged: true })
+
+      await create(entry, mockSession)
+
+      expect(db.collection).toHaveBeenCalledWith('entitlement-outbox')
+      expect(mockCollection.insertOne).toHaveBeenCalledWith(entry, {
+        session: mockSession
+      })
+    })
+  })
+
+  describe('getPending', () => {
+    it('should get the oldest pending events first, leaving out users waiting to retry', async () => {
+      const limit = jest.fn().mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([entry])
+      })
+      const sort = jest.fn().mockReturnValue({ limit })
+      mockCollection.find.mockReturnValue({ sort })
+
+      mockCollection.distinct.mockResolvedValue(['held-user-id'])
+
+      await expect(getPending(50, now)).resolves.toEqual([entry])
+      expect(mockCollection.distinct).toHaveBeenCalledWith('entityId', {
+        status: 'pending',
+        nextAttemptAt: { $gt: now }
+      })
+      expect(mockCollection.find).toHaveBeenCalledWith({
+        status: 'pending',
+        entityId: { $nin: ['held-user-id'] }
+      })
+      expect(sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 })
+      expect(limit).toHaveBeenCalledWith(50)
+    })
+  })
+
+  describe('markPublished', () => {
+    it('should mark an event as published', async () => {
+      const expireAt = new Date('2020-01-08T00:00:00Z')
+
+      await markPublished(entry.messageId, now, expireAt)
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { messageId: entry.messageId },
+        { $set: { status: 'published', publishedAt: now, expireAt } }
+      )
+    })
+  })
+
+  describe('markFailed', () => {
+    it('should record the failed attempt and when to retry', async () => {
+      await markFailed(entry.messageId, 2, now, 'sns error')
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { messageId: entry.messageId },
+        { $set: { attempts: 2, nextAttemptAt: now, lastError: 'sns error' } }
+      )
+    })
+  })
+
+  describe('markDeadLettered', () => {
+    it('should dead-letter an event', async () => {
+      await markDeadLettered(entry.messageId, 10, 'sns error')
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { messageId: entry.messageId },
+        {
+          $set: {
+            status: 'dead-lettered',
+            attempts: 10,
+            lastError: 'sns error'
+          }
+        }
+      )
+    })
+  })
+
+  describe('listBacklog', () => {
+    it('should get a page of unpublished events with totals by status', async () => {
+      const totals = [{ _id: 'pending', count: 21, oldest: now }]
+      const limit = jest.fn().mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([entry])
+      })
+      const skip = jest.fn().mockReturnValue({ limit })
+      const sort = jest.fn().mockReturnValue({ skip })
+      mockCollection.find.mockReturnValue({ sort })
+      mockCollection.aggregate.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue(totals)
+      })
+
+      await expect(listBacklog({ page: 2, perPage: 10 })).resolves.toEqual({
+        documents: [entry],
+        totals
+      })
+      expect(mockCollection.find).toHaveBeenCalledWith({
+        status: { $ne: 'published' }
+      })
+      expect(sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 })
+      expect(skip).toHaveBeenCalledWith(10)
+      expect(limit).toHaveBeenCalledWith(10)
+    })
+
+    it('should rethrow errors', async () => {
+      mockCollection.find.mockImplementation(() => {
+        throw new Error('db error')
+      })
+
+      await expect(listBacklog({ page: 1, perPage: 10 })).rejects.toThrow(
+        'db error'
+      )
+    })
+  })
+})
+
+/**
+ * @import { OutboxMessage } from '~/src/api/types.js'
+ */
@@ -0,0 +1,18 @@
+import { ROLE_POLICY_COLLECTION_NAME, db } from '~/src/mongo.js'
+
+/**
+ * Retrieves the role policy document, if one is stored
+ * @returns {Promise<RolePolicy | null>}
+ */
+export async function get() {
+  const coll = /** @type {Collection<RolePolicy>} */ (
+    db.collection(ROLE_POLICY_COLLECTION_NAME)
+  )
+
+  return coll.findOne({}, { projection: { _id: 0 } })
+}
+
+/**
+ * @import { Collection } from 'mongodb'
+ * @import { RolePolicy } from '~/src/api/types.js'
+ */
@@ -0,0 +1,34 @@
+import { buildMockCollection } from '~/src/api/__stubs__/mongo.js'
+import { defaultRolePolicy } from '~/src/api/__stubs__/role-policy.js'
+import { db } from '~/src/mongo.js'
+import { get } from '~/src/repositories/role-policy-repository.js'
+
+const mockCollection = buildMockCollection()
+
+jest.mock('~/src/mongo.js', () => ({
+  db: {
+    collection: jest.fn()
+  },
+  ROLE_POLICY_COLLECTION_NAME: 'role-policy'
+}))
+
+describe('role-policy-repository', () => {
+  beforeEach(() => {
+    jest
+      .mocked(db.collection)
+      .mockReturnValue(/** @type {any} */ (mockCollection))
+  })
+
+  describe('get', () => {
+    it('should get the stored policy', async () => {
+      mockCollection.findOne.mockResolvedValue(defaultRolePolicy)
+
+      await expect(get()).resolves.toEqual(defaultRolePolicy)
+      expect(db.collection).toHaveBeenCalledWith('role-policy')
+      expect(mockCollection.findOne).toHaveBeenCalledWith(
+        {},
+        { projection: { _id: 0 } }
+      )
+    })
+  })
+})
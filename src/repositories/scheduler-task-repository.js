@@ -0,0 +1,63 @@
+import { getErrorMessage } from '@defra/forms-model'
+
+import { logger } from '~/src/helpers/logging/logger.js'
+import { SCHEDULER_TASK_COLLECTION_NAME, db } from '~/src/mongo.js'
+
+/**
+ * Retrieves the stored state of every scheduled task
+ */
+export async function getAll() {
+  const coll = /** @type {Collection<SchedulerTaskState>} */ (
+    db.collection(SCHEDULER_TASK_COLLECTION_NAME)
+  )
+
+  return coll.find().toArray()
+}
+
+/**
+ * Retrieves the stored state of a scheduled task
+ * @param {string} name - name of the scheduled task
+ * @returns {Promise<WithId<SchedulerTaskState> | null>} The state, or null if the task has never been paused
+ */
+export async function get(name) {
+  const coll = /** @type {Collection<SchedulerTaskState>} */ (
+    db.collection(SCHEDULER_TASK_COLLECTION_NAME)
+  )
+
+  return coll.findOne({ name })
+}
+
+/**
+ * Pause or resume a scheduled task
+ * @param {string} name - name of the scheduled task
+ * @param {boolean} paused - whether scheduled runs should be skipped
+ * @param {AuditUser} updatedBy - who paused or resumed the task
+ */
+export async function setPaused(name, paused, updatedBy) {
+  logger.info(`${paused ? 'Pausing' : 'Resuming'} scheduled task '${name}'`)
+
+  const coll = /** @type {Collection<SchedulerTaskState>} */ (
+    db.collection(SCHEDULER_TASK_COLLECTION_NAME)
+  )
+
+  try {
+    await coll.updateOne(
+      { name },
+      { $set: { paused, updatedAt: new Date(), updatedBy } },
+      { upsert: true }
+    )
+  } catch (err) {
+    logger.error(
+      err,
+      `[setTaskPaused] Updating scheduled task '${name}' failed - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * @import { AuditUser } from '@defra/forms-model'
+ * @import { Collection, WithId } from 'mongodb'
+ * @import { SchedulerTaskState } from '~/src/api/types.js'
+ */
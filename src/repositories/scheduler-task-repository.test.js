@@ -0,0 +1,91 @@
+import { buildMockCollection } from '~/src/api/__stubs__/mongo.js'
+import { db } from '~/src/mongo.js'
+import {
+  get,
+  getAll,
+  setPaused
+} from '~/src/repositories/scheduler-task-repository.js'
+
+const mockCollection = buildMockCollection()
+
+jest.mock('~/src/mongo.js', () => ({
+  db: {
+    collection: jest.fn()
+  },
+  SCHEDULER_TASK_COLLECTION_NAME: 'scheduler-task'
+}))
+
+jest.useFakeTimers().setSystemTime(new Date('2020-01-01'))
+
+const auditUser = { id: 'user-id', displayName: 'Joe Bloggs' }
+
+const taskState = {
+  name: 'admin-user-sync',
+  paused: true,
+  updatedAt: new Date('2020-01-01'),
+  updatedBy: auditUser
+}
+
+describe('scheduler-task-repository', () => {
+  beforeEach(() => {
+    jest
+      .mocked(db.collection)
+      .mockReturnValue(/** @type {any} */ (mockCollection))
+  })
+
+  describe('getAll', () => {
+    it('should get the state of every task', async () => {
+      mockCollection.find.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([taskState])
+      })
+
+      await expect(getAll()).resolves.toEqual([taskState])
+      expect(db.collection).toHaveBeenCalledWith('scheduler-task')
+    })
+  })
+
+  describe('get', () => {
+    it('should get the state of a task', async () => {
+      mockCollection.findOne.mockResolvedValue(taskState)
+
+      await expect(get('admin-user-sync')).resolves.toEqual(taskState)
+      expect(mockCollection.findOne).toHaveBeenCalledWith({
+        name: 'admin-user-sync'
+      })
+    })
+
+    it('should return null for a task that has never been paused', async () => {
+      mockCollection.findOne.mockResolvedValue(null)
+
+      await expect(get('admin-user-sync')).resolves.toBeNull()
+    })
+  })
+
+  describe('setPaused', () => {
+    it('should store the pause state', async () => {
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 0 })
+
+      await setPaused('admin-user-sync', true, auditUser)
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { name: 'admin-user-sync' },
+        {
+          $set: {
+            paused: true,
+            updatedAt: new Date('2020-01-01'),
+            updatedBy: auditUser
+          }
+        },
+        { upsert: true }
+      )
+    })
+
+    it('should rethrow errors', async () => {
+      mockCollection.updateOne.mockRejectedValue(new Error('db error'))
+
+      await expect(
+        setPaused('admin-user-sync', false, auditUser)
+      ).rejects.toThrow('db error')
+    })
+  })
+})
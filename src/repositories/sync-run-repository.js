@@ -0,0 +1,101 @@
+import { getErrorMessage } from '@defra/forms-model'
+import Boom from '@hapi/boom'
+
+import { logger } from '~/src/helpers/logging/logger.js'
+import { SYNC_RUN_COLLECTION_NAME, db } from '~/src/mongo.js'
+
+/**
+ * Retrieves a page of sync runs, most recent first
+ * @param {SyncRunQueryOptions} options - pagination options and the task to list the runs of
+ * @returns {Promise<{ documents: WithId<SyncRun>[], totalItems: number }>}
+ */
+export async function list(options) {
+  const { page, perPage, task } = options
+
+  /** @type {Filter<SyncRun>} */
+  const filter = task ? { task } : {}
+
+  const coll = /** @type {Collection<SyncRun>} */ (
+    db.collection(SYNC_RUN_COLLECTION_NAME)
+  )
+
+  try {
+    const [documents, totalItems] = await Promise.all([
+      coll
+        .find(filter)
+        .sort({ startedAt: -1, runId: 1 })
+        .skip((page - 1) * perPage)
+        .limit(perPage)
+        .toArray(),
+      coll.countDocuments(filter)
+    ])
+
+    return { documents, totalItems }
+  } catch (err) {
+    logger.error(
+      err,
+      `[listSyncRuns] Listing sync runs failed - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Retrieves a sync run by ID
+ * @param {string} runId - ID of the run
+ */
+export async function get(runId) {
+  const coll = /** @type {Collection<SyncRun>} */ (
+    db.collection(SYNC_RUN_COLLECTION_NAME)
+  )
+
+  try {
+    const document = await coll.findOne({ runId })
+
+    if (!document) {
+      throw Boom.notFound(`Sync run with ID '${runId}' not found`)
+    }
+
+    return document
+  } catch (err) {
+    logger.error(
+      err,
+      `[getSyncRun] Getting sync run with ID '${runId}' failed - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Retrieves the most recent run of a task
+ * @param {string} task - name of the scheduled task
+ * @param {SyncRunOutcome} [outcome] - only consider runs with this outcome
+ */
+export async function getLatest(task, outcome) {
+  const coll = /** @type {Collection<SyncRun>} */ (
+    db.collection(SYNC_RUN_COLLECTION_NAME)
+  )
+
+  return coll.findOne(outcome ? { task, outcome } : { task }, {
+    sort: { startedAt: -1 }
+  })
+}
+
+/**
+ * Record a sync run
+ * @param {SyncRun} document - sync run document
+ */
+export async function create(document) {
+  const coll = /** @type {Collection<SyncRun>} */ (
+    db.collection(SYNC_RUN_COLLECTION_NAME)
+  )
+
+  await coll.insertOne(document)
+}
+
+/**
+ * @import { Collection, Filter, WithId } from 'mongodb'
+ * @import { SyncRun, SyncRunOutcome, SyncRunQueryOptions } from '~/src/api/types.js'
+ */
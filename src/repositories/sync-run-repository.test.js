@@ -0,0 +1,140 @@
+import { buildMockCollection } from '~/src/api/__stubs__/mongo.js'
+import { db } from '~/src/mongo.js'
+import {
+  create,
+  get,
+  getLatest,
+  list
+} from '~/src/repositories/sync-run-repository.js'
+
+const mockCollection = buildMockCollection()
+
+jest.mock('~/src/mongo.js', () => ({
+  db: {
+    collection: jest.fn()
+  },
+  SYNC_RUN_COLLECTION_NAME: 'sync-run'
+}))
+
+/** @type {SyncRun} */
+const run = {
+  runId: '6a1f0c52-3a4e-4f4b-9a57-0d2b1c3e4f5a',
+  task: 'admin-user-sync',
+  trigger: 'cron',
+  containerId: 'container-1',
+  startedAt: new Date('2020-01-01T00:00:00Z'),
+  endedAt: new Date('2020-01-01T00:00:05Z'),
+  outcome: 'completed',
+  counts: { created: 1, updated: 2, revoked: 0, errors: 0 }
+}
+
+describe('sync-run-repository', () => {
+  beforeEach(() => {
+    jest
+      .mocked(db.collection)
+      .mockReturnValue(/** @type {any} */ (mockCollection))
+  })
+
+  describe('list', () => {
+    it('should get a page of runs, most recent first', async () => {
+      const limit = jest.fn().mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([run])
+      })
+      const skip = jest.fn().mockReturnValue({ limit })
+      const sort = jest.fn().mockReturnValue({ skip })
+      mockCollection.find.mockReturnValue({ sort })
+      mockCollection.countDocuments.mockResolvedValue(21)
+
+      await expect(list({ page: 2, perPage: 10 })).resolves.toEqual({
+        documents: [run],
+        totalItems: 21
+      })
+      expect(db.collection).toHaveBeenCalledWith('sync-run')
+      expect(mockCollection.find).toHaveBeenCalledWith({})
+      expect(mockCollection.countDocuments).toHaveBeenCalledWith({})
+      expect(sort).toHaveBeenCalledWith({ startedAt: -1, runId: 1 })
+      expect(skip).toHaveBeenCalledWith(10)
+      expect(limit).toHaveBeenCalledWith(10)
+    })
+
+    it('should only get the runs of a task', async () => {
+      const limit = jest.fn().mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([run])
+      })
+      const skip = jest.fn().mockReturnValue({ limit })
+      const sort = jest.fn().mockReturnValue({ skip })
+      mockCollection.find.mockReturnValue({ sort })
+      mockCollection.countDocuments.mockResolvedValue(1)
+
+      await list({ page: 1, perPage: 10, task: 'admin-user-sync' })
+
+      expect(mockCollection.find).toHaveBeenCalledWith({
+        task: 'admin-user-sync'
+      })
+      expect(mockCollection.countDocuments).toHaveBeenCalledWith({
+        task: 'admin-user-sync'
+      })
+    })
+
+    it('should rethrow errors', async () => {
+      mockCollection.find.mockImplementation(() => {
+        throw new Error('db error')
+      })
+
+      await expect(list({ page: 1, perPage: 10 })).rejects.toThrow('db error')
+    })
+  })
+
+  describe('get', () => {
+    it('should get a run by ID', async () => {
+      mockCollection.findOne.mockResolvedValue(run)
+
+      await expect(get(run.runId)).resolves.toEqual(run)
+      expect(mockCollection.findOne).toHaveBeenCalledWith({ runId: run.runId })
+    })
+
+    it('should handle not found', async () => {
+      mockCollection.findOne.mockResolvedValue(null)
+
+      await expect(get(run.runId)).rejects.toThrow(
+        `Sync run with ID '${run.runId}' not found`
+      )
+    })
+  })
+
+  describe('getLatest', () => {
+    it('should get the most recent run of a task', async () => {
+      mockCollection.findOne.mockResolvedValue(run)
+
+      await expect(getLatest('admin-user-sync')).resolves.toEqual(run)
+      expect(mockCollection.findOne).toHaveBeenCalledWith(
+        { task: 'admin-user-sync' },
+        { sort: { startedAt: -1 } }
+      )
+    })
+
+    it('should filter by outcome', async () => {
+      mockCollection.findOne.mockResolvedValue(null)
+
+      await expect(getLatest('admin-user-sync', 'failed')).resolves.toBeNull()
+      expect(mockCollection.findOne).toHaveBeenCalledWith(
+        { task: 'admin-user-sync', outcome: 'failed' },
+        { sort: { startedAt: -1 } }
+      )
+    })
+  })
+
+  describe('create', () => {
+    it('should record a run', async () => {
+      mockCollection.insertOne.mockResolvedValue({ acknowledged: true })
+
+      await create(run)
+
+      expect(mockCollection.insertOne).toHaveBeenCalledWith(run)
+    })
+  })
+})
+
+/**
+ * @import { SyncRun } from '~/src/api/types.js'
+ */
@@ -3,29 +3,127 @@ import Boom from '@hapi/boom'
 import { MongoServerError } from 'mongodb'
 
 import { logger } from '~/src/helpers/logging/logger.js'
-import { USER_COLLECTION_NAME, db } from '~/src/mongo.js'
-
-const MAX_RESULTS = 1000
+import { escapeRegExp } from '~/src/helpers/string-utils.js'
+import {
+  SUPERADMIN_GUARD_COLLECTION_NAME,
+  USER_COLLECTION_NAME,
+  db
+} from '~/src/mongo.js'
 
 const DUPLICATE_DOCUMENT_CODE = 11000
 
 /**
- * Retrieves the list of documents from the database
+ * Retrieves every user, in user ID order, as a cursor so they can be
+ * streamed rather than read into memory at once
+ * @returns {FindCursor<WithId<StoredUser>>}
  */
-export async function getAll() {
+export function findAll() {
+  const coll = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
+
+  return coll.find().sort({ userId: 1 })
+}
+
+/**
+ * Retrieves the ID, name, email and roles of every user, for work that has to
+ * consider all of them
+ * @returns {Promise<UserRoles[]>}
+ */
+export async function getAllUserRoles() {
   const coll = /** @type {Collection<StoredUser>} */ (
     db.collection(USER_COLLECTION_NAME)
   )
 
   return coll
-    .find()
-    .sort({
-      updatedAt: -1
-    })
-    .limit(MAX_RESULTS)
+    .find(
+      {},
+      {
+        projection: { _id: 0, userId: 1, email: 1, displayName: 1, roles: 1 }
+      }
+    )
     .toArray()
 }
 
+/**
+ * Retrieves the users with the given emails, matched case-insensitively
+ * @param {string[]} emails - emails of the users
+ */
+export async function getByEmails(emails) {
+  const coll = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
+
+  return coll
+    .find({ email: { $in: emails } })
+    .collation({ locale: 'en', strength: 2 })
+    .toArray()
+}
+
+/**
+ * Builds the mongo filter for the user search options
+ * @param {UserSearchOptions} options - search options
+ * @returns {Filter<StoredUser>}
+ */
+function buildFilter(options) {
+  const { role, email, displayName } = options
+
+  /** @type {Filter<StoredUser>} */
+  const filter = {}
+
+  if (role) {
+    filter.roles = role
+  }
+
+  if (email) {
+    filter.email = { $regex: escapeRegExp(email), $options: 'i' }
+  }
+
+  if (displayName) {
+    filter.displayName = { $regex: escapeRegExp(displayName), $options: 'i' }
+  }
+
+  return filter
+}
+
+/**
+ * Retrieves a filtered, sorted page of documents from the database
+ * @param {UserQueryOptions} options - pagination, sorting and search options
+ * @returns {Promise<{ documents: WithId<StoredUser>[], totalItems: number }>}
+ */
+export async function list(options) {
+  const { page, perPage, sortBy, order } = options
+
+  const coll = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
+
+  const filter = buildFilter(options)
+  const direction = order === 'asc' ? 1 : -1
+
+  try {
+    const [documents, totalItems] = await Promise.all([
+      coll
+        .find(filter)
+        // Tie-break on userId so pages are stable when sort values repeat
+        .sort({ [sortBy]: direction, userId: 1 })
+        .skip((page - 1) * perPage)
+        .limit(perPage)
+        .toArray(),
+      coll.countDocuments(filter)
+    ])
+
+    return { documents, totalItems }
+  } catch (err) {
+    logger.error(
+      err,
+      `[listUsers] Listing users failed - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
 /**
  * Retrieves a user entitlement entry by ID
  * @param {string} userId - ID of the user
@@ -62,20 +160,126 @@ export async function get(userId, session) {
   }
 }
 
+/**
+ * Retrieves which of the given users are already stored
+ * @param {string[]} userIds - IDs of the users
+ * @returns {Promise<string[]>} The IDs of the users that are stored
+ */
+export async function getStoredUserIds(userIds) {
+  const coll = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
+
+  const documents = await coll
+    .find({ userId: { $in: userIds } }, { projection: { userId: 1 } })
+    .toArray()
+
+  return documents.map(({ userId }) => userId)
+}
+
+/**
+ * Counts the stored users holding a role
+ * @param {Roles} role - the role
+ * @param {ClientSession} [session] - mongo transaction session
+ */
+export async function countWithRole(role, session) {
+  const coll = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
+
+  return coll.countDocuments({ roles: role }, { session })
+}
+
+/**
+ * Writes the shared guard document that every transaction taking the
+ * superadmin role away updates, so two of them running at once write
+ * conflict and one is retried after the other commits. Without it they
+ * write to different users and each counts the other superadmin as kept.
+ * @param {ClientSession} session - mongo transaction session
+ */
+export async function lockSuperadmins(session) {
+  const coll = /** @type {Collection<SuperadminGuard>} */ (
+    db.collection(SUPERADMIN_GUARD_COLLECTION_NAME)
+  )
+
+  await coll.updateOne(
+    { _id: 'superadmins' },
+    { $inc: { removals: 1 } },
+    { upsert: true, session }
+  )
+}
+
+/**
+ * The user a change is recorded against, without any roles they hold
+ * @param {AuditUser} user - the user or sync run making the change
+ * @returns {AuditUser}
+ */
+function toAuditUser(user) {
+  return { id: user.id, displayName: user.displayName }
+}
+
+/**
+ * Builds the filter for a change to a user, matching only the given versions
+ * of the user when any are given
+ * @param {string} userId - ID of the user
+ * @param {number[]} [expectedVersions] - versions of the user the change was made against
+ * @returns {Filter<StoredUser>}
+ */
+function buildVersionFilter(userId, expectedVersions) {
+  return expectedVersions
+    ? { userId, version: { $in: expectedVersions } }
+    : { userId }
+}
+
+/**
+ * The error for a change that matched no user. When versions were expected
+ * and the user still exists, it was changed since it was read
+ * @param {Collection<StoredUser>} coll - the user collection
+ * @param {string} userId - ID of the user
+ * @param {number[] | undefined} expectedVersions - versions of the user the change was made against
+ * @param {ClientSession | undefined} session - mongo transaction session
+ */
+async function getNotMatchedError(coll, userId, expectedVersions, session) {
+  if (
+    expectedVersions &&
+    (await coll.countDocuments({ userId }, { session }))
+  ) {
+    return Boom.preconditionFailed(
+      `User with ID '${userId}' has been changed since it was read`
+    )
+  }
+
+  return Boom.notFound(`User with ID '${userId}' not found`)
+}
+
 /**
  * Create a document in the database
  * @param {StoredUser} document - user entitlement document
+ * @param {AuditUser} createdBy - the user or sync run creating the user
  * @param {ClientSession} session - mongo transaction session
  */
-export async function create(document, session) {
+export async function create(document, createdBy, session) {
   logger.info(`Creating user with user ID '${document.userId}'`)
 
   const coll = /** @satisfies {Collection<StoredUser>} */ (
     db.collection(USER_COLLECTION_NAME)
   )
 
+  const now = new Date()
+  const auditUser = toAuditUser(createdBy)
+
   try {
-    const result = await coll.insertOne(document, { session })
+    const result = await coll.insertOne(
+      {
+        ...document,
+        version: 1,
+        createdAt: now,
+        createdBy: auditUser,
+        updatedAt: now,
+        updatedBy: auditUser
+      },
+      { session }
+    )
 
     logger.info(`User created with user ID '${document.userId}'`)
 
@@ -108,27 +312,42 @@ export async function create(document, session) {
 /**
  * Update a document in the database
  * @param {string} userId - ID of the user
- * @param {Partial<EntitlementUser>} user - user entitlement document
+ * @param {Partial<StoredUser>} user - user entitlement document
+ * @param {AuditUser} updatedBy - the user or sync run updating the user
  * @param {ClientSession} [session] - mongo transaction session
+ * @param {number[]} [expectedVersions] - only update the user if it is at one of these versions
  */
-export async function update(userId, user, session) {
+export async function update(
+  userId,
+  user,
+  updatedBy,
+  session,
+  expectedVersions
+) {
   logger.info(`Updating user with ID '${userId}'`)
 
-  const coll = /** @satisfies {Collection<EntitlementUser>} */ (
+  const coll = /** @type {Collection<StoredUser>} */ (
     db.collection(USER_COLLECTION_NAME)
   )
 
   try {
     const result = await coll.updateOne(
-      { userId },
-      { $set: user },
+      buildVersionFilter(userId, expectedVersions),
+      {
+        $set: {
+          ...user,
+          updatedAt: new Date(),
+          updatedBy: toAuditUser(updatedBy)
+        },
+        $inc: { version: 1 }
+      },
       {
         session
       }
     )
 
     if (result.matchedCount === 0) {
-      throw Boom.notFound(`User with ID '${userId}' not found`)
+      throw await getNotMatchedError(coll, userId, expectedVersions, session)
     }
 
     logger.info(`User with ID '${userId}' updated`)
@@ -148,28 +367,152 @@ export async function update(userId, user, session) {
   }
 }
 
+/**
+ * Grant and take away roles without replacing the others a user holds. The
+ * roles to grant and take away must not overlap. MongoDB cannot add to and
+ * pull from the same array in one update, so the roles are taken away in a
+ * second update in the same transaction.
+ * @param {string} userId - ID of the user
+ * @param {Roles[]} add - roles to grant
+ * @param {Roles[]} remove - roles to take away, along with their expiries
+ * @param {AuditUser} updatedBy - the user changing the roles
+ * @param {ClientSession} session - mongo transaction session
+ * @param {number[]} [expectedVersions] - only update the user if it is at one of these versions
+ */
+export async function updateRoles(
+  userId,
+  add,
+  remove,
+  updatedBy,
+  session,
+  expectedVersions
+) {
+  logger.info(`Updating roles of user with ID '${userId}'`)
+
+  const coll = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
+
+  try {
+    const result = await coll.updateOne(
+      buildVersionFilter(userId, expectedVersions),
+      {
+        $set: { updatedAt: new Date(), updatedBy: toAuditUser(updatedBy) },
+        $inc: { version: 1 },
+        $addToSet: { roles: { $each: add } },
+        $pull: { roleExpiries: { role: { $in: remove } } }
+      },
+      { session }
+    )
+
+    if (result.matchedCount === 0) {
+      throw await getNotMatchedError(coll, userId, expectedVersions, session)
+    }
+
+    if (remove.length) {
+      await coll.updateOne(
+        { userId },
+        /** @type {UpdateFilter<StoredUser>} */ ({
+          $pull: { roles: { $in: remove } }
+        }),
+        { session }
+      )
+    }
+
+    logger.info(`Roles of user with ID '${userId}' updated`)
+  } catch (err) {
+    logger.error(
+      err,
+      `[updateRoles] Updating roles of user with ID '${userId}' failed - ${getErrorMessage(err)}`
+    )
+
+    if (err instanceof Error && !Boom.isBoom(err)) {
+      throw Boom.internal(err)
+    }
+
+    throw err
+  }
+}
+
+/**
+ * Retrieves the users holding a role that is due to be taken away
+ * @param {Date} now - the time to compare role expiries with
+ */
+export async function getUsersWithExpiredRoles(now) {
+  const coll = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
+
+  return coll.find({ 'roleExpiries.expiresAt': { $lte: now } }).toArray()
+}
+
+/**
+ * Take expired roles away from a user and record why
+ * @param {string} userId - ID of the user
+ * @param {Roles[]} roles - the roles the user keeps
+ * @param {RoleRevocation[]} revocations - the roles taken away
+ * @param {Date} now - the time expiries were compared with
+ * @param {AuditUser} updatedBy - the run taking the roles away
+ * @param {ClientSession} session - mongo transaction session
+ */
+export async function revokeExpiredRoles(
+  userId,
+  roles,
+  revocations,
+  now,
+  updatedBy,
+  session
+) {
+  const coll = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
+
+  const result = await coll.updateOne(
+    { userId },
+    {
+      $set: { roles, updatedAt: now, updatedBy: toAuditUser(updatedBy) },
+      $inc: { version: 1 },
+      $pull: { roleExpiries: { expiresAt: { $lte: now } } },
+      $push: { roleRevocations: { $each: revocations } }
+    },
+    { session }
+  )
+
+  if (result.matchedCount === 0) {
+    throw Boom.notFound(`User with ID '${userId}' not found`)
+  }
+}
+
 /**
  * Removes a user
  * @param {string} userId - ID of the user
  * @param {ClientSession} session
+ * @param {number[]} [expectedVersions] - only remove the user if it is at one of these versions
+ * @returns {Promise<WithId<StoredUser>>} The user as it was when removed
  */
-export async function remove(userId, session) {
+export async function remove(userId, session, expectedVersions) {
   logger.info(`Removing user with ID '${userId}'`)
 
-  const coll = db.collection(USER_COLLECTION_NAME)
+  const coll = /** @type {Collection<StoredUser>} */ (
+    db.collection(USER_COLLECTION_NAME)
+  )
 
-  const result = await coll.deleteOne({ userId }, { session })
-  const { deletedCount } = result
+  const document = await coll.findOneAndDelete(
+    buildVersionFilter(userId, expectedVersions),
+    { session }
+  )
 
-  if (deletedCount !== 1) {
-    throw Boom.notFound(`User with ID '${userId}' not found`)
+  if (!document) {
+    throw await getNotMatchedError(coll, userId, expectedVersions, session)
   }
 
   logger.info(`Removed user with ID '${userId}'`)
+
+  return document
 }
 
 /**
- * @import { ClientSession, Collection } from 'mongodb'
- * @import { EntitlementUser } from '@defra/forms-model'
- * @import { StoredUser } from '~/src/api/types.js'
+ * @import { ClientSession, Collection, Filter, FindCursor, UpdateFilter, WithId } from 'mongodb'
+ * @import { AuditUser, EntitlementUser, Roles } from '@defra/forms-model'
+ * @import { RoleRevocation, StoredUser, SuperadminGuard, UserQueryOptions, UserRoles, UserSearchOptions } from '~/src/api/types.js'
  */
@@ -1,3 +1,4 @@
+import { Roles } from '@defra/forms-model'
 import Boom from '@hapi/boom'
 import { MongoServerError } from 'mongodb'
 
@@ -10,10 +11,18 @@ import {
 import { db } from '~/src/mongo.js'
 import {
   create,
+  findAll,
   get,
-  getAll,
+  getAllUserRoles,
+  getByEmails,
+  getStoredUserIds,
+  getUsersWithExpiredRoles,
+  list,
+  lockSuperadmins,
   remove,
-  update
+  revokeExpiredRoles,
+  update,
+  updateRoles
 } from '~/src/repositories/user-repository.js'
 
 const mockCollection = buildMockCollection()
@@ -21,6 +30,12 @@ const mockCollection = buildMockCollection()
 const mockUser = mockUserList[0]
 const mockUserWithId = mockUserListWithIds[0]
 const mockSession = /** @type {any} */ ({ id: 'user' })
+const mockCallingUser = {
+  id: 'calling-user',
+  displayName: 'Calling User',
+  roles: [Roles.Admin]
+}
+const mockAuditUser = { id: 'calling-user', displayName: 'Calling User' }
 
 jest.mock('~/src/mongo.js', () => {
   let isPrepared = false
@@ -32,6 +47,7 @@ jest.mock('~/src/mongo.js', () => {
     db: {
       collection
     },
+    SUPERADMIN_GUARD_COLLECTION_NAME: 'superadmin-guard',
     get client() {
       if (!isPrepared) {
         return undefined
@@ -109,60 +125,176 @@ describe('user-repository', () => {
     })
   })
 
-  describe('getAll', () => {
-    beforeEach(() => {
-      jest.mocked(db.collection).mockReturnValue(mockCollection)
-      mockCollection.find.mockImplementationOnce(() => {
-        return {
-          sort: jest.fn().mockImplementationOnce(() => {
-            return {
-              limit: jest.fn().mockImplementationOnce(() => {
-                return {
-                  toArray: jest.fn().mockReturnValueOnce(mockUserListWithIds)
-                }
-              })
-            }
-          })
+  describe('findAll', () => {
+    it('should get a cursor over every user in user ID order', () => {
+      const cursor = { toArray: jest.fn() }
+      const sort = jest.fn().mockReturnValue(cursor)
+      mockCollection.find.mockReturnValue({ sort })
+
+      expect(findAll()).toBe(cursor)
+      expect(mockCollection.find).toHaveBeenCalledWith()
+      expect(sort).toHaveBeenCalledWith({ userId: 1 })
+    })
+  })
+
+  describe('getAllUserRoles', () => {
+    it('should get the roles of every user without a limit', async () => {
+      const toArray = jest.fn().mockResolvedValue(mockUserList)
+      mockCollection.find.mockReturnValue({ toArray })
+
+      await expect(getAllUserRoles()).resolves.toEqual(mockUserList)
+      expect(mockCollection.find).toHaveBeenCalledWith(
+        {},
+        {
+          projection: { _id: 0, userId: 1, email: 1, displayName: 1, roles: 1 }
         }
+      )
+    })
+  })
+
+  describe('getByEmails', () => {
+    it('should get the users with the emails, ignoring case', async () => {
+      const collation = jest.fn().mockReturnValue({
+        toArray: jest.fn().mockResolvedValue(mockUserListWithIds)
       })
+      mockCollection.find.mockReturnValue({ collation })
+
+      await expect(getByEmails(['A@defra.gov.uk'])).resolves.toEqual(
+        mockUserListWithIds
+      )
+      expect(mockCollection.find).toHaveBeenCalledWith({
+        email: { $in: ['A@defra.gov.uk'] }
+      })
+      expect(collation).toHaveBeenCalledWith({ locale: 'en', strength: 2 })
     })
+  })
 
-    it('should get all users', async () => {
-      const users = await getAll()
-      expect(users).toEqual(mockUserListWithIds)
+  describe('list', () => {
+    /** @type {Record<string, jest.Mock>} */
+    let cursor
+
+    /** @type {UserQueryOptions} */
+    const defaultOptions = {
+      page: 1,
+      perPage: 24,
+      sortBy: 'updatedAt',
+      order: 'desc'
+    }
+
+    beforeEach(() => {
+      cursor = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        toArray: jest.fn().mockResolvedValue(mockUserListWithIds)
+      }
+      mockCollection.find.mockReturnValue(cursor)
+      mockCollection.countDocuments.mockResolvedValue(30)
+    })
+
+    it('should return a page of users with the total count', async () => {
+      const result = await list(defaultOptions)
+
+      expect(result).toEqual({
+        documents: mockUserListWithIds,
+        totalItems: 30
+      })
+      expect(mockCollection.find).toHaveBeenCalledWith({})
+      expect(mockCollection.countDocuments).toHaveBeenCalledWith({})
+      expect(cursor.sort).toHaveBeenCalledWith({ updatedAt: -1, userId: 1 })
+      expect(cursor.skip).toHaveBeenCalledWith(0)
+      expect(cursor.limit).toHaveBeenCalledWith(24)
+    })
+
+    it('should skip to the requested page and sort ascending', async () => {
+      await list({
+        ...defaultOptions,
+        page: 3,
+        perPage: 10,
+        sortBy: 'displayName',
+        order: 'asc'
+      })
+
+      expect(cursor.sort).toHaveBeenCalledWith({ displayName: 1, userId: 1 })
+      expect(cursor.skip).toHaveBeenCalledWith(20)
+      expect(cursor.limit).toHaveBeenCalledWith(10)
+    })
+
+    it('should filter by role, email and display name', async () => {
+      await list({
+        ...defaultOptions,
+        role: Roles.Admin,
+        email: 'joe.bloggs@',
+        displayName: 'Joe (Contractor)'
+      })
+
+      const expectedFilter = {
+        roles: Roles.Admin,
+        email: { $regex: 'joe\\.bloggs@', $options: 'i' },
+        displayName: { $regex: 'Joe \\(Contractor\\)', $options: 'i' }
+      }
+
+      expect(mockCollection.find).toHaveBeenCalledWith(expectedFilter)
+      expect(mockCollection.countDocuments).toHaveBeenCalledWith(expectedFilter)
+    })
+
+    it('should handle DB error', async () => {
+      mockCollection.countDocuments.mockRejectedValueOnce(new Error('db error'))
+
+      await expect(list(defaultOptions)).rejects.toThrow('db error')
     })
   })
 
   describe('addUser', () => {
     it('should add a user', async () => {
       mockCollection.insertOne.mockResolvedValue(mockUserWithId)
-      const result = await create(mockUser, mockSession)
+      const result = await create(mockUser, mockCallingUser, mockSession)
       expect(result).toEqual(mockUserWithId)
     })
 
+    it('should record when and by whom the user was created', async () => {
+      mockCollection.insertOne.mockResolvedValue(mockUserWithId)
+
+      await create(mockUser, mockCallingUser, mockSession)
+
+      expect(mockCollection.insertOne).toHaveBeenCalledWith(
+        {
+          ...mockUser,
+          version: 1,
+          createdAt: expect.any(Date),
+          createdBy: mockAuditUser,
+          updatedAt: expect.any(Date),
+          updatedBy: mockAuditUser
+        },
+        { session: mockSession }
+      )
+    })
+
     it('should handle DB error', async () => {
       mockCollection.insertOne.mockImplementationOnce(() => {
         throw new Error('db error')
       })
-      await expect(create(mockUser, mockSession)).rejects.toThrow('db error')
+      await expect(
+        create(mockUser, mockCallingUser, mockSession)
+      ).rejects.toThrow('db error')
     })
 
     it('should handle duplicate entry', async () => {
       mockCollection.insertOne.mockImplementationOnce(() => {
         throw new MongoServerError({ message: 'server error', code: 11000 })
       })
-      await expect(create(mockUser, mockSession)).rejects.toThrow(
-        'User already exists'
-      )
+      await expect(
+        create(mockUser, mockCallingUser, mockSession)
+      ).rejects.toThrow('User already exists')
     })
 
     it('should handle other mongo server error', async () => {
       mockCollection.insertOne.mockImplementationOnce(() => {
         throw new MongoServerError({ message: 'server error' })
       })
-      await expect(create(mockUser, mockSession)).rejects.toThrow(
-        'server error'
-      )
+      await expect(
+        create(mockUser, mockCallingUser, mockSession)
+      ).rejects.toThrow('server error')
     })
   })
 
@@ -172,48 +304,349 @@ describe('user-repository', () => {
         matchedCount: 1,
         modifiedCount: 1
       })
-      const result = await update(mockUserId1, mockUser, mockSession)
+      const result = await update(
+        mockUserId1,
+        mockUser,
+        mockCallingUser,
+        mockSession
+      )
       expect(result).toEqual({ matchedCount: 1, modifiedCount: 1 })
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { userId: mockUserId1 },
+        {
+          $set: {
+            ...mockUser,
+            updatedAt: expect.any(Date),
+            updatedBy: mockAuditUser
+          },
+          $inc: { version: 1 }
+        },
+        { session: mockSession }
+      )
     })
 
-    it('should handle a failure to update', async () => {
+    it('should only update a user at the expected versions', async () => {
+      mockCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 1,
+        modifiedCount: 1
+      })
+
+      await update(mockUserId1, mockUser, mockCallingUser, mockSession, [3])
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { userId: mockUserId1, version: { $in: [3] } },
+        expect.objectContaining({ $inc: { version: 1 } }),
+        { session: mockSession }
+      )
+    })
+
+    it('should handle a user changed since it was read', async () => {
       mockCollection.updateOne.mockResolvedValueOnce({
         matchedCount: 0,
         modifiedCount: 0
       })
-      await expect(update(mockUserId1, mockUser, mockSession)).rejects.toThrow(
-        "User with ID '111f119119e644a0a8c72118' not found"
+      mockCollection.countDocuments.mockResolvedValueOnce(1)
+
+      await expect(
+        update(mockUserId1, mockUser, mockCallingUser, mockSession, [3])
+      ).rejects.toThrow(
+        expect.objectContaining({
+          message:
+            "User with ID '111f119119e644a0a8c72118' has been changed since it was read",
+          output: expect.objectContaining({ statusCode: 412 })
+        })
+      )
+      expect(mockCollection.countDocuments).toHaveBeenCalledWith(
+        { userId: mockUserId1 },
+        { session: mockSession }
       )
     })
 
+    it('should handle a missing user when versions are expected', async () => {
+      mockCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+        modifiedCount: 0
+      })
+      mockCollection.countDocuments.mockResolvedValueOnce(0)
+
+      await expect(
+        update(mockUserId1, mockUser, mockCallingUser, mockSession, [3])
+      ).rejects.toThrow("User with ID '111f119119e644a0a8c72118' not found")
+    })
+
+    it('should handle a failure to update', async () => {
+      mockCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+        modifiedCount: 0
+      })
+      await expect(
+        update(mockUserId1, mockUser, mockCallingUser, mockSession)
+      ).rejects.toThrow("User with ID '111f119119e644a0a8c72118' not found")
+    })
+
     it('should handle DB error (not Boom)', async () => {
       mockCollection.updateOne.mockImplementationOnce(() => {
         throw new Error('db error')
       })
-      await expect(update(mockUserId1, mockSession)).rejects.toThrow('db error')
+      await expect(
+        update(mockUserId1, mockUser, mockCallingUser, mockSession)
+      ).rejects.toThrow('db error')
     })
 
     it('should handle Boom error', async () => {
       mockCollection.updateOne.mockImplementationOnce(() => {
         throw Boom.boomify(new Error('boom error'))
       })
-      await expect(update(mockUserId1, mockSession)).rejects.toThrow(
-        'boom error'
+      await expect(
+        update(mockUserId1, mockUser, mockCallingUser, mockSession)
+      ).rejects.toThrow('boom error')
+    })
+  })
+
+  describe('updateRoles', () => {
+    it('should grant roles and take roles away with their expiries', async () => {
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 1 })
+
+      await updateRoles(
+        mockUserId1,
+        [Roles.FormPublisher],
+        [Roles.FormCreator],
+        mockCallingUser,
+        mockSession,
+        [2]
+      )
+
+      expect(mockCollection.updateOne).toHaveBeenNthCalledWith(
+        1,
+        { userId: mockUserId1, version: { $in: [2] } },
+        {
+          $set: { updatedAt: expect.any(Date), updatedBy: mockAuditUser },
+          $inc: { version: 1 },
+          $addToSet: { roles: { $each: [Roles.FormPublisher] } },
+          $pull: { roleExpiries: { role: { $in: [Roles.FormCreator] } } }
+        },
+        { session: mockSession }
+      )
+      expect(mockCollection.updateOne).toHaveBeenNthCalledWith(
+        2,
+        { userId: mockUserId1 },
+        { $pull: { roles: { $in: [Roles.FormCreator] } } },
+        { session: mockSession }
+      )
+    })
+
+    it('should only grant roles when none are taken away', async () => {
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 1 })
+
+      await updateRoles(
+        mockUserId1,
+        [Roles.FormPublisher],
+        [],
+        mockCallingUser,
+        mockSession
+      )
+
+      expect(mockCollection.updateOne).toHaveBeenCalledTimes(1)
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { userId: mockUserId1 },
+        expect.anything(),
+        { session: mockSession }
+      )
+    })
+
+    it('should handle a missing user', async () => {
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 0 })
+
+      await expect(
+        updateRoles(
+          mockUserId1,
+          [],
+          [Roles.FormCreator],
+          mockCallingUser,
+          mockSession
+        )
+      ).rejects.toThrow("User with ID '111f119119e644a0a8c72118' not found")
+      expect(mockCollection.updateOne).toHaveBeenCalledTimes(1)
+    })
+
+    it('should handle a user changed since it was read', async () => {
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 0 })
+      mockCollection.countDocuments.mockResolvedValueOnce(1)
+
+      await expect(
+        updateRoles(
+          mockUserId1,
+          [Roles.FormPublisher],
+          [],
+          mockCallingUser,
+          mockSession,
+          [2]
+        )
+      ).rejects.toThrow(
+        expect.objectContaining({
+          output: expect.objectContaining({ statusCode: 412 })
+        })
+      )
+    })
+
+    it('should handle DB error (not Boom)', async () => {
+      mockCollection.updateOne.mockImplementationOnce(() => {
+        throw new Error('db error')
+      })
+
+      await expect(
+        updateRoles(
+          mockUserId1,
+          [Roles.FormPublisher],
+          [],
+          mockCallingUser,
+          mockSession
+        )
+      ).rejects.toThrow('db error')
+    })
+  })
+
+  describe('getStoredUserIds', () => {
+    it('should get the IDs of the users already stored', async () => {
+      mockCollection.find.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ userId: mockUserId1 }])
+      })
+
+      await expect(
+        getStoredUserIds([mockUserId1, 'new-user-id'])
+      ).resolves.toEqual([mockUserId1])
+      expect(mockCollection.find).toHaveBeenCalledWith(
+        { userId: { $in: [mockUserId1, 'new-user-id'] } },
+        { projection: { userId: 1 } }
       )
     })
   })
 
+  describe('lockSuperadmins', () => {
+    it('should write the shared superadmin guard in the transaction', async () => {
+      await lockSuperadmins(mockSession)
+
+      expect(db.collection).toHaveBeenCalledWith('superadmin-guard')
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { _id: 'superadmins' },
+        { $inc: { removals: 1 } },
+        { upsert: true, session: mockSession }
+      )
+    })
+  })
+
+  describe('getUsersWithExpiredRoles', () => {
+    it('should find users with a role expiring by the given time', async () => {
+      const now = new Date('2020-01-01T00:00:00Z')
+      mockCollection.find.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue(mockUserListWithIds)
+      })
+
+      await expect(getUsersWithExpiredRoles(now)).resolves.toEqual(
+        mockUserListWithIds
+      )
+      expect(mockCollection.find).toHaveBeenCalledWith({
+        'roleExpiries.expiresAt': { $lte: now }
+      })
+    })
+  })
+
+  describe('revokeExpiredRoles', () => {
+    const now = new Date('2020-01-01T00:00:00Z')
+    const revocations = [
+      {
+        role: Roles.Admin,
+        reason: /** @type {const} */ ('expired'),
+        expiredAt: now,
+        revokedAt: now,
+        revokedBy: { id: 'role-expiry', displayName: 'Role expiry' }
+      }
+    ]
+
+    it('should set the remaining roles and record the revocations', async () => {
+      mockCollection.updateOne.mockResolvedValueOnce({ matchedCount: 1 })
+
+      await revokeExpiredRoles(
+        mockUserId1,
+        [Roles.FormCreator],
+        revocations,
+        now,
+        mockCallingUser,
+        mockSession
+      )
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { userId: mockUserId1 },
+        {
+          $set: {
+            roles: [Roles.FormCreator],
+            updatedAt: now,
+            updatedBy: mockAuditUser
+          },
+          $inc: { version: 1 },
+          $pull: { roleExpiries: { expiresAt: { $lte: now } } },
+          $push: { roleRevocations: { $each: revocations } }
+        },
+        { session: mockSession }
+      )
+    })
+
+    it('should handle a missing user', async () => {
+      mockCollection.updateOne.mockResolvedValueOnce({ matchedCount: 0 })
+
+      await expect(
+        revokeExpiredRoles(
+          mockUserId1,
+          [],
+          revocations,
+          now,
+          mockCallingUser,
+          mockSession
+        )
+      ).rejects.toThrow("User with ID '111f119119e644a0a8c72118' not found")
+    })
+  })
+
   describe('removeUser', () => {
     it('should remove a user', async () => {
-      mockCollection.deleteOne.mockResolvedValue({ deletedCount: 1 })
-      await expect(remove(mockUserId1, mockSession)).resolves.not.toThrow()
+      mockCollection.findOneAndDelete.mockResolvedValue(mockUserWithId)
+      await expect(remove(mockUserId1, mockSession)).resolves.toEqual(
+        mockUserWithId
+      )
     })
 
     it('should handle a failure to remove', async () => {
-      mockCollection.deleteOne.mockResolvedValue({ deletedCount: 0 })
+      mockCollection.findOneAndDelete.mockResolvedValue(null)
       await expect(remove(mockUserId1, mockSession)).rejects.toThrow(
         "User with ID '111f119119e644a0a8c72118' not found"
       )
+      expect(mockCollection.countDocuments).not.toHaveBeenCalled()
+    })
+
+    it('should only remove a user at the expected versions', async () => {
+      mockCollection.findOneAndDelete.mockResolvedValue(mockUserWithId)
+
+      await remove(mockUserId1, mockSession, [2])
+
+      expect(mockCollection.findOneAndDelete).toHaveBeenCalledWith(
+        { userId: mockUserId1, version: { $in: [2] } },
+        { session: mockSession }
+      )
+    })
+
+    it('should handle a user changed since it was read', async () => {
+      mockCollection.findOneAndDelete.mockResolvedValue(null)
+      mockCollection.countDocuments.mockResolvedValueOnce(1)
+
+      await expect(remove(mockUserId1, mockSession, [2])).rejects.toThrow(
+        expect.objectContaining({
+          output: expect.objectContaining({ statusCode: 412 })
+        })
+      )
     })
   })
 })
+
+/**
+ * @import { UserQueryOptions } from '~/src/api/types.js'
+ */
@@ -0,0 +1,36 @@
+import { Scopes } from '@defra/forms-model'
+
+import { getAuditQuerySchema } from '~/src/schemas/audit.js'
+import { getAuditRecords } from '~/src/services/audit.js'
+
+/**
+ * @type {ServerRoute[]}
+ */
+export default [
+  {
+    method: 'GET',
+    path: '/audit',
+    /**
+     * @param {GetAuditRequest} request
+     */
+    handler: async (request) => {
+      const { entities, meta } = await getAuditRecords(request.query)
+      return { entities, meta }
+    },
+    options: {
+      auth: {
+        access: {
+          scope: [Scopes.UserEdit]
+        }
+      },
+      validate: {
+        query: getAuditQuerySchema
+      }
+    }
+  }
+]
+
+/**
+ * @import { ServerRoute } from '@hapi/hapi'
+ * @import { GetAuditRequest } from '~/src/api/types.js'
+ */
@@ -0,0 +1,92 @@
+import { createServer } from '~/src/api/server.js'
+import { getAuditRecords } from '~/src/services/audit.js'
+import { auth, noEntitlementAuth } from '~/test/fixtures/auth.js'
+
+jest.mock('~/src/services/audit.js')
+jest.mock('~/src/mongo.js')
+jest.mock('~/src/services/scheduler.js', () => ({
+  initialiseAdminUserSync: jest.fn(() => null),
+  initialiseRoleExpiry: jest.fn(() => null),
+  initialiseOutboxRelay: jest.fn(() => null)
+}))
+
+const emptyMeta = {
+  pagination: { page: 1, perPage: 24, totalItems: 0, totalPages: 0 },
+  search: {}
+}
+
+describe('Audit route', () => {
+  /** @type {import('@hapi/hapi').Server} */
+  let server
+
+  beforeEach(async () => {
+    server = await createServer()
+    await server.initialize()
+  })
+
+  describe('GET /audit', () => {
+    test('should return a page of audit records', async () => {
+      jest
+        .mocked(getAuditRecords)
+        .mockResolvedValue({ entities: [], meta: emptyMeta })
+
+      const response = await server.inject({
+        method: 'GET',
+        url: '/audit',
+        auth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual({ entities: [], meta: emptyMeta })
+      expect(getAuditRecords).toHaveBeenCalledWith({ page: 1, perPage: 24 })
+    })
+
+    test('should pass the filters to the service', async () => {
+      jest
+        .mocked(getAuditRecords)
+        .mockResolvedValue({ entities: [], meta: emptyMeta })
+
+      const response = await server.inject({
+        method: 'GET',
+        url: '/audit?actor=admin-user-sync:run-id&type=ENTITLEMENT_UPDATED&from=2020-01-01T00:00:00Z&to=2020-02-01T00:00:00Z',
+        auth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(getAuditRecords).toHaveBeenCalledWith({
+        page: 1,
+        perPage: 24,
+        actor: 'admin-user-sync:run-id',
+        type: 'ENTITLEMENT_UPDATED',
+        from: new Date('2020-01-01T00:00:00Z'),
+        to: new Date('2020-02-01T00:00:00Z')
+      })
+    })
+
+    test.each([
+      ['type=FORM_CREATED'],
+      ['from=yesterday'],
+      ['from=2020-02-01T00:00:00Z&to=2020-01-01T00:00:00Z']
+    ])('should return 400 for invalid query %s', async (query) => {
+      const response = await server.inject({
+        method: 'GET',
+        url: `/audit?${query}`,
+        auth
+      })
+
+      expect(response.statusCode).toBe(400)
+      expect(getAuditRecords).not.toHaveBeenCalled()
+    })
+
+    test('should return 403 when caller lacks user-edit scope', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/audit',
+        auth: noEntitlementAuth
+      })
+
+      expect(response.statusCode).toBe(403)
+      expect(getAuditRecords).not.toHaveBeenCalled()
+    })
+  })
+})
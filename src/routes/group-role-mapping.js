@@ -0,0 +1,165 @@
+import Boom from '@hapi/boom'
+
+import { getCallingUser } from '~/src/helpers/auth-helper.js'
+import {
+  createGroupRoleMappingSchema,
+  groupIdSchema,
+  updateGroupRoleMappingSchema
+} from '~/src/schemas/group-role-mapping.js'
+import {
+  addGroupRoleMapping,
+  deleteGroupRoleMapping,
+  getGroupRoleMapping,
+  getGroupRoleMappings,
+  updateGroupRoleMapping
+} from '~/src/services/group-role-mapping.js'
+
+const MAPPING_BY_ID_PATH = '/group-mappings/{groupId}'
+
+const INTERNAL_ERROR_GENERIC = 'An error occurred while processing your request'
+
+/**
+ * @type {ServerRoute[]}
+ */
+export default [
+  {
+    method: 'GET',
+    path: '/group-mappings',
+    handler: async (request) => {
+      const { auth } = request
+      const callingUser = getCallingUser(
+        auth.credentials.user,
+        auth.credentials.roles
+      )
+
+      const entities = await getGroupRoleMappings(callingUser)
+      return { entities }
+    }
+  },
+  {
+    method: 'GET',
+    path: MAPPING_BY_ID_PATH,
+    /**
+     * @param {GetGroupRoleMappingRequest} request
+     */
+    handler: async (request) => {
+      const { auth } = request
+      const callingUser = getCallingUser(
+        auth.credentials.user,
+        auth.credentials.roles
+      )
+
+      const entity = await getGroupRoleMapping(
+        request.params.groupId,
+        callingUser
+      )
+      return { entity }
+    },
+    options: {
+      validate: {
+        params: groupIdSchema
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/group-mappings',
+    /**
+     * @param {CreateGroupRoleMappingRequest} request
+     */
+    handler: async (request) => {
+      try {
+        const { auth } = request
+        const callingUser = getCallingUser(
+          auth.credentials.user,
+          auth.credentials.roles
+        )
+
+        const entity = await addGroupRoleMapping(request.payload, callingUser)
+
+        return { id: entity.groupId, entity }
+      } catch (error) {
+        if (Boom.isBoom(error)) {
+          throw error
+        }
+
+        throw Boom.internal(INTERNAL_ERROR_GENERIC)
+      }
+    },
+    options: {
+      validate: {
+        payload: createGroupRoleMappingSchema
+      }
+    }
+  },
+  {
+    method: 'PUT',
+    path: MAPPING_BY_ID_PATH,
+    /**
+     * @param {UpdateGroupRoleMappingRequest} request
+     */
+    handler: async (request) => {
+      try {
+        const { auth } = request
+        const callingUser = getCallingUser(
+          auth.credentials.user,
+          auth.credentials.roles
+        )
+
+        const entity = await updateGroupRoleMapping(
+          request.params.groupId,
+          request.payload,
+          callingUser
+        )
+
+        return { id: entity.groupId, entity }
+      } catch (error) {
+        if (Boom.isBoom(error)) {
+          throw error
+        }
+
+        throw Boom.internal(INTERNAL_ERROR_GENERIC)
+      }
+    },
+    options: {
+      validate: {
+        payload: updateGroupRoleMappingSchema,
+        params: groupIdSchema
+      }
+    }
+  },
+  {
+    method: 'DELETE',
+    path: MAPPING_BY_ID_PATH,
+    /**
+     * @param {DeleteGroupRoleMappingRequest} request
+     */
+    handler: async (request) => {
+      try {
+        const { auth } = request
+        const callingUser = getCallingUser(
+          auth.credentials.user,
+          auth.credentials.roles
+        )
+
+        return await deleteGroupRoleMapping(request.params.groupId, callingUser)
+      } catch (error) {
+        if (Boom.isBoom(error)) {
+          throw error
+        }
+
+        throw Boom.internal(INTERNAL_ERROR_GENERIC)
+      }
+    },
+    options: {
+      validate: {
+        params: groupIdSchema
+      }
+    }
+  }
+]
+
+/**
+ * @import { ServerRoute } from '@hapi/hapi'
+ * @import { CreateGroupRoleMappingRequest, DeleteGroupRoleMappingRequest, GetGroupRoleMappingRequest, UpdateGroupRoleMappingRequest } from '~/src/api/types.js'
+ */
@@ -0,0 +1,236 @@
+import { Roles } from '@defra/forms-model'
+import Boom from '@hapi/boom'
+
+import { createServer } from '~/src/api/server.js'
+import * as groupRoleMappings from '~/src/services/group-role-mapping.js'
+import { superadminAuth } from '~/test/fixtures/auth.js'
+
+jest.mock('~/src/services/group-role-mapping.js')
+jest.mock('~/src/mongo.js')
+jest.mock('~/src/services/scheduler.js', () => ({
+  initialiseAdminUserSync: jest.fn(() => null),
+  initialiseRoleExpiry: jest.fn(() => null),
+  initialiseOutboxRelay: jest.fn(() => null)
+}))
+
+const groupId = '2b1d6a3e-8f4c-4e7a-9d2b-5c6f7a8b9c0d'
+
+const expectedCallingUser = {
+  id: superadminAuth.credentials.user.oid,
+  displayName: 'Admin Super',
+  roles: superadminAuth.credentials.roles
+}
+
+const mapping = {
+  groupId,
+  role: Roles.Admin,
+  precedence: 10,
+  authoritative: true,
+  createdAt: new Date('2020-01-01'),
+  createdBy: { id: expectedCallingUser.id, displayName: 'Admin Super' },
+  updatedAt: new Date('2020-01-01'),
+  updatedBy: { id: expectedCallingUser.id, displayName: 'Admin Super' }
+}
+
+describe('Group role mapping route', () => {
+  /** @type {import('@hapi/hapi').Server} */
+  let server
+
+  beforeEach(async () => {
+    server = await createServer()
+    await server.initialize()
+    jest.clearAllMocks()
+  })
+
+  describe('GET /group-mappings', () => {
+    test('should return the stored mappings', async () => {
+      jest
+        .mocked(groupRoleMappings.getGroupRoleMappings)
+        .mockResolvedValue([mapping])
+
+      const response = await server.inject({
+        method: 'GET',
+        url: '/group-mappings',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual({ entities: [mapping] })
+      expect(groupRoleMappings.getGroupRoleMappings).toHaveBeenCalledWith(
+        expectedCallingUser
+      )
+    })
+  })
+
+  describe('GET /group-mappings/{groupId}', () => {
+    test('should return the mapping', async () => {
+      jest
+        .mocked(groupRoleMappings.getGroupRoleMapping)
+        .mockResolvedValue(mapping)
+
+      const response = await server.inject({
+        method: 'GET',
+        url: `/group-mappings/${groupId}`,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual({ entity: mapping })
+    })
+
+    test('should return 400 for a group ID that is not a GUID', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/group-mappings/not-a-guid',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('POST /group-mappings', () => {
+    const payload = {
+      groupId,
+      role: Roles.Admin,
+      precedence: 10,
+      authoritative: true
+    }
+
+    test('should add the mapping', async () => {
+      jest
+        .mocked(groupRoleMappings.addGroupRoleMapping)
+        .mockResolvedValue(mapping)
+
+      const response = await server.inject({
+        method: 'POST',
+        url: '/group-mappings',
+        payload,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual({ id: groupId, entity: mapping })
+      expect(groupRoleMappings.addGroupRoleMapping).toHaveBeenCalledWith(
+        payload,
+        expectedCallingUser
+      )
+    })
+
+    test.each([
+      [{ ...payload, role: 'owner' }],
+      [{ ...payload, precedence: 1000 }],
+      [{ ...payload, precedence: 1.5 }],
+      [{ ...payload, authoritative: undefined }],
+      [{ ...payload, groupId: 'not-a-guid' }]
+    ])('should return 400 for invalid payload %p', async (invalidPayload) => {
+      const response = await server.inject({
+        method: 'POST',
+        url: '/group-mappings',
+        payload: invalidPayload,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(400)
+      expect(groupRoleMappings.addGroupRoleMapping).not.toHaveBeenCalled()
+    })
+
+    test('should pass through Boom errors', async () => {
+      jest
+        .mocked(groupRoleMappings.addGroupRoleMapping)
+        .mockRejectedValue(Boom.forbidden('Only superadmins'))
+
+      const response = await server.inject({
+        method: 'POST',
+        url: '/group-mappings',
+        payload,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(403)
+    })
+
+    test('should hide other errors behind a generic error', async () => {
+      jest
+        .mocked(groupRoleMappings.addGroupRoleMapping)
+        .mockRejectedValue(new Error('db error'))
+
+      const response = await server.inject({
+        method: 'POST',
+        url: '/group-mappings',
+        payload,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(500)
+      expect(response.result).toMatchObject({
+        message: 'An internal server error occurred'
+      })
+    })
+  })
+
+  describe('PUT /group-mappings/{groupId}', () => {
+    test('should update the mapping', async () => {
+      jest
+        .mocked(groupRoleMappings.updateGroupRoleMapping)
+        .mockResolvedValue(mapping)
+
+      const payload = {
+        role: Roles.Admin,
+        precedence: 10,
+        authoritative: true,
+        description: 'Service admins'
+      }
+
+      const response = await server.inject({
+        method: 'PUT',
+        url: `/group-mappings/${groupId}`,
+        payload,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual({ id: groupId, entity: mapping })
+      expect(groupRoleMappings.updateGroupRoleMapping).toHaveBeenCalledWith(
+        groupId,
+        payload,
+        expectedCallingUser
+      )
+    })
+  })
+
+  describe('DELETE /group-mappings/{groupId}', () => {
+    test('should delete the mapping', async () => {
+      jest
+        .mocked(groupRoleMappings.deleteGroupRoleMapping)
+        .mockResolvedValue({ id: groupId })
+
+      const response = await server.inject({
+        method: 'DELETE',
+        url: `/group-mappings/${groupId}`,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual({ id: groupId })
+      expect(groupRoleMappings.deleteGroupRoleMapping).toHaveBeenCalledWith(
+        groupId,
+        expectedCallingUser
+      )
+    })
+
+    test('should return 404 when the mapping does not exist', async () => {
+      jest
+        .mocked(groupRoleMappings.deleteGroupRoleMapping)
+        .mockRejectedValue(Boom.notFound('Group role mapping not found'))
+
+      const response = await server.inject({
+        method: 'DELETE',
+        url: `/group-mappings/${groupId}`,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(404)
+    })
+  })
+})
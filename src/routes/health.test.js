@@ -18,7 +18,9 @@ jest.mock('~/src/mongo.js', () => ({
 }))
 
 jest.mock('~/src/services/scheduler.js', () => ({
-  initialiseAdminUserSync: jest.fn(() => null)
+  initialiseAdminUserSync: jest.fn(() => null),
+  initialiseRoleExpiry: jest.fn(() => null),
+  initialiseOutboxRelay: jest.fn(() => null)
 }))
 
 describe('Health route', () => {
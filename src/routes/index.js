@@ -1,5 +1,8 @@
+import audit from '~/src/routes/audit.js'
+import groupRoleMapping from '~/src/routes/group-role-mapping.js'
 import health from '~/src/routes/health.js'
+import role from '~/src/routes/role.js'
 import scheduler from '~/src/routes/scheduler.js'
 import user from '~/src/routes/user.js'
 
-export default [health, user, scheduler].flat()
+export default [health, role, user, audit, groupRoleMapping, scheduler].flat()
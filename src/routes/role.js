@@ -0,0 +1,33 @@
+import { getRolePolicy } from '~/src/helpers/authorisation.js'
+import { getRoles, getScopes } from '~/src/services/role.js'
+
+/**
+ * @type {ServerRoute[]}
+ */
+export default [
+  {
+    method: 'GET',
+    path: '/roles',
+    handler: (request) => {
+      return { entities: getRoles(request.auth.credentials.roles) }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/roles/policy',
+    handler: () => {
+      return getRolePolicy()
+    }
+  },
+  {
+    method: 'GET',
+    path: '/scopes',
+    handler: () => {
+      return { entities: getScopes() }
+    }
+  }
+]
+
+/**
+ * @import { ServerRoute } from '@hapi/hapi'
+ */
@@ -0,0 +1,83 @@
+import { Roles } from '@defra/forms-model'
+
+import { createServer } from '~/src/api/server.js'
+import { DEFAULT_ROLE_POLICY } from '~/src/helpers/authorisation.js'
+import { getRoles, getScopes } from '~/src/services/role.js'
+import { auth, noEntitlementAuth } from '~/test/fixtures/auth.js'
+
+jest.mock('~/src/mongo.js')
+jest.mock('~/src/services/scheduler.js', () => ({
+  initialiseAdminUserSync: jest.fn(() => null),
+  initialiseRoleExpiry: jest.fn(() => null),
+  initialiseOutboxRelay: jest.fn(() => null)
+}))
+
+describe('Role route', () => {
+  /** @type {import('@hapi/hapi').Server} */
+  let server
+
+  beforeEach(async () => {
+    server = await createServer()
+    await server.initialize()
+  })
+
+  describe('GET /roles', () => {
+    test('should list the roles with those the caller may assign', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/roles',
+        auth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual({ entities: getRoles([Roles.Admin]) })
+    })
+
+    test('should list the roles to users without an entitlement', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/roles',
+        auth: noEntitlementAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual({ entities: getRoles([]) })
+    })
+  })
+
+  describe('GET /roles/policy', () => {
+    test('should return the role policy', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/roles/policy',
+        auth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual(DEFAULT_ROLE_POLICY)
+    })
+
+    test('should return the role policy to users without an entitlement', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/roles/policy',
+        auth: noEntitlementAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+    })
+  })
+
+  describe('GET /scopes', () => {
+    test('should list the scopes with the roles that grant them', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/scopes',
+        auth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.result).toEqual({ entities: getScopes() })
+    })
+  })
+})
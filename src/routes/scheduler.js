@@ -1,7 +1,32 @@
 import { getErrorMessage } from '@defra/forms-model'
 import Boom from '@hapi/boom'
 
+import { getSchedulerCaller } from '~/src/helpers/auth-helper.js'
 import { logger } from '~/src/helpers/logging/logger.js'
+import { SCHEDULER_SERVICE_STRATEGY } from '~/src/plugins/auth/index.js'
+import {
+  getOutboxQuerySchema,
+  getSyncRunsQuerySchema,
+  schedulerTaskNameSchema,
+  syncAdminUsersQuerySchema,
+  syncRunIdSchema
+} from '~/src/schemas/scheduler.js'
+import { previewGroupSync } from '~/src/services/group-sync.js'
+import { getOutboxBacklog } from '~/src/services/outbox.js'
+import {
+  getSchedulerTasks,
+  pauseSchedulerTask,
+  resumeSchedulerTask
+} from '~/src/services/scheduler-task.js'
+import { getSyncRun, getSyncRuns } from '~/src/services/sync-run.js'
+
+/**
+ * Scheduler routes accept superadmin users and platform services that send
+ * the scheduler service token
+ */
+const schedulerAuth = {
+  strategies: ['azure-oidc-token', SCHEDULER_SERVICE_STRATEGY]
+}
 
 /**
  * Manually trigger admin user sync
@@ -10,36 +35,71 @@ const triggerAdminSync = /** @type {ServerRoute} */ ({
   method: 'POST',
   path: '/scheduler/sync-admin-users',
   options: {
-    auth: false,
+    auth: schedulerAuth,
     description: 'Manually trigger admin user sync from Azure AD',
     tags: ['api', 'scheduler'],
     validate: {
+      query: syncAdminUsersQuerySchema,
       options: {
         abortEarly: false
       }
     }
   },
+  /**
+   * @param {SyncAdminUsersRequest} request
+   */
   handler: async (request) => {
     try {
+      const caller = getSchedulerCaller(request.auth.credentials)
+
+      if (request.query.dryRun) {
+        logger.info(
+          `[SchedulerRoute] Previewing admin user sync for ${caller.displayName} (${caller.id})`
+        )
+
+        const plan = await previewGroupSync()
+
+        return {
+          status: 'success',
+          message: 'Admin user sync dry run completed - no changes were made',
+          plan
+        }
+      }
+
       const scheduler = request.server.app.scheduler
 
       if (!scheduler) {
         throw Boom.internal('Scheduler service not available')
       }
 
-      logger.info('[SchedulerRoute] Manually triggering admin user sync')
+      logger.info(
+        `[SchedulerRoute] Admin user sync triggered by ${caller.displayName} (${caller.id})`
+      )
 
-      const success = await scheduler.triggerTask('admin-user-sync')
+      const run = /** @type {SyncRun | false} */ (
+        await scheduler.triggerTask('admin-user-sync', caller)
+      )
 
-      if (!success) {
+      if (!run) {
         throw Boom.internal('Failed to trigger admin user sync')
       }
 
-      logger.info('[SchedulerRoute] Successfully triggered admin user sync')
+      if (run.outcome === 'skipped-locked') {
+        throw Boom.conflict(
+          'Admin user sync is already running on another container'
+        )
+      }
+
+      if (run.outcome === 'failed') {
+        throw Boom.internal(`Admin user sync run ${run.runId} failed`)
+      }
+
+      logger.info(`[SchedulerRoute] Admin user sync run ${run.runId} completed`)
 
       return {
         status: 'success',
-        message: 'Admin user sync triggered successfully'
+        message: 'Admin user sync completed successfully',
+        run
       }
     } catch (err) {
       logger.error(
@@ -51,11 +111,166 @@ const triggerAdminSync = /** @type {ServerRoute} */ ({
   }
 })
 
+/**
+ * List the recorded sync runs
+ */
+const getRuns = /** @type {ServerRoute} */ ({
+  method: 'GET',
+  path: '/scheduler/runs',
+  options: {
+    auth: schedulerAuth,
+    description: 'Get a page of recorded sync runs, most recent first',
+    tags: ['api', 'scheduler'],
+    validate: {
+      query: getSyncRunsQuerySchema
+    }
+  },
+  /**
+   * @param {GetSyncRunsRequest} request
+   */
+  handler: async (request) => {
+    getSchedulerCaller(request.auth.credentials)
+
+    const { entities, meta } = await getSyncRuns(request.query)
+    return { entities, meta }
+  }
+})
+
+/**
+ * Get a recorded sync run
+ */
+const getRun = /** @type {ServerRoute} */ ({
+  method: 'GET',
+  path: '/scheduler/runs/{runId}',
+  options: {
+    auth: schedulerAuth,
+    description: 'Get a recorded sync run',
+    tags: ['api', 'scheduler'],
+    validate: {
+      params: syncRunIdSchema
+    }
+  },
+  /**
+   * @param {GetSyncRunRequest} request
+   */
+  handler: async (request) => {
+    getSchedulerCaller(request.auth.credentials)
+
+    const entity = await getSyncRun(request.params.runId)
+    return { entity }
+  }
+})
+
+/**
+ * List the scheduled tasks
+ */
+const getTasks = /** @type {ServerRoute} */ ({
+  method: 'GET',
+  path: '/scheduler/tasks',
+  options: {
+    auth: schedulerAuth,
+    description:
+      'Get the scheduled tasks with their state, last run and next run',
+    tags: ['api', 'scheduler']
+  },
+  handler: async (request) => {
+    getSchedulerCaller(request.auth.credentials)
+
+    const entities = await getSchedulerTasks()
+    return { entities }
+  }
+})
+
+/**
+ * Pause a scheduled task on every container
+ */
+const pauseTask = /** @type {ServerRoute} */ ({
+  method: 'POST',
+  path: '/scheduler/tasks/{name}/pause',
+  options: {
+    auth: schedulerAuth,
+    description: 'Stop scheduled runs of a task on every container',
+    tags: ['api', 'scheduler'],
+    validate: {
+      params: schedulerTaskNameSchema
+    }
+  },
+  /**
+   * @param {SchedulerTaskRequest} request
+   */
+  handler: async (request) => {
+    const caller = getSchedulerCaller(request.auth.credentials)
+
+    const entity = await pauseSchedulerTask(request.params.name, caller)
+    return { entity }
+  }
+})
+
+/**
+ * Resume a paused scheduled task on every container
+ */
+const resumeTask = /** @type {ServerRoute} */ ({
+  method: 'POST',
+  path: '/scheduler/tasks/{name}/resume',
+  options: {
+    auth: schedulerAuth,
+    description: 'Restart scheduled runs of a paused task on every container',
+    tags: ['api', 'scheduler'],
+    validate: {
+      params: schedulerTaskNameSchema
+    }
+  },
+  /**
+   * @param {SchedulerTaskRequest} request
+   */
+  handler: async (request) => {
+    const caller = getSchedulerCaller(request.auth.credentials)
+
+    const entity = await resumeSchedulerTask(request.params.name, caller)
+    return { entity }
+  }
+})
+
+/**
+ * Show the entitlement events waiting to be published
+ */
+const getOutbox = /** @type {ServerRoute} */ ({
+  method: 'GET',
+  path: '/scheduler/outbox',
+  options: {
+    auth: schedulerAuth,
+    description:
+      'Get a page of the entitlement events not yet published, oldest first, with the size of the backlog',
+    tags: ['api', 'scheduler'],
+    validate: {
+      query: getOutboxQuerySchema
+    }
+  },
+  /**
+   * @param {GetOutboxRequest} request
+   */
+  handler: async (request) => {
+    getSchedulerCaller(request.auth.credentials)
+
+    const { entities, meta } = await getOutboxBacklog(request.query)
+    return { entities, meta }
+  }
+})
+
 /**
  * @type {ServerRoute[]}
  */
-export default [triggerAdminSync]
+export default [
+  triggerAdminSync,
+  getRuns,
+  getRun,
+  getTasks,
+  pauseTask,
+  resumeTask,
+  getOutbox
+]
 
 /**
  * @import { ServerRoute } from '@hapi/hapi'
+ * @import { GetOutboxRequest, GetSyncRunRequest, GetSyncRunsRequest, SchedulerTaskRequest, SyncAdminUsersRequest, SyncRun } from '~/src/api/types.js'
  */
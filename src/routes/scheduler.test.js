@@ -1,9 +1,33 @@
-import { beforeEach, describe, expect, jest, test } from '@jest/globals'
+import Boom from '@hapi/boom'
+import {
+  afterEach,
+  beforeEach,
+  describe,
+  expect,
+  jest,
+  test
+} from '@jest/globals'
 
 import { createServer } from '~/src/api/server.js'
+import { config } from '~/src/config/index.js'
+import { previewGroupSync } from '~/src/services/group-sync.js'
+import { getOutboxBacklog } from '~/src/services/outbox.js'
+import {
+  getSchedulerTasks,
+  pauseSchedulerTask,
+  resumeSchedulerTask
+} from '~/src/services/scheduler-task.js'
+import { getSyncRun, getSyncRuns } from '~/src/services/sync-run.js'
+import { formCreatorAuth, superadminAuth } from '~/test/fixtures/auth.js'
 
+jest.mock('~/src/services/group-sync.js')
+jest.mock('~/src/services/outbox.js')
+jest.mock('~/src/services/sync-run.js')
+jest.mock('~/src/services/scheduler-task.js')
 jest.mock('~/src/services/scheduler.js', () => ({
-  initialiseAdminUserSync: jest.fn(() => null)
+  initialiseAdminUserSync: jest.fn(() => null),
+  initialiseRoleExpiry: jest.fn(() => null),
+  initialiseOutboxRelay: jest.fn(() => null)
 }))
 jest.mock('~/src/mongo.js')
 
@@ -11,12 +35,25 @@ describe('Scheduler Routes', () => {
   /** @type {import('@hapi/hapi').Server} */
   let server
 
-  /** @type {{ start: jest.MockedFunction<() => void>, stop: jest.MockedFunction<() => void>, scheduleTask: jest.MockedFunction<(name: string, cronExpression: string, taskFunction: Function, runImmediately?: boolean) => boolean>, triggerTask: jest.MockedFunction<(taskName: string) => Promise<boolean>> }} */
+  /** @type {{ start: jest.MockedFunction<() => void>, stop: jest.MockedFunction<() => void>, scheduleTask: jest.MockedFunction<(name: string, cronExpression: string, taskFunction: Function, runImmediately?: boolean) => boolean>, triggerTask: jest.MockedFunction<(taskName: string) => Promise<unknown>>, getTasks: jest.MockedFunction<() => { name: string, cronExpression: string, isRunning: boolean, nextRun: Date | null }[]> }} */
   const mockScheduler = {
     start: jest.fn(),
     stop: jest.fn(),
     scheduleTask: jest.fn(),
-    triggerTask: jest.fn()
+    triggerTask: jest.fn(),
+    getTasks: jest.fn()
+  }
+
+  const run = {
+    runId: '6a1f0c52-3a4e-4f4b-9a57-0d2b1c3e4f5a',
+    task: 'admin-user-sync',
+    trigger: /** @type {const} */ ('manual'),
+    containerId: 'container-1',
+    startedAt: '2020-01-01T00:00:00.000Z',
+    endedAt: '2020-01-01T00:00:05.000Z',
+    outcome: /** @type {const} */ ('completed'),
+    counts: { created: 1, updated: 2, revoked: 0, errors: 0 },
+    membership: { pageCount: 3, memberCount: 250, truncated: true }
   }
 
   beforeEach(async () => {
@@ -28,20 +65,117 @@ describe('Scheduler Routes', () => {
 
   describe('POST /scheduler/sync-admin-users', () => {
     test('should trigger admin user sync successfully', async () => {
-      mockScheduler.triggerTask.mockResolvedValue(true)
+      mockScheduler.triggerTask.mockResolvedValue(run)
 
       const response = await server.inject({
         method: 'POST',
-        url: '/scheduler/sync-admin-users'
+        url: '/scheduler/sync-admin-users',
+        auth: superadminAuth
       })
 
       expect(response.statusCode).toBe(200)
       const payload = JSON.parse(response.payload)
       expect(payload).toEqual({
         status: 'success',
-        message: 'Admin user sync triggered successfully'
+        message: 'Admin user sync completed successfully',
+        run
+      })
+      expect(mockScheduler.triggerTask).toHaveBeenCalledWith(
+        'admin-user-sync',
+        { id: superadminAuth.credentials.user.oid, displayName: 'Admin Super' }
+      )
+    })
+
+    test('should return 401 without credentials', async () => {
+      const response = await server.inject({
+        method: 'POST',
+        url: '/scheduler/sync-admin-users'
+      })
+
+      expect(response.statusCode).toBe(401)
+      expect(mockScheduler.triggerTask).not.toHaveBeenCalled()
+    })
+
+    test('should return 403 for users who are not superadmins', async () => {
+      const response = await server.inject({
+        method: 'POST',
+        url: '/scheduler/sync-admin-users',
+        auth: formCreatorAuth
+      })
+
+      expect(response.statusCode).toBe(403)
+      expect(mockScheduler.triggerTask).not.toHaveBeenCalled()
+    })
+
+    describe('with the scheduler service token', () => {
+      beforeEach(() => {
+        config.set('scheduler.serviceToken', 'test-service-token')
+      })
+
+      afterEach(() => {
+        config.set('scheduler.serviceToken', null)
+      })
+
+      test('should attribute the sync to the platform service', async () => {
+        mockScheduler.triggerTask.mockResolvedValue(run)
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/scheduler/sync-admin-users',
+          headers: { 'x-service-token': 'test-service-token' }
+        })
+
+        expect(response.statusCode).toBe(200)
+        expect(mockScheduler.triggerTask).toHaveBeenCalledWith(
+          'admin-user-sync',
+          { id: 'service:platform-cron', displayName: 'platform-cron' }
+        )
+      })
+
+      test('should return 401 for the wrong token', async () => {
+        const response = await server.inject({
+          method: 'POST',
+          url: '/scheduler/sync-admin-users',
+          headers: { 'x-service-token': 'wrong-token' }
+        })
+
+        expect(response.statusCode).toBe(401)
+        expect(mockScheduler.triggerTask).not.toHaveBeenCalled()
       })
-      expect(mockScheduler.triggerTask).toHaveBeenCalledWith('admin-user-sync')
+    })
+
+    test('should return 409 if the sync is running on another container', async () => {
+      mockScheduler.triggerTask.mockResolvedValue({
+        ...run,
+        outcome: 'skipped-locked'
+      })
+
+      const response = await server.inject({
+        method: 'POST',
+        url: '/scheduler/sync-admin-users',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(409)
+      expect(JSON.parse(response.payload).message).toBe(
+        'Admin user sync is already running on another container'
+      )
+    })
+
+    test('should return 500 if the sync run failed', async () => {
+      mockScheduler.triggerTask.mockResolvedValue({
+        ...run,
+        outcome: 'failed',
+        error: 'Azure AD connection failed'
+      })
+
+      const response = await server.inject({
+        method: 'POST',
+        url: '/scheduler/sync-admin-users',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(500)
     })
 
     test('should return 500 if sync fails', async () => {
@@ -49,7 +183,8 @@ describe('Scheduler Routes', () => {
 
       const response = await server.inject({
         method: 'POST',
-        url: '/scheduler/sync-admin-users'
+        url: '/scheduler/sync-admin-users',
+        auth: superadminAuth
       })
 
       expect(response.statusCode).toBe(500)
@@ -63,7 +198,8 @@ describe('Scheduler Routes', () => {
 
       const response = await server.inject({
         method: 'POST',
-        url: '/scheduler/sync-admin-users'
+        url: '/scheduler/sync-admin-users',
+        auth: superadminAuth
       })
 
       expect(response.statusCode).toBe(500)
@@ -78,10 +214,311 @@ describe('Scheduler Routes', () => {
 
       const response = await server.inject({
         method: 'POST',
-        url: '/scheduler/sync-admin-users'
+        url: '/scheduler/sync-admin-users',
+        auth: superadminAuth
       })
 
       expect(response.statusCode).toBe(500)
     })
+
+    test('should return the change plan without syncing for a dry run', async () => {
+      const plan = {
+        pageCount: 1,
+        memberCount: 1,
+        truncated: false,
+        groups: [],
+        changes: {
+          create: [
+            {
+              userId: 'user-1',
+              email: 'user-1@defra.gov.uk',
+              displayName: 'Display user-1',
+              previousRoles: null,
+              roles: [/** @type {any} */ ('superadmin')]
+            }
+          ],
+          promote: [],
+          demote: [],
+          remove: [],
+          unchanged: [],
+          blocked: []
+        }
+      }
+      jest.mocked(previewGroupSync).mockResolvedValue(plan)
+
+      const response = await server.inject({
+        method: 'POST',
+        url: '/scheduler/sync-admin-users?dryRun=true',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(JSON.parse(response.payload)).toEqual({
+        status: 'success',
+        message: 'Admin user sync dry run completed - no changes were made',
+        plan
+      })
+      expect(mockScheduler.triggerTask).not.toHaveBeenCalled()
+    })
+
+    test('should return 400 for an invalid dryRun value', async () => {
+      const response = await server.inject({
+        method: 'POST',
+        url: '/scheduler/sync-admin-users?dryRun=maybe',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(400)
+      expect(previewGroupSync).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('GET /scheduler/runs', () => {
+    test('should return a page of runs', async () => {
+      const meta = {
+        pagination: { page: 2, perPage: 10, totalItems: 11, totalPages: 2 }
+      }
+      jest.mocked(getSyncRuns).mockResolvedValue({
+        entities: [
+          {
+            ...run,
+            startedAt: new Date(run.startedAt),
+            endedAt: new Date(run.endedAt)
+          }
+        ],
+        meta
+      })
+
+      const response = await server.inject({
+        method: 'GET',
+        url: '/scheduler/runs?page=2&perPage=10',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(JSON.parse(response.payload)).toEqual({ entities: [run], meta })
+      expect(getSyncRuns).toHaveBeenCalledWith({ page: 2, perPage: 10 })
+    })
+
+    test('should default the pagination options', async () => {
+      jest.mocked(getSyncRuns).mockResolvedValue({
+        entities: [],
+        meta: {
+          pagination: { page: 1, perPage: 24, totalItems: 0, totalPages: 0 }
+        }
+      })
+
+      await server.inject({
+        method: 'GET',
+        url: '/scheduler/runs',
+        auth: superadminAuth
+      })
+
+      expect(getSyncRuns).toHaveBeenCalledWith({ page: 1, perPage: 24 })
+    })
+
+    test('should filter the runs by task', async () => {
+      jest.mocked(getSyncRuns).mockResolvedValue({
+        entities: [],
+        meta: {
+          pagination: { page: 1, perPage: 24, totalItems: 0, totalPages: 0 }
+        }
+      })
+
+      await server.inject({
+        method: 'GET',
+        url: '/scheduler/runs?task=admin-user-sync',
+        auth: superadminAuth
+      })
+
+      expect(getSyncRuns).toHaveBeenCalledWith({
+        page: 1,
+        perPage: 24,
+        task: 'admin-user-sync'
+      })
+    })
+
+    test('should return 400 for invalid pagination options', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/scheduler/runs?perPage=1000',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /scheduler/runs/{runId}', () => {
+    test('should return the run', async () => {
+      jest.mocked(getSyncRun).mockResolvedValue({
+        ...run,
+        startedAt: new Date(run.startedAt),
+        endedAt: new Date(run.endedAt)
+      })
+
+      const response = await server.inject({
+        method: 'GET',
+        url: `/scheduler/runs/${run.runId}`,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(JSON.parse(response.payload)).toEqual({ entity: run })
+      expect(getSyncRun).toHaveBeenCalledWith(run.runId)
+    })
+
+    test('should return 404 when the run does not exist', async () => {
+      jest
+        .mocked(getSyncRun)
+        .mockRejectedValue(Boom.notFound('Sync run not found'))
+
+      const response = await server.inject({
+        method: 'GET',
+        url: `/scheduler/runs/${run.runId}`,
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(404)
+    })
+
+    test('should return 400 for a run ID that is not a GUID', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/scheduler/runs/not-a-guid',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('scheduled tasks', () => {
+    /** @type {SchedulerTask} */
+    const task = {
+      name: 'admin-user-sync',
+      cronExpression: '0 */6 * * *',
+      state: 'running',
+      lastRun: null,
+      nextRun: new Date('2020-01-01T06:00:00.000Z'),
+      lastError: null
+    }
+
+    const expectedCaller = {
+      id: superadminAuth.credentials.user.oid,
+      displayName: 'Admin Super'
+    }
+
+    test('GET /scheduler/tasks should return the tasks', async () => {
+      jest.mocked(getSchedulerTasks).mockResolvedValue([task])
+
+      const response = await server.inject({
+        method: 'GET',
+        url: '/scheduler/tasks',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(JSON.parse(response.payload)).toEqual({
+        entities: [{ ...task, nextRun: '2020-01-01T06:00:00.000Z' }]
+      })
+    })
+
+    test('GET /scheduler/tasks should return 403 for users who are not superadmins', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/scheduler/tasks',
+        auth: formCreatorAuth
+      })
+
+      expect(response.statusCode).toBe(403)
+      expect(getSchedulerTasks).not.toHaveBeenCalled()
+    })
+
+    test('POST /scheduler/tasks/{name}/pause should pause the task', async () => {
+      jest
+        .mocked(pauseSchedulerTask)
+        .mockResolvedValue({ ...task, state: 'paused', nextRun: null })
+
+      const response = await server.inject({
+        method: 'POST',
+        url: '/scheduler/tasks/admin-user-sync/pause',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(JSON.parse(response.payload).entity.state).toBe('paused')
+      expect(pauseSchedulerTask).toHaveBeenCalledWith(
+        'admin-user-sync',
+        expectedCaller
+      )
+    })
+
+    test('POST /scheduler/tasks/{name}/resume should resume the task', async () => {
+      jest.mocked(resumeSchedulerTask).mockResolvedValue(task)
+
+      const response = await server.inject({
+        method: 'POST',
+        url: '/scheduler/tasks/admin-user-sync/resume',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(JSON.parse(response.payload).entity.state).toBe('running')
+      expect(resumeSchedulerTask).toHaveBeenCalledWith(
+        'admin-user-sync',
+        expectedCaller
+      )
+    })
+
+    test('POST /scheduler/tasks/{name}/pause should return 404 for an unknown task', async () => {
+      jest
+        .mocked(pauseSchedulerTask)
+        .mockRejectedValue(Boom.notFound("Scheduled task 'unknown' not found"))
+
+      const response = await server.inject({
+        method: 'POST',
+        url: '/scheduler/tasks/unknown/pause',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(404)
+    })
+  })
+
+  describe('GET /scheduler/outbox', () => {
+    const meta = {
+      pagination: { page: 1, perPage: 24, totalItems: 1, totalPages: 1 },
+      backlog: { pending: 1, deadLettered: 0, oldestPendingAt: null }
+    }
+
+    test('should return a page of the backlog', async () => {
+      jest.mocked(getOutboxBacklog).mockResolvedValue({ entities: [], meta })
+
+      const response = await server.inject({
+        method: 'GET',
+        url: '/scheduler/outbox',
+        auth: superadminAuth
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(JSON.parse(response.payload)).toEqual({ entities: [], meta })
+      expect(getOutboxBacklog).toHaveBeenCalledWith({ page: 1, perPage: 24 })
+    })
+
+    test('should return 403 for a non-superadmin', async () => {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/scheduler/outbox',
+        auth: formCreatorAuth
+      })
+
+      expect(response.statusCode).toBe(403)
+      expect(getOutboxBacklog).not.toHaveBeenCalled()
+    })
   })
 })
+
+/**
+ * @import { SchedulerTask } from '~/src/api/types.js'
+ */
@@ -2,17 +2,29 @@ import { Scopes } from '@defra/forms-model'
 import Boom from '@hapi/boom'
 
 import { getCallingUser } from '~/src/helpers/auth-helper.js'
+import { parseIfMatch } from '~/src/helpers/etag.js'
+import { getUserHistoryQuerySchema } from '~/src/schemas/audit.js'
 import {
   createUserSchema,
+  createUsersBulkSchema,
+  getUserQuerySchema,
+  getUsersQuerySchema,
+  importUsersQuerySchema,
+  updateUserRolesSchema,
   updateUserSchema,
   userIdSchema
 } from '~/src/schemas/user.js'
+import { getUserAt, getUserHistory, getUsersAt } from '~/src/services/audit.js'
+import { exportUsers, importUsers } from '~/src/services/user-csv.js'
 import {
   addUser,
+  addUsers,
   deleteUser,
   getAllUsers,
+  getCallingUserEntitlement,
   getUser,
-  updateUser
+  updateUser,
+  updateUserRoles
 } from '~/src/services/user.js'
 
 const USER_BY_ID_PATH = '/users/{userId}'
@@ -26,17 +38,106 @@ export default [
   {
     method: 'GET',
     path: '/users',
-    handler: async () => {
-      const entities = await getAllUsers()
-      return { entities }
+    /**
+     * @param {GetUsersRequest} request
+     */
+    handler: async (request) => {
+      const { at, ...options } = request.query
+
+      const { entities, meta } = at
+        ? await getUsersAt(at, options)
+        : await getAllUsers(options)
+      return { entities, meta }
+    },
+    options: {
+      validate: {
+        query: getUsersQuerySchema
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/users/export',
+    /**
+     * @param {Request} _request
+     * @param {ResponseToolkit} h
+     */
+    handler: (_request, h) => {
+      return h
+        .response(exportUsers())
+        .type('text/csv')
+        .header('content-disposition', 'attachment; filename="users.csv"')
+    },
+    options: {
+      auth: {
+        access: {
+          scope: [Scopes.UserEdit]
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/users/me',
+    handler: (request) => {
+      const entity = getCallingUserEntitlement(request.auth.credentials)
+      return { entity }
     }
   },
   {
     method: 'GET',
     path: USER_BY_ID_PATH,
+    /**
+     * @param {GetUserRequest} request
+     * @param {ResponseToolkit} h
+     */
+    handler: async (request, h) => {
+      const { userId } = request.params
+      const { at } = request.query
+
+      if (at) {
+        const entity = await getUserAt(userId, at)
+        return { entity }
+      }
+
+      const entity = await getUser(userId)
+      const response = h.response({ entity })
+
+      // The version lets the user be changed only if nobody else has since
+      return entity.version === undefined
+        ? response
+        : response.etag(String(entity.version))
+    },
+    options: {
+      validate: {
+        params: userIdSchema,
+        query: getUserQuerySchema
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: `${USER_BY_ID_PATH}/history`,
+    /**
+     * @param {GetUserHistoryRequest} request
+     */
     handler: async (request) => {
-      const entity = await getUser(request.params.userId)
-      return { entity }
+      const { entities, meta } = await getUserHistory(
+        request.params.userId,
+        request.query
+      )
+      return { entities, meta }
+    },
+    options: {
+      auth: {
+        access: {
+          scope: [Scopes.UserEdit]
+        }
+      },
+      validate: {
+        params: userIdSchema,
+        query: getUserHistoryQuerySchema
+      }
     }
   },
   {
@@ -56,7 +157,8 @@ export default [
         const result = await addUser(
           request.payload.email,
           request.payload.roles,
-          callingUser
+          callingUser,
+          request.payload.roleExpiries
         )
 
         const createdUser = await getUser(result.id)
@@ -76,6 +178,9 @@ export default [
       }
     },
     options: {
+      plugins: {
+        idempotency: true
+      },
       auth: {
         access: {
           scope: [Scopes.UserCreate]
@@ -86,6 +191,93 @@ export default [
       }
     }
   },
+  {
+    method: 'POST',
+    path: '/users/bulk',
+    /**
+     * @param {CreateUsersBulkRequest} request
+     */
+    handler: async (request) => {
+      try {
+        const { auth } = request
+        const callingUser = getCallingUser(
+          auth.credentials.user,
+          auth.credentials.roles
+        )
+
+        return await addUsers(
+          request.payload.users,
+          callingUser,
+          request.payload.mode
+        )
+      } catch (error) {
+        if (Boom.isBoom(error)) {
+          throw error
+        }
+
+        throw Boom.internal(INTERNAL_ERROR_GENERIC)
+      }
+    },
+    options: {
+      plugins: {
+        idempotency: true
+      },
+      auth: {
+        access: {
+          scope: [Scopes.UserCreate]
+        }
+      },
+      validate: {
+        payload: createUsersBulkSchema
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/users/import',
+    /**
+     * @param {ImportUsersRequest} request
+     */
+    handler: async (request) => {
+      try {
+        const { auth } = request
+        const callingUser = getCallingUser(
+          auth.credentials.user,
+          auth.credentials.roles
+        )
+
+        return await importUsers(
+          request.payload,
+          callingUser,
+          request.query.dryRun
+        )
+      } catch (error) {
+        if (Boom.isBoom(error)) {
+          throw error
+        }
+
+        throw Boom.internal(INTERNAL_ERROR_GENERIC)
+      }
+    },
+    options: {
+      plugins: {
+        idempotency: true
+      },
+      auth: {
+        access: {
+          // An import both adds users and changes their roles
+          scope: [`+${Scopes.UserCreate}`, `+${Scopes.UserEdit}`]
+        }
+      },
+      payload: {
+        allow: 'text/csv',
+        maxBytes: 1024 * 1024
+      },
+      validate: {
+        query: importUsersQuerySchema
+      }
+    }
+  },
   {
     method: 'PUT',
     path: USER_BY_ID_PATH,
@@ -103,7 +295,9 @@ export default [
         const result = await updateUser(
           request.params.userId,
           request.payload.roles,
-          callingUser
+          callingUser,
+          request.payload.roleExpiries,
+          parseIfMatch(request.headers['if-match'])
         )
         return result
       } catch (error) {
@@ -115,6 +309,9 @@ export default [
       }
     },
     options: {
+      plugins: {
+        idempotency: true
+      },
       auth: {
         access: {
           scope: [Scopes.UserEdit]
@@ -126,6 +323,51 @@ export default [
       }
     }
   },
+  {
+    method: 'PATCH',
+    path: `${USER_BY_ID_PATH}/roles`,
+    /**
+     * @param {UpdateUserRolesRequest} request
+     */
+    handler: async (request) => {
+      try {
+        const { auth } = request
+        const callingUser = getCallingUser(
+          auth.credentials.user,
+          auth.credentials.roles
+        )
+
+        const result = await updateUserRoles(
+          request.params.userId,
+          request.payload.add,
+          request.payload.remove,
+          callingUser,
+          parseIfMatch(request.headers['if-match'])
+        )
+        return result
+      } catch (error) {
+        if (Boom.isBoom(error)) {
+          throw error
+        }
+
+        throw Boom.internal(INTERNAL_ERROR_GENERIC)
+      }
+    },
+    options: {
+      plugins: {
+        idempotency: true
+      },
+      auth: {
+        access: {
+          scope: [Scopes.UserEdit]
+        }
+      },
+      validate: {
+        payload: updateUserRolesSchema,
+        params: userIdSchema
+      }
+    }
+  },
   {
     method: 'DELETE',
     path: USER_BY_ID_PATH,
@@ -140,7 +382,11 @@ export default [
           auth.credentials.roles
         )
 
-        const result = await deleteUser(request.params.userId, callingUser)
+        const result = await deleteUser(
+          request.params.userId,
+          callingUser,
+          parseIfMatch(request.headers['if-match'])
+        )
 
         return { id: result.id }
       } catch (error) {
@@ -152,6 +398,9 @@ export default [
       }
     },
     options: {
+      plugins: {
+        idempotency: true
+      },
       auth: {
         access: {
           scope: [Scopes.UserDelete]
@@ -165,6 +414,6 @@ export default [
 ]
 
 /**
- * @import { ServerRoute } from '@hapi/hapi'
- * @import { CreateUserRequest, DeleteUserRequest, UpdateUserRequest } from '~/src/api/types.js'
+ * @import { Request, ResponseToolkit, ServerRoute } from '@hapi/hapi'
+ * @import { CreateUserRequest, CreateUsersBulkRequest, ImportUsersRequest, DeleteUserRequest, GetUserHistoryRequest, GetUserRequest, GetUsersRequest, UpdateUserRequest, UpdateUserRolesRequest } from '~/src/api/types.js'
  */
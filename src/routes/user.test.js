@@ -1,14 +1,25 @@
+import { Readable } from 'node:stream'
+
 import { Roles, Scopes } from '@defra/forms-model'
 import Boom from '@hapi/boom'
 
 import { createServer } from '~/src/api/server.js'
+import { getRequestFingerprint } from '~/src/plugins/idempotency.js'
+import { reserve } from '~/src/repositories/idempotency-repository.js'
+import { getUserAt, getUserHistory, getUsersAt } from '~/src/services/audit.js'
+import { exportUsers, importUsers } from '~/src/services/user-csv.js'
 import * as allUsers from '~/src/services/user.js'
 import { auth, noEntitlementAuth } from '~/test/fixtures/auth.js'
 
+jest.mock('~/src/repositories/idempotency-repository.js')
+jest.mock('~/src/services/audit.js')
+jest.mock('~/src/services/user-csv.js')
 jest.mock('~/src/services/user.js')
 jest.mock('~/src/mongo.js')
 jest.mock('~/src/services/scheduler.js', () => ({
-  initialiseAdminUserSync: jest.fn(() => null)
+  initialiseAdminUserSync: jest.fn(() => null),
+  initialiseRoleExpiry: jest.fn(() => null),
+  initialiseOutboxRelay: jest.fn(() => null)
 }))
 
 const expectedCallingUser = {
@@ -17,6 +28,15 @@ const expectedCallingUser = {
   roles: auth.credentials.roles
 }
 
+const emptyMeta = {
+  pagination: { page: 1, perPage: 24, totalItems: 0, totalPages: 0 },
+  sorting: {
+    sortBy: /** @type {const} */ ('updatedAt'),
+    order: /** @type {const} */ ('desc')
+  },
+  search: {}
+}
+
 describe('User route', () => {
   /** @type {import('@hapi/hapi').Server} */
   let server
@@ -34,7 +54,10 @@ describe('User route', () => {
   describe('Success responses', () => {
     describe('GET /users', () => {
       test('should return list of users', async () => {
-        jest.mocked(allUsers.getAllUsers).mockResolvedValue([])
+        jest.mocked(allUsers.getAllUsers).mockResolvedValue({
+          entities: [],
+          meta: emptyMeta
+        })
 
         const response = await server.inject({
           method: 'GET',
@@ -44,9 +67,133 @@ describe('User route', () => {
 
         expect(response.statusCode).toEqual(okStatusCode)
         expect(response.headers['content-type']).toContain(jsonContentType)
-        expect(response.result).toEqual({ entities: [] })
+        expect(response.result).toEqual({ entities: [], meta: emptyMeta })
+
+        expect(allUsers.getAllUsers).toHaveBeenCalledWith({
+          page: 1,
+          perPage: 24,
+          sortBy: 'updatedAt',
+          order: 'desc'
+        })
+      })
+
+      test('should pass pagination, sorting and filters to the service', async () => {
+        jest.mocked(allUsers.getAllUsers).mockResolvedValue({
+          entities: [],
+          meta: emptyMeta
+        })
+
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users?page=2&perPage=10&sortBy=email&role=admin&email=defra.gov.uk&displayName=%20Joe%20',
+          auth
+        })
+
+        expect(response.statusCode).toEqual(okStatusCode)
+        expect(allUsers.getAllUsers).toHaveBeenCalledWith({
+          page: 2,
+          perPage: 10,
+          sortBy: 'email',
+          order: 'asc',
+          role: Roles.Admin,
+          email: 'defra.gov.uk',
+          displayName: 'Joe'
+        })
+      })
+
+      test('should return the users as they were at a time', async () => {
+        jest.mocked(getUsersAt).mockResolvedValue({
+          entities: [],
+          meta: {
+            ...emptyMeta,
+            search: { at: new Date('2020-01-01T00:00:00Z') }
+          }
+        })
+
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users?at=2020-01-01T00:00:00Z&role=admin',
+          auth
+        })
+
+        expect(response.statusCode).toEqual(okStatusCode)
+        expect(getUsersAt).toHaveBeenCalledWith(
+          new Date('2020-01-01T00:00:00Z'),
+          {
+            page: 1,
+            perPage: 24,
+            sortBy: 'updatedAt',
+            order: 'desc',
+            role: Roles.Admin
+          }
+        )
+        expect(allUsers.getAllUsers).not.toHaveBeenCalled()
+      })
+
+      test.each([
+        ['page=0'],
+        ['perPage=500'],
+        ['sortBy=roles'],
+        ['order=sideways'],
+        ['role=owner'],
+        ['at=yesterday']
+      ])('should return 400 for invalid query %s', async (query) => {
+        const response = await server.inject({
+          method: 'GET',
+          url: `/users?${query}`,
+          auth
+        })
+
+        expect(response.statusCode).toBe(400)
+        expect(allUsers.getAllUsers).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('GET /users/me', () => {
+      test('should return the entitlement of the calling user', async () => {
+        const entity = {
+          userId: auth.credentials.user.oid,
+          displayName: 'Enrique Chase',
+          entitled: true,
+          roles: [Roles.Admin],
+          scopes: [Scopes.UserEdit],
+          manageableRoles: [Roles.FormPublisher, Roles.FormCreator]
+        }
+        jest.mocked(allUsers.getCallingUserEntitlement).mockReturnValue(entity)
+
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users/me',
+          auth
+        })
 
-        expect(allUsers.getAllUsers).toHaveBeenCalled()
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.result).toEqual({ entity })
+        expect(allUsers.getCallingUserEntitlement).toHaveBeenCalledWith(
+          auth.credentials
+        )
+        expect(allUsers.getUser).not.toHaveBeenCalled()
+      })
+
+      test('should return the entitlement of a user without one', async () => {
+        const entity = {
+          userId: noEntitlementAuth.credentials.user.oid,
+          displayName: 'Entitlement None',
+          entitled: false,
+          roles: [],
+          scopes: [],
+          manageableRoles: []
+        }
+        jest.mocked(allUsers.getCallingUserEntitlement).mockReturnValue(entity)
+
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users/me',
+          auth: noEntitlementAuth
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.result).toEqual({ entity })
       })
     })
 
@@ -80,6 +227,89 @@ describe('User route', () => {
 
         expect(allUsers.getUser).toHaveBeenCalledWith('456')
       })
+
+      test('should return the version of the user as an ETag', async () => {
+        jest.mocked(allUsers.getUser).mockResolvedValue({
+          userId: '456',
+          email: 'a@b.com',
+          displayName: 'Enrique Chase',
+          roles: [Roles.Admin],
+          scopes: [Scopes.UserCreate, Scopes.UserEdit],
+          version: 3
+        })
+
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users/456',
+          auth
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.headers.etag).toBe('"3"')
+      })
+
+      test('should return the user as they were at a time', async () => {
+        jest.mocked(getUserAt).mockResolvedValue({
+          userId: '456',
+          email: 'a@b.com',
+          displayName: 'Enrique Chase',
+          roles: [Roles.FormCreator],
+          scopes: [Scopes.FormRead]
+        })
+
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users/456?at=2020-01-01T00:00:00Z',
+          auth
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.result).toEqual({
+          entity: expect.objectContaining({ roles: [Roles.FormCreator] })
+        })
+        expect(getUserAt).toHaveBeenCalledWith(
+          '456',
+          new Date('2020-01-01T00:00:00Z')
+        )
+        expect(allUsers.getUser).not.toHaveBeenCalled()
+      })
+
+      test.each([['at=yesterday'], ['at=2999-01-01T00:00:00Z']])(
+        'should return 400 for invalid query %s',
+        async (query) => {
+          const response = await server.inject({
+            method: 'GET',
+            url: `/users/456?${query}`,
+            auth
+          })
+
+          expect(response.statusCode).toBe(400)
+          expect(getUserAt).not.toHaveBeenCalled()
+        }
+      )
+    })
+
+    describe('GET /users/{userId}/history', () => {
+      test('should return a page of the user history', async () => {
+        const meta = {
+          pagination: { page: 2, perPage: 10, totalItems: 0, totalPages: 0 },
+          search: { userId: '456' }
+        }
+        jest.mocked(getUserHistory).mockResolvedValue({ entities: [], meta })
+
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users/456/history?page=2&perPage=10',
+          auth
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.result).toEqual({ entities: [], meta })
+        expect(getUserHistory).toHaveBeenCalledWith('456', {
+          page: 2,
+          perPage: 10
+        })
+      })
     })
 
     describe('POST /users', () => {
@@ -126,10 +356,238 @@ describe('User route', () => {
         expect(allUsers.addUser).toHaveBeenCalledWith(
           'test@example.com',
           [Roles.Admin],
-          expectedCallingUser
+          expectedCallingUser,
+          []
         )
         expect(allUsers.getUser).toHaveBeenCalledWith('456')
       })
+
+      test('should replay a request sent again with the same Idempotency-Key', async () => {
+        jest.mocked(reserve).mockResolvedValue({
+          key: 'key-1',
+          callerId: auth.credentials.user.oid,
+          fingerprint: getRequestFingerprint(
+            /** @type {any} */ ({
+              method: 'post',
+              path: '/users',
+              query: {},
+              payload: {
+                email: 'test@example.com',
+                roles: [Roles.Admin],
+                roleExpiries: []
+              }
+            })
+          ),
+          status: 'completed',
+          createdAt: new Date(),
+          expireAt: new Date(),
+          statusCode: 200,
+          response: { id: '456' }
+        })
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users',
+          auth,
+          headers: { 'idempotency-key': 'key-1' },
+          payload: {
+            email: 'test@example.com',
+            roles: [Roles.Admin]
+          }
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.headers['idempotent-replayed']).toBe('true')
+        expect(response.result).toEqual({ id: '456' })
+        expect(allUsers.addUser).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('POST /users/bulk', () => {
+      test('should add the users', async () => {
+        const result = {
+          mode: /** @type {const} */ ('best-effort'),
+          created: 1,
+          results: [
+            {
+              email: 'a@example.com',
+              status: /** @type {const} */ ('created'),
+              id: 'a',
+              displayName: 'A'
+            }
+          ]
+        }
+        jest.mocked(allUsers.addUsers).mockResolvedValue(result)
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/bulk',
+          auth,
+          payload: {
+            users: [{ email: 'a@example.com', roles: [Roles.FormCreator] }]
+          }
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.result).toEqual(result)
+        expect(allUsers.addUsers).toHaveBeenCalledWith(
+          [{ email: 'a@example.com', roles: [Roles.FormCreator] }],
+          expectedCallingUser,
+          'best-effort'
+        )
+      })
+
+      test('should pass the mode to the service', async () => {
+        jest.mocked(allUsers.addUsers).mockResolvedValue({
+          mode: 'all-or-nothing',
+          created: 0,
+          results: []
+        })
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/bulk',
+          auth,
+          payload: {
+            users: [{ email: 'a@example.com', roles: [Roles.FormCreator] }],
+            mode: 'all-or-nothing'
+          }
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(allUsers.addUsers).toHaveBeenCalledWith(
+          expect.any(Array),
+          expectedCallingUser,
+          'all-or-nothing'
+        )
+      })
+
+      test.each([
+        ['no users', { users: [] }],
+        [
+          'the same email twice',
+          {
+            users: [
+              { email: 'a@example.com', roles: [Roles.FormCreator] },
+              { email: 'A@example.com', roles: [Roles.Admin] }
+            ]
+          }
+        ],
+        [
+          'an unknown mode',
+          {
+            users: [{ email: 'a@example.com', roles: [Roles.FormCreator] }],
+            mode: 'some'
+          }
+        ],
+        [
+          'too many users',
+          {
+            users: Array.from({ length: 101 }, (_, index) => ({
+              email: `user${index}@example.com`,
+              roles: [Roles.FormCreator]
+            }))
+          }
+        ]
+      ])('should return 400 for %s', async (_, payload) => {
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/bulk',
+          auth,
+          payload
+        })
+
+        expect(response.statusCode).toBe(400)
+        expect(allUsers.addUsers).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('GET /users/export', () => {
+      test('should return the users as a CSV download', async () => {
+        jest.mocked(exportUsers).mockReturnValue(
+          Readable.from(['userId,email\r\n', 'user-1,a@b.com\r\n'], {
+            objectMode: false
+          })
+        )
+
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users/export',
+          auth
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.headers['content-type']).toContain('text/csv')
+        expect(response.headers['content-disposition']).toBe(
+          'attachment; filename="users.csv"'
+        )
+        expect(response.payload).toBe('userId,email\r\nuser-1,a@b.com\r\n')
+      })
+    })
+
+    describe('POST /users/import', () => {
+      const csv = 'email,roles\na@example.com,form-creator'
+      const importResult = {
+        dryRun: true,
+        summary: { create: 1, update: 0, unchanged: 0, invalid: 0, failed: 0 },
+        rows: [
+          {
+            line: 2,
+            email: 'a@example.com',
+            action: /** @type {const} */ ('create'),
+            roles: [Roles.FormCreator]
+          }
+        ]
+      }
+
+      test('should preview an import on a dry run', async () => {
+        jest.mocked(importUsers).mockResolvedValue(importResult)
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/import?dryRun=true',
+          auth,
+          headers: { 'content-type': 'text/csv' },
+          payload: csv
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.result).toEqual(importResult)
+        expect(importUsers).toHaveBeenCalledWith(csv, expectedCallingUser, true)
+      })
+
+      test('should apply an import by default', async () => {
+        jest
+          .mocked(importUsers)
+          .mockResolvedValue({ ...importResult, dryRun: false })
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/import',
+          auth,
+          headers: { 'content-type': 'text/csv' },
+          payload: csv
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(importUsers).toHaveBeenCalledWith(
+          csv,
+          expectedCallingUser,
+          false
+        )
+      })
+
+      test('should return 415 for an upload that is not CSV', async () => {
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/import',
+          auth,
+          payload: { email: 'a@example.com' }
+        })
+
+        expect(response.statusCode).toBe(415)
+        expect(importUsers).not.toHaveBeenCalled()
+      })
     })
 
     describe('PUT /users/{userId}', () => {
@@ -154,9 +612,186 @@ describe('User route', () => {
         expect(allUsers.updateUser).toHaveBeenCalledWith(
           '456',
           [Roles.Admin],
-          expectedCallingUser
+          expectedCallingUser,
+          undefined,
+          undefined
+        )
+      })
+
+      test('should only update the user at the versions in If-Match', async () => {
+        jest.mocked(allUsers.updateUser).mockResolvedValue({
+          id: '456'
+        })
+
+        const response = await server.inject({
+          method: 'PUT',
+          url: '/users/456',
+          auth,
+          headers: { 'if-match': '"3", W/"4"' },
+          payload: {
+            roles: [Roles.Admin]
+          }
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(allUsers.updateUser).toHaveBeenCalledWith(
+          '456',
+          [Roles.Admin],
+          expectedCallingUser,
+          undefined,
+          [3, 4]
+        )
+      })
+
+      test('should pass role expiries to the update', async () => {
+        jest.mocked(allUsers.updateUser).mockResolvedValue({
+          id: '456'
+        })
+
+        const response = await server.inject({
+          method: 'PUT',
+          url: '/users/456',
+          auth,
+          payload: {
+            roles: [Roles.Admin, Roles.FormCreator],
+            roleExpiries: [
+              { role: Roles.FormCreator, expiresAt: '2099-01-01T00:00:00.000Z' }
+            ]
+          }
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(allUsers.updateUser).toHaveBeenCalledWith(
+          '456',
+          [Roles.Admin, Roles.FormCreator],
+          expectedCallingUser,
+          [
+            {
+              role: Roles.FormCreator,
+              expiresAt: new Date('2099-01-01T00:00:00.000Z')
+            }
+          ],
+          undefined
         )
       })
+
+      test.each([
+        [
+          'a role that was not requested',
+          { role: Roles.Superadmin, expiresAt: '2099-01-01T00:00:00.000Z' }
+        ],
+        [
+          'an expiry in the past',
+          { role: Roles.Admin, expiresAt: '2000-01-01T00:00:00.000Z' }
+        ]
+      ])('should return 400 for %s', async (_, roleExpiry) => {
+        const response = await server.inject({
+          method: 'PUT',
+          url: '/users/456',
+          auth,
+          payload: {
+            roles: [Roles.Admin],
+            roleExpiries: [roleExpiry]
+          }
+        })
+
+        expect(response.statusCode).toBe(400)
+        expect(allUsers.updateUser).not.toHaveBeenCalled()
+      })
+
+      test('should return 400 for an expiry on the superadmin role', async () => {
+        const response = await server.inject({
+          method: 'PUT',
+          url: '/users/456',
+          auth,
+          payload: {
+            roles: [Roles.Superadmin],
+            roleExpiries: [
+              { role: Roles.Superadmin, expiresAt: '2099-01-01T00:00:00.000Z' }
+            ]
+          }
+        })
+
+        expect(response.statusCode).toBe(400)
+        expect(response.result).toMatchObject({
+          message: '"roleExpiries[0]" must not expire the superadmin role'
+        })
+        expect(allUsers.updateUser).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('PATCH /users/{userId}/roles', () => {
+      test('should grant and take away roles', async () => {
+        jest.mocked(allUsers.updateUserRoles).mockResolvedValue({
+          id: '456'
+        })
+
+        const response = await server.inject({
+          method: 'PATCH',
+          url: '/users/456/roles',
+          auth,
+          headers: { 'if-match': '"3"' },
+          payload: {
+            add: [Roles.FormPublisher],
+            remove: [Roles.FormCreator]
+          }
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(response.result).toEqual({ id: '456' })
+
+        expect(allUsers.updateUserRoles).toHaveBeenCalledWith(
+          '456',
+          [Roles.FormPublisher],
+          [Roles.FormCreator],
+          expectedCallingUser,
+          [3]
+        )
+      })
+
+      test('should default the roles not given to an empty list', async () => {
+        jest.mocked(allUsers.updateUserRoles).mockResolvedValue({
+          id: '456'
+        })
+
+        const response = await server.inject({
+          method: 'PATCH',
+          url: '/users/456/roles',
+          auth,
+          payload: {
+            remove: [Roles.FormCreator]
+          }
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(allUsers.updateUserRoles).toHaveBeenCalledWith(
+          '456',
+          [],
+          [Roles.FormCreator],
+          expectedCallingUser,
+          undefined
+        )
+      })
+
+      test.each([
+        ['no changes', {}],
+        ['an unknown role', { add: ['not-a-role'] }],
+        ['a role granted twice', { add: [Roles.Admin, Roles.Admin] }],
+        [
+          'a role granted and taken away',
+          { add: [Roles.Admin], remove: [Roles.Admin] }
+        ]
+      ])('should return 400 for %s', async (_, payload) => {
+        const response = await server.inject({
+          method: 'PATCH',
+          url: '/users/456/roles',
+          auth,
+          payload
+        })
+
+        expect(response.statusCode).toBe(400)
+        expect(allUsers.updateUserRoles).not.toHaveBeenCalled()
+      })
     })
 
     describe('DELETE /users/{userId}', () => {
@@ -177,7 +812,28 @@ describe('User route', () => {
 
         expect(allUsers.deleteUser).toHaveBeenCalledWith(
           '456',
-          expectedCallingUser
+          expectedCallingUser,
+          undefined
+        )
+      })
+
+      test('should only delete the user at the version in If-Match', async () => {
+        jest.mocked(allUsers.deleteUser).mockResolvedValue({
+          id: '456'
+        })
+
+        const response = await server.inject({
+          method: 'DELETE',
+          url: '/users/456',
+          auth,
+          headers: { 'if-match': '"2"' }
+        })
+
+        expect(response.statusCode).toBe(okStatusCode)
+        expect(allUsers.deleteUser).toHaveBeenCalledWith(
+          '456',
+          expectedCallingUser,
+          [2]
         )
       })
     })
@@ -240,6 +896,75 @@ describe('User route', () => {
       })
     })
 
+    describe('POST /users/bulk', () => {
+      test('should return 500 when addUsers fails with generic error', async () => {
+        jest
+          .mocked(allUsers.addUsers)
+          .mockRejectedValue(new Error('Some error'))
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/bulk',
+          auth,
+          payload: {
+            users: [{ email: 'a@example.com', roles: [Roles.FormCreator] }]
+          }
+        })
+
+        expect(response.statusCode).toBe(500)
+      })
+
+      test('should re-throw Boom errors without modification', async () => {
+        jest
+          .mocked(allUsers.addUsers)
+          .mockRejectedValue(Boom.conflict('User already exists'))
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/bulk',
+          auth,
+          payload: {
+            users: [{ email: 'a@example.com', roles: [Roles.FormCreator] }],
+            mode: 'all-or-nothing'
+          }
+        })
+
+        expect(response.statusCode).toBe(409)
+      })
+    })
+
+    describe('POST /users/import', () => {
+      test('should return 500 when importUsers fails with generic error', async () => {
+        jest.mocked(importUsers).mockRejectedValue(new Error('Some error'))
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/import',
+          auth,
+          headers: { 'content-type': 'text/csv' },
+          payload: 'email,roles'
+        })
+
+        expect(response.statusCode).toBe(500)
+      })
+
+      test('should re-throw Boom errors without modification', async () => {
+        jest
+          .mocked(importUsers)
+          .mockRejectedValue(Boom.badRequest('No roles column'))
+
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/import',
+          auth,
+          headers: { 'content-type': 'text/csv' },
+          payload: 'email'
+        })
+
+        expect(response.statusCode).toBe(400)
+      })
+    })
+
     describe('PUT /users/{userId}', () => {
       test('should return 500 when updateUser fails with generic error', async () => {
         jest
@@ -273,6 +998,75 @@ describe('User route', () => {
 
         expect(response.statusCode).toBe(404)
       })
+
+      test('should return 412 when the user has changed since it was read', async () => {
+        jest
+          .mocked(allUsers.updateUser)
+          .mockRejectedValue(Boom.preconditionFailed('User has been changed'))
+
+        const response = await server.inject({
+          method: 'PUT',
+          url: '/users/456',
+          auth,
+          headers: { 'if-match': '"3"' },
+          payload: {
+            roles: [Roles.Admin]
+          }
+        })
+
+        expect(response.statusCode).toBe(412)
+      })
+
+      test('should return 412 for an If-Match tag that is not a version', async () => {
+        const response = await server.inject({
+          method: 'PUT',
+          url: '/users/456',
+          auth,
+          headers: { 'if-match': '"abc"' },
+          payload: {
+            roles: [Roles.Admin]
+          }
+        })
+
+        expect(response.statusCode).toBe(412)
+        expect(allUsers.updateUser).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('PATCH /users/{userId}/roles', () => {
+      test('should return 500 when updateUserRoles fails with generic error', async () => {
+        jest
+          .mocked(allUsers.updateUserRoles)
+          .mockRejectedValue(new Error('Some error'))
+
+        const response = await server.inject({
+          method: 'PATCH',
+          url: '/users/456/roles',
+          auth,
+          payload: {
+            add: [Roles.FormCreator]
+          }
+        })
+
+        expect(response.statusCode).toBe(500)
+      })
+
+      test('should re-throw Boom errors without modification', async () => {
+        jest
+          .mocked(allUsers.updateUserRoles)
+          .mockRejectedValue(Boom.preconditionFailed('User has been changed'))
+
+        const response = await server.inject({
+          method: 'PATCH',
+          url: '/users/456/roles',
+          auth,
+          payload: {
+            add: [Roles.FormCreator]
+          }
+        })
+
+        expect(response.statusCode).toBe(412)
+      })
     })
 
     describe('DELETE /users/{userId}', () => {
@@ -317,6 +1111,21 @@ describe('User route', () => {
 
         expect(response.statusCode).toBe(400)
       })
+
+      test('should return 412 when the user has changed since it was read', async () => {
+        jest
+          .mocked(allUsers.deleteUser)
+          .mockRejectedValue(Boom.preconditionFailed('User has been changed'))
+
+        const response = await server.inject({
+          method: 'DELETE',
+          url: '/users/456',
+          auth,
+          headers: { 'if-match': '"2"' }
+        })
+
+        expect(response.statusCode).toBe(412)
+      })
     })
   })
 
@@ -357,6 +1166,53 @@ describe('User route', () => {
       })
     })
 
+    describe('POST /users/bulk', () => {
+      test('should return 403 when caller lacks user-create scope', async () => {
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/bulk',
+          auth: noEntitlementAuth,
+          payload: {
+            users: [{ email: 'a@example.com', roles: [Roles.FormCreator] }]
+          }
+        })
+
+        expect(response.statusCode).toBe(403)
+        expect(allUsers.addUsers).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('GET /users/export', () => {
+      test('should return 403 when caller lacks user-edit scope', async () => {
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users/export',
+          auth: noEntitlementAuth
+        })
+
+        expect(response.statusCode).toBe(403)
+        expect(exportUsers).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('POST /users/import', () => {
+      test('should return 403 unless caller has user-create and user-edit scopes', async () => {
+        const response = await server.inject({
+          method: 'POST',
+          url: '/users/import',
+          auth: {
+            ...auth,
+            credentials: { ...auth.credentials, scope: [Scopes.UserCreate] }
+          },
+          headers: { 'content-type': 'text/csv' },
+          payload: 'email,roles'
+        })
+
+        expect(response.statusCode).toBe(403)
+        expect(importUsers).not.toHaveBeenCalled()
+      })
+    })
+
     describe('PUT /users/{userId}', () => {
       test('should return 403 when caller lacks user-edit scope', async () => {
         const response = await server.inject({
@@ -391,6 +1247,22 @@ describe('User route', () => {
       })
     })
 
+    describe('PATCH /users/{userId}/roles', () => {
+      test('should return 403 when caller lacks user-edit scope', async () => {
+        const response = await server.inject({
+          method: 'PATCH',
+          url: '/users/456/roles',
+          auth: noEntitlementAuth,
+          payload: {
+            add: [Roles.FormCreator]
+          }
+        })
+
+        expect(response.statusCode).toBe(403)
+        expect(allUsers.updateUserRoles).not.toHaveBeenCalled()
+      })
+    })
+
     describe('DELETE /users/{userId}', () => {
       test('should return 403 when caller lacks user-delete scope', async () => {
         const response = await server.inject({
@@ -419,9 +1291,25 @@ describe('User route', () => {
       })
     })
 
+    describe('GET /users/{userId}/history', () => {
+      test('should return 403 when caller lacks user-edit scope', async () => {
+        const response = await server.inject({
+          method: 'GET',
+          url: '/users/456/history',
+          auth: noEntitlementAuth
+        })
+
+        expect(response.statusCode).toBe(403)
+        expect(getUserHistory).not.toHaveBeenCalled()
+      })
+    })
+
     describe('GET /users', () => {
       test('should succeed with no-entitlement auth (no scope required)', async () => {
-        jest.mocked(allUsers.getAllUsers).mockResolvedValue([])
+        jest.mocked(allUsers.getAllUsers).mockResolvedValue({
+          entities: [],
+          meta: emptyMeta
+        })
 
         const response = await server.inject({
           method: 'GET',
@@ -0,0 +1,38 @@
+import {
+  AuditEventMessageType,
+  paginationOptionFields
+} from '@defra/forms-model'
+import Joi from 'joi'
+
+export const auditEventTypes = [
+  AuditEventMessageType.ENTITLEMENT_CREATED,
+  AuditEventMessageType.ENTITLEMENT_UPDATED,
+  AuditEventMessageType.ENTITLEMENT_DELETED
+]
+
+export const getUserHistoryQuerySchema = Joi.object().keys({
+  ...paginationOptionFields
+})
+
+export const getAuditQuerySchema = Joi.object().keys({
+  ...paginationOptionFields,
+  actor: Joi.string()
+    .trim()
+    .optional()
+    .description(
+      'Filter by the ID of the user or sync run that made the change'
+    ),
+  type: Joi.string()
+    .valid(...auditEventTypes)
+    .optional()
+    .description('Filter by event type'),
+  from: Joi.date()
+    .iso()
+    .optional()
+    .description('Filter by changes made at or after this time'),
+  to: Joi.date()
+    .iso()
+    .min(Joi.ref('from'))
+    .optional()
+    .description('Filter by changes made at or before this time')
+})
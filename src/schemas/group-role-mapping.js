@@ -0,0 +1,41 @@
+import { Roles } from '@defra/forms-model'
+import Joi from 'joi'
+
+// Kept below the role editor group's precedence so that group always wins
+export const MAX_MAPPING_PRECEDENCE = 999
+
+export const groupIdSchema = Joi.object().keys({
+  groupId: Joi.string().guid().required()
+})
+
+const mappingFields = {
+  role: Joi.string()
+    .valid(...Object.values(Roles))
+    .required()
+    .description('Role granted to members of the group'),
+  precedence: Joi.number()
+    .integer()
+    .min(0)
+    .max(MAX_MAPPING_PRECEDENCE)
+    .required()
+    .description(
+      'When a user is in several mapped groups, the highest precedence wins'
+    ),
+  authoritative: Joi.boolean()
+    .required()
+    .description(
+      'Whether the sync takes the role away from users who leave the group'
+    ),
+  description: Joi.string().trim().max(256).optional()
+}
+
+export const createGroupRoleMappingSchema = Joi.object().keys({
+  groupId: Joi.string().guid().required(),
+  ...mappingFields
+})
+
+export const updateGroupRoleMappingSchema = Joi.object().keys(mappingFields)
+
+export const groupRoleMappingsSchema = Joi.array()
+  .items(createGroupRoleMappingSchema)
+  .unique('groupId')
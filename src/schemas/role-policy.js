@@ -0,0 +1,36 @@
+import { Roles } from '@defra/forms-model'
+import Joi from 'joi'
+
+const roleSchema = Joi.string().valid(...Object.values(Roles))
+
+export const rolePolicySchema = Joi.object().keys({
+  management: Joi.array()
+    .items(
+      Joi.object().keys({
+        role: roleSchema.required().description('Role of the caller'),
+        manages: Joi.alternatives()
+          .try(Joi.string().valid('*'), Joi.array().items(roleSchema).unique())
+          .required()
+          .description("Roles the caller may manage, or '*' for every role")
+      })
+    )
+    .unique('role')
+    .required()
+    .description('Management rights, highest privilege first'),
+  allowSelfAction: Joi.boolean()
+    .required()
+    .description('Whether callers may change or delete their own entitlement'),
+  separationOfDuties: Joi.array()
+    .items(
+      Joi.object().keys({
+        roles: Joi.array()
+          .items(roleSchema)
+          .unique()
+          .min(2)
+          .required()
+          .description('Roles of which a user may hold at most one'),
+        description: Joi.string().trim().max(256).optional()
+      })
+    )
+    .default([])
+})
@@ -0,0 +1,27 @@
+import { paginationOptionFields } from '@defra/forms-model'
+import Joi from 'joi'
+
+export const syncAdminUsersQuerySchema = Joi.object().keys({
+  dryRun: Joi.boolean()
+    .default(false)
+    .description('Return the changes the sync would make without applying them')
+})
+
+export const getSyncRunsQuerySchema = Joi.object().keys({
+  ...paginationOptionFields,
+  task: Joi.string()
+    .optional()
+    .description('Only include the runs of this scheduled task')
+})
+
+export const getOutboxQuerySchema = Joi.object().keys({
+  ...paginationOptionFields
+})
+
+export const syncRunIdSchema = Joi.object().keys({
+  runId: Joi.string().guid().required()
+})
+
+export const schedulerTaskNameSchema = Joi.object().keys({
+  name: Joi.string().required()
+})
@@ -1,19 +1,165 @@
-import { Roles } from '@defra/forms-model'
+import { Roles, paginationOptionFields } from '@defra/forms-model'
 import Joi from 'joi'
 
+export const userSortFields = ['updatedAt', 'displayName', 'email']
+
 export const userIdSchema = Joi.object().keys({
   userId: Joi.string().required()
 })
 
+/**
+ * Optional expiry for each of the requested roles. The superadmin role cannot
+ * expire, as the expiry task would take it away without checking enough
+ * superadmins remain
+ */
+const roleExpiriesSchema = Joi.array()
+  .items(
+    Joi.object()
+      .keys({
+        role: Joi.string().valid(Joi.in('/roles')).required().messages({
+          'any.only': '{{#label}} must be one of the requested roles'
+        }),
+        expiresAt: Joi.date().iso().greater('now').required()
+      })
+      .custom((value, helpers) => {
+        /** @type {{ role: Roles }} */
+        const { role } = value
+
+        if (role === Roles.Superadmin) {
+          return helpers.message({
+            custom: '{{#label}} must not expire the superadmin role'
+          })
+        }
+
+        return value
+      })
+  )
+  .unique('role')
+  .description('When each role is taken away. Roles without an expiry are kept')
+
 export const createUserSchema = Joi.object().keys({
   email: Joi.string().email().required(),
   roles: Joi.array()
     .items(Joi.string().valid(...Object.values(Roles)))
-    .required()
+    .required(),
+  roleExpiries: roleExpiriesSchema.default([])
+})
+
+export const createUsersBulkSchema = Joi.object().keys({
+  users: Joi.array()
+    .items(
+      Joi.object().keys({
+        email: Joi.string().email().required(),
+        roles: Joi.array()
+          .items(Joi.string().valid(...Object.values(Roles)))
+          .required()
+      })
+    )
+    .min(1)
+    .max(100)
+    .unique(
+      (a, b) =>
+        /** @type {string} */ (a.email).toLowerCase() ===
+        /** @type {string} */ (b.email).toLowerCase()
+    )
+    .required(),
+  mode: Joi.string()
+    .valid('best-effort', 'all-or-nothing')
+    .default('best-effort')
+    .description(
+      "'best-effort' adds the users that can be added, 'all-or-nothing' adds none unless all can be"
+    )
 })
 
 export const updateUserSchema = Joi.object().keys({
   roles: Joi.array()
     .items(Joi.string().valid(...Object.values(Roles)))
-    .required()
+    .required(),
+  roleExpiries: roleExpiriesSchema.description(
+    'When each role is taken away, replacing any set before. Left out, the roles kept keep their expiries'
+  )
+})
+
+export const updateUserRolesSchema = Joi.object()
+  .keys({
+    add: Joi.array()
+      .items(Joi.string().valid(...Object.values(Roles)))
+      .unique()
+      .default([])
+      .description('Roles to grant'),
+    remove: Joi.array()
+      .items(Joi.string().valid(...Object.values(Roles)))
+      .unique()
+      .default([])
+      .description('Roles to take away')
+  })
+  .custom((value, helpers) => {
+    /** @type {{ add: string[], remove: string[] }} */
+    const { add, remove } = value
+
+    if (!add.length && !remove.length) {
+      return helpers.message({
+        custom: '{{#label}} must grant or take away at least one role'
+      })
+    }
+
+    if (remove.some((role) => add.includes(role))) {
+      return helpers.message({
+        custom: '{{#label}} must not grant and take away the same role'
+      })
+    }
+
+    return value
+  })
+
+export const importUsersQuerySchema = Joi.object().keys({
+  dryRun: Joi.boolean()
+    .default(false)
+    .description(
+      'Return the changes the import would make without applying them'
+    )
+})
+
+/**
+ * Optional time to read users at, rebuilt from the audit history
+ */
+const atSchema = Joi.date()
+  .iso()
+  .max('now')
+  .optional()
+  .description('Get the users as they were at this time')
+
+export const getUserQuerySchema = Joi.object().keys({
+  at: atSchema
+})
+
+export const getUsersQuerySchema = Joi.object().keys({
+  ...paginationOptionFields,
+  at: atSchema,
+  sortBy: Joi.string()
+    .valid(...userSortFields)
+    .default('updatedAt')
+    .description('Field to sort results by'),
+  order: Joi.string()
+    .valid('asc', 'desc')
+    .when('sortBy', {
+      is: 'updatedAt',
+      then: Joi.string().default('desc'),
+      otherwise: Joi.string().default('asc')
+    })
+    .description('Sort order (ascending or descending)'),
+  role: Joi.string()
+    .valid(...Object.values(Roles))
+    .optional()
+    .description('Filter by users holding this role'),
+  email: Joi.string()
+    .trim()
+    .max(254)
+    .optional()
+    .description('Filter by a partial, case-insensitive email match'),
+  displayName: Joi.string()
+    .trim()
+    .max(256)
+    .optional()
+    .description('Filter by a partial, case-insensitive display name match')
 })
@@ -41,25 +41,29 @@ export async function getUserByEmail(email) {
 /**
  * Mock implementation of getGroupMembers
  * @param {string} groupId - The group ID
- * @returns {Promise<import('../azure-ad.js').AzureUser[]>} Mock group members
+ * @returns {Promise<import('../azure-ad.js').GroupMembers>} Mock group members
  */
 export async function getGroupMembers(groupId) {
   if (groupId === '7049296f-2156-4d61-8ac3-349276438ef9') {
-    return Promise.resolve([
-      {
-        id: 'user1-id',
-        displayName: 'User 1',
-        email: 'user1@defra.gov.uk'
-      },
-      {
-        id: 'user2-id',
-        displayName: 'User 2',
-        email: 'user2@defra.gov.uk'
-      }
-    ])
+    return Promise.resolve({
+      users: [
+        {
+          id: 'user1-id',
+          displayName: 'User 1',
+          email: 'user1@defra.gov.uk'
+        },
+        {
+          id: 'user2-id',
+          displayName: 'User 2',
+          email: 'user2@defra.gov.uk'
+        }
+      ],
+      pageCount: 1,
+      truncated: false
+    })
   }
 
-  return Promise.resolve([])
+  return Promise.resolve({ users: [], pageCount: 1, truncated: false })
 }
 
 /**
@@ -0,0 +1,189 @@
+import {
+  AuditEventMessageType,
+  getErrorMessage,
+  mapScopesToRoles
+} from '@defra/forms-model'
+import Boom from '@hapi/boom'
+
+import { logger } from '~/src/helpers/logging/logger.js'
+import {
+  getLatest,
+  list,
+  listLatest
+} from '~/src/repositories/audit-repository.js'
+
+/**
+ * Map a stored audit record to the API shape
+ * @param {WithId<EntitlementAuditRecord>} document - audit record (with ID)
+ * @returns {EntitlementAuditRecord}
+ */
+export function mapAuditRecord(document) {
+  return /** @type {EntitlementAuditRecord} */ ({
+    messageId: document.messageId,
+    schemaVersion: document.schemaVersion,
+    category: document.category,
+    source: document.source,
+    type: document.type,
+    entityId: document.entityId,
+    createdAt: document.createdAt,
+    createdBy: document.createdBy,
+    data: document.data,
+    messageCreatedAt: document.messageCreatedAt,
+    recordCreatedAt: document.recordCreatedAt
+  })
+}
+
+/**
+ * Get a page of audit records with the filters applied
+ * @param {AuditQueryOptions} options - pagination and search options
+ */
+async function getAuditPage(options) {
+  const { page, perPage, ...search } = options
+
+  const { documents, totalItems } = await list(options)
+
+  return {
+    entities: documents.map(mapAuditRecord),
+    meta: {
+      pagination: {
+        page,
+        perPage,
+        totalItems,
+        totalPages: Math.ceil(totalItems / perPage)
+      },
+      search
+    }
+  }
+}
+
+/**
+ * Get a page of the entitlement changes made to a user, newest first. The
+ * history is kept after the user is deleted
+ * @param {string} userId - ID of the user
+ * @param {PaginationOptions} options - pagination options
+ */
+export async function getUserHistory(userId, options) {
+  logger.info(`Getting history for user with userID '${userId}'`)
+
+  try {
+    return await getAuditPage({ ...options, userId })
+  } catch (err) {
+    logger.error(
+      err,
+      `[getUserHistory] Failed to get history for user with userID '${userId}' - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Get a page of the entitlement changes made to any user, newest first
+ * @param {Omit<AuditQueryOptions, 'userId'>} options - pagination and search options
+ */
+export async function getAuditRecords(options) {
+  logger.info('Getting audit records')
+
+  try {
+    return await getAuditPage(options)
+  } catch (err) {
+    logger.error(
+      err,
+      `[getAuditRecords] Failed to get audit records - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Map the last audit record for a user to the user as they were when it was
+ * made
+ * @param {WithId<EntitlementAuditRecord>} document - audit record (with ID)
+ * @returns {EntitlementUser}
+ */
+export function mapAuditRecordToUser(document) {
+  const data = /** @type {EntitlementMessageData} */ (document.data)
+  const roles = /** @type {Roles[]} */ (data.roles)
+
+  return {
+    userId: data.userId,
+    roles,
+    email: data.email,
+    displayName: data.displayName,
+    scopes: mapScopesToRoles(roles)
+  }
+}
+
+/**
+ * Get a user as they were at a point in time, rebuilt from the audit history
+ * @param {string} userId - ID of the user
+ * @param {Date} at - the time to get the user at
+ */
+export async function getUserAt(userId, at) {
+  logger.info(`Getting user with userID '${userId}' at ${at.toISOString()}`)
+
+  try {
+    const document = await getLatest(userId, at)
+
+    if (
+      !document ||
+      document.type === AuditEventMessageType.ENTITLEMENT_DELETED
+    ) {
+      throw Boom.notFound(
+        `User with ID '${userId}' not found at ${at.toISOString()}`
+      )
+    }
+
+    return mapAuditRecordToUser(document)
+  } catch (err) {
+    logger.info(
+      `[getUserAt] Failed to get user with userID '${userId}' at ${at.toISOString()} - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Get a page of users as they were at a point in time, rebuilt from the
+ * audit history
+ * @param {Date} at - the time to get the users at
+ * @param {UserQueryOptions} options - pagination, sorting and search options
+ */
+export async function getUsersAt(at, options) {
+  logger.info(`Getting all users at ${at.toISOString()}`)
+
+  const { page, perPage, sortBy, order, ...search } = options
+
+  try {
+    const { documents, totalItems } = await listLatest(at, options)
+
+    return {
+      entities: documents.map(mapAuditRecordToUser),
+      meta: {
+        pagination: {
+          page,
+          perPage,
+          totalItems,
+          totalPages: Math.ceil(totalItems / perPage)
+        },
+        sorting: { sortBy, order },
+        search: { ...search, at }
+      }
+    }
+  } catch (err) {
+    logger.error(
+      err,
+      `[getUsersAt] Failed to get all users at ${at.toISOString()} - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * @import { EntitlementMessageData, EntitlementUser, PaginationOptions, Roles } from '@defra/forms-model'
+ * @import { WithId } from 'mongodb'
+ * @import { AuditQueryOptions, EntitlementAuditRecord, UserQueryOptions } from '~/src/api/types.js'
+ */
@@ -0,0 +1,218 @@
+import {
+  AuditEventMessageType,
+  Roles,
+  mapScopesToRoles
+} from '@defra/forms-model'
+import { ObjectId } from 'mongodb'
+
+import {
+  getLatest,
+  list,
+  listLatest
+} from '~/src/repositories/audit-repository.js'
+import {
+  getAuditRecords,
+  getUserAt,
+  getUserHistory,
+  getUsersAt
+} from '~/src/services/audit.js'
+
+jest.mock('~/src/repositories/audit-repository.js')
+jest.mock('~/src/helpers/logging/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn()
+  }
+}))
+
+const now = new Date('2020-01-01T00:00:00Z')
+
+const record = /** @type {EntitlementAuditRecord} */ (
+  /** @type {unknown} */ ({
+    messageId: '6a1f0c52-3a4e-4f4b-9a57-0d2b1c3e4f5a',
+    schemaVersion: 1,
+    category: 'ENTITLEMENT',
+    source: 'ENTITLEMENT',
+    type: 'ENTITLEMENT_UPDATED',
+    entityId: 'user-1',
+    createdAt: now,
+    createdBy: { id: 'admin-id', displayName: 'Admin' },
+    data: { userId: 'user-1', roles: ['admin'] },
+    messageCreatedAt: now,
+    recordCreatedAt: now
+  })
+)
+
+const storedRecord = /** @type {EntitlementAuditRecord} */ (
+  /** @type {unknown} */ ({
+    ...record,
+    data: {
+      userId: 'user-1',
+      email: 'user-1@defra.gov.uk',
+      displayName: 'User 1',
+      roles: ['form-publisher']
+    }
+  })
+)
+
+describe('audit', () => {
+  describe('getUserHistory', () => {
+    test('should get a page of the changes made to a user', async () => {
+      jest.mocked(list).mockResolvedValue({
+        documents: [{ _id: new ObjectId(), ...record }],
+        totalItems: 11
+      })
+
+      const result = await getUserHistory('user-1', { page: 1, perPage: 10 })
+
+      expect(list).toHaveBeenCalledWith({
+        page: 1,
+        perPage: 10,
+        userId: 'user-1'
+      })
+      expect(result).toEqual({
+        entities: [record],
+        meta: {
+          pagination: { page: 1, perPage: 10, totalItems: 11, totalPages: 2 },
+          search: { userId: 'user-1' }
+        }
+      })
+    })
+
+    test('should rethrow errors', async () => {
+      jest.mocked(list).mockRejectedValue(new Error('db error'))
+
+      await expect(
+        getUserHistory('user-1', { page: 1, perPage: 10 })
+      ).rejects.toThrow('db error')
+    })
+  })
+
+  describe('getAuditRecords', () => {
+    test('should get a page of changes with the filters applied', async () => {
+      jest.mocked(list).mockResolvedValue({ documents: [], totalItems: 0 })
+
+      const options = {
+        page: 1,
+        perPage: 10,
+        actor: 'admin-id',
+        from: now
+      }
+
+      const result = await getAuditRecords(options)
+
+      expect(list).toHaveBeenCalledWith(options)
+      expect(result).toEqual({
+        entities: [],
+        meta: {
+          pagination: { page: 1, perPage: 10, totalItems: 0, totalPages: 0 },
+          search: { actor: 'admin-id', from: now }
+        }
+      })
+    })
+
+    test('should rethrow errors', async () => {
+      jest.mocked(list).mockRejectedValue(new Error('db error'))
+
+      await expect(getAuditRecords({ page: 1, perPage: 10 })).rejects.toThrow(
+        'db error'
+      )
+    })
+  })
+
+  describe('getUserAt', () => {
+    test('should rebuild the user from the last change before the time', async () => {
+      jest
+        .mocked(getLatest)
+        .mockResolvedValue({ _id: new ObjectId(), ...storedRecord })
+
+      await expect(getUserAt('user-1', now)).resolves.toEqual({
+        userId: 'user-1',
+        email: 'user-1@defra.gov.uk',
+        displayName: 'User 1',
+        roles: ['form-publisher'],
+        scopes: mapScopesToRoles([Roles.FormPublisher])
+      })
+      expect(getLatest).toHaveBeenCalledWith('user-1', now)
+    })
+
+    test('should throw 404 when the user had no entitlement yet', async () => {
+      jest.mocked(getLatest).mockResolvedValue(null)
+
+      await expect(getUserAt('user-1', now)).rejects.toThrow(
+        "User with ID 'user-1' not found at 2020-01-01T00:00:00.000Z"
+      )
+    })
+
+    test('should throw 404 when the user had been deleted', async () => {
+      jest.mocked(getLatest).mockResolvedValue(
+        /** @type {WithId<EntitlementAuditRecord>} */ ({
+          _id: new ObjectId(),
+          ...storedRecord,
+          type: AuditEventMessageType.ENTITLEMENT_DELETED
+        })
+      )
+
+      await expect(getUserAt('user-1', now)).rejects.toThrow(
+        expect.objectContaining({
+          output: expect.objectContaining({ statusCode: 404 })
+        })
+      )
+    })
+  })
+
+  describe('getUsersAt', () => {
+    test('should get a page of users rebuilt from their last change', async () => {
+      jest.mocked(listLatest).mockResolvedValue({
+        documents: [{ _id: new ObjectId(), ...storedRecord }],
+        totalItems: 1
+      })
+
+      const options = /** @type {const} */ ({
+        page: 1,
+        perPage: 10,
+        sortBy: 'updatedAt',
+        order: 'desc',
+        role: Roles.FormPublisher
+      })
+
+      const result = await getUsersAt(now, options)
+
+      expect(listLatest).toHaveBeenCalledWith(now, options)
+      expect(result).toEqual({
+        entities: [
+          {
+            userId: 'user-1',
+            email: 'user-1@defra.gov.uk',
+            displayName: 'User 1',
+            roles: ['form-publisher'],
+            scopes: mapScopesToRoles([Roles.FormPublisher])
+          }
+        ],
+        meta: {
+          pagination: { page: 1, perPage: 10, totalItems: 1, totalPages: 1 },
+          sorting: { sortBy: 'updatedAt', order: 'desc' },
+          search: { role: Roles.FormPublisher, at: now }
+        }
+      })
+    })
+
+    test('should rethrow errors', async () => {
+      jest.mocked(listLatest).mockRejectedValue(new Error('db error'))
+
+      await expect(
+        getUsersAt(now, {
+          page: 1,
+          perPage: 10,
+          sortBy: 'updatedAt',
+          order: 'desc'
+        })
+      ).rejects.toThrow('db error')
+    })
+  })
+})
+
+/**
+ * @import { WithId } from 'mongodb'
+ * @import { EntitlementAuditRecord } from '~/src/api/types.js'
+ */
@@ -12,6 +12,9 @@ import {
 } from '~/src/helpers/azure-error-constants.js'
 import { logger } from '~/src/helpers/logging/logger.js'
 
+const DEFAULT_PAGE_SIZE = 100
+const DEFAULT_MAX_PAGES = 50
+
 /**
  * Check if error indicates a 404 Not Found condition
  * @param {string|undefined} errorCode - Graph API error code
@@ -80,6 +83,21 @@ function handleGraphError(error, operation) {
   )
 }
 
+/**
+ * Map a page of Graph group members to users, dropping non-user members
+ * @param {any[]} members - Graph directory objects
+ * @returns {AzureUser[]}
+ */
+function mapGroupUsers(members) {
+  return members
+    .filter((member) => member['@odata.type'] === '#microsoft.graph.user')
+    .map((user) => ({
+      id: user.id,
+      displayName: user.displayName ?? user.userPrincipalName,
+      email: user.mail ?? user.userPrincipalName
+    }))
+}
+
 /**
  * Azure AD service for interacting with Microsoft Graph API
  */
@@ -109,38 +127,39 @@ class AzureAdService {
   }
 
   /**
-   * Get group members from Azure AD
+   * Get group members from Azure AD, following `@odata.nextLink` until every
+   * page has been read or the page ceiling is reached. In transitive mode,
+   * members of nested groups are included too
    * @param {string} groupId - The Azure AD group ID
-   * @returns {Promise<AzureUser[]>} Array of group members
+   * @param {GroupMembersOptions} [options] - Paging and nesting options
+   * @returns {Promise<GroupMembers>} Group members and paging details
    */
-  async getGroupMembers(groupId) {
+  async getGroupMembers(groupId, options = {}) {
+    const {
+      pageSize = DEFAULT_PAGE_SIZE,
+      maxPages = DEFAULT_MAX_PAGES,
+      transitive = false
+    } = options
+
     try {
       logger.info(
-        `[azureFetchGroupMembers] Fetching members for group: ${groupId}`
+        `[azureFetchGroupMembers] Fetching ${transitive ? 'transitive ' : ''}members for group: ${groupId}`
       )
 
-      const members = await this.graphClient
-        .api(`/groups/${groupId}/members`)
-        .select('id,displayName,mail,userPrincipalName')
-        .get()
+      const result = transitive
+        ? await this.getTransitiveGroupMembers(groupId, pageSize, maxPages)
+        : await this.getDirectGroupMembers(groupId, pageSize, maxPages)
 
-      const users = members.value
-        .filter(
-          /** @param {any} member */ (member) =>
-            member['@odata.type'] === '#microsoft.graph.user'
-        )
-        .map(
-          /** @param {any} user */ (user) => ({
-            id: user.id,
-            displayName: user.displayName ?? user.userPrincipalName,
-            email: user.mail ?? user.userPrincipalName
-          })
+      if (result.truncated) {
+        logger.warn(
+          `[azureFetchGroupMembers] Stopped after ${result.pageCount} pages for group ${groupId} - more members remain`
         )
+      }
 
       logger.info(
-        `[azureFetchGroupMembers] Found ${users.length} users in group ${groupId}`
+        `[azureFetchGroupMembers] Found ${result.users.length} users in ${result.pageCount} pages for group ${groupId}`
       )
-      return users
+      return result
     } catch (err) {
       logger.error(
         err,
@@ -152,6 +171,118 @@ class AzureAdService {
     }
   }
 
+  /**
+   * Read every page of a group's direct members, up to the page ceiling
+   * @param {string} groupId - The Azure AD group ID
+   * @param {number} pageSize - Number of members to request per page
+   * @param {number} maxPages - Maximum number of pages to read
+   * @returns {Promise<{ members: any[], pageCount: number, truncated: boolean }>} Raw Graph directory objects
+   */
+  async getMemberPages(groupId, pageSize, maxPages) {
+    const members = []
+    let pageCount = 0
+
+    let page = await this.graphClient
+      .api(`/groups/${groupId}/members`)
+      .select('id,displayName,mail,userPrincipalName')
+      .top(pageSize)
+      .get()
+
+    for (;;) {
+      pageCount++
+      members.push(...page.value)
+
+      if (!page['@odata.nextLink'] || pageCount >= maxPages) {
+        break
+      }
+
+      page = await this.graphClient.api(page['@odata.nextLink']).get()
+    }
+
+    return {
+      members,
+      pageCount,
+      truncated: Boolean(page['@odata.nextLink'])
+    }
+  }
+
+  /**
+   * Get the users that are direct members of a group
+   * @param {string} groupId - The Azure AD group ID
+   * @param {number} pageSize - Number of members to request per page
+   * @param {number} maxPages - Maximum number of pages to read
+   * @returns {Promise<GroupMembers>}
+   */
+  async getDirectGroupMembers(groupId, pageSize, maxPages) {
+    const { members, pageCount, truncated } = await this.getMemberPages(
+      groupId,
+      pageSize,
+      maxPages
+    )
+
+    return { users: mapGroupUsers(members), pageCount, truncated }
+  }
+
+  /**
+   * Get the users that are members of a group or any group nested within it.
+   * Each group is expanded once, so cycles between groups are harmless, and
+   * users reachable through several groups are only returned once
+   * @param {string} groupId - The Azure AD group ID
+   * @param {number} pageSize - Number of members to request per page
+   * @param {number} maxPages - Maximum number of pages to read across all groups
+   * @returns {Promise<GroupMembers>}
+   */
+  async getTransitiveGroupMembers(groupId, pageSize, maxPages) {
+    /** @type {Map<string, AzureUser>} */
+    const usersById = new Map()
+    const visitedGroupIds = new Set([groupId])
+    const pendingGroupIds = [groupId]
+    let pageCount = 0
+    let truncated = false
+
+    for (const currentGroupId of pendingGroupIds) {
+      if (pageCount >= maxPages) {
+        truncated = true
+        break
+      }
+
+      const result = await this.getMemberPages(
+        currentGroupId,
+        pageSize,
+        maxPages - pageCount
+      )
+
+      pageCount += result.pageCount
+
+      for (const user of mapGroupUsers(result.members)) {
+        if (!usersById.has(user.id)) {
+          usersById.set(user.id, user)
+        }
+      }
+
+      for (const member of result.members) {
+        if (
+          member['@odata.type'] === '#microsoft.graph.group' &&
+          !visitedGroupIds.has(member.id)
+        ) {
+          visitedGroupIds.add(member.id)
+          pendingGroupIds.push(member.id)
+        }
+      }
+
+      if (result.truncated) {
+        truncated = true
+        break
+      }
+    }
+
+    logger.info(
+      `[azureFetchGroupMembers] Expanded ${visitedGroupIds.size} groups nested under ${groupId}`
+    )
+
+    return { users: [...usersById.values()], pageCount, truncated }
+  }
+
   /**
    * Look up a user by email address and get their Azure AD details
    * @param {string} email - The user's email address
@@ -250,3 +381,17 @@ export function getAzureAdService() {
  * @property {string} displayName - User's display name (givenName + surname)
  * @property {string} email - User's email address
  */
+
+/**
+ * @typedef {object} GroupMembersOptions
+ * @property {number} [pageSize] - Number of members to request per Graph page
+ * @property {number} [maxPages] - Safety ceiling on the number of pages to read
+ * @property {boolean} [transitive] - Include members of nested groups
+ */
+
+/**
+ * @typedef {object} GroupMembers
+ * @property {AzureUser[]} users - Users that are members of the group
+ * @property {number} pageCount - Number of Graph pages read
+ * @property {boolean} truncated - True if the page ceiling was reached before the last page
+ */
@@ -23,6 +23,7 @@ jest.mock('@microsoft/microsoft-graph-client', () => ({
     initWithMiddleware: jest.fn().mockReturnValue({
       api: jest.fn().mockReturnThis(),
       select: jest.fn().mockReturnThis(),
+      top: jest.fn().mockReturnThis(),
       get: jest.fn()
     })
   }
@@ -68,6 +69,7 @@ describe('Azure AD Service', () => {
     mockGraphClient = {
       api: jest.fn().mockReturnThis(),
       select: jest.fn().mockReturnThis(),
+      top: jest.fn().mockReturnThis(),
       get: jest.fn()
     }
 
@@ -120,7 +122,9 @@ describe('Azure AD Service', () => {
 
       const result = await service.getGroupMembers('test-group-id')
 
-      expect(result).toEqual([
+      expect(result.pageCount).toBe(1)
+      expect(result.truncated).toBe(false)
+      expect(result.users).toEqual([
         {
           id: 'user1',
           displayName: 'John Doe',
@@ -144,6 +148,94 @@ describe('Azure AD Service', () => {
       expect(mockGraphClient.select).toHaveBeenCalledWith(
         'id,displayName,mail,userPrincipalName'
       )
+      expect(mockGraphClient.top).toHaveBeenCalledWith(100)
+    })
+
+    test('should follow @odata.nextLink until the last page', async () => {
+      const nextLink =
+        'https://graph.microsoft.com/v1.0/groups/test-group-id/members?$skiptoken=abc'
+
+      mockGraphClient.get
+        .mockResolvedValueOnce({
+          value: [
+            {
+              '@odata.type': '#microsoft.graph.user',
+              id: 'user1',
+              displayName: 'John Doe',
+              mail: 'john.doe@defra.gov.uk'
+            }
+          ],
+          '@odata.nextLink': nextLink
+        })
+        .mockResolvedValueOnce({
+          value: [
+            {
+              '@odata.type': '#microsoft.graph.user',
+              id: 'user2',
+              displayName: 'Jane Smith',
+              mail: 'jane.smith@defra.gov.uk'
+            }
+          ]
+        })
+
+      const result = await service.getGroupMembers('test-group-id', {
+        pageSize: 1
+      })
+
+      expect(mockGraphClient.top).toHaveBeenCalledWith(1)
+      expect(mockGraphClient.api).toHaveBeenNthCalledWith(2, nextLink)
+      expect(result).toEqual({
+        users: [
+          {
+            id: 'user1',
+            displayName: 'John Doe',
+            email: 'john.doe@defra.gov.uk'
+          },
+          {
+            id: 'user2',
+            displayName: 'Jane Smith',
+            email: 'jane.smith@defra.gov.uk'
+          }
+        ],
+        pageCount: 2,
+        truncated: false
+      })
+    })
+
+    test('should stop at the page ceiling and report truncation', async () => {
+      mockGraphClient.get.mockResolvedValue({
+        value: [
+          {
+            '@odata.type': '#microsoft.graph.user',
+            id: 'user1',
+            displayName: 'John Doe',
+            mail: 'john.doe@defra.gov.uk'
+          }
+        ],
+        '@odata.nextLink': 'https://graph.microsoft.com/v1.0/next'
+      })
+
+      const result = await service.getGroupMembers('test-group-id', {
+        maxPages: 3
+      })
+
+      expect(mockGraphClient.get).toHaveBeenCalledTimes(3)
+      expect(result.pageCount).toBe(3)
+      expect(result.truncated).toBe(true)
+      expect(result.users).toHaveLength(3)
+    })
+
+    test('should throw if a later page fails', async () => {
+      mockGraphClient.get
+        .mockResolvedValueOnce({
+          value: [],
+          '@odata.nextLink': 'https://graph.microsoft.com/v1.0/next'
+        })
+        .mockRejectedValueOnce(new Error('Throttled'))
+
+      await expect(service.getGroupMembers('test-group-id')).rejects.toThrow(
+        Boom.internal('Failed to fetch group members: Throttled')
+      )
     })
 
     test('should handle errors and throw Boom internal error', async () => {
@@ -175,7 +267,126 @@ describe('Azure AD Service', () => {
 
       const result = await service.getGroupMembers('test-group-id')
 
-      expect(result).toEqual([])
+      expect(result.users).toEqual([])
+    })
+  })
+
+  describe('getGroupMembers (transitive)', () => {
+    /**
+     * @param {string} id
+     * @param {string} displayName
+     */
+    const graphUser = (id, displayName) => ({
+      '@odata.type': '#microsoft.graph.user',
+      id,
+      displayName,
+      mail: `${id}@defra.gov.uk`
+    })
+
+    /**
+     * @param {string} id
+     */
+    const graphGroup = (id) => ({
+      '@odata.type': '#microsoft.graph.group',
+      id,
+      displayName: `Group ${id}`
+    })
+
+    test('should include members of nested groups', async () => {
+      mockGraphClient.get
+        .mockResolvedValueOnce({
+          value: [graphUser('user1', 'John Doe'), graphGroup('nested-group')]
+        })
+        .mockResolvedValueOnce({
+          value: [graphUser('user2', 'Jane Smith')]
+        })
+
+      const result = await service.getGroupMembers('test-group-id', {
+        transitive: true
+      })
+
+      expect(mockGraphClient.api).toHaveBeenNthCalledWith(
+        1,
+        '/groups/test-group-id/members'
+      )
+      expect(mockGraphClient.api).toHaveBeenNthCalledWith(
+        2,
+        '/groups/nested-group/members'
+      )
+      expect(result).toEqual({
+        users: [
+          {
+            id: 'user1',
+            displayName: 'John Doe',
+            email: 'user1@defra.gov.uk'
+          },
+          {
+            id: 'user2',
+            displayName: 'Jane Smith',
+            email: 'user2@defra.gov.uk'
+          }
+        ],
+        pageCount: 2,
+        truncated: false
+      })
+    })
+
+    test('should return users reachable through several groups once', async () => {
+      mockGraphClient.get
+        .mockResolvedValueOnce({
+          value: [graphUser('user1', 'John Doe'), graphGroup('nested-group')]
+        })
+        .mockResolvedValueOnce({
+          value: [graphUser('user1', 'John Doe')]
+        })
+
+      const result = await service.getGroupMembers('test-group-id', {
+        transitive: true
+      })
+
+      expect(result.users).toHaveLength(1)
+    })
+
+    test('should expand each group once when groups are nested in a cycle', async () => {
+      mockGraphClient.get
+        .mockResolvedValueOnce({
+          value: [graphGroup('nested-group')]
+        })
+        .mockResolvedValueOnce({
+          value: [graphUser('user1', 'John Doe'), graphGroup('test-group-id')]
+        })
+
+      const result = await service.getGroupMembers('test-group-id', {
+        transitive: true
+      })
+
+      expect(mockGraphClient.api).toHaveBeenCalledTimes(2)
+      expect(result.users).toHaveLength(1)
+      expect(result.truncated).toBe(false)
+    })
+
+    test('should apply the page ceiling across all nested groups', async () => {
+      mockGraphClient.get
+        .mockResolvedValueOnce({
+          value: [
+            graphUser('user1', 'John Doe'),
+            graphGroup('nested-group-1'),
+            graphGroup('nested-group-2')
+          ]
+        })
+        .mockResolvedValueOnce({
+          value: [graphUser('user2', 'Jane Smith')]
+        })
+
+      const result = await service.getGroupMembers('test-group-id', {
+        transitive: true,
+        maxPages: 2
+      })
+
+      expect(mockGraphClient.get).toHaveBeenCalledTimes(2)
+      expect(result.pageCount).toBe(2)
+      expect(result.truncated).toBe(true)
+      expect(result.users).toHaveLength(2)
     })
   })
 
@@ -497,7 +708,7 @@ describe('Azure AD Service', () => {
 
       const result = await service.getGroupMembers('test-group-id')
 
-      expect(result).toEqual([
+      expect(result.users).toEqual([
         {
           id: 'user1',
           displayName: 'John Doe',
@@ -690,7 +901,7 @@ describe('Azure AD Service', () => {
 
       const result = await service.getGroupMembers('empty-group-id')
 
-      expect(result).toEqual([])
+      expect(result).toEqual({ users: [], pageCount: 1, truncated: false })
     })
   })
 })
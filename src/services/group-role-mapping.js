@@ -0,0 +1,234 @@
+import { Roles, getErrorMessage } from '@defra/forms-model'
+import Boom from '@hapi/boom'
+
+import { config } from '~/src/config/index.js'
+import { validateSuperadmin } from '~/src/helpers/authorisation.js'
+import { logger } from '~/src/helpers/logging/logger.js'
+import {
+  create,
+  get,
+  getAll,
+  remove,
+  update
+} from '~/src/repositories/group-role-mapping-repository.js'
+import { groupRoleMappingsSchema } from '~/src/schemas/group-role-mapping.js'
+
+/**
+ * Precedence of the built-in role editor group mapping. Stored mappings are
+ * capped below this, so membership of the role editor group always wins.
+ */
+export const ROLE_EDITOR_GROUP_PRECEDENCE = 1000
+
+/**
+ * Maps a group role mapping document from MongoDB to a group role mapping
+ * @param {WithId<StoredGroupRoleMapping>} document - group role mapping document (with ID)
+ * @returns {StoredGroupRoleMapping}
+ */
+export function mapGroupRoleMapping(document) {
+  return {
+    groupId: document.groupId,
+    role: document.role,
+    precedence: document.precedence,
+    authoritative: document.authoritative,
+    description: document.description,
+    createdAt: document.createdAt,
+    createdBy: document.createdBy,
+    updatedAt: document.updatedAt,
+    updatedBy: document.updatedBy
+  }
+}
+
+/**
+ * Get the audit identity of the calling user
+ * @param {CallingUser} callingUser
+ * @returns {AuditUser}
+ */
+function toAuditUser(callingUser) {
+  return { id: callingUser.id, displayName: callingUser.displayName }
+}
+
+/**
+ * Reject mappings for the role editor group, which is always mapped to superadmin
+ * @param {string} groupId - Azure AD group ID
+ */
+function validateNotRoleEditorGroup(groupId) {
+  if (groupId === config.get('roleEditorGroupId')) {
+    throw Boom.badRequest(
+      'The role editor group is always mapped to the superadmin role'
+    )
+  }
+}
+
+/**
+ * Get all stored group role mappings
+ * @param {CallingUser} callingUser
+ */
+export async function getGroupRoleMappings(callingUser) {
+  validateSuperadmin(callingUser.roles)
+
+  const documents = await getAll()
+
+  return documents.map(mapGroupRoleMapping)
+}
+
+/**
+ * Get a stored group role mapping
+ * @param {string} groupId - Azure AD group ID
+ * @param {CallingUser} callingUser
+ */
+export async function getGroupRoleMapping(groupId, callingUser) {
+  validateSuperadmin(callingUser.roles)
+
+  return mapGroupRoleMapping(await get(groupId))
+}
+
+/**
+ * Add a group role mapping
+ * @param {GroupRoleMapping} mapping
+ * @param {CallingUser} callingUser
+ */
+export async function addGroupRoleMapping(mapping, callingUser) {
+  logger.info(`Adding group role mapping for group '${mapping.groupId}'`)
+
+  try {
+    validateSuperadmin(callingUser.roles)
+    validateNotRoleEditorGroup(mapping.groupId)
+
+    const auditUser = toAuditUser(callingUser)
+    const now = new Date()
+
+    /** @type {StoredGroupRoleMapping} */
+    const document = {
+      ...mapping,
+      createdAt: now,
+      createdBy: auditUser,
+      updatedAt: now,
+      updatedBy: auditUser
+    }
+
+    await create(document)
+
+    return document
+  } catch (err) {
+    logger.error(
+      err,
+      `[addGroupRoleMapping] Failed to add group role mapping - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Update a group role mapping
+ * @param {string} groupId - Azure AD group ID
+ * @param {GroupRoleMappingUpdateRequest} changes
+ * @param {CallingUser} callingUser
+ */
+export async function updateGroupRoleMapping(groupId, changes, callingUser) {
+  logger.info(`Updating group role mapping for group '${groupId}'`)
+
+  try {
+    validateSuperadmin(callingUser.roles)
+
+    await update(groupId, {
+      ...changes,
+      updatedAt: new Date(),
+      updatedBy: toAuditUser(callingUser)
+    })
+
+    return mapGroupRoleMapping(await get(groupId))
+  } catch (err) {
+    logger.error(
+      err,
+      `[updateGroupRoleMapping] Failed to update group role mapping - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Delete a group role mapping. Users keep the roles the mapping gave them
+ * until they are changed by hand or by another mapping.
+ * @param {string} groupId - Azure AD group ID
+ * @param {CallingUser} callingUser
+ */
+export async function deleteGroupRoleMapping(groupId, callingUser) {
+  logger.info(`Deleting group role mapping for group '${groupId}'`)
+
+  try {
+    validateSuperadmin(callingUser.roles)
+
+    await remove(groupId)
+
+    return { id: groupId }
+  } catch (err) {
+    logger.error(
+      err,
+      `[deleteGroupRoleMapping] Failed to delete group role mapping - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  }
+}
+
+/**
+ * Get the mappings set in config, checked as they would be through
+ * /group-mappings
+ * @returns {GroupRoleMapping[]}
+ */
+function getConfigGroupRoleMappings() {
+  /** @type {{ error?: ValidationError, value: GroupRoleMapping[] }} */
+  const { error, value } = groupRoleMappingsSchema.validate(
+    config.get('sync.groupMappings.mappings'),
+    { abortEarly: false }
+  )
+
+  if (error) {
+    throw new Error(`Invalid group role mappings in config - ${error.message}`)
+  }
+
+  return value
+}
+
+/**
+ * Get the mappings the sync should apply: the role editor group mapped to
+ * superadmin, followed by the mappings from the configured source
+ * @returns {Promise<GroupRoleMapping[]>}
+ */
+export async function getEffectiveGroupRoleMappings() {
+  /** @type {GroupRoleMapping} */
+  const roleEditorMapping = {
+    groupId: config.get('roleEditorGroupId'),
+    role: Roles.Superadmin,
+    precedence: ROLE_EDITOR_GROUP_PRECEDENCE,
+    authoritative: true,
+    description: 'Role editor group'
+  }
+
+  const mappings =
+    config.get('sync.groupMappings.source') === 'mongo'
+      ? await getAll()
+      : getConfigGroupRoleMappings()
+
+  return [
+    roleEditorMapping,
+    ...mappings
+      .filter((mapping) => mapping.groupId !== roleEditorMapping.groupId)
+      .map(({ groupId, role, precedence, authoritative, description }) => ({
+        groupId,
+        role,
+        precedence,
+        authoritative,
+        description
+      }))
+  ]
+}
+
+/**
+ * @import { AuditUser } from '@defra/forms-model'
+ * @import { ValidationError } from 'joi'
+ * @import { WithId } from 'mongodb'
+ * @import { CallingUser, GroupRoleMapping, GroupRoleMappingUpdateRequest, StoredGroupRoleMapping } from '~/src/api/types.js'
+ */
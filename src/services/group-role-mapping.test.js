@@ -0,0 +1,261 @@
+import { Roles } from '@defra/forms-model'
+import { ObjectId } from 'mongodb'
+
+import { config } from '~/src/config/index.js'
+import {
+  callingUser as admin,
+  superadminCallingUser as superadmin
+} from '~/src/messaging/__stubs__/users.js'
+import {
+  create,
+  get,
+  getAll,
+  remove,
+  update
+} from '~/src/repositories/group-role-mapping-repository.js'
+import {
+  ROLE_EDITOR_GROUP_PRECEDENCE,
+  addGroupRoleMapping,
+  deleteGroupRoleMapping,
+  getEffectiveGroupRoleMappings,
+  getGroupRoleMapping,
+  getGroupRoleMappings,
+  updateGroupRoleMapping
+} from '~/src/services/group-role-mapping.js'
+
+jest.mock('~/src/repositories/group-role-mapping-repository.js')
+jest.mock('~/src/helpers/logging/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }
+}))
+jest.mock('~/src/config/index.js', () => ({
+  config: {
+    get: jest.fn()
+  }
+}))
+
+jest.useFakeTimers().setSystemTime(new Date('2020-01-01'))
+
+const auditUser = { id: superadmin.id, displayName: superadmin.displayName }
+
+/** @type {GroupRoleMapping} */
+const mapping = {
+  groupId: 'admin-group-id',
+  role: Roles.Admin,
+  precedence: 10,
+  authoritative: true
+}
+
+const storedMapping = {
+  _id: new ObjectId(),
+  ...mapping,
+  createdAt: new Date('2020-01-01'),
+  createdBy: auditUser,
+  updatedAt: new Date('2020-01-01'),
+  updatedBy: auditUser
+}
+
+describe('Group role mapping service', () => {
+  /** @type {Record<string, unknown>} */
+  let mockConfig
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    mockConfig = {
+      roleEditorGroupId: 'role-editor-group-id',
+      'sync.groupMappings.source': 'mongo'
+    }
+
+    jest
+      .mocked(config.get)
+      .mockImplementation((key) => /** @type {any} */ (mockConfig[String(key)]))
+
+    jest.mocked(getAll).mockResolvedValue([storedMapping])
+    jest.mocked(get).mockResolvedValue(storedMapping)
+  })
+
+  describe('getGroupRoleMappings', () => {
+    it('should return the stored mappings without their IDs', async () => {
+      const result = await getGroupRoleMappings(superadmin)
+
+      expect(result).toEqual([
+        {
+          ...mapping,
+          createdAt: new Date('2020-01-01'),
+          createdBy: auditUser,
+          updatedAt: new Date('2020-01-01'),
+          updatedBy: auditUser
+        }
+      ])
+    })
+
+    it('should forbid callers who are not superadmins', async () => {
+      await expect(getGroupRoleMappings(admin)).rejects.toThrow(
+        'Only superadmins can perform this action'
+      )
+      expect(getAll).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getGroupRoleMapping', () => {
+    it('should return the stored mapping', async () => {
+      const result = await getGroupRoleMapping('admin-group-id', superadmin)
+
+      expect(get).toHaveBeenCalledWith('admin-group-id')
+      expect(result).not.toHaveProperty('_id')
+    })
+  })
+
+  describe('addGroupRoleMapping', () => {
+    it('should store the mapping with audit fields', async () => {
+      const result = await addGroupRoleMapping(mapping, superadmin)
+
+      const expected = {
+        ...mapping,
+        createdAt: new Date('2020-01-01'),
+        createdBy: auditUser,
+        updatedAt: new Date('2020-01-01'),
+        updatedBy: auditUser
+      }
+
+      expect(create).toHaveBeenCalledWith(expected)
+      expect(result).toEqual(expected)
+    })
+
+    it('should reject a mapping for the role editor group', async () => {
+      await expect(
+        addGroupRoleMapping(
+          { ...mapping, groupId: 'role-editor-group-id' },
+          superadmin
+        )
+      ).rejects.toThrow(
+        'The role editor group is always mapped to the superadmin role'
+      )
+      expect(create).not.toHaveBeenCalled()
+    })
+
+    it('should forbid callers who are not superadmins', async () => {
+      await expect(addGroupRoleMapping(mapping, admin)).rejects.toThrow(
+        'Only superadmins can perform this action'
+      )
+      expect(create).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('updateGroupRoleMapping', () => {
+    it('should update the mapping and return the stored result', async () => {
+      const changes = {
+        role: Roles.FormPublisher,
+        precedence: 5,
+        authoritative: false
+      }
+
+      const result = await updateGroupRoleMapping(
+        'admin-group-id',
+        changes,
+        superadmin
+      )
+
+      expect(update).toHaveBeenCalledWith('admin-group-id', {
+        ...changes,
+        updatedAt: new Date('2020-01-01'),
+        updatedBy: auditUser
+      })
+      expect(result.groupId).toBe('admin-group-id')
+    })
+  })
+
+  describe('deleteGroupRoleMapping', () => {
+    it('should remove the mapping', async () => {
+      const result = await deleteGroupRoleMapping('admin-group-id', superadmin)
+
+      expect(remove).toHaveBeenCalledWith('admin-group-id')
+      expect(result).toEqual({ id: 'admin-group-id' })
+    })
+
+    it('should forbid callers who are not superadmins', async () => {
+      await expect(
+        deleteGroupRoleMapping('admin-group-id', admin)
+      ).rejects.toThrow('Only superadmins can perform this action')
+      expect(remove).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getEffectiveGroupRoleMappings', () => {
+    const roleEditorMapping = {
+      groupId: 'role-editor-group-id',
+      role: Roles.Superadmin,
+      precedence: ROLE_EDITOR_GROUP_PRECEDENCE,
+      authoritative: true,
+      description: 'Role editor group'
+    }
+
+    it('should only map the role editor group when config has no mappings', async () => {
+      mockConfig['sync.groupMappings.source'] = 'config'
+      mockConfig['sync.groupMappings.mappings'] = []
+
+      const result = await getEffectiveGroupRoleMappings()
+
+      expect(result).toEqual([roleEditorMapping])
+      expect(getAll).not.toHaveBeenCalled()
+    })
+
+    it('should add the mappings in config when the source is config', async () => {
+      const configMapping = {
+        groupId: '7a2e3c1d-51b4-4f1c-9a3e-0c3f7b1e8d42',
+        role: Roles.FormPublisher,
+        precedence: 10,
+        authoritative: false,
+        description: 'Publishers'
+      }
+
+      mockConfig['sync.groupMappings.source'] = 'config'
+      mockConfig['sync.groupMappings.mappings'] = [configMapping]
+
+      const result = await getEffectiveGroupRoleMappings()
+
+      expect(result).toEqual([roleEditorMapping, configMapping])
+      expect(getAll).not.toHaveBeenCalled()
+    })
+
+    it('should throw when the mappings in config are invalid', async () => {
+      mockConfig['sync.groupMappings.source'] = 'config'
+      mockConfig['sync.groupMappings.mappings'] = [
+        { groupId: 'not-a-guid', role: Roles.Admin, precedence: 10 }
+      ]
+
+      await expect(getEffectiveGroupRoleMappings()).rejects.toThrow(
+        'Invalid group role mappings in config'
+      )
+    })
+
+    it('should add the stored mappings when the source is mongo', async () => {
+      const result = await getEffectiveGroupRoleMappings()
+
+      expect(result).toEqual([
+        roleEditorMapping,
+        { ...mapping, description: undefined }
+      ])
+    })
+
+    it('should ignore a stored mapping for the role editor group', async () => {
+      jest
+        .mocked(getAll)
+        .mockResolvedValue([
+          { ...storedMapping, groupId: 'role-editor-group-id' }
+        ])
+
+      const result = await getEffectiveGroupRoleMappings()
+
+      expect(result).toEqual([roleEditorMapping])
+    })
+  })
+})
+
+/**
+ * @import { GroupRoleMapping } from '~/src/api/types.js'
+ */
@@ -0,0 +1,682 @@
+import { Roles, getErrorMessage } from '@defra/forms-model'
+
+import { config } from '~/src/config/index.js'
+import { logger } from '~/src/helpers/logging/logger.js'
+import {
+  saveEntitlementCreatedEvent,
+  saveEntitlementDeletedEvent,
+  saveEntitlementUpdatedEvent
+} from '~/src/messaging/publish.js'
+import { client } from '~/src/mongo.js'
+import { withLock } from '~/src/repositories/lock-repository.js'
+import {
+  create,
+  getAllUserRoles,
+  remove,
+  update
+} from '~/src/repositories/user-repository.js'
+import { getAzureAdService } from '~/src/services/azure-ad.js'
+import { getEffectiveGroupRoleMappings } from '~/src/services/group-role-mapping.js'
+import { getSyncRunUser, recordSyncRun } from '~/src/services/sync-run.js'
+import { validateSuperadminsRemain } from '~/src/services/user.js'
+
+const ADMIN_SYNC_TASK = 'admin-user-sync'
+
+// Most privileged first - breaks ties between mappings of equal precedence
+const ROLE_PRIVILEGE_ORDER = [
+  Roles.Superadmin,
+  Roles.Admin,
+  Roles.FormPublisher,
+  Roles.FormCreator
+]
+
+/**
+ * Compare mappings so the one that wins for a user sorts first
+ * @param {GroupRoleMapping} a
+ * @param {GroupRoleMapping} b
+ */
+function compareMappings(a, b) {
+  return (
+    b.precedence - a.precedence ||
+    ROLE_PRIVILEGE_ORDER.indexOf(a.role) - ROLE_PRIVILEGE_ORDER.indexOf(b.role)
+  )
+}
+
+/**
+ * Check whether two role lists hold the same roles
+ * @param {Roles[]} a
+ * @param {Roles[]} b
+ */
+function isSameRoles(a, b) {
+  return a.length === b.length && a.every((role) => b.includes(role))
+}
+
+/**
+ * Get the roles this sync may take away. A role is only revocable when an
+ * authoritative mapping grants it and every group granting it was listed in
+ * full - a truncated or empty listing may be missing people who still hold it.
+ * @param {GroupMembership[]} memberships - Mapped groups and their members
+ * @returns {Set<Roles>}
+ */
+export function getRevocableRoles(memberships) {
+  if (config.get('sync.adminUsers.removalPolicy') === 'none') {
+    return new Set()
+  }
+
+  const revocableRoles = new Set(
+    memberships
+      .filter(({ mapping }) => mapping.authoritative)
+      .map(({ mapping }) => mapping.role)
+  )
+
+  for (const { mapping, members, truncated } of memberships) {
+    if (truncated || members.length === 0) {
+      revocableRoles.delete(mapping.role)
+    }
+  }
+
+  return revocableRoles
+}
+
+/**
+ * Get the roles left for a user who has lost every role they held
+ * @param {Set<Roles>} revocableRoles - Roles taken away this run
+ * @returns {Roles[] | null} The fallback roles, or null if the user should be removed
+ */
+function getFallbackRoles(revocableRoles) {
+  if (config.get('sync.adminUsers.removalPolicy') === 'remove') {
+    return null
+  }
+
+  const demotedRole = /** @type {Roles} */ (
+    config.get('sync.adminUsers.demotedRole')
+  )
+
+  return revocableRoles.has(demotedRole) ? null : [demotedRole]
+}
+
+/**
+ * Check whether revocations are safe to apply. A sync that would take roles
+ * away from more than the configured percentage of the users holding
+ * revocable roles (always allowing at least one) is assumed to be working
+ * from an incomplete group listing.
+ * @param {number} revocationCount - Number of users losing roles
+ * @param {number} holderCount - Number of stored users holding a revocable role
+ */
+function canApplyRevocations(revocationCount, holderCount) {
+  if (revocationCount === 0) {
+    return false
+  }
+
+  const maxRemovalPercentage = config.get(
+    'sync.adminUsers.maxRemovalPercentage'
+  )
+  const maxRevocations = Math.max(
+    1,
+    Math.floor((holderCount * maxRemovalPercentage) / 100)
+  )
+
+  if (revocationCount > maxRevocations) {
+    logger.error(
+      `[adminSyncRemovalLimit] Skipping role removal for ${revocationCount} of ${holderCount} users - exceeds the limit of ${maxRevocations}. Check the mapped group listings are complete`
+    )
+    return false
+  }
+
+  return true
+}
+
+/**
+ * Work out the changes needed to bring stored users in line with the mapped
+ * groups. Each member gets the role of the highest precedence mapping they
+ * are in: an authoritative mapping replaces their roles, an additive one adds
+ * to them. Stored users who are no longer in a group lose its role if the
+ * role is revocable.
+ * @param {GroupMembership[]} memberships - Mapped groups and their members
+ * @param {UserRoles[]} storedUsers - All stored users
+ * @returns {SyncPlan}
+ */
+export function planGroupSync(memberships, storedUsers) {
+  const revocableRoles = getRevocableRoles(memberships)
+  const ordered = [...memberships].sort((a, b) =>
+    compareMappings(a.mapping, b.mapping)
+  )
+
+  /** @type {Map<string, { member: AzureUser, mapping: GroupRoleMapping, memberRoles: Set<Roles> }>} */
+  const grants = new Map()
+
+  for (const { mapping, members } of ordered) {
+    for (const member of members) {
+      const grant = grants.get(member.id)
+
+      if (grant) {
+        grant.memberRoles.add(mapping.role)
+      } else {
+        grants.set(member.id, {
+          member,
+          mapping,
+          memberRoles: new Set([mapping.role])
+        })
+      }
+    }
+  }
+
+  const storedUsersById = new Map(
+    storedUsers
+      .filter((user) => user.userId)
+      .map((user) => [
+        user.userId,
+        {
+          ...user,
+          // eslint-disable-next-line @typescript-eslint/no-unnecessary-condition -- older documents may have been stored without roles
+          roles: user.roles ?? []
+        }
+      ])
+  )
+
+  /** @type {SyncPlan} */
+  const plan = {
+    creates: [],
+    updates: [],
+    revocations: [],
+    unchanged: [],
+    revocationsAllowed: false
+  }
+
+  for (const [userId, { member, mapping, memberRoles }] of grants) {
+    const storedUser = storedUsersById.get(userId)
+
+    if (!storedUser) {
+      plan.creates.push({
+        userId,
+        email: member.email,
+        displayName: member.displayName,
+        previousRoles: null,
+        roles: [mapping.role]
+      })
+      continue
+    }
+
+    const keptRoles = storedUser.roles.filter(
+      (role) => memberRoles.has(role) || !revocableRoles.has(role)
+    )
+
+    let roles = keptRoles
+
+    if (mapping.authoritative) {
+      roles = [mapping.role]
+    } else if (!keptRoles.includes(mapping.role)) {
+      roles = [...keptRoles, mapping.role]
+    }
+
+    const change = {
+      userId,
+      email: storedUser.email,
+      displayName: storedUser.displayName,
+      previousRoles: storedUser.roles,
+      roles
+    }
+
+    if (isSameRoles(storedUser.roles, roles)) {
+      plan.unchanged.push(change)
+    } else {
+      plan.updates.push(change)
+    }
+  }
+
+  let holderCount = 0
+
+  for (const [userId, storedUser] of storedUsersById) {
+    if (!storedUser.roles.some((role) => revocableRoles.has(role))) {
+      continue
+    }
+
+    holderCount++
+
+    if (grants.has(userId)) {
+      continue
+    }
+
+    const roles = storedUser.roles.filter((role) => !revocableRoles.has(role))
+
+    plan.revocations.push({
+      userId,
+      email: storedUser.email,
+      displayName: storedUser.displayName,
+      previousRoles: storedUser.roles,
+      roles: roles.length ? roles : getFallbackRoles(revocableRoles)
+    })
+  }
+
+  plan.revocationsAllowed = canApplyRevocations(
+    plan.revocations.length,
+    holderCount
+  )
+
+  return plan
+}
+
+/**
+ * Get the privilege rank of the most privileged role in a list (0 is highest)
+ * @param {Roles[]} roles
+ */
+function getHighestRoleRank(roles) {
+  return Math.min(
+    ...roles.map((role) => ROLE_PRIVILEGE_ORDER.indexOf(role)),
+    ROLE_PRIVILEGE_ORDER.length
+  )
+}
+
+/**
+ * Check whether a change leaves a user with more privilege than before
+ * @param {SyncChange} change
+ */
+function isPromotion({ previousRoles, roles }) {
+  const before = getHighestRoleRank(previousRoles ?? [])
+  const after = getHighestRoleRank(roles ?? [])
+
+  if (after !== before) {
+    return after < before
+  }
+
+  return (previousRoles ?? []).every((role) => roles?.includes(role))
+}
+
+/**
+ * Group the changes in a sync plan by what happens to each user
+ * @param {SyncPlan} plan - The changes the sync would make
+ * @returns {SyncPlanSummary}
+ */
+export function summariseSyncPlan(plan) {
+  const revocations = plan.revocationsAllowed ? plan.revocations : []
+  const changes = [...plan.updates, ...revocations]
+
+  return {
+    create: plan.creates,
+    promote: changes.filter((change) => change.roles && isPromotion(change)),
+    demote: changes.filter((change) => change.roles && !isPromotion(change)),
+    remove: changes.filter((change) => !change.roles),
+    unchanged: plan.unchanged,
+    blocked: plan.revocationsAllowed ? [] : plan.revocations
+  }
+}
+
+/**
+ * Save the entitlement event for a sync change to the outbox, in the
+ * transaction that makes the change
+ * @param {SyncChange} change - The change made
+ * @param {AuditUser} syncUser - The identity of the sync run
+ * @param {ClientSession} session - MongoDB session for transaction
+ */
+async function saveSyncChangeEvent(change, syncUser, session) {
+  const { userId, email, displayName, previousRoles, roles } = change
+
+  const azureUser = /** @type {AzureUser} */ ({
+    id: userId,
+    displayName,
+    email
+  })
+
+  if (!roles) {
+    await saveEntitlementDeletedEvent(azureUser, syncUser, session)
+  } else if (!previousRoles) {
+    await saveEntitlementCreatedEvent(azureUser, roles, syncUser, session)
+  } else {
+    await saveEntitlementUpdatedEvent(
+      azureUser,
+      roles,
+      syncUser,
+      previousRoles,
+      session
+    )
+  }
+}
+
+/**
+ * Make one sync change in its own transaction, saving its entitlement event
+ * alongside, so a failed write or event rolls back only that user's change.
+ * A change that would leave too few superadmins is rolled back too.
+ * @param {SyncChange} change - The change to make
+ * @param {AuditUser} syncUser - The identity of the sync run
+ * @param {ClientSession} session - MongoDB session for transaction
+ */
+async function applySyncChange(change, syncUser, session) {
+  const { userId, email, displayName, previousRoles, roles } = change
+
+  await session.withTransaction(async () => {
+    if (!roles) {
+      await remove(userId, session)
+    } else if (!previousRoles) {
+      await create(
+        /** @type {StoredUser} */ ({
+          userId,
+          roles,
+          email,
+          displayName
+        }),
+        syncUser,
+        session
+      )
+    } else {
+      await update(userId, { userId, roles }, syncUser, session)
+    }
+
+    if (previousRoles) {
+      await validateSuperadminsRemain(
+        userId,
+        previousRoles,
+        roles ?? [],
+        session
+      )
+    }
+
+    await saveSyncChangeEvent(change, syncUser, session)
+  })
+}
+
+/**
+ * Apply a sync plan one user at a time, each in its own transaction with its
+ * entitlement event. A user whose change fails is counted as an error and
+ * the sync carries on with the rest.
+ * @param {SyncPlan} plan - The changes to make
+ * @param {ClientSession} session - MongoDB session for transaction
+ * @param {AuditUser} syncUser - The identity of the sync run the changes are made as
+ * @returns {Promise<SyncRunCounts>} Number of changes made and failed
+ */
+export async function applyGroupSync(plan, session, syncUser) {
+  let created = 0
+  let updated = 0
+  let revoked = 0
+  let errors = 0
+
+  for (const change of plan.creates) {
+    const { userId, roles } = change
+
+    try {
+      await applySyncChange(change, syncUser, session)
+      logger.info(`Created user: ${userId} (roles: ${roles?.join(', ')})`)
+      created++
+    } catch (err) {
+      logger.error(
+        err,
+        `Failed to create user ${userId}: ${getErrorMessage(err)}`
+      )
+      errors++
+    }
+  }
+
+  for (const change of plan.updates) {
+    const { userId, previousRoles, roles } = change
+
+    try {
+      await applySyncChange(change, syncUser, session)
+      logger.info(
+        `Updated user: ${userId} (roles: ${roles?.join(', ')}, previous roles: ${previousRoles?.join(', ')})`
+      )
+      updated++
+    } catch (err) {
+      logger.error(
+        err,
+        `Failed to update user ${userId}: ${getErrorMessage(err)}`
+      )
+      errors++
+    }
+  }
+
+  if (!plan.revocationsAllowed) {
+    return { created, updated, revoked, errors }
+  }
+
+  for (const change of plan.revocations) {
+    const { userId, roles } = change
+
+    try {
+      await applySyncChange(change, syncUser, session)
+      logger.info(
+        roles
+          ? `Removed roles from user: ${userId} (new roles: ${roles.join(', ')})`
+          : `Removed user: ${userId}`
+      )
+      revoked++
+    } catch (err) {
+      logger.error(
+        err,
+        `Failed to remove roles from user ${userId}: ${getErrorMessage(err)}`
+      )
+      errors++
+    }
+  }
+
+  return { created, updated, revoked, errors }
+}
+
+/**
+ * Read the members of every mapped group
+ * @param {GroupRoleMapping[]} mappings - The mappings to read
+ * @returns {Promise<GroupMembership[]>}
+ */
+async function getGroupMemberships(mappings) {
+  const azureAdService = getAzureAdService()
+
+  /** @type {GroupMembership[]} */
+  const memberships = []
+
+  for (const mapping of mappings) {
+    const { users, pageCount, truncated } =
+      await azureAdService.getGroupMembers(mapping.groupId, {
+        pageSize: config.get('sync.adminUsers.pageSize'),
+        maxPages: config.get('sync.adminUsers.maxPages'),
+        transitive: config.get('sync.adminUsers.transitiveMembership')
+      })
+
+    if (truncated) {
+      logger.warn(
+        `[adminSyncTruncated] Listing of group ${mapping.groupId} was truncated - the ${mapping.role} role will not be removed from anyone`
+      )
+    } else if (users.length === 0 && mapping.authoritative) {
+      logger.warn(
+        `[adminSyncEmptyGroup] No members found in group ${mapping.groupId} - the ${mapping.role} role will not be removed from anyone`
+      )
+    }
+
+    memberships.push({ mapping, members: users, pageCount, truncated })
+  }
+
+  return memberships
+}
+
+/**
+ * Read the mapped groups and stored users, and work out the changes a sync
+ * would make. Shared by real runs and previews so they cannot drift apart.
+ * @returns {Promise<{ result: GroupSyncResult, plan: SyncPlan | null }>} The plan is null if no group has members
+ */
+async function prepareGroupSync() {
+  const mappings = await getEffectiveGroupRoleMappings()
+
+  logger.info(`Reading members of ${mappings.length} mapped groups`)
+
+  const memberships = await getGroupMemberships(mappings)
+
+  const memberIds = new Set(
+    memberships.flatMap(({ members }) => members.map((member) => member.id))
+  )
+
+  /** @type {GroupSyncResult} */
+  const result = {
+    pageCount: memberships.reduce((sum, { pageCount }) => sum + pageCount, 0),
+    memberCount: memberIds.size,
+    truncated: memberships.some(({ truncated }) => truncated),
+    groups: memberships.map(({ mapping, members, pageCount, truncated }) => ({
+      groupId: mapping.groupId,
+      role: mapping.role,
+      memberCount: members.length,
+      pageCount,
+      truncated
+    }))
+  }
+
+  if (memberIds.size === 0) {
+    logger.warn('No members found in any mapped group')
+    return { result, plan: null }
+  }
+
+  const storedUsers = await getAllUserRoles()
+
+  logger.info(`Found ${storedUsers.length} existing users in database`)
+
+  return { result, plan: planGroupSync(memberships, storedUsers) }
+}
+
+/**
+ * Internal sync function (without locking)
+ * @param {string} runId - ID of the sync run
+ * @returns {Promise<SyncRunResult>} The changes made and the group members read
+ */
+async function syncUsersFromGroupsInternal(runId) {
+  const session = client.startSession()
+
+  try {
+    const { result, plan } = await prepareGroupSync()
+
+    /** @type {SyncRunMembership} */
+    const membership = {
+      pageCount: result.pageCount,
+      memberCount: result.memberCount,
+      truncated: result.truncated
+    }
+
+    if (!plan) {
+      return {
+        counts: { created: 0, updated: 0, revoked: 0, errors: 0 },
+        membership
+      }
+    }
+
+    const counts = await applyGroupSync(
+      plan,
+      session,
+      getSyncRunUser(ADMIN_SYNC_TASK, runId)
+    )
+
+    logger.info(
+      `Group sync completed - ${counts.created} created, ${counts.updated} updated, ${counts.revoked} lost roles, ${counts.errors} errors from ${result.memberCount} members of ${result.groups.length} groups`
+    )
+
+    return { counts, membership }
+  } catch (err) {
+    logger.error(
+      err,
+      `Failed to sync users from groups: ${getErrorMessage(err)}`
+    )
+    throw err
+  } finally {
+    await session.endSession()
+  }
+}
+
+/**
+ * Work out the changes a sync would make without writing to MongoDB or
+ * publishing any events
+ * @returns {Promise<GroupSyncPreview>}
+ */
+export async function previewGroupSync() {
+  try {
+    const { result, plan } = await prepareGroupSync()
+
+    return {
+      ...result,
+      changes: summariseSyncPlan(
+        plan ?? {
+          creates: [],
+          updates: [],
+          revocations: [],
+          unchanged: [],
+          revocationsAllowed: false
+        }
+      )
+    }
+  } catch (err) {
+    logger.error(err, `Failed to preview group sync: ${getErrorMessage(err)}`)
+    throw err
+  }
+}
+
+/**
+ * Sync users from the mapped Azure AD groups with locking
+ * Called on service startup and by scheduler to keep entitlements in line with AD group membership
+ * Uses locking to prevent concurrent execution across multiple containers
+ * @param {SyncRunTrigger} [trigger] - What started the sync
+ * @param {AuditUser} [triggeredBy] - Who triggered a manual sync
+ * @returns {Promise<SyncRun>} The recorded run
+ */
+export async function syncUsersFromGroups(trigger = 'manual', triggeredBy) {
+  const details = { task: ADMIN_SYNC_TASK, trigger, triggeredBy }
+
+  return recordSyncRun(details, async (runId) => {
+    /** @type {SyncRunResult | null} */
+    const synced = await withLock(ADMIN_SYNC_TASK, () =>
+      syncUsersFromGroupsInternal(runId)
+    )
+
+    if (synced === null) {
+      logger.info('Group sync skipped - already running on another container')
+    }
+
+    return synced
+  })
+}
+
+/**
+ * @typedef {object} GroupMembership
+ * @property {GroupRoleMapping} mapping - The group role mapping
+ * @property {AzureUser[]} members - Users in the group
+ * @property {number} pageCount - Number of Graph pages read for the group
+ * @property {boolean} truncated - True if the listing stopped at the page ceiling
+ */
+
+/**
+ * @typedef {object} SyncChange
+ * @property {string} userId - Azure AD user ID
+ * @property {string} email - User's email address
+ * @property {string} displayName - User's display name
+ * @property {Roles[] | null} previousRoles - Roles before the change, or null for a new user
+ * @property {Roles[] | null} roles - Roles after the change, or null if the user is removed
+ */
+
+/**
+ * @typedef {object} SyncPlan
+ * @property {SyncChange[]} creates - Group members without a stored user
+ * @property {SyncChange[]} updates - Group members whose roles change
+ * @property {SyncChange[]} revocations - Stored users who lose roles because they left a group
+ * @property {SyncChange[]} unchanged - Group members whose roles are already correct
+ * @property {boolean} revocationsAllowed - False if the revocations exceed the removal limit
+ */
+
+/**
+ * @typedef {object} SyncPlanSummary
+ * @property {SyncChange[]} create - Users who would be created
+ * @property {SyncChange[]} promote - Users who would gain privilege
+ * @property {SyncChange[]} demote - Users who would lose privilege
+ * @property {SyncChange[]} remove - Users who would be removed
+ * @property {SyncChange[]} unchanged - Group members who would be left alone
+ * @property {SyncChange[]} blocked - Users who would lose roles, but not while the removal limit is exceeded
+ */
+
+/**
+ * @typedef {object} GroupSyncResult
+ * @property {number} pageCount - Number of Graph pages read across all groups
+ * @property {number} memberCount - Number of distinct group members
+ * @property {boolean} truncated - True if any group listing stopped at the page ceiling
+ * @property {{ groupId: string, role: Roles, memberCount: number, pageCount: number, truncated: boolean }[]} groups - Per group details
+ */
+
+/**
+ * @typedef {GroupSyncResult & { changes: SyncPlanSummary }} GroupSyncPreview
+ */
+
+/**
+ * @import { AuditUser } from '@defra/forms-model'
+ * @import { ClientSession } from 'mongodb'
+ * @import { GroupRoleMapping, StoredUser, SyncRun, SyncRunCounts, SyncRunMembership, SyncRunResult, SyncRunTrigger, UserRoles } from '~/src/api/types.js'
+ * @import { AzureUser } from '~/src/services/azure-ad.js'
+ */
@@ -0,0 +1,883 @@
+import { Roles } from '@defra/forms-model'
+import { ObjectId } from 'mongodb'
+
+import { config } from '~/src/config/index.js'
+import {
+  saveEntitlementCreatedEvent,
+  saveEntitlementDeletedEvent,
+  saveEntitlementUpdatedEvent
+} from '~/src/messaging/publish.js'
+import { client } from '~/src/mongo.js'
+import { withLock } from '~/src/repositories/lock-repository.js'
+import { create as createSyncRun } from '~/src/repositories/sync-run-repository.js'
+import {
+  countWithRole,
+  create,
+  getAllUserRoles,
+  lockSuperadmins,
+  remove,
+  update
+} from '~/src/repositories/user-repository.js'
+import * as azureAdModule from '~/src/services/azure-ad.js'
+import { getEffectiveGroupRoleMappings } from '~/src/services/group-role-mapping.js'
+import {
+  applyGroupSync,
+  planGroupSync,
+  previewGroupSync,
+  summariseSyncPlan,
+  syncUsersFromGroups
+} from '~/src/services/group-sync.js'
+import { getSyncRunUser } from '~/src/services/sync-run.js'
+
+jest.mock('~/src/messaging/publish.js')
+jest.mock('~/src/repositories/user-repository.js')
+jest.mock('~/src/repositories/lock-repository.js')
+jest.mock('~/src/repositories/sync-run-repository.js')
+jest.mock('~/src/services/group-role-mapping.js')
+jest.mock('~/src/mongo.js', () => ({
+  client: {
+    startSession: jest.fn()
+  }
+}))
+jest.mock('~/src/helpers/logging/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }
+}))
+jest.mock('~/src/config/index.js', () => ({
+  config: {
+    get: jest.fn()
+  }
+}))
+
+/** @type {GroupRoleMapping} */
+const roleEditorMapping = {
+  groupId: 'role-editor-group-id',
+  role: Roles.Superadmin,
+  precedence: 1000,
+  authoritative: true
+}
+
+/** @type {GroupRoleMapping} */
+const adminMapping = {
+  groupId: 'admin-group-id',
+  role: Roles.Admin,
+  precedence: 20,
+  authoritative: true
+}
+
+/** @type {GroupRoleMapping} */
+const publisherMapping = {
+  groupId: 'publisher-group-id',
+  role: Roles.FormPublisher,
+  precedence: 10,
+  authoritative: false
+}
+
+/**
+ * @param {string} id
+ * @returns {AzureUser}
+ */
+function buildMember(id) {
+  return { id, displayName: `Display ${id}`, email: `${id}@defra.gov.uk` }
+}
+
+/**
+ * @param {string} userId
+ * @param {Roles[]} roles
+ */
+function buildStoredUser(userId, roles) {
+  return {
+    _id: new ObjectId(),
+    userId,
+    email: `${userId}@defra.gov.uk`,
+    displayName: `Display ${userId}`,
+    roles
+  }
+}
+
+/**
+ * @param {GroupRoleMapping} mapping
+ * @param {string[]} memberIds
+ * @param {boolean} [truncated]
+ * @returns {GroupMembership}
+ */
+function buildMembership(mapping, memberIds, truncated = false) {
+  return {
+    mapping,
+    members: memberIds.map(buildMember),
+    pageCount: 1,
+    truncated
+  }
+}
+
+describe('Group sync service', () => {
+  /** @type {Record<string, unknown>} */
+  let syncConfig
+
+  /** @type {any} */
+  let mockSession
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    syncConfig = {
+      'sync.adminUsers.removalPolicy': 'demote',
+      'sync.adminUsers.demotedRole': Roles.FormCreator,
+      'sync.adminUsers.maxRemovalPercentage': 50,
+      'sync.adminUsers.pageSize': 100,
+      'sync.adminUsers.maxPages': 50,
+      'sync.adminUsers.transitiveMembership': false,
+      'scheduler.runRetentionDays': 30,
+      minSuperadmins: 1
+    }
+
+    jest
+      .mocked(config.get)
+      .mockImplementation((key) => /** @type {any} */ (syncConfig[String(key)]))
+
+    mockSession = {
+      withTransaction: jest.fn((fn) => fn()),
+      endSession: jest.fn().mockResolvedValue(undefined)
+    }
+
+    jest.mocked(client.startSession).mockReturnValue(mockSession)
+    jest.mocked(withLock).mockImplementation(async (name, fn) => {
+      return await fn()
+    })
+  })
+
+  describe('planGroupSync', () => {
+    it('should create members without a stored user', () => {
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1'])],
+        []
+      )
+
+      expect(plan.creates).toEqual([
+        {
+          userId: 'user-1',
+          email: 'user-1@defra.gov.uk',
+          displayName: 'Display user-1',
+          previousRoles: null,
+          roles: [Roles.Superadmin]
+        }
+      ])
+      expect(plan.updates).toEqual([])
+    })
+
+    it.each([
+      [[Roles.FormCreator]],
+      [[Roles.FormCreator, Roles.Admin]],
+      [/** @type {any} */ (['some-other-role'])],
+      [/** @type {any} */ (undefined)]
+    ])(
+      'should replace roles %p with the role of an authoritative mapping',
+      (roles) => {
+        const plan = planGroupSync(
+          [buildMembership(roleEditorMapping, ['user-1'])],
+          [buildStoredUser('user-1', roles)]
+        )
+
+        expect(plan.updates).toEqual([
+          expect.objectContaining({
+            userId: 'user-1',
+            roles: [Roles.Superadmin]
+          })
+        ])
+      }
+    )
+
+    it('should not change a user who already has the right roles', () => {
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1'])],
+        [buildStoredUser('user-1', [Roles.Superadmin])]
+      )
+
+      expect(plan.creates).toEqual([])
+      expect(plan.updates).toEqual([])
+      expect(plan.unchanged).toEqual([
+        expect.objectContaining({
+          userId: 'user-1',
+          previousRoles: [Roles.Superadmin],
+          roles: [Roles.Superadmin]
+        })
+      ])
+    })
+
+    it('should add the role of an additive mapping to existing roles', () => {
+      const plan = planGroupSync(
+        [buildMembership(publisherMapping, ['user-1'])],
+        [buildStoredUser('user-1', [Roles.FormCreator])]
+      )
+
+      expect(plan.updates).toEqual([
+        expect.objectContaining({
+          userId: 'user-1',
+          previousRoles: [Roles.FormCreator],
+          roles: [Roles.FormCreator, Roles.FormPublisher]
+        })
+      ])
+    })
+
+    it('should give users in several groups the role with the highest precedence', () => {
+      const plan = planGroupSync(
+        [
+          buildMembership(publisherMapping, ['user-1']),
+          buildMembership(adminMapping, ['user-1'])
+        ],
+        []
+      )
+
+      expect(plan.creates).toEqual([
+        expect.objectContaining({ userId: 'user-1', roles: [Roles.Admin] })
+      ])
+    })
+
+    it('should break precedence ties in favour of the most privileged role', () => {
+      const plan = planGroupSync(
+        [
+          buildMembership({ ...publisherMapping, precedence: 20 }, ['user-1']),
+          buildMembership(adminMapping, ['user-1'])
+        ],
+        []
+      )
+
+      expect(plan.creates).toEqual([
+        expect.objectContaining({ userId: 'user-1', roles: [Roles.Admin] })
+      ])
+    })
+
+    it('should keep a revocable role granted by a lower precedence group', () => {
+      const plan = planGroupSync(
+        [
+          buildMembership({ ...publisherMapping, precedence: 30 }, ['user-1']),
+          buildMembership(adminMapping, ['user-1', 'user-2'])
+        ],
+        [buildStoredUser('user-1', [Roles.Admin])]
+      )
+
+      expect(plan.updates).toEqual([
+        expect.objectContaining({
+          userId: 'user-1',
+          roles: [Roles.Admin, Roles.FormPublisher]
+        })
+      ])
+    })
+
+    it('should demote users who left an authoritative group and lost every role', () => {
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1', 'user-2'])],
+        [
+          buildStoredUser('user-1', [Roles.Superadmin]),
+          buildStoredUser('user-2', [Roles.Superadmin]),
+          buildStoredUser('user-3', [Roles.Superadmin])
+        ]
+      )
+
+      expect(plan.revocations).toEqual([
+        {
+          userId: 'user-3',
+          email: 'user-3@defra.gov.uk',
+          displayName: 'Display user-3',
+          previousRoles: [Roles.Superadmin],
+          roles: [Roles.FormCreator]
+        }
+      ])
+      expect(plan.revocationsAllowed).toBe(true)
+    })
+
+    it('should only take away the revoked role when the user holds others', () => {
+      const plan = planGroupSync(
+        [buildMembership(adminMapping, ['user-1'])],
+        [buildStoredUser('user-2', [Roles.Admin, Roles.FormPublisher])]
+      )
+
+      expect(plan.revocations).toEqual([
+        expect.objectContaining({
+          userId: 'user-2',
+          roles: [Roles.FormPublisher]
+        })
+      ])
+    })
+
+    it('should remove users who lost every role when the policy is remove', () => {
+      syncConfig['sync.adminUsers.removalPolicy'] = 'remove'
+
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1'])],
+        [buildStoredUser('user-3', [Roles.Superadmin])]
+      )
+
+      expect(plan.revocations).toEqual([
+        expect.objectContaining({ userId: 'user-3', roles: null })
+      ])
+    })
+
+    it('should remove users whose demoted role is itself being revoked', () => {
+      syncConfig['sync.adminUsers.demotedRole'] = Roles.Admin
+
+      const plan = planGroupSync(
+        [buildMembership(adminMapping, ['user-1'])],
+        [buildStoredUser('user-3', [Roles.Admin])]
+      )
+
+      expect(plan.revocations).toEqual([
+        expect.objectContaining({ userId: 'user-3', roles: null })
+      ])
+    })
+
+    it('should not revoke roles when the policy is none', () => {
+      syncConfig['sync.adminUsers.removalPolicy'] = 'none'
+
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1'])],
+        [buildStoredUser('user-3', [Roles.Superadmin])]
+      )
+
+      expect(plan.revocations).toEqual([])
+      expect(plan.revocationsAllowed).toBe(false)
+    })
+
+    it('should not revoke roles granted by an additive mapping', () => {
+      const plan = planGroupSync(
+        [buildMembership(publisherMapping, ['user-1'])],
+        [buildStoredUser('user-3', [Roles.FormPublisher])]
+      )
+
+      expect(plan.revocations).toEqual([])
+    })
+
+    it.each([
+      ['truncated', buildMembership(adminMapping, ['user-1'], true)],
+      ['empty', buildMembership(adminMapping, [])]
+    ])(
+      'should not revoke a role when a group granting it is %s',
+      (_, membership) => {
+        const plan = planGroupSync(
+          [membership, buildMembership(roleEditorMapping, ['user-1'])],
+          [buildStoredUser('user-3', [Roles.Admin])]
+        )
+
+        expect(plan.revocations).toEqual([])
+      }
+    )
+
+    it('should not allow revocations over the removal limit', () => {
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1', 'user-2'])],
+        [
+          buildStoredUser('user-1', [Roles.Superadmin]),
+          buildStoredUser('user-3', [Roles.Superadmin]),
+          buildStoredUser('user-4', [Roles.Superadmin]),
+          buildStoredUser('user-5', [Roles.Superadmin])
+        ]
+      )
+
+      expect(plan.creates).toHaveLength(1)
+      expect(plan.revocations).toHaveLength(3)
+      expect(plan.revocationsAllowed).toBe(false)
+    })
+
+    it('should always allow a single revocation', () => {
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1'])],
+        [buildStoredUser('user-3', [Roles.Superadmin])]
+      )
+
+      expect(plan.revocationsAllowed).toBe(true)
+    })
+
+    it('should ignore stored users without a userId', () => {
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1'])],
+        [
+          /** @type {any} */ ({
+            _id: new ObjectId(),
+            roles: [Roles.Superadmin]
+          })
+        ]
+      )
+
+      expect(plan.creates).toHaveLength(1)
+      expect(plan.revocations).toEqual([])
+    })
+  })
+
+  describe('summariseSyncPlan', () => {
+    it('should group the changes by what happens to each user', () => {
+      const plan = planGroupSync(
+        [
+          buildMembership(roleEditorMapping, ['user-1', 'user-2']),
+          buildMembership(adminMapping, ['user-3', 'user-4'])
+        ],
+        [
+          buildStoredUser('user-2', [Roles.FormCreator]),
+          buildStoredUser('user-3', [Roles.Superadmin]),
+          buildStoredUser('user-4', [Roles.Admin]),
+          buildStoredUser('user-5', [Roles.Admin])
+        ]
+      )
+
+      const summary = summariseSyncPlan(plan)
+
+      expect(summary.create.map(({ userId }) => userId)).toEqual(['user-1'])
+      expect(summary.promote).toEqual([
+        expect.objectContaining({
+          userId: 'user-2',
+          previousRoles: [Roles.FormCreator],
+          roles: [Roles.Superadmin]
+        })
+      ])
+      expect(summary.demote.map(({ userId }) => userId)).toEqual([
+        'user-3',
+        'user-5'
+      ])
+      expect(summary.remove).toEqual([])
+      expect(summary.unchanged.map(({ userId }) => userId)).toEqual(['user-4'])
+      expect(summary.blocked).toEqual([])
+    })
+
+    it('should treat gaining an extra lower role as a promotion', () => {
+      const plan = planGroupSync(
+        [buildMembership(publisherMapping, ['user-1'])],
+        [buildStoredUser('user-1', [Roles.Admin])]
+      )
+
+      expect(summariseSyncPlan(plan).promote).toHaveLength(1)
+    })
+
+    it('should list removals separately', () => {
+      syncConfig['sync.adminUsers.removalPolicy'] = 'remove'
+      syncConfig['sync.adminUsers.maxRemovalPercentage'] = 100
+
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1'])],
+        [buildStoredUser('user-3', [Roles.Superadmin])]
+      )
+
+      expect(summariseSyncPlan(plan).remove).toEqual([
+        expect.objectContaining({ userId: 'user-3', roles: null })
+      ])
+    })
+
+    it('should list revocations over the removal limit as blocked', () => {
+      const plan = planGroupSync(
+        [buildMembership(roleEditorMapping, ['user-1'])],
+        [
+          buildStoredUser('user-3', [Roles.Superadmin]),
+          buildStoredUser('user-4', [Roles.Superadmin])
+        ]
+      )
+
+      const summary = summariseSyncPlan(plan)
+
+      expect(summary.demote).toEqual([])
+      expect(summary.blocked.map(({ userId }) => userId)).toEqual([
+        'user-3',
+        'user-4'
+      ])
+    })
+  })
+
+  describe('applyGroupSync', () => {
+    /** @type {SyncPlan} */
+    const plan = {
+      creates: [
+        {
+          userId: 'user-1',
+          email: 'user-1@defra.gov.uk',
+          displayName: 'Display user-1',
+          previousRoles: null,
+          roles: [Roles.Superadmin]
+        }
+      ],
+      updates: [
+        {
+          userId: 'user-2',
+          email: 'user-2@defra.gov.uk',
+          displayName: 'Display user-2',
+          previousRoles: [Roles.FormCreator],
+          roles: [Roles.Superadmin]
+        }
+      ],
+      revocations: [
+        {
+          userId: 'user-3',
+          email: 'user-3@defra.gov.uk',
+          displayName: 'Display user-3',
+          previousRoles: [Roles.Superadmin],
+          roles: [Roles.FormCreator]
+        },
+        {
+          userId: 'user-4',
+          email: 'user-4@defra.gov.uk',
+          displayName: 'Display user-4',
+          previousRoles: [Roles.Superadmin],
+          roles: null
+        }
+      ],
+      unchanged: [],
+      revocationsAllowed: true
+    }
+
+    const syncUser = getSyncRunUser('admin-user-sync', 'run-id')
+
+    it('should apply each change in its own transaction with its event', async () => {
+      const counts = await applyGroupSync(plan, mockSession, syncUser)
+
+      expect(counts).toEqual({ created: 1, updated: 1, revoked: 2, errors: 0 })
+
+      expect(mockSession.withTransaction).toHaveBeenCalledTimes(4)
+      expect(create).toHaveBeenCalledWith(
+        {
+          userId: 'user-1',
+          roles: [Roles.Superadmin],
+          email: 'user-1@defra.gov.uk',
+          displayName: 'Display user-1'
+        },
+        syncUser,
+        mockSession
+      )
+      expect(update).toHaveBeenCalledWith(
+        'user-2',
+        { userId: 'user-2', roles: [Roles.Superadmin] },
+        syncUser,
+        mockSession
+      )
+      expect(update).toHaveBeenCalledWith(
+        'user-3',
+        { userId: 'user-3', roles: [Roles.FormCreator] },
+        syncUser,
+        mockSession
+      )
+      expect(remove).toHaveBeenCalledWith('user-4', mockSession)
+
+      expect(saveEntitlementCreatedEvent).toHaveBeenCalledWith(
+        {
+          id: 'user-1',
+          displayName: 'Display user-1',
+          email: 'user-1@defra.gov.uk'
+        },
+        [Roles.Superadmin],
+        syncUser,
+        mockSession
+      )
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledTimes(2)
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'user-2' }),
+        [Roles.Superadmin],
+        syncUser,
+        [Roles.FormCreator],
+        mockSession
+      )
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledWith(
+        {
+          id: 'user-3',
+          displayName: 'Display user-3',
+          email: 'user-3@defra.gov.uk'
+        },
+        [Roles.FormCreator],
+        syncUser,
+        [Roles.Superadmin],
+        mockSession
+      )
+      expect(saveEntitlementDeletedEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'user-4' }),
+        syncUser,
+        mockSession
+      )
+    })
+
+    it('should skip revocations that are not allowed', async () => {
+      await applyGroupSync(
+        { ...plan, revocationsAllowed: false },
+        mockSession,
+        syncUser
+      )
+
+      expect(update).toHaveBeenCalledTimes(1)
+      expect(remove).not.toHaveBeenCalled()
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledTimes(1)
+      expect(saveEntitlementDeletedEvent).not.toHaveBeenCalled()
+    })
+
+    it('should continue if a change or its event fails', async () => {
+      jest.mocked(create).mockRejectedValueOnce(new Error('Database error'))
+      jest
+        .mocked(update)
+        .mockResolvedValueOnce(/** @type {any} */ ({ matchedCount: 1 }))
+        .mockRejectedValueOnce(new Error('Database error'))
+      jest
+        .mocked(saveEntitlementDeletedEvent)
+        .mockRejectedValueOnce(new Error('Validation error'))
+
+      await expect(
+        applyGroupSync(plan, mockSession, syncUser)
+      ).resolves.toEqual({
+        created: 0,
+        updated: 1,
+        revoked: 0,
+        errors: 3
+      })
+
+      expect(mockSession.withTransaction).toHaveBeenCalledTimes(4)
+      expect(saveEntitlementCreatedEvent).not.toHaveBeenCalled()
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledTimes(1)
+      expect(remove).toHaveBeenCalledTimes(1)
+      expect(saveEntitlementDeletedEvent).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not take the superadmin role away from the last superadmins', async () => {
+      jest.mocked(countWithRole).mockResolvedValue(0)
+
+      await expect(
+        applyGroupSync(plan, mockSession, syncUser)
+      ).resolves.toEqual({
+        created: 1,
+        updated: 1,
+        revoked: 0,
+        errors: 2
+      })
+
+      expect(lockSuperadmins).toHaveBeenCalledTimes(2)
+      expect(lockSuperadmins).toHaveBeenCalledWith(mockSession)
+      expect(countWithRole).toHaveBeenCalledWith(Roles.Superadmin, mockSession)
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledTimes(1)
+      expect(saveEntitlementDeletedEvent).not.toHaveBeenCalled()
+    })
+
+    it('should take the superadmin role away while enough superadmins remain', async () => {
+      jest.mocked(countWithRole).mockResolvedValue(1)
+
+      await expect(
+        applyGroupSync(plan, mockSession, syncUser)
+      ).resolves.toEqual({
+        created: 1,
+        updated: 1,
+        revoked: 2,
+        errors: 0
+      })
+
+      expect(lockSuperadmins).toHaveBeenCalledTimes(2)
+    })
+
+    it('should roll back only the change whose transaction fails', async () => {
+      mockSession.withTransaction.mockImplementationOnce(
+        async (/** @type {() => Promise<void>} */ fn) => {
+          await fn()
+          throw new Error('Transaction failed')
+        }
+      )
+
+      await expect(
+        applyGroupSync(plan, mockSession, syncUser)
+      ).resolves.toEqual({
+        created: 0,
+        updated: 1,
+        revoked: 2,
+        errors: 1
+      })
+
+      expect(mockSession.withTransaction).toHaveBeenCalledTimes(4)
+    })
+  })
+
+  describe('syncUsersFromGroups', () => {
+    /** @type {jest.Mock} */
+    let mockGetGroupMembers
+
+    beforeEach(() => {
+      jest
+        .mocked(getEffectiveGroupRoleMappings)
+        .mockResolvedValue([roleEditorMapping, adminMapping])
+
+      mockGetGroupMembers = jest
+        .fn()
+        .mockResolvedValueOnce({
+          users: [buildMember('user-1'), buildMember('user-2')],
+          pageCount: 2,
+          truncated: false
+        })
+        .mockResolvedValueOnce({
+          users: [buildMember('user-2'), buildMember('user-3')],
+          pageCount: 1,
+          truncated: true
+        })
+
+      jest
+        .spyOn(azureAdModule, 'getAzureAdService')
+        .mockReturnValue(
+          /** @type {any} */ ({ getGroupMembers: mockGetGroupMembers })
+        )
+
+      jest.mocked(getAllUserRoles).mockResolvedValue([])
+    })
+
+    test('should sync every mapped group when the lock is acquired', async () => {
+      const run = await syncUsersFromGroups('cron')
+
+      expect(withLock).toHaveBeenCalledWith(
+        'admin-user-sync',
+        expect.any(Function)
+      )
+      expect(mockGetGroupMembers).toHaveBeenCalledWith('role-editor-group-id', {
+        pageSize: 100,
+        maxPages: 50,
+        transitive: false
+      })
+      expect(mockGetGroupMembers).toHaveBeenCalledWith('admin-group-id', {
+        pageSize: 100,
+        maxPages: 50,
+        transitive: false
+      })
+      expect(create).toHaveBeenCalledTimes(3)
+      expect(saveEntitlementCreatedEvent).toHaveBeenCalledTimes(3)
+      expect(saveEntitlementCreatedEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'user-1' }),
+        [Roles.Superadmin],
+        {
+          id: `admin-user-sync:${run.runId}`,
+          displayName: `admin-user-sync run ${run.runId}`
+        },
+        mockSession
+      )
+      expect(mockSession.endSession).toHaveBeenCalled()
+      expect(run).toMatchObject({
+        task: 'admin-user-sync',
+        trigger: 'cron',
+        outcome: 'completed',
+        counts: { created: 3, updated: 0, revoked: 0, errors: 0 },
+        membership: { pageCount: 3, memberCount: 3, truncated: true }
+      })
+      expect(createSyncRun).toHaveBeenCalledWith({
+        ...run,
+        expireAt: expect.any(Date)
+      })
+    })
+
+    test('should resolve nested group membership when configured', async () => {
+      syncConfig['sync.adminUsers.transitiveMembership'] = true
+
+      await syncUsersFromGroups()
+
+      expect(mockGetGroupMembers).toHaveBeenCalledWith(
+        'role-editor-group-id',
+        expect.objectContaining({ transitive: true })
+      )
+    })
+
+    test('should not open a transaction when no group has members', async () => {
+      mockGetGroupMembers.mockReset().mockResolvedValue({
+        users: [],
+        pageCount: 1,
+        truncated: false
+      })
+
+      const run = await syncUsersFromGroups()
+
+      expect(run.outcome).toBe('completed')
+      expect(run.counts).toEqual({
+        created: 0,
+        updated: 0,
+        revoked: 0,
+        errors: 0
+      })
+      expect(run.membership).toEqual({
+        pageCount: 2,
+        memberCount: 0,
+        truncated: false
+      })
+      expect(getAllUserRoles).not.toHaveBeenCalled()
+      expect(mockSession.withTransaction).not.toHaveBeenCalled()
+      expect(mockSession.endSession).toHaveBeenCalled()
+    })
+
+    test('should record a skipped run when the lock is not acquired', async () => {
+      jest.mocked(withLock).mockResolvedValue(null)
+      const triggeredBy = { id: 'user-id', displayName: 'Joe Bloggs' }
+
+      const run = await syncUsersFromGroups('manual', triggeredBy)
+
+      expect(run).toMatchObject({
+        trigger: 'manual',
+        triggeredBy,
+        outcome: 'skipped-locked'
+      })
+      expect(createSyncRun).toHaveBeenCalledWith({
+        ...run,
+        expireAt: expect.any(Date)
+      })
+      expect(client.startSession).not.toHaveBeenCalled()
+    })
+
+    test('should preview the sync without writing anything', async () => {
+      jest
+        .mocked(getAllUserRoles)
+        .mockResolvedValue([buildStoredUser('user-1', [Roles.Superadmin])])
+
+      const preview = await previewGroupSync()
+
+      expect(withLock).not.toHaveBeenCalled()
+      expect(client.startSession).not.toHaveBeenCalled()
+      expect(create).not.toHaveBeenCalled()
+      expect(update).not.toHaveBeenCalled()
+      expect(remove).not.toHaveBeenCalled()
+      expect(saveEntitlementUpdatedEvent).not.toHaveBeenCalled()
+
+      expect(preview.memberCount).toBe(3)
+      expect(preview.changes.create.map(({ userId }) => userId)).toEqual([
+        'user-2',
+        'user-3'
+      ])
+      expect(preview.changes.unchanged.map(({ userId }) => userId)).toEqual([
+        'user-1'
+      ])
+    })
+
+    test('should preview an empty plan when no group has members', async () => {
+      mockGetGroupMembers.mockReset().mockResolvedValue({
+        users: [],
+        pageCount: 1,
+        truncated: false
+      })
+
+      const preview = await previewGroupSync()
+
+      expect(preview.changes).toEqual({
+        create: [],
+        promote: [],
+        demote: [],
+        remove: [],
+        unchanged: [],
+        blocked: []
+      })
+    })
+
+    test('should record a failed run and end the session', async () => {
+      mockGetGroupMembers
+        .mockReset()
+        .mockRejectedValue(new Error('Azure AD connection failed'))
+
+      const run = await syncUsersFromGroups()
+
+      expect(run).toMatchObject({
+        outcome: 'failed',
+        error: 'Azure AD connection failed'
+      })
+      expect(createSyncRun).toHaveBeenCalledWith({
+        ...run,
+        expireAt: expect.any(Date)
+      })
+      expect(mockSession.endSession).toHaveBeenCalled()
+    })
+  })
+})
+
+/**
+ * @import { GroupRoleMapping } from '~/src/api/types.js'
+ * @import { AzureUser } from '~/src/services/azure-ad.js'
+ * @import { GroupMembership, SyncPlan } from '~/src/services/group-sync.js'
+ */
@@ -0,0 +1,206 @@
+import { getErrorMessage } from '@defra/forms-model'
+
+import { config } from '~/src/config/index.js'
+import { logger } from '~/src/helpers/logging/logger.js'
+import { publishEvent } from '~/src/messaging/publish-base.js'
+import { withLock } from '~/src/repositories/lock-repository.js'
+import {
+  getPending,
+  listBacklog,
+  markDeadLettered,
+  markFailed,
+  markPublished
+} from '~/src/repositories/outbox-repository.js'
+import { recordSyncRun } from '~/src/services/sync-run.js'
+
+const OUTBOX_RELAY_TASK = 'outbox-relay'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/** @type {OutboxRelayCounts} */
+const NO_EVENTS = { published: 0, retried: 0, deadLettered: 0 }
+
+/**
+ * Map a stored outbox entry to the API shape
+ * @param {WithId<OutboxMessage>} document - outbox entry (with ID)
+ * @returns {OutboxMessage}
+ */
+export function mapOutboxMessage(document) {
+  return {
+    messageId: document.messageId,
+    entityId: document.entityId,
+    message: document.message,
+    status: document.status,
+    attempts: document.attempts,
+    createdAt: document.createdAt,
+    nextAttemptAt: document.nextAttemptAt,
+    publishedAt: document.publishedAt,
+    lastError: document.lastError
+  }
+}
+
+/**
+ * How long to wait before the next attempt to publish an event, doubling
+ * with each failed attempt up to the configured maximum
+ * @param {number} attempts - number of failed attempts so far
+ * @returns {number} The wait in milliseconds
+ */
+export function getBackoffDelay(attempts) {
+  const baseSeconds = config.get('outbox.backoffBaseSeconds')
+  const maxSeconds = config.get('outbox.backoffMaxSeconds')
+
+  return Math.min(baseSeconds * 2 ** (attempts - 1), maxSeconds) * 1000
+}
+
+/**
+ * Publish the events waiting in the outbox. Events for a user are published
+ * in the order they were saved, so once one is waiting to be retried the
+ * later events for that user wait too. A dead-lettered event no longer holds
+ * up the events after it.
+ * @returns {Promise<OutboxRelayCounts>}
+ */
+async function relayOutboxInternal() {
+  const batchSize = config.get('outbox.relay.batchSize')
+  const maxAttempts = config.get('outbox.maxAttempts')
+  const retentionMs = config.get('outbox.retentionDays') * DAY_MS
+
+  const now = new Date()
+  const pending = await getPending(batchSize, now)
+
+  /** @type {Set<string>} */
+  const heldEntities = new Set()
+
+  /** @type {OutboxRelayCounts} */
+  const counts = { published: 0, retried: 0, deadLettered: 0 }
+
+  for (const {
+    messageId,
+    entityId,
+    message,
+    attempts,
+    nextAttemptAt
+  } of pending) {
+    if (heldEntities.has(entityId)) {
+      continue
+    }
+
+    if (nextAttemptAt > now) {
+      heldEntities.add(entityId)
+      continue
+    }
+
+    try {
+      await publishEvent(message)
+    } catch (err) {
+      const failedAttempts = attempts + 1
+      const error = getErrorMessage(err)
+
+      if (failedAttempts >= maxAttempts) {
+        logger.error(
+          err,
+          `[outboxRelay] Dead-lettering ${message.type} event ${messageId} for ${entityId} after ${failedAttempts} attempts: ${error}`
+        )
+
+        await markDeadLettered(messageId, failedAttempts, error)
+        counts.deadLettered++
+        continue
+      }
+
+      logger.warn(
+        `[outboxRelay] Failed to publish ${message.type} event ${messageId} for ${entityId} (attempt ${failedAttempts}): ${error}`
+      )
+
+      const retryAt = new Date(now.getTime() + getBackoffDelay(failedAttempts))
+
+      await markFailed(messageId, failedAttempts, retryAt, error)
+      heldEntities.add(entityId)
+      counts.retried++
+      continue
+    }
+
+    const publishedAt = new Date()
+
+    await markPublished(
+      messageId,
+      publishedAt,
+      new Date(publishedAt.getTime() + retentionMs)
+    )
+    counts.published++
+  }
+
+  if (counts.published || counts.retried || counts.deadLettered) {
+    logger.info(
+      `[outboxRelay] Published ${counts.published} events, ${counts.retried} to retry, ${counts.deadLettered} dead-lettered`
+    )
+  }
+
+  return counts
+}
+
+/**
+ * Publish the events waiting in the outbox, with locking so only one
+ * container relays at a time
+ * @param {SyncRunTrigger} [trigger] - What started the run
+ * @param {AuditUser} [triggeredBy] - Who triggered a manual run
+ * @returns {Promise<SyncRun>} The recorded run
+ */
+export async function relayOutbox(trigger = 'manual', triggeredBy) {
+  const details = { task: OUTBOX_RELAY_TASK, trigger, triggeredBy }
+
+  return recordSyncRun(
+    details,
+    async () => {
+      /** @type {OutboxRelayCounts | null} */
+      const counts = await withLock(OUTBOX_RELAY_TASK, relayOutboxInternal)
+
+      if (counts === null) {
+        logger.debug(
+          'Outbox relay skipped - already running on another container'
+        )
+        return null
+      }
+
+      return { counts }
+    },
+    NO_EVENTS
+  )
+}
+
+/**
+ * Get a page of the events not yet published, oldest first, with the size of
+ * the backlog
+ * @param {PaginationOptions} options - pagination options
+ */
+export async function getOutboxBacklog(options) {
+  const { page, perPage } = options
+
+  const { documents, totals } = await listBacklog(options)
+
+  const pending = totals.find(({ _id }) => _id === 'pending')
+  const deadLettered = totals.find(({ _id }) => _id === 'dead-lettered')
+
+  const totalItems = (pending?.count ?? 0) + (deadLettered?.count ?? 0)
+
+  return {
+    entities: documents.map(mapOutboxMessage),
+    meta: {
+      pagination: {
+        page,
+        perPage,
+        totalItems,
+        totalPages: Math.ceil(totalItems / perPage)
+      },
+      backlog: {
+        pending: pending?.count ?? 0,
+        deadLettered: deadLettered?.count ?? 0,
+        oldestPendingAt: pending?.oldest ?? null
+      }
+    }
+  }
+}
+
+/**
+ * @import { AuditUser, PaginationOptions } from '@defra/forms-model'
+ * @import { WithId } from 'mongodb'
+ * @import { OutboxMessage, OutboxRelayCounts, SyncRun, SyncRunTrigger } from '~/src/api/types.js'
+ */
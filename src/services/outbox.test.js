@@ -0,0 +1,284 @@
+import { ObjectId } from 'mongodb'
+
+import { config } from '~/src/config/index.js'
+import { publishEvent } from '~/src/messaging/publish-base.js'
+import { withLock } from '~/src/repositories/lock-repository.js'
+import {
+  getPending,
+  listBacklog,
+  markDeadLettered,
+  markFailed,
+  markPublished
+} from '~/src/repositories/outbox-repository.js'
+import { create as createSyncRun } from '~/src/repositories/sync-run-repository.js'
+import {
+  getBackoffDelay,
+  getOutboxBacklog,
+  relayOutbox
+} from '~/src/services/outbox.js'
+
+jest.mock('~/src/messaging/publish-base.js')
+jest.mock('~/src/repositories/lock-repository.js')
+jest.mock('~/src/repositories/outbox-repository.js')
+jest.mock('~/src/repositories/sync-run-repository.js')
+jest.mock('~/src/helpers/logging/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}))
+jest.mock('~/src/config/index.js', () => ({
+  config: {
+    get: jest.fn()
+  }
+}))
+
+const outboxConfig = /** @type {Record<string, number>} */ ({
+  'outbox.relay.batchSize': 100,
+  'outbox.maxAttempts': 3,
+  'outbox.backoffBaseSeconds': 5,
+  'outbox.backoffMaxSeconds': 60,
+  'outbox.retentionDays': 7,
+  'scheduler.runRetentionDays': 30
+})
+
+const expireAt = new Date('2020-01-08T00:00:00Z')
+
+const now = new Date('2020-01-01T00:00:00Z')
+
+/**
+ * @param {string} messageId
+ * @param {string} entityId
+ * @param {Partial<OutboxMessage>} [overrides]
+ * @returns {WithId<OutboxMessage>}
+ */
+function buildEntry(messageId, entityId, overrides = {}) {
+  return {
+    _id: new ObjectId(),
+    messageId,
+    entityId,
+    message: /** @type {AuditMessage} */ (
+      /** @type {unknown} */ ({ type: 'ENTITLEMENT_UPDATED', entityId })
+    ),
+    status: 'pending',
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    ...overrides
+  }
+}
+
+describe('outbox', () => {
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(now)
+
+    jest
+      .mocked(config.get)
+      .mockImplementation(
+        (key) => /** @type {any} */ (outboxConfig[String(key)])
+      )
+    jest.mocked(withLock).mockImplementation(async (name, fn) => {
+      return await fn()
+    })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('getBackoffDelay', () => {
+    test.each([
+      [1, 5000],
+      [2, 10000],
+      [3, 20000],
+      [5, 60000]
+    ])('should wait after %i failed attempts for %ims', (attempts, delay) => {
+      expect(getBackoffDelay(attempts)).toBe(delay)
+    })
+  })
+
+  describe('relayOutbox', () => {
+    test('should publish pending events in order', async () => {
+      const first = buildEntry('message-1', 'user-1')
+      const second = buildEntry('message-2', 'user-1')
+      jest.mocked(getPending).mockResolvedValue([first, second])
+
+      const { counts } = await relayOutbox()
+
+      expect(withLock).toHaveBeenCalledWith(
+        'outbox-relay',
+        expect.any(Function)
+      )
+      expect(getPending).toHaveBeenCalledWith(100, now)
+      expect(jest.mocked(publishEvent).mock.calls).toEqual([
+        [first.message],
+        [second.message]
+      ])
+      expect(markPublished).toHaveBeenCalledWith('message-1', now, expireAt)
+      expect(markPublished).toHaveBeenCalledWith('message-2', now, expireAt)
+      expect(counts).toEqual({ published: 2, retried: 0, deadLettered: 0 })
+    })
+
+    test('should hold later events for a user when one fails, with backoff', async () => {
+      jest
+        .mocked(getPending)
+        .mockResolvedValue([
+          buildEntry('message-1', 'user-1', { attempts: 1 }),
+          buildEntry('message-2', 'user-1'),
+          buildEntry('message-3', 'user-2')
+        ])
+      jest
+        .mocked(publishEvent)
+        .mockRejectedValueOnce(new Error('sns error'))
+        .mockResolvedValueOnce(/** @type {any} */ ({}))
+
+      const { counts } = await relayOutbox()
+
+      expect(markFailed).toHaveBeenCalledWith(
+        'message-1',
+        2,
+        new Date(now.getTime() + 10000),
+        'sns error'
+      )
+      expect(publishEvent).toHaveBeenCalledTimes(2)
+      expect(markPublished).toHaveBeenCalledTimes(1)
+      expect(markPublished).toHaveBeenCalledWith('message-3', now, expireAt)
+      expect(counts).toEqual({ published: 1, retried: 1, deadLettered: 0 })
+    })
+
+    test('should hold events for a user until a retry is due', async () => {
+      jest.mocked(getPending).mockResolvedValue([
+        buildEntry('message-1', 'user-1', {
+          attempts: 1,
+          nextAttemptAt: new Date(now.getTime() + 5000)
+        }),
+        buildEntry('message-2', 'user-1')
+      ])
+
+      const { counts } = await relayOutbox()
+
+      expect(publishEvent).not.toHaveBeenCalled()
+      expect(counts).toEqual({ published: 0, retried: 0, deadLettered: 0 })
+    })
+
+    test('should dead-letter an event after the last attempt and carry on', async () => {
+      jest
+        .mocked(getPending)
+        .mockResolvedValue([
+          buildEntry('message-1', 'user-1', { attempts: 2 }),
+          buildEntry('message-2', 'user-1')
+        ])
+      jest
+        .mocked(publishEvent)
+        .mockRejectedValueOnce(new Error('sns error'))
+        .mockResolvedValueOnce(/** @type {any} */ ({}))
+
+      const { counts } = await relayOutbox()
+
+      expect(markDeadLettered).toHaveBeenCalledWith('message-1', 3, 'sns error')
+      expect(markFailed).not.toHaveBeenCalled()
+      expect(markPublished).toHaveBeenCalledWith('message-2', now, expireAt)
+      expect(counts).toEqual({ published: 1, retried: 0, deadLettered: 1 })
+    })
+
+    test('should record the run', async () => {
+      jest.mocked(getPending).mockResolvedValue([])
+
+      const run = await relayOutbox('cron')
+
+      expect(run).toEqual(
+        expect.objectContaining({
+          task: 'outbox-relay',
+          trigger: 'cron',
+          outcome: 'completed',
+          counts: { published: 0, retried: 0, deadLettered: 0 }
+        })
+      )
+      expect(createSyncRun).toHaveBeenCalledWith({
+        ...run,
+        expireAt: expect.any(Date)
+      })
+    })
+
+    test('should record a skipped run when the lock is not acquired', async () => {
+      jest.mocked(withLock).mockResolvedValue(null)
+
+      await expect(relayOutbox('cron')).resolves.toEqual(
+        expect.objectContaining({
+          outcome: 'skipped-locked',
+          counts: { published: 0, retried: 0, deadLettered: 0 }
+        })
+      )
+      expect(getPending).not.toHaveBeenCalled()
+    })
+
+    test('should record a failed run', async () => {
+      jest.mocked(getPending).mockRejectedValue(new Error('db error'))
+
+      await expect(relayOutbox('cron')).resolves.toEqual(
+        expect.objectContaining({
+          outcome: 'failed',
+          counts: { published: 0, retried: 0, deadLettered: 0 },
+          error: 'db error'
+        })
+      )
+    })
+  })
+
+  describe('getOutboxBacklog', () => {
+    test('should get a page of the backlog with its size', async () => {
+      const entry = buildEntry('message-1', 'user-1', {
+        lastError: 'sns error'
+      })
+      jest.mocked(listBacklog).mockResolvedValue({
+        documents: [entry],
+        totals: [
+          { _id: 'pending', count: 3, oldest: now },
+          { _id: 'dead-lettered', count: 1, oldest: now }
+        ]
+      })
+
+      const result = await getOutboxBacklog({ page: 1, perPage: 2 })
+
+      expect(listBacklog).toHaveBeenCalledWith({ page: 1, perPage: 2 })
+      expect(result).toEqual({
+        entities: [
+          {
+            messageId: 'message-1',
+            entityId: 'user-1',
+            message: entry.message,
+            status: 'pending',
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            publishedAt: undefined,
+            lastError: 'sns error'
+          }
+        ],
+        meta: {
+          pagination: { page: 1, perPage: 2, totalItems: 4, totalPages: 2 },
+          backlog: { pending: 3, deadLettered: 1, oldestPendingAt: now }
+        }
+      })
+    })
+
+    test('should report an empty backlog', async () => {
+      jest.mocked(listBacklog).mockResolvedValue({ documents: [], totals: [] })
+
+      const result = await getOutboxBacklog({ page: 1, perPage: 10 })
+
+      expect(result.meta).toEqual({
+        pagination: { page: 1, perPage: 10, totalItems: 0, totalPages: 0 },
+        backlog: { pending: 0, deadLettered: 0, oldestPendingAt: null }
+      })
+    })
+  })
+})
+
+/**
+ * @import { AuditMessage } from '@defra/forms-model'
+ * @import { WithId } from 'mongodb'
+ * @import { OutboxMessage } from '~/src/api/types.js'
+ */
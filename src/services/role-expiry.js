@@ -0,0 +1,158 @@
+import { getErrorMessage } from '@defra/forms-model'
+
+import { logger } from '~/src/helpers/logging/logger.js'
+import { saveEntitlementUpdatedEvent } from '~/src/messaging/publish.js'
+import { client } from '~/src/mongo.js'
+import { withLock } from '~/src/repositories/lock-repository.js'
+import {
+  get,
+  getUsersWithExpiredRoles,
+  revokeExpiredRoles
+} from '~/src/repositories/user-repository.js'
+import { getSyncRunUser, recordSyncRun } from '~/src/services/sync-run.js'
+
+const ROLE_EXPIRY_TASK = 'role-expiry'
+
+/**
+ * Take the expired roles away from one user in a transaction, saving an
+ * entitlement event alongside. The user is read again inside the
+ * transaction, so a role changed since the candidates were listed is not
+ * revoked twice.
+ * @param {string} userId - ID of the user
+ * @param {Date} now - the time to compare role expiries with
+ * @param {AuditUser} expiryUser - the identity of the run the roles are taken away by
+ * @param {ClientSession} session - MongoDB session for transaction
+ * @returns {Promise<boolean>} Whether the user lost any roles
+ */
+async function revokeUserExpiredRoles(userId, now, expiryUser, session) {
+  let revoked = false
+
+  await session.withTransaction(async () => {
+    revoked = false
+
+    const user = await get(userId, session)
+
+    const expired = new Set(
+      (user.roleExpiries ?? [])
+        .filter(({ expiresAt }) => expiresAt <= now)
+        .map(({ role }) => role)
+    )
+
+    const roles = user.roles.filter((role) => !expired.has(role))
+
+    /** @type {RoleRevocation[]} */
+    const revocations = (user.roleExpiries ?? [])
+      .filter(({ role }) => expired.has(role) && user.roles.includes(role))
+      .map(({ role, expiresAt }) => ({
+        role,
+        reason: 'expired',
+        expiredAt: expiresAt,
+        revokedAt: now,
+        revokedBy: expiryUser
+      }))
+
+    // Always clear the expired entries, even for roles already taken away
+    await revokeExpiredRoles(
+      userId,
+      roles,
+      revocations,
+      now,
+      expiryUser,
+      session
+    )
+
+    if (!revocations.length) {
+      return
+    }
+
+    const azureUser = /** @type {AzureUser} */ ({
+      id: user.userId,
+      displayName: user.displayName,
+      email: user.email
+    })
+
+    await saveEntitlementUpdatedEvent(
+      azureUser,
+      roles,
+      expiryUser,
+      user.roles,
+      session
+    )
+
+    revoked = true
+  })
+
+  return revoked
+}
+
+/**
+ * Take expired roles away from every user holding one
+ * @param {string} runId - ID of the run
+ * @returns {Promise<SyncRunCounts>} Number of users who lost roles and failures
+ */
+async function expireRolesInternal(runId) {
+  const expiryUser = getSyncRunUser(ROLE_EXPIRY_TASK, runId)
+  const now = new Date()
+  const candidates = await getUsersWithExpiredRoles(now)
+
+  let revoked = 0
+  let errors = 0
+
+  const session = client.startSession()
+
+  try {
+    for (const { userId } of candidates) {
+      try {
+        if (await revokeUserExpiredRoles(userId, now, expiryUser, session)) {
+          revoked++
+        }
+      } catch (err) {
+        logger.error(
+          err,
+          `[roleExpiry] Failed to expire roles for ${userId}: ${getErrorMessage(err)}`
+        )
+        errors++
+      }
+    }
+  } finally {
+    await session.endSession()
+  }
+
+  logger.info(
+    `[roleExpiry] Expired roles for ${revoked} of ${candidates.length} users (${errors} errors)`
+  )
+
+  return { created: 0, updated: 0, revoked, errors }
+}
+
+/**
+ * Take expired roles away from users, with locking so only one container
+ * does so at a time
+ * @param {SyncRunTrigger} [trigger] - What started the run
+ * @param {AuditUser} [triggeredBy] - Who triggered a manual run
+ * @returns {Promise<SyncRun>} The recorded run
+ */
+export async function expireRoles(trigger = 'manual', triggeredBy) {
+  const details = { task: ROLE_EXPIRY_TASK, trigger, triggeredBy }
+
+  return recordSyncRun(details, async (runId) => {
+    /** @type {SyncRunCounts | null} */
+    const counts = await withLock(ROLE_EXPIRY_TASK, () =>
+      expireRolesInternal(runId)
+    )
+
+    if (counts === null) {
+      logger.info('Role expiry skipped - already running on another container')
+      return null
+    }
+
+    return { counts }
+  })
+}
+
+/**
+ * @import { AuditUser } from '@defra/forms-model'
+ * @import { ClientSession } from 'mongodb'
+ * @import { RoleRevocation, SyncRun, SyncRunCounts, SyncRunTrigger } from '~/src/api/types.js'
+ * @import { AzureUser } from '~/src/services/azure-ad.js'
+ */
@@ -0,0 +1,223 @@
+import { Roles } from '@defra/forms-model'
+import { ObjectId } from 'mongodb'
+
+import { saveEntitlementUpdatedEvent } from '~/src/messaging/publish.js'
+import { client } from '~/src/mongo.js'
+import { withLock } from '~/src/repositories/lock-repository.js'
+import { create as createSyncRun } from '~/src/repositories/sync-run-repository.js'
+import {
+  get,
+  getUsersWithExpiredRoles,
+  revokeExpiredRoles
+} from '~/src/repositories/user-repository.js'
+import { expireRoles } from '~/src/services/role-expiry.js'
+import { getSyncRunUser } from '~/src/services/sync-run.js'
+
+jest.mock('~/src/messaging/publish.js')
+jest.mock('~/src/repositories/user-repository.js')
+jest.mock('~/src/repositories/lock-repository.js')
+jest.mock('~/src/repositories/sync-run-repository.js')
+jest.mock('~/src/mongo.js', () => ({
+  client: {
+    startSession: jest.fn()
+  }
+}))
+jest.mock('~/src/helpers/logging/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }
+}))
+
+const past = new Date('2020-01-01T00:00:00Z')
+const future = new Date('2099-01-01T00:00:00Z')
+
+/**
+ * @param {string} userId
+ * @param {Roles[]} roles
+ * @param {RoleExpiry[]} roleExpiries
+ * @returns {WithId<StoredUser>}
+ */
+function buildStoredUser(userId, roles, roleExpiries) {
+  return {
+    _id: new ObjectId(),
+    userId,
+    email: `${userId}@defra.gov.uk`,
+    displayName: `Display ${userId}`,
+    roles,
+    roleExpiries
+  }
+}
+
+describe('role-expiry', () => {
+  /** @type {any} */
+  let mockSession
+
+  beforeEach(() => {
+    mockSession = {
+      withTransaction: jest.fn((fn) => fn()),
+      endSession: jest.fn().mockResolvedValue(undefined)
+    }
+
+    jest.mocked(client.startSession).mockReturnValue(mockSession)
+    jest.mocked(withLock).mockImplementation(async (name, fn) => {
+      return await fn()
+    })
+  })
+
+  describe('expireRoles', () => {
+    test('should take expired roles away and record why', async () => {
+      const user = buildStoredUser(
+        'user-1',
+        [Roles.Admin, Roles.FormCreator],
+        [
+          { role: Roles.Admin, expiresAt: past },
+          { role: Roles.FormCreator, expiresAt: future }
+        ]
+      )
+      jest.mocked(getUsersWithExpiredRoles).mockResolvedValue([user])
+      jest.mocked(get).mockResolvedValue(user)
+
+      const run = await expireRoles('cron')
+      const expiryUser = getSyncRunUser('role-expiry', run.runId)
+
+      expect(withLock).toHaveBeenCalledWith('role-expiry', expect.any(Function))
+      expect(get).toHaveBeenCalledWith('user-1', mockSession)
+      expect(revokeExpiredRoles).toHaveBeenCalledWith(
+        'user-1',
+        [Roles.FormCreator],
+        [
+          {
+            role: Roles.Admin,
+            reason: 'expired',
+            expiredAt: past,
+            revokedAt: expect.any(Date),
+            revokedBy: expiryUser
+          }
+        ],
+        expect.any(Date),
+        expiryUser,
+        mockSession
+      )
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledWith(
+        {
+          id: 'user-1',
+          email: 'user-1@defra.gov.uk',
+          displayName: 'Display user-1'
+        },
+        [Roles.FormCreator],
+        expiryUser,
+        [Roles.Admin, Roles.FormCreator],
+        mockSession
+      )
+      expect(mockSession.endSession).toHaveBeenCalled()
+      expect(run).toMatchObject({
+        task: 'role-expiry',
+        trigger: 'cron',
+        outcome: 'completed',
+        counts: { created: 0, updated: 0, revoked: 1, errors: 0 }
+      })
+      expect(run).not.toHaveProperty('membership')
+      expect(createSyncRun).toHaveBeenCalledWith({
+        ...run,
+        expireAt: expect.any(Date)
+      })
+    })
+
+    test('should clear expiries of roles the user no longer holds without publishing', async () => {
+      const user = buildStoredUser(
+        'user-1',
+        [Roles.FormCreator],
+        [{ role: Roles.Admin, expiresAt: past }]
+      )
+      jest.mocked(getUsersWithExpiredRoles).mockResolvedValue([user])
+      jest.mocked(get).mockResolvedValue(user)
+
+      const run = await expireRoles()
+
+      expect(revokeExpiredRoles).toHaveBeenCalledWith(
+        'user-1',
+        [Roles.FormCreator],
+        [],
+        expect.any(Date),
+        getSyncRunUser('role-expiry', run.runId),
+        mockSession
+      )
+      expect(saveEntitlementUpdatedEvent).not.toHaveBeenCalled()
+      expect(run.counts).toMatchObject({ revoked: 0 })
+    })
+
+    test('should carry on with other users when one fails', async () => {
+      const user1 = buildStoredUser(
+        'user-1',
+        [Roles.Admin],
+        [{ role: Roles.Admin, expiresAt: past }]
+      )
+      const user2 = buildStoredUser(
+        'user-2',
+        [Roles.Admin],
+        [{ role: Roles.Admin, expiresAt: past }]
+      )
+      jest.mocked(getUsersWithExpiredRoles).mockResolvedValue([user1, user2])
+      jest
+        .mocked(get)
+        .mockRejectedValueOnce(new Error('db error'))
+        .mockResolvedValueOnce(user2)
+
+      const run = await expireRoles()
+
+      expect(revokeExpiredRoles).toHaveBeenCalledTimes(1)
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'user-2' }),
+        [],
+        getSyncRunUser('role-expiry', run.runId),
+        [Roles.Admin],
+        mockSession
+      )
+      expect(run.counts).toEqual({
+        created: 0,
+        updated: 0,
+        revoked: 1,
+        errors: 1
+      })
+    })
+
+    test('should not count a user whose event cannot be saved', async () => {
+      const user = buildStoredUser(
+        'user-1',
+        [Roles.Admin],
+        [{ role: Roles.Admin, expiresAt: past }]
+      )
+      jest.mocked(getUsersWithExpiredRoles).mockResolvedValue([user])
+      jest.mocked(get).mockResolvedValue(user)
+      jest
+        .mocked(saveEntitlementUpdatedEvent)
+        .mockRejectedValue(new Error('Validation error'))
+
+      const run = await expireRoles()
+
+      expect(run.counts).toMatchObject({ revoked: 0, errors: 1 })
+    })
+
+    test('should record a skipped run when the lock is not acquired', async () => {
+      jest.mocked(withLock).mockResolvedValue(null)
+      const triggeredBy = { id: 'user-id', displayName: 'Joe Bloggs' }
+
+      const run = await expireRoles('manual', triggeredBy)
+
+      expect(run).toMatchObject({
+        task: 'role-expiry',
+        trigger: 'manual',
+        triggeredBy,
+        outcome: 'skipped-locked'
+      })
+      expect(getUsersWithExpiredRoles).not.toHaveBeenCalled()
+    })
+  })
+})
+
+/**
+ * @import { WithId } from 'mongodb'
+ * @import { RoleExpiry, StoredUser } from '~/src/api/types.js'
+ */
@@ -0,0 +1,48 @@
+import { config } from '~/src/config/index.js'
+import {
+  DEFAULT_ROLE_POLICY,
+  setRolePolicy
+} from '~/src/helpers/authorisation.js'
+import { logger } from '~/src/helpers/logging/logger.js'
+import { get } from '~/src/repositories/role-policy-repository.js'
+import { rolePolicySchema } from '~/src/schemas/role-policy.js'
+
+/**
+ * Read the role policy from the configured source, validate it and apply it
+ * to the authorisation checks. Called at startup, so an invalid policy stops
+ * the service starting rather than being applied in part.
+ * @returns {Promise<RolePolicy>} The policy applied
+ */
+export async function loadRolePolicy() {
+  const source = config.get('rolePolicy.source')
+  const document =
+    source === 'mongo' ? await get() : config.get('rolePolicy.document')
+
+  if (!document) {
+    logger.info(`[rolePolicy] No role policy in ${source} - using the default`)
+
+    setRolePolicy(DEFAULT_ROLE_POLICY)
+    return DEFAULT_ROLE_POLICY
+  }
+
+  /** @type {{ error?: ValidationError, value: RolePolicy }} */
+  const { error, value } = rolePolicySchema.validate(document, {
+    abortEarly: false
+  })
+
+  if (error) {
+    throw new Error(`Invalid role policy in ${source} - ${error.message}`)
+  }
+
+  logger.info(
+    `[rolePolicy] Loaded role policy from ${source} with ${value.management.length} management rules`
+  )
+
+  setRolePolicy(value)
+  return value
+}
+
+/**
+ * @import { ValidationError } from 'joi'
+ * @import { RolePolicy } from '~/src/api/types.js'
+ */
@@ -0,0 +1,124 @@
+import { Roles } from '@defra/forms-model'
+
+import {
+  customRolePolicy,
+  defaultRolePolicy
+} from '~/src/api/__stubs__/role-policy.js'
+import { config } from '~/src/config/index.js'
+import { setRolePolicy } from '~/src/helpers/authorisation.js'
+import { get } from '~/src/repositories/role-policy-repository.js'
+import { loadRolePolicy } from '~/src/services/role-policy.js'
+
+jest.mock('~/src/helpers/authorisation.js', () => ({
+  ...jest.requireActual('~/src/helpers/authorisation.js'),
+  setRolePolicy: jest.fn()
+}))
+jest.mock('~/src/repositories/role-policy-repository.js')
+jest.mock('~/src/helpers/logging/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn()
+  }
+}))
+jest.mock('~/src/config/index.js', () => ({
+  config: {
+    get: jest.fn()
+  }
+}))
+
+/**
+ * @param {'config' | 'mongo'} source
+ * @param {unknown} [document]
+ */
+function mockConfig(source, document = null) {
+  jest.mocked(config.get).mockImplementation(
+    (key) =>
+      /** @type {any} */ ({
+        'rolePolicy.source': source,
+        'rolePolicy.document': document
+      })[String(key)]
+  )
+}
+
+describe('role-policy', () => {
+  describe('loadRolePolicy', () => {
+    test('should apply the default policy when none is configured', async () => {
+      mockConfig('config')
+
+      await expect(loadRolePolicy()).resolves.toEqual(defaultRolePolicy)
+      expect(setRolePolicy).toHaveBeenCalledWith(defaultRolePolicy)
+      expect(get).not.toHaveBeenCalled()
+    })
+
+    test('should apply the policy from config', async () => {
+      mockConfig('config', customRolePolicy)
+
+      await expect(loadRolePolicy()).resolves.toEqual(customRolePolicy)
+      expect(setRolePolicy).toHaveBeenCalledWith(customRolePolicy)
+    })
+
+    test('should apply the policy from mongo', async () => {
+      mockConfig('mongo', customRolePolicy)
+      jest.mocked(get).mockResolvedValue(defaultRolePolicy)
+
+      await expect(loadRolePolicy()).resolves.toEqual(defaultRolePolicy)
+      expect(setRolePolicy).toHaveBeenCalledWith(defaultRolePolicy)
+    })
+
+    test('should apply the default policy when none is stored in mongo', async () => {
+      mockConfig('mongo')
+      jest.mocked(get).mockResolvedValue(null)
+
+      await expect(loadRolePolicy()).resolves.toEqual(defaultRolePolicy)
+    })
+
+    test('should default the separation of duties rules', async () => {
+      mockConfig('config', {
+        management: [{ role: Roles.Superadmin, manages: '*' }],
+        allowSelfAction: false
+      })
+
+      await expect(loadRolePolicy()).resolves.toEqual({
+        management: [{ role: Roles.Superadmin, manages: '*' }],
+        allowSelfAction: false,
+        separationOfDuties: []
+      })
+    })
+
+    test.each([
+      [
+        'an unknown role',
+        {
+          management: [{ role: 'form-reviewer', manages: '*' }],
+          allowSelfAction: false
+        }
+      ],
+      [
+        'a role with two management rules',
+        {
+          management: [
+            { role: Roles.Admin, manages: '*' },
+            { role: Roles.Admin, manages: [Roles.FormCreator] }
+          ],
+          allowSelfAction: false
+        }
+      ],
+      [
+        'a separation of duties rule with one role',
+        {
+          management: [],
+          allowSelfAction: false,
+          separationOfDuties: [{ roles: [Roles.Admin] }]
+        }
+      ],
+      ['no self-action rule', { management: [] }]
+    ])('should reject a policy with %s', async (_, document) => {
+      mockConfig('config', document)
+
+      await expect(loadRolePolicy()).rejects.toThrow(
+        /^Invalid role policy in config - /
+      )
+      expect(setRolePolicy).not.toHaveBeenCalled()
+    })
+  })
+})
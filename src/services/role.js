@@ -0,0 +1,52 @@
+import { RoleNames, Roles, Scopes, mapScopesToRoles } from '@defra/forms-model'
+
+import { getHighestAllowedRoles } from '~/src/helpers/authorisation.js'
+
+/**
+ * What holders of each role can do, for the designer's role pickers
+ * @type {Record<Roles, string>}
+ */
+const roleDescriptions = {
+  [Roles.Superadmin]:
+    'Has every scope, including managing admins, superadmins, group role mappings and scheduled tasks',
+  [Roles.Admin]:
+    'Publishes forms, reads their submissions and reports, and manages users',
+  [Roles.FormPublisher]:
+    'Creates, edits, deletes and publishes forms, and reads their submissions',
+  [Roles.FormCreator]: 'Creates, edits and deletes forms'
+}
+
+/**
+ * Get every role with what it grants, and whether the caller may assign it
+ * under the role policy
+ * @param {Roles[]} callingUserRoles - the roles of the caller
+ * @returns {RoleCatalogueEntry[]}
+ */
+export function getRoles(callingUserRoles) {
+  const assignableRoles = getHighestAllowedRoles(callingUserRoles) ?? []
+
+  return Object.values(Roles).map((role) => ({
+    role,
+    name: RoleNames[role],
+    description: roleDescriptions[role],
+    scopes: mapScopesToRoles([role]),
+    assignable: assignableRoles.includes(role)
+  }))
+}
+
+/**
+ * Get every scope with the roles that grant it
+ * @returns {ScopeCatalogueEntry[]}
+ */
+export function getScopes() {
+  return Object.values(Scopes).map((scope) => ({
+    scope,
+    roles: Object.values(Roles).filter((role) =>
+      mapScopesToRoles([role]).includes(scope)
+    )
+  }))
+}
+
+/**
+ * @import { RoleCatalogueEntry, ScopeCatalogueEntry } from '~/src/api/types.js'
+ */
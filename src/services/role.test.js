@@ -0,0 +1,74 @@
+import { RoleNames, RoleScopes, Roles, Scopes } from '@defra/forms-model'
+
+import { customRolePolicy } from '~/src/api/__stubs__/role-policy.js'
+import {
+  DEFAULT_ROLE_POLICY,
+  setRolePolicy
+} from '~/src/helpers/authorisation.js'
+import { getRoles, getScopes } from '~/src/services/role.js'
+
+describe('role', () => {
+  describe('getRoles', () => {
+    afterEach(() => {
+      setRolePolicy(DEFAULT_ROLE_POLICY)
+    })
+
+    test('should list every role with its name, description and scopes', () => {
+      const roles = getRoles([Roles.Superadmin])
+
+      expect(roles.map(({ role }) => role)).toEqual(Object.values(Roles))
+
+      for (const entry of roles) {
+        expect(entry.name).toBe(RoleNames[entry.role])
+        expect(entry.description).toEqual(expect.any(String))
+        expect(entry.scopes).toEqual(RoleScopes[entry.role])
+        expect(entry.assignable).toBe(true)
+      }
+    })
+
+    test('should mark the roles an admin may assign', () => {
+      const assignable = getRoles([Roles.Admin])
+        .filter(({ assignable }) => assignable)
+        .map(({ role }) => role)
+
+      expect(assignable).toEqual([Roles.FormPublisher, Roles.FormCreator])
+    })
+
+    test('should mark no roles as assignable for a caller who manages nobody', () => {
+      expect(
+        getRoles([Roles.FormCreator]).some(({ assignable }) => assignable)
+      ).toBe(false)
+      expect(getRoles([]).some(({ assignable }) => assignable)).toBe(false)
+    })
+
+    test('should follow the role policy', () => {
+      setRolePolicy(customRolePolicy)
+
+      const assignable = getRoles([Roles.FormPublisher])
+        .filter(({ assignable }) => assignable)
+        .map(({ role }) => role)
+
+      expect(assignable).toEqual([Roles.FormCreator])
+    })
+  })
+
+  describe('getScopes', () => {
+    test('should list every scope with the roles that grant it', () => {
+      const scopes = getScopes()
+
+      expect(scopes.map(({ scope }) => scope)).toEqual(Object.values(Scopes))
+      expect(scopes).toContainEqual({
+        scope: Scopes.FormEdit,
+        roles: Object.values(Roles)
+      })
+      expect(scopes).toContainEqual({
+        scope: Scopes.UserEdit,
+        roles: [Roles.Superadmin, Roles.Admin]
+      })
+      expect(scopes).toContainEqual({
+        scope: Scopes.FormsBackup,
+        roles: [Roles.Superadmin]
+      })
+    })
+  })
+})
@@ -0,0 +1,127 @@
+import Boom from '@hapi/boom'
+
+import { logger } from '~/src/helpers/logging/logger.js'
+import {
+  getAll,
+  setPaused
+} from '~/src/repositories/scheduler-task-repository.js'
+import { getLatest } from '~/src/repositories/sync-run-repository.js'
+import { getSchedulerService } from '~/src/services/scheduler.js'
+import { mapSyncRun } from '~/src/services/sync-run.js'
+
+/**
+ * Describe a scheduled task, combining this container's schedule with the
+ * pause state and run history shared by every container
+ * @param {{ name: string, cronExpression: string, isRunning: boolean, nextRun: Date | null }} task - task scheduled on this container
+ * @param {SchedulerTaskState | undefined} taskState - stored pause state
+ * @returns {Promise<SchedulerTask>}
+ */
+async function mapSchedulerTask(task, taskState) {
+  const [lastRun, lastFailedRun] = await Promise.all([
+    getLatest(task.name),
+    getLatest(task.name, 'failed')
+  ])
+
+  const paused = taskState?.paused ?? false
+
+  /** @type {SchedulerTask} */
+  const schedulerTask = {
+    name: task.name,
+    cronExpression: task.cronExpression,
+    state: paused ? 'paused' : task.isRunning ? 'running' : 'stopped',
+    lastRun: lastRun ? mapSyncRun(lastRun) : null,
+    nextRun: paused ? null : task.nextRun,
+    lastError: lastFailedRun
+      ? {
+          runId: lastFailedRun.runId,
+          at: lastFailedRun.endedAt,
+          message: lastFailedRun.error
+        }
+      : null
+  }
+
+  if (paused) {
+    schedulerTask.pausedAt = taskState?.updatedAt
+    schedulerTask.pausedBy = taskState?.updatedBy
+  }
+
+  return schedulerTask
+}
+
+/**
+ * Get the tasks scheduled on this container
+ * @returns {Promise<SchedulerTask[]>}
+ */
+export async function getSchedulerTasks() {
+  const tasks = getSchedulerService().getTasks()
+  const taskStates = new Map(
+    (await getAll()).map((taskState) => [taskState.name, taskState])
+  )
+
+  return Promise.all(
+    tasks.map((task) => mapSchedulerTask(task, taskStates.get(task.name)))
+  )
+}
+
+/**
+ * Get a task scheduled on this container
+ * @param {string} name - name of the task
+ * @returns {Promise<SchedulerTask>}
+ */
+export async function getSchedulerTask(name) {
+  const tasks = await getSchedulerTasks()
+  const task = tasks.find((schedulerTask) => schedulerTask.name === name)
+
+  if (!task) {
+    throw Boom.notFound(`Scheduled task '${name}' not found`)
+  }
+
+  return task
+}
+
+/**
+ * Pause or resume a task on every container
+ * @param {string} name - name of the task
+ * @param {boolean} paused - whether scheduled runs should be skipped
+ * @param {AuditUser} caller - who paused or resumed the task
+ */
+async function setSchedulerTaskPaused(name, paused, caller) {
+  const isScheduled = getSchedulerService()
+    .getTasks()
+    .some((task) => task.name === name)
+
+  if (!isScheduled) {
+    throw Boom.notFound(`Scheduled task '${name}' not found`)
+  }
+
+  await setPaused(name, paused, caller)
+
+  logger.info(
+    `[schedulerTask] Task '${name}' ${paused ? 'paused' : 'resumed'} by ${caller.displayName} (${caller.id})`
+  )
+
+  return getSchedulerTask(name)
+}
+
+/**
+ * Stop scheduled runs of a task on every container. Manual triggers still run.
+ * @param {string} name - name of the task
+ * @param {AuditUser} caller - who paused the task
+ */
+export function pauseSchedulerTask(name, caller) {
+  return setSchedulerTaskPaused(name, true, caller)
+}
+
+/**
+ * Restart scheduled runs of a paused task on every container
+ * @param {string} name - name of the task
+ * @param {AuditUser} caller - who resumed the task
+ */
+export function resumeSchedulerTask(name, caller) {
+  return setSchedulerTaskPaused(name, false, caller)
+}
+
+/**
+ * @import { AuditUser } from '@defra/forms-model'
+ * @import { SchedulerTask, SchedulerTaskState } from '~/src/api/types.js'
+ */
@@ -0,0 +1,208 @@
+import { ObjectId } from 'mongodb'
+
+import {
+  getAll,
+  setPaused
+} from '~/src/repositories/scheduler-task-repository.js'
+import { getLatest } from '~/src/repositories/sync-run-repository.js'
+import {
+  getSchedulerTask,
+  getSchedulerTasks,
+  pauseSchedulerTask,
+  resumeSchedulerTask
+} from '~/src/services/scheduler-task.js'
+import { getSchedulerService } from '~/src/services/scheduler.js'
+
+jest.mock('~/src/repositories/scheduler-task-repository.js')
+jest.mock('~/src/repositories/sync-run-repository.js')
+jest.mock('~/src/services/scheduler.js')
+jest.mock('~/src/helpers/logging/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }
+}))
+
+const caller = { id: 'user-id', displayName: 'Joe Bloggs' }
+
+const scheduledTask = {
+  name: 'admin-user-sync',
+  cronExpression: '0 */6 * * *',
+  isRunning: true,
+  nextRun: new Date('2020-01-01T06:00:00Z')
+}
+
+/** @type {WithId<SyncRun>} */
+const completedRun = {
+  _id: new ObjectId(),
+  runId: 'completed-run-id',
+  task: 'admin-user-sync',
+  trigger: 'cron',
+  containerId: 'container-1',
+  startedAt: new Date('2020-01-01T00:00:00Z'),
+  endedAt: new Date('2020-01-01T00:00:05Z'),
+  outcome: 'completed',
+  counts: { created: 0, updated: 0, revoked: 0, errors: 0 }
+}
+
+/** @type {WithId<SyncRun>} */
+const failedRun = {
+  ...completedRun,
+  _id: new ObjectId(),
+  runId: 'failed-run-id',
+  endedAt: new Date('2019-12-31T18:00:05Z'),
+  outcome: 'failed',
+  error: 'Azure AD connection failed'
+}
+
+describe('Scheduler task service', () => {
+  const mockGetTasks = jest.fn()
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    mockGetTasks.mockReturnValue([scheduledTask])
+    jest
+      .mocked(getSchedulerService)
+      .mockReturnValue(/** @type {any} */ ({ getTasks: mockGetTasks }))
+
+    jest.mocked(getAll).mockResolvedValue([])
+    jest
+      .mocked(getLatest)
+      .mockImplementation((task, outcome) =>
+        Promise.resolve(outcome === 'failed' ? failedRun : completedRun)
+      )
+  })
+
+  describe('getSchedulerTasks', () => {
+    it('should describe each task with its last run and error', async () => {
+      const tasks = await getSchedulerTasks()
+
+      expect(tasks).toEqual([
+        {
+          name: 'admin-user-sync',
+          cronExpression: '0 */6 * * *',
+          state: 'running',
+          lastRun: expect.objectContaining({ runId: 'completed-run-id' }),
+          nextRun: new Date('2020-01-01T06:00:00Z'),
+          lastError: {
+            runId: 'failed-run-id',
+            at: new Date('2019-12-31T18:00:05Z'),
+            message: 'Azure AD connection failed'
+          }
+        }
+      ])
+      expect(tasks[0].lastRun).not.toHaveProperty('_id')
+    })
+
+    it('should report the last run of the outbox relay', async () => {
+      /** @type {WithId<SyncRun>} */
+      const relayRun = {
+        ...completedRun,
+        runId: 'relay-run-id',
+        task: 'outbox-relay',
+        counts: { published: 2, retried: 0, deadLettered: 0 }
+      }
+
+      mockGetTasks.mockReturnValue([
+        {
+          ...scheduledTask,
+          name: 'outbox-relay',
+          cronExpression: '*/10 * * * * *'
+        }
+      ])
+      jest
+        .mocked(getLatest)
+        .mockImplementation((task, outcome) =>
+          Promise.resolve(outcome === 'failed' ? null : relayRun)
+        )
+
+      const [task] = await getSchedulerTasks()
+
+      expect(getLatest).toHaveBeenCalledWith('outbox-relay')
+      expect(task).toMatchObject({
+        name: 'outbox-relay',
+        lastRun: expect.objectContaining({
+          runId: 'relay-run-id',
+          counts: { published: 2, retried: 0, deadLettered: 0 }
+        }),
+        lastError: null
+      })
+    })
+
+    it('should report a paused task without a next run', async () => {
+      jest.mocked(getAll).mockResolvedValue([
+        {
+          _id: new ObjectId(),
+          name: 'admin-user-sync',
+          paused: true,
+          updatedAt: new Date('2020-01-01'),
+          updatedBy: caller
+        }
+      ])
+
+      const [task] = await getSchedulerTasks()
+
+      expect(task).toMatchObject({
+        state: 'paused',
+        nextRun: null,
+        pausedAt: new Date('2020-01-01'),
+        pausedBy: caller
+      })
+    })
+
+    it('should report a task that is not running on this container', async () => {
+      mockGetTasks.mockReturnValue([
+        { ...scheduledTask, isRunning: false, nextRun: null }
+      ])
+      jest.mocked(getLatest).mockResolvedValue(null)
+
+      const [task] = await getSchedulerTasks()
+
+      expect(task).toMatchObject({
+        state: 'stopped',
+        lastRun: null,
+        nextRun: null,
+        lastError: null
+      })
+    })
+  })
+
+  describe('getSchedulerTask', () => {
+    it('should throw for an unknown task', async () => {
+      await expect(getSchedulerTask('unknown')).rejects.toThrow(
+        "Scheduled task 'unknown' not found"
+      )
+    })
+  })
+
+  describe('pauseSchedulerTask', () => {
+    it('should store the pause state for every container', async () => {
+      await pauseSchedulerTask('admin-user-sync', caller)
+
+      expect(setPaused).toHaveBeenCalledWith('admin-user-sync', true, caller)
+    })
+
+    it('should throw for an unknown task', async () => {
+      await expect(pauseSchedulerTask('unknown', caller)).rejects.toThrow(
+        "Scheduled task 'unknown' not found"
+      )
+      expect(setPaused).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('resumeSchedulerTask', () => {
+    it('should clear the pause state for every container', async () => {
+      const task = await resumeSchedulerTask('admin-user-sync', caller)
+
+      expect(setPaused).toHaveBeenCalledWith('admin-user-sync', false, caller)
+      expect(task.state).toBe('running')
+    })
+  })
+})
+
+/**
+ * @import { WithId } from 'mongodb'
+ * @import { SyncRun } from '~/src/api/types.js'
+ */
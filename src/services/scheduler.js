@@ -3,6 +3,7 @@ import cron from 'node-cron'
 
 import { config } from '~/src/config/index.js'
 import { logger } from '~/src/helpers/logging/logger.js'
+import { get } from '~/src/repositories/scheduler-task-repository.js'
 
 /**
  * Scheduler service for managing periodic tasks
@@ -21,7 +22,7 @@ class SchedulerService {
    * Schedule a recurring task
    * @param {string} name - Unique name for the task
    * @param {string} cronExpression - Cron expression for scheduling
-   * @param {Function} taskFunction - Function to execute
+   * @param {Function} taskFunction - Function to execute, called with what triggered the run ('cron', 'startup' or 'manual') and, for manual runs, the caller
    * @param {boolean} runImmediately - Whether to run the task immediately on startup
    * @returns {boolean} True if task was scheduled successfully
    */
@@ -41,20 +42,35 @@ class SchedulerService {
         return false
       }
 
-      const executeScheduledTask = async () => {
+      /**
+       * @param {SyncRunTrigger} trigger - What started the run
+       * @param {AuditUser} [caller] - Who triggered a manual run
+       * @returns {Promise<unknown>} The task result, or false if the task failed
+       */
+      const executeScheduledTask = async (trigger, caller) => {
         try {
-          await taskFunction()
+          if (trigger !== 'manual' && (await this.isPaused(name))) {
+            logger.info(
+              `[SchedulerService] Task '${name}' is paused, skipping ${trigger} run`
+            )
+            return null
+          }
+
+          return await taskFunction(trigger, caller)
         } catch (err) {
           logger.error(
             err,
             `[SchedulerService] Task '${name}' failed: ${getErrorMessage(err)}`
           )
+          return false
         }
       }
 
-      const task = cron.schedule(cronExpression, executeScheduledTask, {
-        timezone: 'UTC'
-      })
+      const task = cron.schedule(
+        cronExpression,
+        () => executeScheduledTask('cron'),
+        { timezone: 'UTC' }
+      )
 
       // eslint-disable-next-line @typescript-eslint/no-floating-promises
       task.stop()
@@ -68,12 +84,14 @@ class SchedulerService {
 
       if (runImmediately) {
         setImmediate(() => {
-          executeScheduledTask().catch((/** @type {unknown} */ err) => {
-            logger.error(
-              err,
-              `[SchedulerService] Immediate task execution failed: ${getErrorMessage(err)}`
-            )
-          })
+          executeScheduledTask('startup').catch(
+            (/** @type {unknown} */ err) => {
+              logger.error(
+                err,
+                `[SchedulerService] Immediate task execution failed: ${getErrorMessage(err)}`
+              )
+            }
+          )
         })
       }
 
@@ -87,6 +105,38 @@ class SchedulerService {
     }
   }
 
+  /**
+   * Check whether a task has been paused on any container. Scheduled runs go
+   * ahead if the pause state cannot be read.
+   * @param {string} name - Name of the task
+   * @returns {Promise<boolean>}
+   */
+  async isPaused(name) {
+    try {
+      const state = await get(name)
+      return state?.paused ?? false
+    } catch (err) {
+      logger.warn(
+        err,
+        `[SchedulerService] Failed to read pause state for task '${name}': ${getErrorMessage(err)}`
+      )
+      return false
+    }
+  }
+
+  /**
+   * Get the scheduled tasks on this container
+   * @returns {{ name: string, cronExpression: string, isRunning: boolean, nextRun: Date | null }[]}
+   */
+  getTasks() {
+    return Array.from(this.tasks, ([name, taskData]) => ({
+      name,
+      cronExpression: taskData.cronExpression,
+      isRunning: taskData.isRunning,
+      nextRun: taskData.task.getNextRun()
+    }))
+  }
+
   /**
    * Start all scheduled tasks
    */
@@ -146,9 +196,10 @@ class SchedulerService {
   /**
    * Manually trigger a task
    * @param {string} name - Name of the task to trigger
-   * @returns {Promise<boolean>} True if task was triggered successfully
+   * @param {AuditUser} [caller] - Who triggered the task
+   * @returns {Promise<unknown>} The task result, or false if the task was not found or failed
    */
-  async triggerTask(name) {
+  async triggerTask(name, caller) {
     const taskData = this.tasks.get(name)
     if (!taskData) {
       logger.error(`[SchedulerService] Task '${name}' not found`)
@@ -156,8 +207,7 @@ class SchedulerService {
     }
 
     try {
-      await taskData.taskFunction()
-      return true
+      return await taskData.taskFunction('manual', caller)
     } catch (err) {
       logger.error(
         err,
@@ -208,3 +258,68 @@ export function initialiseAdminUserSync(syncFunction) {
 
   return scheduler
 }
+
+/**
+ * Initialise and configure the role expiry job
+ * @param {Function} expireFunction - The expiry function to schedule
+ * @returns {SchedulerService|null} The scheduler service instance or null if role expiry is disabled
+ */
+export function initialiseRoleExpiry(expireFunction) {
+  const scheduler = getSchedulerService()
+
+  const expiryEnabled = config.get('roleExpiry.enabled')
+  const cronSchedule = config.get('roleExpiry.cronSchedule')
+
+  if (!expiryEnabled) {
+    return null
+  }
+
+  const success = scheduler.scheduleTask(
+    'role-expiry',
+    cronSchedule,
+    expireFunction,
+    true
+  )
+
+  if (!success) {
+    logger.error('[SchedulerService] Failed to schedule role expiry task')
+    throw new Error('Failed to initialize role expiry scheduler')
+  }
+
+  return scheduler
+}
+
+/**
+ * Initialise and configure the outbox relay
+ * @param {Function} relayFunction - The relay function to schedule
+ * @returns {SchedulerService|null} The scheduler service instance or null if the relay is disabled
+ */
+export function initialiseOutboxRelay(relayFunction) {
+  const scheduler = getSchedulerService()
+
+  const relayEnabled = config.get('outbox.relay.enabled')
+  const cronSchedule = config.get('outbox.relay.cronSchedule')
+
+  if (!relayEnabled) {
+    return null
+  }
+
+  const success = scheduler.scheduleTask(
+    'outbox-relay',
+    cronSchedule,
+    relayFunction,
+    true
+  )
+
+  if (!success) {
+    logger.error('[SchedulerService] Failed to schedule outbox relay task')
+    throw new Error('Failed to initialize outbox relay scheduler')
+  }
+
+  return scheduler
+}
+
+/**
+ * @import { AuditUser } from '@defra/forms-model'
+ * @import { SyncRunTrigger } from '~/src/api/types.js'
+ */
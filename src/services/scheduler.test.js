@@ -2,14 +2,18 @@ import { beforeEach, describe, expect, jest, test } from '@jest/globals'
 import cron from 'node-cron'
 
 import { config } from '~/src/config/index.js'
+import { get } from '~/src/repositories/scheduler-task-repository.js'
 import {
   getSchedulerService,
-  initialiseAdminUserSync
+  initialiseAdminUserSync,
+  initialiseOutboxRelay,
+  initialiseRoleExpiry
 } from '~/src/services/scheduler.js'
 
 const createMockTask = () => ({
   start: jest.fn(),
-  stop: jest.fn()
+  stop: jest.fn(),
+  getNextRun: jest.fn(() => new Date('2020-01-01T06:00:00Z'))
 })
 
 jest.mock('node-cron', () => ({
@@ -19,6 +23,8 @@ jest.mock('node-cron', () => ({
   }
 }))
 
+jest.mock('~/src/repositories/scheduler-task-repository.js')
+
 jest.mock('~/src/config/index.js', () => ({
   config: {
     get: jest.fn()
@@ -53,6 +59,10 @@ describe('SchedulerService', () => {
     configAny.get = jest.fn().mockImplementation((key) => {
       if (key === 'sync.adminUsers.enabled') return true
       if (key === 'sync.adminUsers.cronSchedule') return '0 */6 * * *'
+      if (key === 'roleExpiry.enabled') return true
+      if (key === 'roleExpiry.cronSchedule') return '*/15 * * * *'
+      if (key === 'outbox.relay.enabled') return true
+      if (key === 'outbox.relay.cronSchedule') return '*/10 * * * * *'
       return undefined
     })
 
@@ -125,6 +135,22 @@ describe('SchedulerService', () => {
       expect(taskData.taskFunction).toBeDefined()
     })
 
+    test('should tell the task what triggered it', async () => {
+      const scheduler = getSchedulerService()
+      const taskFunction = jest.fn().mockImplementation(() => Promise.resolve())
+      scheduler.scheduleTask('trigger-task', '* * * * *', taskFunction, true)
+
+      jest.runAllTimers()
+      await Promise.resolve()
+
+      const cronAny = /** @type {any} */ (cron)
+      const onTick = cronAny.schedule.mock.calls[0][1]
+      await onTick()
+
+      expect(taskFunction).toHaveBeenNthCalledWith(1, 'startup', undefined)
+      expect(taskFunction).toHaveBeenNthCalledWith(2, 'cron', undefined)
+    })
+
     test('should handle task execution errors', async () => {
       const scheduler = getSchedulerService()
       const taskFunction = jest
@@ -328,16 +354,84 @@ describe('SchedulerService', () => {
     })
   })
 
-  describe('triggerTask', () => {
-    test('should trigger a task manually', async () => {
+  describe('pausing', () => {
+    test('should skip scheduled runs of a paused task', async () => {
+      jest
+        .mocked(get)
+        .mockResolvedValue(
+          /** @type {any} */ ({ name: 'paused-task', paused: true })
+        )
+      const scheduler = getSchedulerService()
+      const taskFunction = jest.fn()
+      scheduler.scheduleTask('paused-task', '* * * * *', taskFunction)
+
+      const cronAny = /** @type {any} */ (cron)
+      const onTick = cronAny.schedule.mock.calls[0][1]
+
+      await expect(onTick()).resolves.toBeNull()
+      expect(get).toHaveBeenCalledWith('paused-task')
+      expect(taskFunction).not.toHaveBeenCalled()
+    })
+
+    test('should still run a paused task when triggered manually', async () => {
+      jest
+        .mocked(get)
+        .mockResolvedValue(
+          /** @type {any} */ ({ name: 'paused-task', paused: true })
+        )
+      const scheduler = getSchedulerService()
+      const taskFunction = jest.fn().mockImplementation(() => Promise.resolve())
+      scheduler.scheduleTask('paused-task', '* * * * *', taskFunction)
+
+      await scheduler.triggerTask('paused-task')
+
+      expect(taskFunction).toHaveBeenCalledTimes(1)
+    })
+
+    test('should run scheduled tasks if the pause state cannot be read', async () => {
+      jest.mocked(get).mockRejectedValue(new Error('db error'))
       const scheduler = getSchedulerService()
       const taskFunction = jest.fn().mockImplementation(() => Promise.resolve())
+      scheduler.scheduleTask('unknown-state', '* * * * *', taskFunction)
+
+      const cronAny = /** @type {any} */ (cron)
+      await cronAny.schedule.mock.calls[0][1]()
+
+      expect(taskFunction).toHaveBeenCalledWith('cron', undefined)
+    })
+  })
+
+  describe('getTasks', () => {
+    test('should list the scheduled tasks with their next run', () => {
+      const scheduler = getSchedulerService()
+      scheduler.scheduleTask('listed-task', '0 */6 * * *', jest.fn())
+      scheduler.start()
+
+      expect(scheduler.getTasks()).toEqual([
+        {
+          name: 'listed-task',
+          cronExpression: '0 */6 * * *',
+          isRunning: true,
+          nextRun: new Date('2020-01-01T06:00:00Z')
+        }
+      ])
+    })
+  })
+
+  describe('triggerTask', () => {
+    test('should trigger a task manually and return its result', async () => {
+      const scheduler = getSchedulerService()
+      const taskFunction = jest
+        .fn()
+        .mockImplementation(() => Promise.resolve('task result'))
       scheduler.scheduleTask('manual-task', '* * * * *', taskFunction)
 
-      const result = await scheduler.triggerTask('manual-task')
+      const caller = { id: 'user-id', displayName: 'Joe Bloggs' }
+      const result = await scheduler.triggerTask('manual-task', caller)
 
-      expect(result).toBe(true)
+      expect(result).toBe('task result')
       expect(taskFunction).toHaveBeenCalledTimes(1)
+      expect(taskFunction).toHaveBeenCalledWith('manual', caller)
     })
 
     test('should return false for non-existent task', async () => {
@@ -356,7 +450,7 @@ describe('SchedulerService', () => {
 
       const result = await scheduler.triggerTask('trigger-error')
 
-      expect(result).toBe(true)
+      expect(result).toBe(false)
       expect(taskFunction).toHaveBeenCalledTimes(1)
     })
   })
@@ -407,4 +501,72 @@ describe('SchedulerService', () => {
       )
     })
   })
+
+  describe('initialiseRoleExpiry', () => {
+    test('should schedule the role expiry job when enabled', () => {
+      const expireFunction = jest.fn()
+      const result = initialiseRoleExpiry(expireFunction)
+
+      expect(result).toBe(getSchedulerService())
+      expect(cron.schedule).toHaveBeenCalledWith(
+        '*/15 * * * *',
+        expect.any(Function),
+        expect.any(Object)
+      )
+      expect(getSchedulerService().tasks.has('role-expiry')).toBe(true)
+    })
+
+    test('should not schedule when role expiry is disabled', () => {
+      const configAny = /** @type {any} */ (config)
+      configAny.get.mockImplementation((/** @type {any} */ key) =>
+        key === 'roleExpiry.enabled' ? false : undefined
+      )
+
+      expect(initialiseRoleExpiry(jest.fn())).toBeNull()
+      expect(cron.schedule).not.toHaveBeenCalled()
+    })
+
+    test('should throw error when scheduling fails', () => {
+      const cronAny = /** @type {any} */ (cron)
+      cronAny.validate.mockReturnValue(false)
+
+      expect(() => initialiseRoleExpiry(jest.fn())).toThrow(
+        'Failed to initialize role expiry scheduler'
+      )
+    })
+  })
+
+  describe('initialiseOutboxRelay', () => {
+    test('should schedule the outbox relay when enabled', () => {
+      const relayFunction = jest.fn()
+      const result = initialiseOutboxRelay(relayFunction)
+
+      expect(result).toBe(getSchedulerService())
+      expect(cron.schedule).toHaveBeenCalledWith(
+        '*/10 * * * * *',
+        expect.any(Function),
+        expect.any(Object)
+      )
+      expect(getSchedulerService().tasks.has('outbox-relay')).toBe(true)
+    })
+
+    test('should not schedule when the relay is disabled', () => {
+      const configAny = /** @type {any} */ (config)
+      configAny.get.mockImplementation((/** @type {any} */ key) =>
+        key === 'outbox.relay.enabled' ? false : undefined
+      )
+
+      expect(initialiseOutboxRelay(jest.fn())).toBeNull()
+      expect(cron.schedule).not.toHaveBeenCalled()
+    })
+
+    test('should throw error when scheduling fails', () => {
+      const cronAny = /** @type {any} */ (cron)
+      cronAny.validate.mockReturnValue(false)
+
+      expect(() => initialiseOutboxRelay(jest.fn())).toThrow(
+        'Failed to initialize outbox relay scheduler'
+      )
+    })
+  })
 })
@@ -0,0 +1,144 @@
+import { randomUUID } from 'node:crypto'
+import { hostname } from 'node:os'
+
+import { getErrorMessage } from '@defra/forms-model'
+
+import { config } from '~/src/config/index.js'
+import { logger } from '~/src/helpers/logging/logger.js'
+import { create, get, list } from '~/src/repositories/sync-run-repository.js'
+
+/** @type {SyncRunCounts} */
+const NO_CHANGES = { created: 0, updated: 0, revoked: 0, errors: 0 }
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Map a stored sync run to the API shape
+ * @param {WithId<SyncRun>} document - sync run document (with ID)
+ * @returns {SyncRun}
+ */
+export function mapSyncRun(document) {
+  return {
+    runId: document.runId,
+    task: document.task,
+    trigger: document.trigger,
+    triggeredBy: document.triggeredBy,
+    containerId: document.containerId,
+    startedAt: document.startedAt,
+    endedAt: document.endedAt,
+    outcome: document.outcome,
+    counts: document.counts,
+    membership: document.membership,
+    error: document.error
+  }
+}
+
+/**
+ * The system identity a sync run makes its changes as, naming the task and
+ * the run so audit events can be traced back to it
+ * @param {string} task - name of the scheduled task
+ * @param {string} runId - ID of the run
+ * @returns {AuditUser}
+ */
+export function getSyncRunUser(task, runId) {
+  return {
+    id: `${task}:${runId}`,
+    displayName: `${task} run ${runId}`
+  }
+}
+
+/**
+ * Run a sync and record how it went. A run that fails is recorded rather
+ * than thrown, so the caller can report it.
+ * @param {Pick<SyncRun, 'task' | 'trigger' | 'triggeredBy'>} details - the task and what triggered it
+ * @param {(runId: string) => Promise<SyncRunResult | null>} sync - runs the sync with the ID of the run, resolving to null if it was skipped because the lock is held elsewhere
+ * @param {SyncRun['counts']} [noChanges] - the counts recorded for a run that was skipped or failed
+ * @returns {Promise<SyncRun>}
+ */
+export async function recordSyncRun(details, sync, noChanges = NO_CHANGES) {
+  const { task } = details
+  const runId = randomUUID()
+  const startedAt = new Date()
+
+  /** @type {Pick<SyncRun, 'outcome' | 'counts' | 'membership' | 'error'>} */
+  let result
+
+  try {
+    const synced = await sync(runId)
+
+    result = synced
+      ? { outcome: 'completed', ...synced }
+      : { outcome: 'skipped-locked', counts: noChanges }
+  } catch (err) {
+    result = {
+      outcome: 'failed',
+      counts: noChanges,
+      error: getErrorMessage(err)
+    }
+  }
+
+  /** @type {SyncRun} */
+  const run = {
+    runId,
+    ...details,
+    containerId: hostname(),
+    startedAt,
+    endedAt: new Date(),
+    ...result
+  }
+
+  try {
+    const retentionMs = config.get('scheduler.runRetentionDays') * DAY_MS
+
+    // Copy the run, as insertOne adds an _id to the document it is given
+    await create({
+      ...run,
+      expireAt: new Date(run.endedAt.getTime() + retentionMs)
+    })
+  } catch (err) {
+    logger.error(
+      err,
+      `[syncRunHistory] Failed to record ${task} run ${run.runId}: ${getErrorMessage(err)}`
+    )
+  }
+
+  return run
+}
+
+/**
+ * Get a page of sync runs, most recent first
+ * @param {SyncRunQueryOptions} options - pagination options and the task to list the runs of
+ */
+export async function getSyncRuns(options) {
+  const { page, perPage } = options
+
+  const { documents, totalItems } = await list(options)
+
+  return {
+    entities: documents.map(mapSyncRun),
+    meta: {
+      pagination: {
+        page,
+        perPage,
+        totalItems,
+        totalPages: Math.ceil(totalItems / perPage)
+      }
+    }
+  }
+}
+
+/**
+ * Get a sync run by ID
+ * @param {string} runId - ID of the run
+ */
+export async function getSyncRun(runId) {
+  const document = await get(runId)
+
+  return mapSyncRun(document)
+}
+
+/**
+ * @import { AuditUser } from '@defra/forms-model'
+ * @import { WithId } from 'mongodb'
+ * @import { SyncRun, SyncRunCounts, SyncRunQueryOptions, SyncRunResult } from '~/src/api/types.js'
+ */
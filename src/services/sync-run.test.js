@@ -0,0 +1,191 @@
+import { hostname } from 'node:os'
+
+import { ObjectId } from 'mongodb'
+
+import { create, get, list } from '~/src/repositories/sync-run-repository.js'
+import {
+  getSyncRun,
+  getSyncRunUser,
+  getSyncRuns,
+  recordSyncRun
+} from '~/src/services/sync-run.js'
+
+jest.mock('~/src/repositories/sync-run-repository.js')
+jest.mock('~/src/helpers/logging/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }
+}))
+
+jest.useFakeTimers().setSystemTime(new Date('2020-01-01'))
+
+/** @type {SyncRun} */
+const run = {
+  runId: '6a1f0c52-3a4e-4f4b-9a57-0d2b1c3e4f5a',
+  task: 'admin-user-sync',
+  trigger: 'cron',
+  containerId: 'container-1',
+  startedAt: new Date('2020-01-01'),
+  endedAt: new Date('2020-01-01'),
+  outcome: 'completed',
+  counts: { created: 1, updated: 2, revoked: 0, errors: 0 },
+  membership: { pageCount: 3, memberCount: 250, truncated: true }
+}
+
+const noChanges = { created: 0, updated: 0, revoked: 0, errors: 0 }
+
+// Runs are kept for 30 days by default
+const expireAt = new Date('2020-01-31')
+
+describe('Sync run service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('recordSyncRun', () => {
+    it('should record a completed run', async () => {
+      const counts = { created: 1, updated: 2, revoked: 3, errors: 1 }
+
+      const result = await recordSyncRun(
+        { task: 'admin-user-sync', trigger: 'startup' },
+        () => Promise.resolve({ counts })
+      )
+
+      expect(result).toEqual({
+        runId: expect.any(String),
+        task: 'admin-user-sync',
+        trigger: 'startup',
+        containerId: hostname(),
+        startedAt: new Date('2020-01-01'),
+        endedAt: new Date('2020-01-01'),
+        outcome: 'completed',
+        counts
+      })
+      expect(create).toHaveBeenCalledWith({ ...result, expireAt })
+    })
+
+    it('should record the group members read by the run', async () => {
+      const membership = { pageCount: 3, memberCount: 250, truncated: true }
+
+      const result = await recordSyncRun(
+        { task: 'admin-user-sync', trigger: 'cron' },
+        () => Promise.resolve({ counts: noChanges, membership })
+      )
+
+      expect(result).toMatchObject({
+        outcome: 'completed',
+        counts: noChanges,
+        membership
+      })
+      expect(create).toHaveBeenCalledWith({ ...result, expireAt })
+    })
+
+    it('should run the sync with the ID of the run', async () => {
+      const sync = jest.fn().mockResolvedValue({ counts: noChanges })
+
+      const result = await recordSyncRun(
+        { task: 'admin-user-sync', trigger: 'cron' },
+        sync
+      )
+
+      expect(sync).toHaveBeenCalledWith(result.runId)
+    })
+
+    it('should record who triggered a manual run', async () => {
+      const triggeredBy = {
+        id: 'service:platform-cron',
+        displayName: 'platform-cron'
+      }
+
+      const result = await recordSyncRun(
+        { task: 'admin-user-sync', trigger: 'manual', triggeredBy },
+        () => Promise.resolve({ counts: noChanges })
+      )
+
+      expect(result.triggeredBy).toEqual(triggeredBy)
+    })
+
+    it('should record a skipped run when the sync did not get the lock', async () => {
+      const result = await recordSyncRun(
+        { task: 'admin-user-sync', trigger: 'cron' },
+        () => Promise.resolve(null)
+      )
+
+      expect(result).toMatchObject({
+        outcome: 'skipped-locked',
+        counts: noChanges
+      })
+    })
+
+    it('should record a failed run instead of throwing', async () => {
+      const result = await recordSyncRun(
+        { task: 'admin-user-sync', trigger: 'manual' },
+        () => Promise.reject(new Error('Azure AD connection failed'))
+      )
+
+      expect(result).toMatchObject({
+        outcome: 'failed',
+        counts: noChanges,
+        error: 'Azure AD connection failed'
+      })
+      expect(create).toHaveBeenCalledWith({ ...result, expireAt })
+    })
+
+    it('should still return the run if it cannot be recorded', async () => {
+      jest.mocked(create).mockRejectedValueOnce(new Error('db error'))
+
+      const result = await recordSyncRun(
+        { task: 'admin-user-sync', trigger: 'cron' },
+        () => Promise.resolve({ counts: noChanges })
+      )
+
+      expect(result.outcome).toBe('completed')
+    })
+  })
+
+  describe('getSyncRunUser', () => {
+    it('should name the task and the run', () => {
+      expect(getSyncRunUser('admin-user-sync', 'run-id')).toEqual({
+        id: 'admin-user-sync:run-id',
+        displayName: 'admin-user-sync run run-id'
+      })
+    })
+  })
+
+  describe('getSyncRuns', () => {
+    it('should return a page of runs without their IDs', async () => {
+      jest.mocked(list).mockResolvedValue({
+        documents: [{ _id: new ObjectId(), ...run }],
+        totalItems: 21
+      })
+
+      const result = await getSyncRuns({ page: 2, perPage: 10 })
+
+      expect(list).toHaveBeenCalledWith({ page: 2, perPage: 10 })
+      expect(result).toEqual({
+        entities: [{ ...run, triggeredBy: undefined, error: undefined }],
+        meta: {
+          pagination: { page: 2, perPage: 10, totalItems: 21, totalPages: 3 }
+        }
+      })
+    })
+  })
+
+  describe('getSyncRun', () => {
+    it('should return the run', async () => {
+      jest.mocked(get).mockResolvedValue({ _id: new ObjectId(), ...run })
+
+      const result = await getSyncRun(run.runId)
+
+      expect(get).toHaveBeenCalledWith(run.runId)
+      expect(result).not.toHaveProperty('_id')
+      expect(result.runId).toBe(run.runId)
+    })
+  })
+})
+
+/**
+ * @import { SyncRun } from '~/src/api/types.js'
+ */
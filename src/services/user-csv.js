@@ -0,0 +1,221 @@
+import { Readable } from 'node:stream'
+
+import { getErrorMessage } from '@defra/forms-model'
+import Boom from '@hapi/boom'
+
+import { formatCsvRow, parseCsv } from '~/src/helpers/csv.js'
+import { logger } from '~/src/helpers/logging/logger.js'
+import { findAll, getByEmails } from '~/src/repositories/user-repository.js'
+import { createUserSchema } from '~/src/schemas/user.js'
+import { addUser, updateUser } from '~/src/services/user.js'
+
+export const USER_EXPORT_COLUMNS = [
+  'userId',
+  'email',
+  'displayName',
+  'roles',
+  'createdAt',
+  'updatedAt'
+]
+
+/**
+ * Separates the roles in a CSV cell, as commas separate the cells
+ */
+const ROLE_SEPARATOR = ';'
+
+const MAX_IMPORT_ROWS = 1000
+
+/**
+ * Generate the lines of the users CSV, reading the users as they are written
+ * @yields {string} A line of CSV
+ */
+async function* generateUsersCsv() {
+  yield formatCsvRow(USER_EXPORT_COLUMNS)
+
+  for await (const user of findAll()) {
+    yield formatCsvRow([
+      user.userId,
+      user.email,
+      user.displayName,
+      // eslint-disable-next-line @typescript-eslint/no-unnecessary-condition -- older documents may have been stored without roles
+      (user.roles ?? []).join(ROLE_SEPARATOR),
+      user.createdAt?.toISOString(),
+      user.updatedAt?.toISOString()
+    ])
+  }
+}
+
+/**
+ * Export every user as CSV, with the roles of each separated by `;`
+ * @returns {Readable} A stream of the CSV text
+ */
+export function exportUsers() {
+  logger.info('Exporting users')
+
+  return Readable.from(generateUsersCsv(), { objectMode: false })
+}
+
+/**
+ * Read the email and roles of each row of an import. The other columns of an
+ * export are ignored, so an edited export can be imported
+ * @param {string} csv - the CSV text
+ */
+function parseImportRows(csv) {
+  const rows = parseCsv(csv)
+
+  const columns = (rows.shift()?.values ?? []).map((column) =>
+    column.trim().toLowerCase()
+  )
+  const emailIndex = columns.indexOf('email')
+  const rolesIndex = columns.indexOf('roles')
+
+  if (emailIndex === -1 || rolesIndex === -1) {
+    throw Boom.badRequest("The CSV must have 'email' and 'roles' columns")
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw Boom.badRequest(
+      `The CSV must have no more than ${MAX_IMPORT_ROWS} rows`
+    )
+  }
+
+  return rows.map(({ line, values }) => ({
+    line,
+    email: (values[emailIndex] ?? '').trim(),
+    roles: (values[rolesIndex] ?? '')
+      .split(ROLE_SEPARATOR)
+      .map((role) => role.trim())
+      .filter(Boolean)
+  }))
+}
+
+/**
+ * Work out the change each row of an import makes, against the stored users.
+ * Users not in the CSV are left alone
+ * @param {string} csv - the CSV text
+ */
+async function planImport(csv) {
+  /** @type {UserImportRow[]} */
+  const rows = []
+
+  /** @type {Set<string>} */
+  const emails = new Set()
+
+  for (const { line, email, roles } of parseImportRows(csv)) {
+    const { error, value } = createUserSchema.validate({ email, roles })
+
+    if (error) {
+      rows.push({ line, email, action: 'invalid', error: error.message })
+      continue
+    }
+
+    if (emails.has(email.toLowerCase())) {
+      rows.push({
+        line,
+        email,
+        action: 'invalid',
+        error: 'The email is on an earlier row'
+      })
+      continue
+    }
+
+    emails.add(email.toLowerCase())
+    rows.push({ line, email, action: 'create', roles: value.roles })
+  }
+
+  const storedUsers = await getByEmails([...emails])
+  const storedUsersByEmail = new Map(
+    storedUsers.map((user) => [user.email.toLowerCase(), user])
+  )
+
+  for (const row of rows) {
+    const storedUser = storedUsersByEmail.get(row.email.toLowerCase())
+
+    if (row.action === 'invalid' || !row.roles || !storedUser) {
+      continue
+    }
+
+    const previousRoles = storedUser.roles
+    const addedRoles = row.roles.filter((role) => !previousRoles.includes(role))
+    const removedRoles = previousRoles.filter(
+      (role) => !row.roles?.includes(role)
+    )
+
+    row.action =
+      addedRoles.length || removedRoles.length ? 'update' : 'unchanged'
+    row.userId = storedUser.userId
+    row.previousRoles = previousRoles
+    row.addedRoles = addedRoles
+    row.removedRoles = removedRoles
+  }
+
+  return { rows, storedUsers }
+}
+
+/**
+ * Import users from CSV with `email` and `roles` columns. New users are added
+ * and the roles of stored users are replaced, through the same service
+ * functions as the single user routes, so each change is authorised and
+ * publishes its event as usual. The role expiries of roles a user keeps are
+ * kept. Rows that fail do not stop the others.
+ * @param {string} csv - the CSV text
+ * @param {CallingUser} callingUser - the user importing the users
+ * @param {boolean} [dryRun] - only return the changes the import would make
+ */
+export async function importUsers(csv, callingUser, dryRun = false) {
+  logger.info(`Importing users${dryRun ? ' (dry run)' : ''}`)
+
+  const { rows, storedUsers } = await planImport(csv)
+
+  if (!dryRun) {
+    for (const row of rows) {
+      if (!row.roles || (row.action !== 'create' && row.action !== 'update')) {
+        continue
+      }
+
+      const { roles, userId } = row
+
+      try {
+        if (userId) {
+          const roleExpiries = storedUsers
+            .find((user) => user.userId === userId)
+            ?.roleExpiries?.filter(({ role }) => roles.includes(role))
+
+          await updateUser(userId, roles, callingUser, roleExpiries)
+        } else {
+          await addUser(row.email, roles, callingUser)
+        }
+
+        row.status = 'applied'
+      } catch (err) {
+        logger.warn(
+          `[importUsers] Failed to ${row.action} user on line ${row.line} - ${getErrorMessage(err)}`
+        )
+
+        row.status = 'failed'
+        row.error = getErrorMessage(err)
+      }
+    }
+  }
+
+  /** @type {Record<UserImportAction | 'failed', number>} */
+  const summary = { create: 0, update: 0, unchanged: 0, invalid: 0, failed: 0 }
+
+  for (const { action, status } of rows) {
+    summary[action]++
+
+    if (status === 'failed') {
+      summary.failed++
+    }
+  }
+
+  logger.info(
+    `Imported users${dryRun ? ' (dry run)' : ''}: ${summary.create} to create, ${summary.update} to update, ${summary.unchanged} unchanged, ${summary.invalid} invalid, ${summary.failed} failed`
+  )
+
+  return { dryRun, summary, rows }
+}
+
+/**
+ * @import { CallingUser, UserImportAction, UserImportRow } from '~/src/api/types.js'
+ */
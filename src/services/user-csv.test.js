@@ -0,0 +1,256 @@
+import { text } from 'node:stream/consumers'
+
+import { Roles } from '@defra/forms-model'
+import Boom from '@hapi/boom'
+import { ObjectId } from 'mongodb'
+
+import { callingUser } from '~/src/messaging/__stubs__/users.js'
+import { findAll, getByEmails } from '~/src/repositories/user-repository.js'
+import { exportUsers, importUsers } from '~/src/services/user-csv.js'
+import { addUser, updateUser } from '~/src/services/user.js'
+
+jest.mock('~/src/repositories/user-repository.js')
+jest.mock('~/src/services/user.js')
+jest.mock('~/src/helpers/logging/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }
+}))
+
+const now = new Date('2020-01-01T00:00:00Z')
+
+/**
+ * @param {string} userId
+ * @param {string} email
+ * @param {Roles[]} roles
+ * @param {Partial<StoredUser>} [overrides]
+ * @returns {WithId<StoredUser>}
+ */
+function buildUser(userId, email, roles, overrides = {}) {
+  return {
+    _id: new ObjectId(),
+    userId,
+    email,
+    displayName: `Name ${userId}`,
+    roles,
+    ...overrides
+  }
+}
+
+describe('user-csv', () => {
+  describe('exportUsers', () => {
+    test('should stream every user as a row of CSV', async () => {
+      // The cursor is read with for await, which reads an array too
+      jest.mocked(findAll).mockReturnValue(
+        /** @type {any} */ ([
+          buildUser('user-1', 'a@defra.gov.uk', [Roles.Admin], {
+            displayName: 'Smith, Jo',
+            createdAt: now,
+            updatedAt: now
+          }),
+          buildUser('user-2', 'b@defra.gov.uk', [
+            Roles.FormCreator,
+            Roles.FormPublisher
+          ])
+        ])
+      )
+
+      await expect(text(exportUsers())).resolves.toBe(
+        'userId,email,displayName,roles,createdAt,updatedAt\r\n' +
+          'user-1,a@defra.gov.uk,"Smith, Jo",admin,2020-01-01T00:00:00.000Z,2020-01-01T00:00:00.000Z\r\n' +
+          'user-2,b@defra.gov.uk,Name user-2,form-creator;form-publisher,,\r\n'
+      )
+    })
+
+    test('should export a user stored without roles with none', async () => {
+      const user = buildUser('user-1', 'a@defra.gov.uk', [])
+      // @ts-expect-error - older documents may have been stored without roles
+      delete user.roles
+
+      jest.mocked(findAll).mockReturnValue(/** @type {any} */ ([user]))
+
+      await expect(text(exportUsers())).resolves.toBe(
+        'userId,email,displayName,roles,createdAt,updatedAt\r\n' +
+          'user-1,a@defra.gov.uk,Name user-1,,,\r\n'
+      )
+    })
+  })
+
+  describe('importUsers', () => {
+    const csv = [
+      'userId,email,displayName,roles',
+      ',new@defra.gov.uk,,form-creator',
+      'user-1,A@defra.gov.uk,Name,form-creator; form-publisher',
+      'user-2,b@defra.gov.uk,Name,form-creator',
+      ',not-an-email,,form-creator',
+      ',c@defra.gov.uk,,owner',
+      ',new@defra.gov.uk,,admin'
+    ].join('\n')
+
+    beforeEach(() => {
+      jest
+        .mocked(getByEmails)
+        .mockResolvedValue([
+          buildUser('user-1', 'a@defra.gov.uk', [
+            Roles.FormCreator,
+            Roles.Admin
+          ]),
+          buildUser('user-2', 'b@defra.gov.uk', [Roles.FormCreator])
+        ])
+    })
+
+    test('should preview the changes without making them on a dry run', async () => {
+      const result = await importUsers(csv, callingUser, true)
+
+      expect(getByEmails).toHaveBeenCalledWith([
+        'new@defra.gov.uk',
+        'a@defra.gov.uk',
+        'b@defra.gov.uk'
+      ])
+      expect(addUser).not.toHaveBeenCalled()
+      expect(updateUser).not.toHaveBeenCalled()
+      expect(result).toEqual({
+        dryRun: true,
+        summary: { create: 1, update: 1, unchanged: 1, invalid: 3, failed: 0 },
+        rows: [
+          {
+            line: 2,
+            email: 'new@defra.gov.uk',
+            action: 'create',
+            roles: [Roles.FormCreator]
+          },
+          {
+            line: 3,
+            email: 'A@defra.gov.uk',
+            action: 'update',
+            roles: [Roles.FormCreator, Roles.FormPublisher],
+            userId: 'user-1',
+            previousRoles: [Roles.FormCreator, Roles.Admin],
+            addedRoles: [Roles.FormPublisher],
+            removedRoles: [Roles.Admin]
+          },
+          {
+            line: 4,
+            email: 'b@defra.gov.uk',
+            action: 'unchanged',
+            roles: [Roles.FormCreator],
+            userId: 'user-2',
+            previousRoles: [Roles.FormCreator],
+            addedRoles: [],
+            removedRoles: []
+          },
+          {
+            line: 5,
+            email: 'not-an-email',
+            action: 'invalid',
+            error: '"email" must be a valid email'
+          },
+          {
+            line: 6,
+            email: 'c@defra.gov.uk',
+            action: 'invalid',
+            error: expect.stringContaining('"roles[0]" must be one of')
+          },
+          {
+            line: 7,
+            email: 'new@defra.gov.uk',
+            action: 'invalid',
+            error: 'The email is on an earlier row'
+          }
+        ]
+      })
+    })
+
+    test('should apply the changes through the user service', async () => {
+      jest.mocked(getByEmails).mockResolvedValue([
+        buildUser(
+          'user-1',
+          'a@defra.gov.uk',
+          [Roles.FormCreator, Roles.Admin],
+          {
+            roleExpiries: [
+              { role: Roles.FormCreator, expiresAt: now },
+              { role: Roles.Admin, expiresAt: now }
+            ]
+          }
+        )
+      ])
+
+      const result = await importUsers(csv, callingUser)
+
+      expect(addUser).toHaveBeenCalledTimes(2)
+      expect(addUser).toHaveBeenCalledWith(
+        'new@defra.gov.uk',
+        [Roles.FormCreator],
+        callingUser
+      )
+      expect(addUser).toHaveBeenCalledWith(
+        'b@defra.gov.uk',
+        [Roles.FormCreator],
+        callingUser
+      )
+      expect(updateUser).toHaveBeenCalledWith(
+        'user-1',
+        [Roles.FormCreator, Roles.FormPublisher],
+        callingUser,
+        [{ role: Roles.FormCreator, expiresAt: now }]
+      )
+      expect(result.dryRun).toBe(false)
+      expect(result.rows.map(({ status }) => status)).toEqual([
+        'applied',
+        'applied',
+        'applied',
+        undefined,
+        undefined,
+        undefined
+      ])
+    })
+
+    test('should carry on when a change fails', async () => {
+      jest
+        .mocked(addUser)
+        .mockRejectedValueOnce(Boom.forbidden('Not allowed'))
+        .mockResolvedValueOnce({ id: 'id', email: 'email', displayName: '' })
+
+      const result = await importUsers(
+        'email,roles\nx@defra.gov.uk,admin\ny@defra.gov.uk,form-creator',
+        callingUser
+      )
+
+      expect(result.summary).toEqual({
+        create: 2,
+        update: 0,
+        unchanged: 0,
+        invalid: 0,
+        failed: 1
+      })
+      expect(result.rows).toEqual([
+        expect.objectContaining({ status: 'failed', error: 'Not allowed' }),
+        expect.objectContaining({ status: 'applied' })
+      ])
+    })
+
+    test.each([
+      ['is empty', ''],
+      ['has no roles column', 'email\na@defra.gov.uk'],
+      [
+        'has too many rows',
+        `email,roles\n${'a@defra.gov.uk,admin\n'.repeat(1001)}`
+      ]
+    ])('should reject a CSV that %s', async (_, body) => {
+      await expect(importUsers(body, callingUser)).rejects.toThrow(
+        expect.objectContaining({
+          output: expect.objectContaining({ statusCode: 400 })
+        })
+      )
+      expect(getByEmails).not.toHaveBeenCalled()
+    })
+  })
+})
+
+/**
+ * @import { WithId } from 'mongodb'
+ * @import { StoredUser } from '~/src/api/types.js'
+ */
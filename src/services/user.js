@@ -3,21 +3,31 @@ import Boom from '@hapi/boom'
 import { StatusCodes } from 'http-status-codes'
 
 import { config } from '~/src/config/index.js'
-import { validateUserManagement } from '~/src/helpers/authorisation.js'
+import { getCallingUser } from '~/src/helpers/auth-helper.js'
+import {
+  getHighestAllowedRoles,
+  validateRoleHierarchy,
+  validateSeparationOfDuties,
+  validateUserManagement
+} from '~/src/helpers/authorisation.js'
+import { mapWithConcurrency } from '~/src/helpers/concurrency.js'
 import { logger } from '~/src/helpers/logging/logger.js'
 import {
-  publishEntitlementCreatedEvent,
-  publishEntitlementDeletedEvent,
-  publishEntitlementUpdatedEvent
+  saveEntitlementCreatedEvent,
+  saveEntitlementDeletedEvent,
+  saveEntitlementUpdatedEvent
 } from '~/src/messaging/publish.js'
 import { client } from '~/src/mongo.js'
-import { withLock } from '~/src/repositories/lock-repository.js'
 import {
+  countWithRole,
   create,
   get,
-  getAll,
+  getStoredUserIds,
+  list,
+  lockSuperadmins,
   remove,
-  update
+  update,
+  updateRoles
 } from '~/src/repositories/user-repository.js'
 import { getAzureAdService } from '~/src/services/azure-ad.js'
 
@@ -25,16 +35,28 @@ import { getAzureAdService } from '~/src/services/azure-ad.js'
  * Maps a user document from MongoDB to a user object
  * @param {WithId<StoredUser>} document - user document (with ID)
  * @param {boolean} [includeScopes] - whether to compute and include the scopes array
- * @returns {EntitlementUser}
+ * @returns {MappedUser}
  */
 export function mapUser(document, includeScopes = false) {
-  const user = /** @type {EntitlementUser} */ ({
+  const user = /** @type {MappedUser} */ ({
     userId: document.userId,
     roles: document.roles,
     email: document.email,
-    displayName: document.displayName
+    displayName: document.displayName,
+    createdAt: document.createdAt,
+    createdBy: document.createdBy,
+    updatedAt: document.updatedAt,
+    updatedBy: document.updatedBy,
+    version: document.version
   })
 
+  if (document.roleExpiries?.length) {
+    user.roleExpiries = document.roleExpiries.map(({ role, expiresAt }) => ({
+      role,
+      expiresAt
+    }))
+  }
+
   if (includeScopes) {
     user.scopes = mapScopesToRoles(document.roles)
   }
@@ -50,17 +72,34 @@ export function mapUsers(documents) {
 }
 
 /**
- * Get all users
+ * Get a page of users matching the query options
+ * @param {UserQueryOptions} options - pagination, sorting and search options
  */
-export async function getAllUsers() {
+export async function getAllUsers(options) {
   logger.info(`Getting all users`)
 
+  const { page, perPage, sortBy, order, ...search } = options
+
   try {
-    return mapUsers(await getAll())
+    const { documents, totalItems } = await list(options)
+
+    return {
+      entities: mapUsers(documents),
+      meta: {
+        pagination: {
+          page,
+          perPage,
+          totalItems,
+          totalPages: Math.ceil(totalItems / perPage)
+        },
+        sorting: { sortBy, order },
+        search
+      }
+    }
   } catch (err) {
     logger.error(
       err,
-      `[getUser] Failed to get all users - ${getErrorMessage(err)}`
+      `[getAllUsers] Failed to get all users - ${getErrorMessage(err)}`
     )
 
     throw err
@@ -85,13 +124,40 @@ export async function getUser(userId) {
   }
 }
 
+/**
+ * Get the entitlement of the calling user from the credentials resolved when
+ * they signed in, with the roles they may manage under the role policy. A
+ * user signed in without an entitlement gets one with no roles rather than
+ * an error.
+ * @param {AuthCredentials} credentials - the request auth credentials
+ * @returns {CallingUserEntitlement}
+ */
+export function getCallingUserEntitlement(credentials) {
+  const { id, displayName, roles } = getCallingUser(
+    credentials.user,
+    credentials.roles
+  )
+
+  return {
+    userId: id,
+    displayName,
+    entitled: credentials.entitled === true,
+    roles,
+    scopes: credentials.scope ?? [],
+    manageableRoles: /** @type {Roles[]} */ (
+      getHighestAllowedRoles(roles) ?? []
+    )
+  }
+}
+
 /**
  * Add a user with Azure AD validation by email
  * @param {string} email - The user's email address
  * @param {Roles[]} roles
  * @param {CallingUser} callingUser
+ * @param {RoleExpiry[]} [roleExpiries] - when each role is taken away
  */
-export async function addUser(email, roles, callingUser) {
+export async function addUser(email, roles, callingUser, roleExpiries = []) {
   logger.info(`Adding user with email '${email}'`)
 
   const session = client.startSession()
@@ -112,15 +178,16 @@ export async function addUser(email, roles, callingUser) {
       const newUserEntity = await createUserInternal(
         azureUser.id,
         roles,
+        roleExpiries,
+        callingUser,
         session,
         azureUser.email,
         azureUser.displayName
       )
+      await saveEntitlementCreatedEvent(azureUser, roles, callingUser, session)
       return newUserEntity
     })
 
-    await publishEntitlementCreatedEvent(azureUser, roles, callingUser)
-
     logger.info(`Added user with Azure ID: ${azureUser.id}`)
 
     return {
@@ -144,13 +211,229 @@ export async function addUser(email, roles, callingUser) {
   }
 }
 
+/**
+ * The statuses given to users not added in bulk, by the status code of the
+ * error that stopped them
+ * @type {Partial<Record<number, BulkUserStatus>>}
+ */
+const bulkUserFailureStatuses = {
+  [StatusCodes.NOT_FOUND]: 'not-found',
+  [StatusCodes.FORBIDDEN]: 'forbidden',
+  [StatusCodes.CONFLICT]: 'conflict'
+}
+
+/**
+ * The result for a user that could not be added in bulk
+ * @param {string} email - email the user was requested by
+ * @param {unknown} err - the error that stopped the user being added
+ * @param {AzureUser} [azureUser] - the user in Azure AD, if found
+ * @returns {BulkUserResult}
+ */
+function getBulkUserFailure(email, err, azureUser) {
+  const statusCode = Boom.isBoom(err)
+    ? err.output.statusCode
+    : StatusCodes.INTERNAL_SERVER_ERROR.valueOf()
+
+  return {
+    email,
+    status: bulkUserFailureStatuses[statusCode] ?? 'failed',
+    id: azureUser?.id,
+    displayName: azureUser?.displayName,
+    error: getErrorMessage(err)
+  }
+}
+
+/**
+ * Find a user to add in bulk in Azure AD and check the caller may give them
+ * the requested roles
+ * @param {BulkUserItem} item - the user requested
+ * @param {CallingUser} callingUser - the user adding the users
+ * @returns {Promise<{ azureUser: AzureUser } | { failure: BulkUserResult }>}
+ */
+async function lookUpBulkUser(item, callingUser) {
+  /** @type {AzureUser | undefined} */
+  let azureUser
+
+  try {
+    azureUser = await getAzureAdService().getUserByEmail(item.email)
+
+    validateUserManagement(
+      callingUser.id,
+      callingUser.roles,
+      azureUser.id,
+      item.roles
+    )
+
+    return { azureUser }
+  } catch (err) {
+    // A user the caller may not manage was still found, so say who they are
+    return { failure: getBulkUserFailure(item.email, err, azureUser) }
+  }
+}
+
+/**
+ * Add a user found for adding in bulk, saving its entitlement event
+ * @param {BulkUserItem} item - the user requested
+ * @param {AzureUser} azureUser - the user in Azure AD
+ * @param {CallingUser} callingUser - the user adding the users
+ * @param {ClientSession} session - MongoDB session for transaction
+ */
+async function createBulkUser(item, azureUser, callingUser, session) {
+  await createUserInternal(
+    azureUser.id,
+    item.roles,
+    [],
+    callingUser,
+    session,
+    azureUser.email,
+    azureUser.displayName
+  )
+  await saveEntitlementCreatedEvent(azureUser, item.roles, callingUser, session)
+}
+
+/**
+ * The result for a user found for adding in bulk
+ * @param {BulkUserItem} item - the user requested
+ * @param {AzureUser} azureUser - the user in Azure AD
+ * @param {BulkUserStatus} status - whether the user was added
+ * @returns {BulkUserResult}
+ */
+function getBulkUserResult(item, azureUser, status) {
+  return {
+    email: item.email,
+    status,
+    id: azureUser.id,
+    displayName: azureUser.displayName
+  }
+}
+
+/**
+ * Add users in bulk by email. The users are looked up in Azure AD a few at a
+ * time and each is checked against the caller's place in the role hierarchy.
+ * In `best-effort` mode each user is added in its own transaction and the
+ * others are added whatever happens to one. In `all-or-nothing` mode the
+ * users are added in one transaction, and only if every one of them can be.
+ * @param {BulkUserItem[]} items - the users to add
+ * @param {CallingUser} callingUser - the user adding the users
+ * @param {BulkUserMode} [mode] - whether to add the users that can be added, or none unless all can be
+ */
+export async function addUsers(items, callingUser, mode = 'best-effort') {
+  logger.info(`Adding ${items.length} users (${mode})`)
+
+  const lookups = await mapWithConcurrency(
+    items,
+    config.get('azure.lookupConcurrency'),
+    (item) => lookUpBulkUser(item, callingUser)
+  )
+
+  const storedUserIds = new Set(
+    await getStoredUserIds(
+      lookups.flatMap((lookup) =>
+        'azureUser' in lookup ? [lookup.azureUser.id] : []
+      )
+    )
+  )
+
+  const results = /** @type {BulkUserResult[]} */ (new Array(items.length))
+
+  /** @type {{ index: number, item: BulkUserItem, azureUser: AzureUser }[]} */
+  const pending = []
+
+  for (const [index, lookup] of lookups.entries()) {
+    const item = items[index]
+
+    if ('failure' in lookup) {
+      results[index] = lookup.failure
+      continue
+    }
+
+    const { azureUser } = lookup
+
+    // Two emails can belong to the same user, so one added earlier counts too
+    if (storedUserIds.has(azureUser.id)) {
+      results[index] = getBulkUserFailure(
+        item.email,
+        Boom.conflict('User already exists'),
+        azureUser
+      )
+      continue
+    }
+
+    storedUserIds.add(azureUser.id)
+    pending.push({ index, item, azureUser })
+  }
+
+  const session = client.startSession()
+
+  try {
+    if (mode === 'all-or-nothing') {
+      const canAddAll = pending.length === items.length
+
+      if (canAddAll) {
+        await session.withTransaction(async () => {
+          for (const { item, azureUser } of pending) {
+            await createBulkUser(item, azureUser, callingUser, session)
+          }
+        })
+      }
+
+      for (const { index, item, azureUser } of pending) {
+        results[index] = getBulkUserResult(
+          item,
+          azureUser,
+          canAddAll ? 'created' : 'skipped'
+        )
+      }
+    } else {
+      for (const { index, item, azureUser } of pending) {
+        try {
+          await session.withTransaction(() =>
+            createBulkUser(item, azureUser, callingUser, session)
+          )
+          results[index] = getBulkUserResult(item, azureUser, 'created')
+        } catch (err) {
+          logger.error(
+            err,
+            `[addUsers] Failed to add user ${azureUser.id} - ${getErrorMessage(err)}`
+          )
+
+          results[index] = getBulkUserFailure(item.email, err, azureUser)
+        }
+      }
+    }
+  } catch (err) {
+    logger.error(
+      err,
+      `[addUsers] Failed to add users - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  } finally {
+    await session.endSession()
+  }
+
+  const created = results.filter(({ status }) => status === 'created').length
+
+  logger.info(`Added ${created} of ${items.length} users (${mode})`)
+
+  return { mode, created, results }
+}
+
 /**
  * Update a user
  * @param {string} userId
  * @param {Roles[]} roles
  * @param {CallingUser} callingUser
+ * @param {RoleExpiry[]} [roleExpiries] - when each role is taken away, replacing any set before. Left out, the roles kept keep their stored expiries
+ * @param {number[]} [expectedVersions] - only update the user if it is at one of these versions
  */
-export async function updateUser(userId, roles, callingUser) {
+export async function updateUser(
+  userId,
+  roles,
+  callingUser,
+  roleExpiries,
+  expectedVersions
+) {
   logger.info(`Updating user with userID '${userId}'`)
 
   const existingUser = await findExistingUser(userId)
@@ -171,12 +454,28 @@ export async function updateUser(userId, roles, callingUser) {
     logger.info(`User found in Azure AD with ID: ${azureUser.id}`)
 
     await session.withTransaction(async () => {
-      const updatedUserEntity = await updateUserInternal(userId, roles, session)
+      const { roles: previousRoles, roleExpiries: storedRoleExpiries } =
+        await get(userId, session)
+      const updatedUserEntity = await updateUserInternal(
+        userId,
+        roles,
+        roleExpiries ??
+          (storedRoleExpiries ?? []).filter(({ role }) => roles.includes(role)),
+        callingUser,
+        session,
+        expectedVersions
+      )
+      await validateSuperadminsRemain(userId, previousRoles, roles, session)
+      await saveEntitlementUpdatedEvent(
+        azureUser,
+        roles,
+        callingUser,
+        previousRoles,
+        session
+      )
       return updatedUserEntity
     })
 
-    await publishEntitlementUpdatedEvent(azureUser, roles, callingUser)
-
     logger.info(`Updated user with userID '${userId}'`)
 
     return {
@@ -194,12 +493,118 @@ export async function updateUser(userId, roles, callingUser) {
   }
 }
 
+/**
+ * Grant and take away roles, keeping the other roles the user holds. Each
+ * role is checked against the caller's place in the role hierarchy.
+ * @param {string} userId
+ * @param {Roles[]} add - roles to grant
+ * @param {Roles[]} remove - roles to take away
+ * @param {CallingUser} callingUser
+ * @param {number[]} [expectedVersions] - only update the user if it is at one of these versions
+ */
+export async function updateUserRoles(
+  userId,
+  add,
+  remove,
+  callingUser,
+  expectedVersions
+) {
+  logger.info(`Updating roles of user with userID '${userId}'`)
+
+  const existingUser = await findExistingUser(userId)
+
+  validateUserManagement(
+    callingUser.id,
+    callingUser.roles,
+    userId,
+    [],
+    existingUser?.roles ?? []
+  )
+
+  for (const role of [...add, ...remove]) {
+    validateRoleHierarchy(callingUser.roles, [role])
+  }
+
+  const session = client.startSession()
+
+  try {
+    const azureAdService = getAzureAdService()
+    const azureUser = await azureAdService.validateUser(userId)
+    logger.info(`User found in Azure AD with ID: ${azureUser.id}`)
+
+    await session.withTransaction(async () => {
+      const { roles: previousRoles, version } = await get(userId, session)
+
+      const addedRoles = add.filter((role) => !previousRoles.includes(role))
+      const removedRoles = remove.filter((role) => previousRoles.includes(role))
+
+      // Nothing to change, so the user is not written and no event is saved
+      if (!addedRoles.length && !removedRoles.length) {
+        if (
+          expectedVersions &&
+          (version === undefined || !expectedVersions.includes(version))
+        ) {
+          throw Boom.preconditionFailed(
+            `User with ID '${userId}' has been changed since it was read`
+          )
+        }
+
+        logger.info(
+          `Roles of user with userID '${userId}' already as requested`
+        )
+        return
+      }
+
+      const roles = [
+        ...previousRoles.filter((role) => !removedRoles.includes(role)),
+        ...addedRoles
+      ]
+
+      validateSeparationOfDuties(roles)
+
+      await updateRoles(
+        userId,
+        add,
+        remove,
+        callingUser,
+        session,
+        expectedVersions
+      )
+      await validateSuperadminsRemain(userId, previousRoles, roles, session)
+
+      await saveEntitlementUpdatedEvent(
+        azureUser,
+        roles,
+        callingUser,
+        previousRoles,
+        session
+      )
+    })
+
+    logger.info(`Updated roles of user with userID '${userId}'`)
+
+    return {
+      id: userId
+    }
+  } catch (err) {
+    logger.error(
+      err,
+      `[updateUserRoles] Failed to update roles of user - ${getErrorMessage(err)}`
+    )
+
+    throw err
+  } finally {
+    await session.endSession()
+  }
+}
+
 /**
  * Delete a user
  * @param {string} userId
  * @param {CallingUser} callingUser
+ * @param {number[]} [expectedVersions] - only delete the user if it is at one of these versions
  */
-export async function deleteUser(userId, callingUser) {
+export async function deleteUser(userId, callingUser, expectedVersions) {
   logger.info(`Deleting user with userID '${userId}'`)
 
   const existingUser = await findExistingUser(userId)
@@ -222,11 +627,15 @@ export async function deleteUser(userId, callingUser) {
 
   try {
     await session.withTransaction(async () => {
-      await remove(userId, session)
+      const { roles: previousRoles } = await remove(
+        userId,
+        session,
+        expectedVersions
+      )
+      await validateSuperadminsRemain(userId, previousRoles, [], session)
+      await saveEntitlementDeletedEvent(azureUser, callingUser, session)
     })
 
-    await publishEntitlementDeletedEvent(azureUser, callingUser)
-
     logger.info(`Deleted user with userID '${userId}'`)
 
     return {
@@ -244,6 +653,46 @@ export async function deleteUser(userId, callingUser) {
   }
 }
 
+/**
+ * Make sure a change that takes the superadmin role away from a user leaves
+ * enough superadmins to manage entitlements. Runs inside the transaction
+ * after the change is written, so the count includes it and a failed check
+ * rolls it back. The shared guard is written first so concurrent removals
+ * conflict and the one retried counts the other.
+ * @param {string} userId - ID of the user being changed
+ * @param {Roles[]} previousRoles - roles the user held before the change
+ * @param {Roles[]} roles - roles the user holds after the change
+ * @param {ClientSession} session - MongoDB session for transaction
+ */
+export async function validateSuperadminsRemain(
+  userId,
+  previousRoles,
+  roles,
+  session
+) {
+  if (
+    !previousRoles.includes(Roles.Superadmin) ||
+    roles.includes(Roles.Superadmin)
+  ) {
+    return
+  }
+
+  await lockSuperadmins(session)
+
+  const minSuperadmins = config.get('minSuperadmins')
+  const superadmins = await countWithRole(Roles.Superadmin, session)
+
+  if (superadmins < minSuperadmins) {
+    logger.info(
+      `[minSuperadmins] Refusing to take the superadmin role from user '${userId}' - ${superadmins} would remain of the ${minSuperadmins} required`
+    )
+
+    throw Boom.conflict(
+      `Taking the superadmin role from user '${userId}' would leave fewer superadmins than the ${minSuperadmins} required to manage entitlements`
+    )
+  }
+}
+
 /**
  * Check if user exists and return user data, or null if not found
  * @param {string} userId - User ID to check
@@ -267,161 +716,67 @@ async function findExistingUser(userId) {
  * Create a user with given roles (internal function used within transactions)
  * @param {string} userId - Azure AD user ID
  * @param {Roles[]} roles - Roles to assign
+ * @param {RoleExpiry[]} roleExpiries - When each role is taken away
+ * @param {CallingUser} callingUser - The user creating the user
  * @param {ClientSession} session - MongoDB session for transaction
  * @param {string} email - User's email address
  * @param {string} displayName - User's display name
  */
-async function createUserInternal(userId, roles, session, email, displayName) {
-  const user = /** @type {EntitlementUser} */ ({
+async function createUserInternal(
+  userId,
+  roles,
+  roleExpiries,
+  callingUser,
+  session,
+  email,
+  displayName
+) {
+  const user = /** @type {StoredUser} */ ({
     userId,
-    roles
+    roles,
+    roleExpiries
   })
 
   user.email = email
   user.displayName = displayName
 
-  return create(user, session)
+  return create(user, callingUser, session)
 }
 
 /**
  * Update a user with given roles (internal function used within transactions)
  * @param {string} userId - Azure AD user ID
  * @param {Roles[]} roles - Roles to assign
+ * @param {RoleExpiry[]} roleExpiries - When each role is taken away
+ * @param {CallingUser} callingUser - The user updating the user
  * @param {ClientSession} session - MongoDB session for transaction
+ * @param {number[]} [expectedVersions] - only update the user if it is at one of these versions
  */
-async function updateUserInternal(userId, roles, session) {
-  const user = {
-    userId,
-    roles
-  }
-
-  return update(userId, user, session)
-}
-
-/**
- * Process a single user from the role editor group - create if doesn't exist, assign superadmin role if missing
- * @param {AzureUser} member - Azure AD group member
- * @param {ClientSession} session - MongoDB session for transaction
- * @param {Map<string, Partial<EntitlementUser>>} existingUsers - Map of existing users by userId
- */
-export async function processAdminUser(
-  member,
+async function updateUserInternal(
+  userId,
+  roles,
+  roleExpiries,
+  callingUser,
   session,
-  existingUsers = new Map()
+  expectedVersions
 ) {
-  const existingUser = existingUsers.get(member.id)
-
-  if (existingUser) {
-    const userRoles = existingUser.roles ?? []
-
-    if (userRoles.length !== 1 || !userRoles.includes(Roles.Superadmin)) {
-      await updateUserInternal(member.id, [Roles.Superadmin], session)
-      logger.info(
-        `Updated user to superadmin role only: ${member.id} (previous roles: ${userRoles.join(', ')})`
-      )
-    } else {
-      logger.info(
-        `User already has correct superadmin privileges: ${member.id}`
-      )
-    }
-  } else {
-    // User doesn't exist, create them with superadmin role
-    await createUserInternal(
-      member.id,
-      [Roles.Superadmin],
-      session,
-      member.email,
-      member.displayName
-    )
-    logger.info(`Created superadmin user: ${member.id} (${member.displayName})`)
+  const user = {
+    userId,
+    roles,
+    roleExpiries
   }
-}
 
-/**
- * Process all admin users from a group with transaction support
- * @param {AzureUser[]} groupMembers - Array of group members from Azure AD
- * @param {ClientSession} session - MongoDB session for transaction
- */
-export async function processAllAdminUsers(groupMembers, session) {
-  // First, get all existing users to avoid individual lookups
-  const allUsers = await getAll()
-  const existingUsersMap = new Map(
-    allUsers
-      .filter((user) => user.userId)
-      .map((user) => [/** @type {string} */ (user.userId), user])
-  )
-
-  logger.info(`Found ${allUsers.length} existing users in database`)
-
-  await session.withTransaction(async () => {
-    for (const member of groupMembers) {
-      try {
-        await processAdminUser(member, session, existingUsersMap)
-      } catch (err) {
-        logger.error(
-          err,
-          `Failed to process admin user ${member.id}: ${getErrorMessage(err)}`
-        )
-      }
-    }
-  })
+  return update(userId, user, callingUser, session, expectedVersions)
 }
 
 /**
- * Internal sync function (without locking)
- * @private
+ * A user as returned by the API
+ * @typedef {EntitlementUser & Partial<UserAuditFields> & { version?: number, roleExpiries?: RoleExpiry[] }} MappedUser
  */
-async function syncAdminUsersInternal() {
-  const roleEditorGroupId = config.get('roleEditorGroupId')
-
-  logger.info(
-    `Syncing admin users from role editor group: ${roleEditorGroupId}`
-  )
-
-  const session = client.startSession()
-
-  try {
-    const azureAdService = getAzureAdService()
-    const groupMembers = await azureAdService.getGroupMembers(roleEditorGroupId)
-
-    if (groupMembers.length === 0) {
-      logger.warn('No members found in role editor group')
-      return
-    }
-
-    logger.info(`Found ${groupMembers.length} members in role editor group`)
-
-    await processAllAdminUsers(groupMembers, session)
-
-    logger.info('Admin user sync completed successfully')
-  } catch (err) {
-    logger.error(
-      err,
-      `Failed to sync admin users from group: ${getErrorMessage(err)}`
-    )
-    throw err
-  } finally {
-    await session.endSession()
-  }
-}
-
-/**
- * Sync admin users from Azure AD role editor group with locking
- * Called on service startup and by scheduler to ensure admin access based on AD group membership
- * Uses locking to prevent concurrent execution across multiple containers
- */
-export async function syncAdminUsersFromGroup() {
-  const result = await withLock('admin-user-sync', syncAdminUsersInternal)
-
-  if (result === null) {
-    logger.info(
-      'Admin user sync skipped - already running on another container'
-    )
-  }
-}
 
 /**
- * @import { CallingUser, StoredUser } from '~/src/api/types.js'
+ * @import { AuthCredentials } from '@hapi/hapi'
+ * @import { BulkUserItem, BulkUserMode, BulkUserResult, BulkUserStatus, CallingUser, CallingUserEntitlement, RoleExpiry, StoredUser, UserAuditFields, UserQueryOptions } from '~/src/api/types.js'
  * @import { EntitlementUser } from '@defra/forms-model'
  * @import { AzureUser } from '~/src/services/azure-ad.js'
  * @import { WithId, ClientSession } from 'mongodb'
@@ -1,41 +1,53 @@
 import { Roles, Scopes } from '@defra/forms-model'
 import Boom from '@hapi/boom'
-import { ObjectId } from 'mongodb'
+import { MongoServerError, ObjectId } from 'mongodb'
 import { pino } from 'pino'
 
+import { customRolePolicy } from '~/src/api/__stubs__/role-policy.js'
 import { mockUserId1, mockUserListWithIds } from '~/src/api/__stubs__/users.js'
 import { config } from '~/src/config/index.js'
+import {
+  DEFAULT_ROLE_POLICY,
+  setRolePolicy
+} from '~/src/helpers/authorisation.js'
 import {
   azureUser,
   callingUser,
   superadminCallingUser
 } from '~/src/messaging/__stubs__/users.js'
+import {
+  saveEntitlementCreatedEvent,
+  saveEntitlementDeletedEvent,
+  saveEntitlementUpdatedEvent
+} from '~/src/messaging/publish.js'
 import { client, prepareDb } from '~/src/mongo.js'
-import { withLock } from '~/src/repositories/lock-repository.js'
 import {
+  countWithRole,
   create,
   get,
-  getAll,
+  getStoredUserIds,
+  list,
+  lockSuperadmins,
   remove,
-  update
+  update,
+  updateRoles
 } from '~/src/repositories/user-repository.js'
 import * as azureAdModule from '~/src/services/azure-ad.js'
 import {
   addUser,
+  addUsers,
   deleteUser,
   getAllUsers,
+  getCallingUserEntitlement,
   getUser,
   mapUser,
   mapUsers,
-  processAdminUser,
-  processAllAdminUsers,
-  syncAdminUsersFromGroup,
-  updateUser
+  updateUser,
+  updateUserRoles
 } from '~/src/services/user.js'
 
 jest.mock('~/src/messaging/publish.js')
 jest.mock('~/src/repositories/user-repository.js')
-jest.mock('~/src/repositories/lock-repository.js')
 jest.mock('~/src/mongo.js', () => ({
   client: {
     startSession: jest.fn()
@@ -78,12 +90,6 @@ describe('User service', () => {
 
     jest.mocked(client.startSession).mockReturnValue(mockSession)
 
-    jest.mocked(withLock).mockImplementation(async (lockName, fn) => {
-      return await fn()
-    })
-
-    jest.mocked(config.get).mockReturnValue('test-group-id')
-
     const mockValidateUser = jest.fn().mockResolvedValue({
       id: 'test-user-id',
       displayName: 'Test User',
@@ -98,24 +104,10 @@ describe('User service', () => {
       })
     )
 
-    const mockGetGroupMembers = jest.fn().mockResolvedValue([
-      {
-        id: 'azure-user-1',
-        displayName: 'John Doe',
-        email: 'john.doe@defra.gov.uk'
-      },
-      {
-        id: 'azure-user-2',
-        displayName: 'Jane Smith',
-        email: 'jane.smith@defra.gov.uk'
-      }
-    ])
-
     jest.spyOn(azureAdModule, 'getAzureAdService').mockReturnValue(
       /** @type {any} */ ({
         validateUser: mockValidateUser,
-        getUserByEmail: mockGetUserByEmail,
-        getGroupMembers: mockGetGroupMembers
+        getUserByEmail: mockGetUserByEmail
       })
     )
   })
@@ -141,6 +133,65 @@ describe('User service', () => {
       expect(result).not.toHaveProperty('scopes')
     })
 
+    it('should include when and by whom the user was created and last changed', () => {
+      const createdAt = new Date('2020-01-01T00:00:00Z')
+      const updatedAt = new Date('2020-02-01T00:00:00Z')
+      const createdBy = { id: 'creator-id', displayName: 'Creator' }
+      const updatedBy = { id: 'admin-user-sync:run-id', displayName: 'Sync' }
+
+      const result = mapUser({
+        _id: new ObjectId(),
+        userId: '123',
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User',
+        roles: [Roles.Admin],
+        createdAt,
+        createdBy,
+        updatedAt,
+        updatedBy
+      })
+
+      expect(result).toEqual({
+        userId: '123',
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User',
+        roles: [Roles.Admin],
+        createdAt,
+        createdBy,
+        updatedAt,
+        updatedBy
+      })
+    })
+
+    it('should include role expiries when the user has any', () => {
+      const expiresAt = new Date('2099-01-01T00:00:00Z')
+      const result = mapUser({
+        _id: new ObjectId(),
+        userId: '123',
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User',
+        roles: [Roles.Admin],
+        roleExpiries: [{ role: Roles.Admin, expiresAt }],
+        roleRevocations: []
+      })
+
+      expect(result.roleExpiries).toEqual([{ role: Roles.Admin, expiresAt }])
+      expect(result).not.toHaveProperty('roleRevocations')
+    })
+
+    it('should leave out role expiries when the user has none', () => {
+      const result = mapUser({
+        _id: new ObjectId(),
+        userId: '123',
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User',
+        roles: [Roles.Admin],
+        roleExpiries: []
+      })
+
+      expect(result).not.toHaveProperty('roleExpiries')
+    })
+
     it('should not include a legacy scopes field from the document by default', () => {
       const result = mapUser(
         /** @type {any} */ ({
@@ -265,25 +316,103 @@ describe('User service', () => {
   })
 
   describe('getAllUsers', () => {
-    it('should get all users', async () => {
-      jest.mocked(getAll).mockResolvedValue(mockUserListWithIds)
+    /** @type {UserQueryOptions} */
+    const queryOptions = {
+      page: 2,
+      perPage: 2,
+      sortBy: 'displayName',
+      order: 'asc',
+      role: Roles.FormCreator
+    }
 
-      const result = await getAllUsers()
+    it('should get a page of users with pagination metadata', async () => {
+      jest
+        .mocked(list)
+        .mockResolvedValue({ documents: mockUserListWithIds, totalItems: 5 })
 
-      expect(result).toHaveLength(3)
-      expect(result[0]).toEqual(
+      const result = await getAllUsers(queryOptions)
+
+      expect(list).toHaveBeenCalledWith(queryOptions)
+      expect(result.entities).toHaveLength(3)
+      expect(result.entities[0]).toEqual(
         expect.objectContaining({
           userId: 'user-id-admin',
           roles: ['admin']
         })
       )
-      expect(result[0]).not.toHaveProperty('scopes')
+      expect(result.entities[0]).not.toHaveProperty('scopes')
+      expect(result.meta).toEqual({
+        pagination: { page: 2, perPage: 2, totalItems: 5, totalPages: 3 },
+        sorting: { sortBy: 'displayName', order: 'asc' },
+        search: { role: Roles.FormCreator }
+      })
+    })
+
+    it('should return zero pages when there are no matching users', async () => {
+      jest.mocked(list).mockResolvedValue({ documents: [], totalItems: 0 })
+
+      const result = await getAllUsers(queryOptions)
+
+      expect(result.entities).toEqual([])
+      expect(result.meta.pagination).toEqual({
+        page: 2,
+        perPage: 2,
+        totalItems: 0,
+        totalPages: 0
+      })
     })
 
     it('should throw if repository error', async () => {
-      jest.mocked(getAll).mockRejectedValue(new Error('Database error'))
+      jest.mocked(list).mockRejectedValue(new Error('Database error'))
+
+      await expect(getAllUsers(queryOptions)).rejects.toThrow('Database error')
+    })
+  })
 
-      await expect(getAllUsers()).rejects.toThrow('Database error')
+  describe('getCallingUserEntitlement', () => {
+    test('should return the entitlement from the credentials', () => {
+      expect(
+        getCallingUserEntitlement(
+          /** @type {AuthCredentials} */ ({
+            user: {
+              oid: 'user-id',
+              name: 'Jo Bloggs (Defra)',
+              given_name: 'Jo',
+              family_name: 'Bloggs'
+            },
+            scope: [Scopes.UserEdit],
+            roles: [Roles.Admin],
+            entitled: true
+          })
+        )
+      ).toEqual({
+        userId: 'user-id',
+        displayName: 'Jo Bloggs',
+        entitled: true,
+        roles: [Roles.Admin],
+        scopes: [Scopes.UserEdit],
+        manageableRoles: [Roles.FormPublisher, Roles.FormCreator]
+      })
+    })
+
+    test('should return no roles for a user without an entitlement', () => {
+      expect(
+        getCallingUserEntitlement(
+          /** @type {AuthCredentials} */ ({
+            user: { oid: 'user-id', name: 'Jo Bloggs' },
+            scope: [],
+            roles: [],
+            entitled: false
+          })
+        )
+      ).toEqual({
+        userId: 'user-id',
+        displayName: 'Jo Bloggs',
+        entitled: false,
+        roles: [],
+        scopes: [],
+        manageableRoles: []
+      })
     })
   })
 
@@ -336,6 +465,32 @@ describe('User service', () => {
       expect(result.displayName).toBe('Test User')
     })
 
+    it('should save the created event to the outbox in the transaction', async () => {
+      await addUser('test@defra.gov.uk', [Roles.Admin], superadminCallingUser)
+
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({ roles: [Roles.Admin] }),
+        superadminCallingUser,
+        mockSession
+      )
+
+      expect(saveEntitlementCreatedEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'test@defra.gov.uk' }),
+        [Roles.Admin],
+        superadminCallingUser,
+        mockSession
+      )
+    })
+
+    it('should not save the created event when the user cannot be created', async () => {
+      jest.mocked(create).mockRejectedValueOnce(new Error('Insert failed'))
+
+      await expect(
+        addUser('test@defra.gov.uk', [Roles.Admin], superadminCallingUser)
+      ).rejects.toThrow('Insert failed')
+      expect(saveEntitlementCreatedEvent).not.toHaveBeenCalled()
+    })
+
     it('should handle Azure AD service errors', async () => {
       const mockGetUserByEmail = jest
         .fn()
@@ -447,6 +602,213 @@ describe('User service', () => {
     })
   })
 
+  describe('addUsers', () => {
+    /**
+     * @param {string} email
+     */
+    const toAzureUser = (email) => ({
+      id: `id-${email}`,
+      displayName: `Name ${email}`,
+      email
+    })
+
+    /** @type {jest.Mock} */
+    let getUserByEmail
+
+    beforeEach(() => {
+      jest.mocked(config.get).mockReturnValue(2)
+      jest.mocked(getStoredUserIds).mockResolvedValue([])
+
+      getUserByEmail = jest.fn((email) => {
+        return email.startsWith('missing')
+          ? Promise.reject(Boom.notFound('User not found'))
+          : Promise.resolve(toAzureUser(email))
+      })
+
+      jest
+        .spyOn(azureAdModule, 'getAzureAdService')
+        .mockReturnValue(/** @type {any} */ ({ getUserByEmail }))
+    })
+
+    it('should add the users that can be added in best-effort mode', async () => {
+      jest.mocked(getStoredUserIds).mockResolvedValue(['id-c@defra.gov.uk'])
+
+      const result = await addUsers(
+        [
+          { email: 'a@defra.gov.uk', roles: [Roles.FormCreator] },
+          { email: 'missing@defra.gov.uk', roles: [Roles.FormCreator] },
+          { email: 'b@defra.gov.uk', roles: [Roles.Admin] },
+          { email: 'c@defra.gov.uk', roles: [Roles.FormCreator] }
+        ],
+        callingUser
+      )
+
+      expect(config.get).toHaveBeenCalledWith('azure.lookupConcurrency')
+      expect(getUserByEmail).toHaveBeenCalledTimes(4)
+      expect(getStoredUserIds).toHaveBeenCalledWith([
+        'id-a@defra.gov.uk',
+        'id-c@defra.gov.uk'
+      ])
+      expect(create).toHaveBeenCalledTimes(1)
+      expect(create).toHaveBeenCalledWith(
+        {
+          userId: 'id-a@defra.gov.uk',
+          roles: [Roles.FormCreator],
+          roleExpiries: [],
+          email: 'a@defra.gov.uk',
+          displayName: 'Name a@defra.gov.uk'
+        },
+        callingUser,
+        mockSession
+      )
+      expect(saveEntitlementCreatedEvent).toHaveBeenCalledWith(
+        toAzureUser('a@defra.gov.uk'),
+        [Roles.FormCreator],
+        callingUser,
+        mockSession
+      )
+      expect(result).toEqual({
+        mode: 'best-effort',
+        created: 1,
+        results: [
+          {
+            email: 'a@defra.gov.uk',
+            status: 'created',
+            id: 'id-a@defra.gov.uk',
+            displayName: 'Name a@defra.gov.uk'
+          },
+          {
+            email: 'missing@defra.gov.uk',
+            status: 'not-found',
+            error: 'User not found'
+          },
+          {
+            email: 'b@defra.gov.uk',
+            status: 'forbidden',
+            id: 'id-b@defra.gov.uk',
+            displayName: 'Name b@defra.gov.uk',
+            error: expect.stringContaining('sufficient privileges')
+          },
+          {
+            email: 'c@defra.gov.uk',
+            status: 'conflict',
+            id: 'id-c@defra.gov.uk',
+            displayName: 'Name c@defra.gov.uk',
+            error: 'User already exists'
+          }
+        ]
+      })
+      expect(mockSession.endSession).toHaveBeenCalled()
+    })
+
+    it('should carry on when a user fails to be added in best-effort mode', async () => {
+      jest
+        .mocked(create)
+        .mockRejectedValueOnce(Boom.conflict('User already exists'))
+        .mockRejectedValueOnce(new Error('db error'))
+
+      const result = await addUsers(
+        [
+          { email: 'a@defra.gov.uk', roles: [Roles.FormCreator] },
+          { email: 'b@defra.gov.uk', roles: [Roles.FormCreator] },
+          { email: 'c@defra.gov.uk', roles: [Roles.FormCreator] }
+        ],
+        callingUser
+      )
+
+      expect(mockSession.withTransaction).toHaveBeenCalledTimes(3)
+      expect(result.created).toBe(1)
+      expect(result.results.map(({ status }) => status)).toEqual([
+        'conflict',
+        'failed',
+        'created'
+      ])
+    })
+
+    it('should not add the same user twice for two of their emails', async () => {
+      getUserByEmail.mockResolvedValue(toAzureUser('a@defra.gov.uk'))
+
+      const result = await addUsers(
+        [
+          { email: 'a@defra.gov.uk', roles: [Roles.FormCreator] },
+          { email: 'alias@defra.gov.uk', roles: [Roles.FormCreator] }
+        ],
+        callingUser
+      )
+
+      expect(create).toHaveBeenCalledTimes(1)
+      expect(result.results.map(({ status }) => status)).toEqual([
+        'created',
+        'conflict'
+      ])
+    })
+
+    it('should add every user in one transaction in all-or-nothing mode', async () => {
+      const result = await addUsers(
+        [
+          { email: 'a@defra.gov.uk', roles: [Roles.FormCreator] },
+          { email: 'b@defra.gov.uk', roles: [Roles.FormPublisher] }
+        ],
+        callingUser,
+        'all-or-nothing'
+      )
+
+      expect(mockSession.withTransaction).toHaveBeenCalledTimes(1)
+      expect(create).toHaveBeenCalledTimes(2)
+      expect(saveEntitlementCreatedEvent).toHaveBeenCalledTimes(2)
+      expect(result).toEqual({
+        mode: 'all-or-nothing',
+        created: 2,
+        results: [
+          expect.objectContaining({ status: 'created' }),
+          expect.objectContaining({ status: 'created' })
+        ]
+      })
+    })
+
+    it('should add no users in all-or-nothing mode unless all can be', async () => {
+      const result = await addUsers(
+        [
+          { email: 'a@defra.gov.uk', roles: [Roles.FormCreator] },
+          { email: 'missing@defra.gov.uk', roles: [Roles.FormCreator] }
+        ],
+        callingUser,
+        'all-or-nothing'
+      )
+
+      expect(mockSession.withTransaction).not.toHaveBeenCalled()
+      expect(create).not.toHaveBeenCalled()
+      expect(result).toEqual({
+        mode: 'all-or-nothing',
+        created: 0,
+        results: [
+          {
+            email: 'a@defra.gov.uk',
+            status: 'skipped',
+            id: 'id-a@defra.gov.uk',
+            displayName: 'Name a@defra.gov.uk'
+          },
+          expect.objectContaining({ status: 'not-found' })
+        ]
+      })
+    })
+
+    it('should rethrow when the all-or-nothing transaction fails', async () => {
+      jest
+        .mocked(create)
+        .mockRejectedValue(Boom.conflict('User already exists'))
+
+      await expect(
+        addUsers(
+          [{ email: 'a@defra.gov.uk', roles: [Roles.FormCreator] }],
+          callingUser,
+          'all-or-nothing'
+        )
+      ).rejects.toThrow('User already exists')
+      expect(mockSession.endSession).toHaveBeenCalled()
+    })
+  })
+
   describe('updateUser', () => {
     it('should update user successfully', async () => {
       jest.mocked(update).mockResolvedValue({
@@ -457,7 +819,7 @@ describe('User service', () => {
         upsertedCount: 1
       })
 
-      jest.mocked(get).mockResolvedValueOnce({
+      jest.mocked(get).mockResolvedValue({
         _id: new ObjectId(),
         userId: mockUserId1,
         roles: [Roles.FormCreator],
@@ -472,6 +834,117 @@ describe('User service', () => {
       )
 
       expect(result.id).toBe(mockUserId1)
+      expect(get).toHaveBeenLastCalledWith(mockUserId1, mockSession)
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledWith(
+        expect.any(Object),
+        [Roles.FormCreator],
+        callingUser,
+        [Roles.FormCreator],
+        mockSession
+      )
+    })
+
+    it('should replace the role expiries', async () => {
+      jest.mocked(get).mockResolvedValue({
+        _id: new ObjectId(),
+        userId: mockUserId1,
+        roles: [Roles.FormCreator],
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User'
+      })
+      const roleExpiries = [
+        { role: Roles.FormCreator, expiresAt: new Date('2099-01-01') }
+      ]
+
+      await updateUser(
+        mockUserId1,
+        [Roles.FormCreator],
+        callingUser,
+        roleExpiries
+      )
+
+      expect(update).toHaveBeenCalledWith(
+        mockUserId1,
+        { userId: mockUserId1, roles: [Roles.FormCreator], roleExpiries },
+        callingUser,
+        mockSession,
+        undefined
+      )
+    })
+
+    it('should keep the stored expiries of the roles kept when none are given', async () => {
+      const expiresAt = new Date('2099-01-01')
+
+      jest.mocked(get).mockResolvedValue({
+        _id: new ObjectId(),
+        userId: mockUserId1,
+        roles: [Roles.FormCreator, Roles.FormPublisher],
+        roleExpiries: [
+          { role: Roles.FormCreator, expiresAt },
+          { role: Roles.FormPublisher, expiresAt }
+        ],
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User'
+      })
+
+      await updateUser(mockUserId1, [Roles.FormCreator], callingUser)
+
+      expect(update).toHaveBeenCalledWith(
+        mockUserId1,
+        {
+          userId: mockUserId1,
+          roles: [Roles.FormCreator],
+          roleExpiries: [{ role: Roles.FormCreator, expiresAt }]
+        },
+        callingUser,
+        mockSession,
+        undefined
+      )
+    })
+
+    it('should only update the user at the expected versions', async () => {
+      jest.mocked(get).mockResolvedValue({
+        _id: new ObjectId(),
+        userId: mockUserId1,
+        roles: [Roles.FormCreator],
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User',
+        version: 3
+      })
+
+      await updateUser(mockUserId1, [Roles.FormCreator], callingUser, [], [3])
+
+      expect(update).toHaveBeenCalledWith(
+        mockUserId1,
+        { userId: mockUserId1, roles: [Roles.FormCreator], roleExpiries: [] },
+        callingUser,
+        mockSession,
+        [3]
+      )
+    })
+
+    it('should not save an event when the user has changed since it was read', async () => {
+      jest.mocked(get).mockResolvedValue({
+        _id: new ObjectId(),
+        userId: mockUserId1,
+        roles: [Roles.FormCreator],
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User',
+        version: 4
+      })
+      jest
+        .mocked(update)
+        .mockRejectedValue(Boom.preconditionFailed('User has been changed'))
+
+      await expect(
+        updateUser(mockUserId1, [Roles.FormCreator], callingUser, [], [3])
+      ).rejects.toThrow(
+        expect.objectContaining({
+          output: expect.objectContaining({ statusCode: 412 })
+        })
+      )
+      expect(saveEntitlementUpdatedEvent).not.toHaveBeenCalled()
+      expect(mockSession.endSession).toHaveBeenCalled()
     })
 
     it('should handle database errors', async () => {
@@ -564,7 +1037,7 @@ describe('User service', () => {
         upsertedCount: 1
       })
 
-      jest.mocked(get).mockResolvedValueOnce({
+      jest.mocked(get).mockResolvedValue({
         _id: new ObjectId(),
         userId: 'target-user',
         roles: [Roles.Admin],
@@ -582,62 +1055,171 @@ describe('User service', () => {
     })
   })
 
-  describe('deleteUser', () => {
-    it('should delete user successfully', async () => {
-      jest.mocked(remove).mockResolvedValue()
-      jest.mocked(get).mockResolvedValueOnce({
+  describe('updateUser minimum superadmins', () => {
+    beforeEach(() => {
+      jest.mocked(config.get).mockReturnValue(1)
+      jest.mocked(get).mockResolvedValue({
         _id: new ObjectId(),
-        userId: azureUser.id,
-        email: azureUser.email,
-        displayName: azureUser.displayName,
-        roles: [Roles.FormCreator]
+        userId: 'target-superadmin',
+        roles: [Roles.Superadmin],
+        email: 'superadmin@example.com',
+        displayName: 'Target Superadmin'
       })
-
-      const result = await deleteUser(mockUserId1, callingUser)
-
-      expect(result.id).toBe(mockUserId1)
     })
 
-    it('should handle database errors', async () => {
-      jest.mocked(get).mockResolvedValueOnce({
-        _id: new ObjectId(),
-        userId: '123',
-        email: 'test@example.com',
-        displayName: 'Test User',
-        roles: [Roles.FormCreator]
-      })
-
-      mockSession.withTransaction.mockRejectedValue(new Error('Delete failed'))
+    it('should take the superadmin role away while enough superadmins remain', async () => {
+      jest.mocked(countWithRole).mockResolvedValue(1)
 
-      await expect(deleteUser('123', callingUser)).rejects.toThrow(
-        'Delete failed'
+      const result = await updateUser(
+        'target-superadmin',
+        [Roles.Admin],
+        superadminCallingUser
       )
-      expect(mockSession.endSession).toHaveBeenCalled()
+
+      expect(result.id).toBe('target-superadmin')
+      expect(config.get).toHaveBeenCalledWith('minSuperadmins')
+      expect(lockSuperadmins).toHaveBeenCalledWith(mockSession)
+      expect(countWithRole).toHaveBeenCalledWith(Roles.Superadmin, mockSession)
     })
 
-    it('should handle user not found (404) and still proceed with deletion', async () => {
-      const notFoundError = Boom.notFound('User not found')
-      jest.mocked(get).mockRejectedValue(notFoundError)
-      jest.mocked(remove).mockResolvedValue()
+    it('should throw 409 when taking away the last superadmin role', async () => {
+      jest.mocked(countWithRole).mockResolvedValue(0)
 
-      const result = await deleteUser('non-existent-user', callingUser)
+      await expect(
+        updateUser('target-superadmin', [Roles.Admin], superadminCallingUser)
+      ).rejects.toThrow(
+        expect.objectContaining({
+          message:
+            "Taking the superadmin role from user 'target-superadmin' would leave fewer superadmins than the 1 required to manage entitlements",
+          output: expect.objectContaining({ statusCode: 409 })
+        })
+      )
+      expect(saveEntitlementUpdatedEvent).not.toHaveBeenCalled()
+    })
 
-      expect(result).toBeDefined()
+    it('should not count superadmins when the user keeps the role', async () => {
+      await updateUser(
+        'target-superadmin',
+        [Roles.Superadmin, Roles.Admin],
+        superadminCallingUser
+      )
 
-      expect(get).toHaveBeenCalledWith('non-existent-user')
-      expect(remove).toHaveBeenCalledWith('non-existent-user', mockSession)
+      expect(lockSuperadmins).not.toHaveBeenCalled()
+      expect(countWithRole).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('updateUserRoles', () => {
+    beforeEach(() => {
+      jest.mocked(get).mockResolvedValue({
+        _id: new ObjectId(),
+        userId: mockUserId1,
+        roles: [Roles.FormCreator],
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User'
+      })
+    })
+
+    it('should grant and take away roles and save the change', async () => {
+      const result = await updateUserRoles(
+        mockUserId1,
+        [Roles.FormPublisher],
+        [Roles.FormCreator],
+        callingUser,
+        [3]
+      )
+
+      expect(result).toEqual({ id: mockUserId1 })
+      expect(get).toHaveBeenLastCalledWith(mockUserId1, mockSession)
+      expect(updateRoles).toHaveBeenCalledWith(
+        mockUserId1,
+        [Roles.FormPublisher],
+        [Roles.FormCreator],
+        callingUser,
+        mockSession,
+        [3]
+      )
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledWith(
+        expect.any(Object),
+        [Roles.FormPublisher],
+        callingUser,
+        [Roles.FormCreator],
+        mockSession
+      )
       expect(mockSession.endSession).toHaveBeenCalled()
     })
 
-    it('should throw 403 when caller tries to delete themselves (self-management)', async () => {
-      await expect(deleteUser(callingUser.id, callingUser)).rejects.toThrow(
+    it('should keep the roles that are not changed', async () => {
+      await updateUserRoles(
+        mockUserId1,
+        [Roles.FormCreator, Roles.FormPublisher],
+        [],
+        callingUser
+      )
+
+      expect(saveEntitlementUpdatedEvent).toHaveBeenCalledWith(
+        expect.any(Object),
+        [Roles.FormCreator, Roles.FormPublisher],
+        callingUser,
+        [Roles.FormCreator],
+        mockSession
+      )
+    })
+
+    it('should not write the user or save an event when nothing changes', async () => {
+      const result = await updateUserRoles(
+        mockUserId1,
+        [Roles.FormCreator],
+        [Roles.FormPublisher],
+        callingUser
+      )
+
+      expect(result).toEqual({ id: mockUserId1 })
+      expect(updateRoles).not.toHaveBeenCalled()
+      expect(saveEntitlementUpdatedEvent).not.toHaveBeenCalled()
+    })
+
+    it('should throw 412 when nothing changes but the user is at another version', async () => {
+      jest.mocked(get).mockResolvedValue({
+        _id: new ObjectId(),
+        userId: mockUserId1,
+        roles: [Roles.FormCreator],
+        email: 'test@defra.gov.uk',
+        displayName: 'Test User',
+        version: 4
+      })
+
+      await expect(
+        updateUserRoles(mockUserId1, [Roles.FormCreator], [], callingUser, [3])
+      ).rejects.toThrow(
         expect.objectContaining({
-          output: expect.objectContaining({ statusCode: 403 })
+          output: expect.objectContaining({ statusCode: 412 })
         })
       )
+      await expect(
+        updateUserRoles(mockUserId1, [Roles.FormCreator], [], callingUser, [4])
+      ).resolves.toEqual({ id: mockUserId1 })
+      expect(updateRoles).not.toHaveBeenCalled()
     })
 
-    it('should throw 403 when admin tries to delete an admin user', async () => {
+    it.each([
+      ['granting', [Roles.Admin], []],
+      ['taking away', [], [Roles.Superadmin]]
+    ])(
+      'should throw 403 when %s a role above the caller',
+      async (_, add, remove) => {
+        await expect(
+          updateUserRoles(mockUserId1, add, remove, callingUser)
+        ).rejects.toThrow(
+          expect.objectContaining({
+            output: expect.objectContaining({ statusCode: 403 })
+          })
+        )
+        expect(updateRoles).not.toHaveBeenCalled()
+      }
+    )
+
+    it('should throw 403 when admin changes the roles of an admin user', async () => {
       jest.mocked(get).mockResolvedValueOnce({
         _id: new ObjectId(),
         userId: 'target-admin',
@@ -646,15 +1228,29 @@ describe('User service', () => {
         displayName: 'Target Admin'
       })
 
-      await expect(deleteUser('target-admin', callingUser)).rejects.toThrow(
+      await expect(
+        updateUserRoles('target-admin', [Roles.FormCreator], [], callingUser)
+      ).rejects.toThrow(
         expect.objectContaining({
           output: expect.objectContaining({ statusCode: 403 })
         })
       )
     })
 
-    it('should throw 403 when admin tries to delete a superadmin user', async () => {
-      jest.mocked(get).mockResolvedValueOnce({
+    it('should throw 403 when caller changes their own roles', async () => {
+      await expect(
+        updateUserRoles(callingUser.id, [Roles.FormCreator], [], callingUser)
+      ).rejects.toThrow(
+        expect.objectContaining({
+          output: expect.objectContaining({ statusCode: 403 })
+        })
+      )
+    })
+
+    it('should throw 409 when taking away the last superadmin role', async () => {
+      jest.mocked(config.get).mockReturnValue(1)
+      jest.mocked(countWithRole).mockResolvedValue(0)
+      jest.mocked(get).mockResolvedValue({
         _id: new ObjectId(),
         userId: 'target-superadmin',
         roles: [Roles.Superadmin],
@@ -663,479 +1259,319 @@ describe('User service', () => {
       })
 
       await expect(
-        deleteUser('target-superadmin', callingUser)
+        updateUserRoles(
+          'target-superadmin',
+          [],
+          [Roles.Superadmin],
+          superadminCallingUser
+        )
       ).rejects.toThrow(
         expect.objectContaining({
-          output: expect.objectContaining({ statusCode: 403 })
+          output: expect.objectContaining({ statusCode: 409 })
         })
       )
+      expect(saveEntitlementUpdatedEvent).not.toHaveBeenCalled()
     })
 
-    it('should succeed when superadmin deletes any user', async () => {
-      jest.mocked(remove).mockResolvedValue()
-      jest.mocked(get).mockResolvedValueOnce({
-        _id: new ObjectId(),
-        userId: 'target-admin',
-        roles: [Roles.Admin],
-        email: 'admin@example.com',
-        displayName: 'Target Admin'
-      })
+    it('should throw 400 when the roles held would be kept apart by the policy', async () => {
+      setRolePolicy(customRolePolicy)
 
-      const result = await deleteUser('target-admin', superadminCallingUser)
-
-      expect(result.id).toBe('target-admin')
+      try {
+        await expect(
+          updateUserRoles(mockUserId1, [Roles.FormPublisher], [], callingUser)
+        ).rejects.toThrow(
+          expect.objectContaining({
+            output: expect.objectContaining({ statusCode: 400 })
+          })
+        )
+        expect(updateRoles).not.toHaveBeenCalled()
+      } finally {
+        setRolePolicy(DEFAULT_ROLE_POLICY)
+      }
     })
-  })
 
-  describe('processAdminUser', () => {
-    const mockMember = {
-      id: 'azure-user-1',
-      displayName: 'John Doe',
-      email: 'john.doe@defra.gov.uk'
-    }
+    it('should not save an event when the update fails', async () => {
+      jest.mocked(updateRoles).mockRejectedValue(new Error('Update failed'))
 
-    it('should create new admin user when user does not exist', async () => {
-      jest.mocked(get).mockRejectedValue(Boom.notFound('User not found'))
-      jest.mocked(create).mockResolvedValue({
-        acknowledged: true,
-        insertedId: new ObjectId()
-      })
-
-      await processAdminUser(mockMember, mockSession)
-
-      expect(create).toHaveBeenCalledWith(
-        expect.objectContaining({
-          userId: 'azure-user-1',
-          email: 'john.doe@defra.gov.uk',
-          displayName: 'John Doe',
-          roles: [Roles.Superadmin]
-        }),
-        mockSession
-      )
-      expect(create).toHaveBeenCalledWith(
-        expect.not.objectContaining({ scopes: expect.anything() }),
-        mockSession
-      )
+      await expect(
+        updateUserRoles(mockUserId1, [Roles.FormPublisher], [], callingUser)
+      ).rejects.toThrow('Update failed')
+      expect(saveEntitlementUpdatedEvent).not.toHaveBeenCalled()
+      expect(mockSession.endSession).toHaveBeenCalled()
     })
+  })
 
-    it('should replace form-creator role with superadmin role only', async () => {
-      const mockMember = {
-        id: 'azure-user-1',
-        displayName: 'Test User',
-        email: 'test@example.com'
-      }
-
-      const existingUser = {
-        userId: 'azure-user-1',
+  describe('deleteUser', () => {
+    it('should delete user successfully', async () => {
+      jest.mocked(remove).mockResolvedValue(mockUserListWithIds[1])
+      jest.mocked(get).mockResolvedValueOnce({
+        _id: new ObjectId(),
+        userId: azureUser.id,
+        email: azureUser.email,
+        displayName: azureUser.displayName,
         roles: [Roles.FormCreator]
-      }
-
-      const existingUsersMap = new Map([['azure-user-1', existingUser]])
+      })
 
-      await processAdminUser(mockMember, mockSession, existingUsersMap)
+      const result = await deleteUser(mockUserId1, callingUser)
 
-      expect(update).toHaveBeenCalledWith(
-        'azure-user-1',
-        expect.objectContaining({
-          roles: [Roles.Superadmin]
-        }),
-        mockSession
-      )
-      expect(update).toHaveBeenCalledWith(
-        'azure-user-1',
-        expect.not.objectContaining({ scopes: expect.anything() }),
+      expect(result.id).toBe(mockUserId1)
+      expect(saveEntitlementDeletedEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: azureUser.id }),
+        callingUser,
         mockSession
       )
-      expect(create).not.toHaveBeenCalled()
     })
 
-    it('should replace all other roles with superadmin role only', async () => {
-      const mockMember = {
-        id: 'azure-user-1',
+    it('should handle database errors', async () => {
+      jest.mocked(get).mockResolvedValueOnce({
+        _id: new ObjectId(),
+        userId: '123',
+        email: 'test@example.com',
         displayName: 'Test User',
-        email: 'test@example.com'
-      }
-
-      const existingUser = /** @type {any} */ ({
-        userId: 'azure-user-1',
-        roles: ['some-other-role', 'another-role']
+        roles: [Roles.FormCreator]
       })
 
-      const existingUsersMap = new Map([['azure-user-1', existingUser]])
-
-      await processAdminUser(mockMember, mockSession, existingUsersMap)
+      mockSession.withTransaction.mockRejectedValue(new Error('Delete failed'))
 
-      expect(update).toHaveBeenCalledWith(
-        'azure-user-1',
-        expect.objectContaining({
-          roles: [Roles.Superadmin]
-        }),
-        mockSession
+      await expect(deleteUser('123', callingUser)).rejects.toThrow(
+        'Delete failed'
       )
-      expect(create).not.toHaveBeenCalled()
+      expect(mockSession.endSession).toHaveBeenCalled()
     })
 
-    it('should replace multiple roles including form-creator with superadmin only', async () => {
-      const mockMember = {
-        id: 'azure-user-1',
-        displayName: 'Test User',
-        email: 'test@example.com'
-      }
-
-      const existingUser = /** @type {any} */ ({
-        userId: 'azure-user-1',
-        roles: [Roles.FormCreator, Roles.Admin, 'other-role']
-      })
+    it('should handle user not found (404) and still proceed with deletion', async () => {
+      const notFoundError = Boom.notFound('User not found')
+      jest.mocked(get).mockRejectedValue(notFoundError)
+      jest.mocked(remove).mockResolvedValue(mockUserListWithIds[1])
 
-      const existingUsersMap = new Map([['azure-user-1', existingUser]])
+      const result = await deleteUser('non-existent-user', callingUser)
 
-      await processAdminUser(mockMember, mockSession, existingUsersMap)
+      expect(result).toBeDefined()
 
-      expect(update).toHaveBeenCalledWith(
-        'azure-user-1',
-        expect.objectContaining({
-          roles: [Roles.Superadmin]
-        }),
-        mockSession
+      expect(get).toHaveBeenCalledWith('non-existent-user')
+      expect(remove).toHaveBeenCalledWith(
+        'non-existent-user',
+        mockSession,
+        undefined
       )
-      expect(create).not.toHaveBeenCalled()
+      expect(mockSession.endSession).toHaveBeenCalled()
     })
 
-    it('should not modify existing superadmin user', async () => {
-      const mockMember = {
-        id: 'azure-user-1',
+    it('should only delete the user at the expected versions', async () => {
+      jest.mocked(get).mockResolvedValueOnce({
+        _id: new ObjectId(),
+        userId: '123',
+        email: 'test@example.com',
         displayName: 'Test User',
-        email: 'test@example.com'
-      }
-
-      const existingUser = {
-        userId: 'azure-user-1',
-        roles: [Roles.Superadmin]
-      }
-
-      const existingUsersMap = new Map([['azure-user-1', existingUser]])
+        roles: [Roles.FormCreator],
+        version: 2
+      })
+      jest.mocked(remove).mockResolvedValue(mockUserListWithIds[1])
 
-      await processAdminUser(mockMember, mockSession, existingUsersMap)
+      await deleteUser('123', callingUser, [2])
 
-      expect(update).not.toHaveBeenCalled()
-      expect(create).not.toHaveBeenCalled()
+      expect(remove).toHaveBeenCalledWith('123', mockSession, [2])
     })
 
-    it('should handle users with undefined roles', async () => {
-      const mockMember = {
-        id: 'azure-user-1',
-        displayName: 'Test User',
-        email: 'test@example.com'
-      }
-
-      const existingUser = {
-        userId: 'azure-user-1',
-        roles: undefined
-      }
-
-      const existingUsersMap = new Map([['azure-user-1', existingUser]])
-
-      await processAdminUser(mockMember, mockSession, existingUsersMap)
-
-      expect(update).toHaveBeenCalledWith(
-        'azure-user-1',
+    it('should throw 403 when caller tries to delete themselves (self-management)', async () => {
+      await expect(deleteUser(callingUser.id, callingUser)).rejects.toThrow(
         expect.objectContaining({
-          roles: [Roles.Superadmin]
-        }),
-        mockSession
+          output: expect.objectContaining({ statusCode: 403 })
+        })
       )
-      expect(create).not.toHaveBeenCalled()
     })
 
-    it('should update users with Roles.Admin to Roles.Superadmin', async () => {
-      const mockMember = {
-        id: 'azure-user-1',
-        displayName: 'Test User',
-        email: 'test@example.com'
-      }
-
-      const existingUser = {
-        userId: 'azure-user-1',
-        displayName: 'azure user 1',
-        email: 'azure-user-1@test.com',
+    it('should throw 403 when admin tries to delete an admin user', async () => {
+      jest.mocked(get).mockResolvedValueOnce({
+        _id: new ObjectId(),
+        userId: 'target-admin',
         roles: [Roles.Admin],
-        scopes: ['some-scope']
-      }
-
-      const existingUsersMap = new Map([['azure-user-1', existingUser]])
-
-      // @ts-expect-error - partial mock with invalid scope
-      await processAdminUser(mockMember, mockSession, existingUsersMap)
+        email: 'admin@example.com',
+        displayName: 'Target Admin'
+      })
 
-      expect(update).toHaveBeenCalledWith(
-        'azure-user-1',
+      await expect(deleteUser('target-admin', callingUser)).rejects.toThrow(
         expect.objectContaining({
-          roles: [Roles.Superadmin]
-        }),
-        mockSession
-      )
-      expect(create).not.toHaveBeenCalled()
-    })
-  })
-
-  describe('processAllAdminUsers', () => {
-    it('should process all users successfully', async () => {
-      const mockMembers = [
-        { id: 'user-1', displayName: 'User 1', email: 'user1@defra.gov.uk' },
-        { id: 'user-2', displayName: 'User 2', email: 'user2@defra.gov.uk' }
-      ]
-
-      // Mock getAll to return empty array
-      jest.mocked(getAll).mockResolvedValue([])
-
-      await processAllAdminUsers(mockMembers, mockSession)
-
-      expect(mockSession.withTransaction).toHaveBeenCalled()
-      expect(create).toHaveBeenCalledTimes(2)
-    })
-
-    it('should handle individual user processing errors gracefully', async () => {
-      const mockMembers = [
-        { id: 'user-1', displayName: 'User 1', email: 'user1@defra.gov.uk' },
-        { id: 'user-2', displayName: 'User 2', email: 'user2@defra.gov.uk' },
-        { id: 'user-3', displayName: 'User 3', email: 'user3@defra.gov.uk' }
-      ]
-
-      // Mock getAll to return empty array
-      jest.mocked(getAll).mockResolvedValue([])
-
-      // Make user-2 creation fail
-      jest
-        .mocked(create)
-        .mockResolvedValueOnce({
-          acknowledged: true,
-          insertedId: new ObjectId()
-        })
-        .mockRejectedValueOnce(new Error('Database error'))
-        .mockResolvedValueOnce({
-          acknowledged: true,
-          insertedId: new ObjectId()
+          output: expect.objectContaining({ statusCode: 403 })
         })
-
-      // Should not throw even if individual users fail
-      await expect(
-        processAllAdminUsers(mockMembers, mockSession)
-      ).resolves.toBeUndefined()
-      expect(mockSession.withTransaction).toHaveBeenCalled()
-    })
-
-    it('should handle transaction errors', async () => {
-      const mockMembers = [
-        { id: 'user-1', displayName: 'User 1', email: 'user1@defra.gov.uk' }
-      ]
-
-      // Mock getAll to return empty array
-      jest.mocked(getAll).mockResolvedValue([])
-
-      // Mock transaction to fail
-      mockSession.withTransaction.mockRejectedValue(
-        new Error('Transaction failed')
       )
-
-      await expect(
-        processAllAdminUsers(mockMembers, mockSession)
-      ).rejects.toThrow('Transaction failed')
     })
 
-    it('should filter out users without userId when creating existingUsersMap', async () => {
-      const mockMembers = [
-        {
-          id: 'existing-user',
-          displayName: 'User 1',
-          email: 'user1@defra.gov.uk'
-        },
-        { id: 'new-user', displayName: 'User 2', email: 'user2@defra.gov.uk' }
-      ]
-
-      /** @type {any[]} */
-      const mockUsersFromDb = [
-        {
-          _id: new ObjectId(),
-          userId: 'existing-user',
-          roles: [Roles.FormCreator],
-          email: 'existing@defra.gov.uk',
-          displayName: 'Existing User'
-        },
-        {
-          _id: new ObjectId(),
-          roles: [Roles.Admin],
-          email: 'no-id@defra.gov.uk',
-          displayName: 'No ID User'
-        },
-        {
-          _id: new ObjectId(),
-          userId: undefined,
-          roles: [Roles.FormCreator],
-          email: 'undefined@defra.gov.uk',
-          displayName: 'Undefined ID User'
-        },
-        {
-          _id: new ObjectId(),
-          userId: 'another-existing-user',
-          roles: [Roles.Admin],
-          email: 'another@defra.gov.uk',
-          displayName: 'Another User'
-        }
-      ]
-
-      jest.mocked(getAll).mockResolvedValue(mockUsersFromDb)
-
-      await processAllAdminUsers(mockMembers, mockSession)
-
-      expect(mockSession.withTransaction).toHaveBeenCalled()
-
-      expect(update).toHaveBeenCalledWith(
-        'existing-user',
-        expect.objectContaining({
-          userId: 'existing-user',
-          roles: [Roles.Superadmin]
-        }),
-        mockSession
-      )
+    it('should throw 403 when admin tries to delete a superadmin user', async () => {
+      jest.mocked(get).mockResolvedValueOnce({
+        _id: new ObjectId(),
+        userId: 'target-superadmin',
+        roles: [Roles.Superadmin],
+        email: 'superadmin@example.com',
+        displayName: 'Target Superadmin'
+      })
 
-      expect(create).toHaveBeenCalledWith(
+      await expect(
+        deleteUser('target-superadmin', callingUser)
+      ).rejects.toThrow(
         expect.objectContaining({
-          userId: 'new-user',
-          roles: [Roles.Superadmin]
-        }),
-        mockSession
-      )
-
-      expect(update).toHaveBeenCalledTimes(1)
-      expect(create).toHaveBeenCalledTimes(1)
-    })
-  })
-
-  describe('syncAdminUsersFromGroup', () => {
-    beforeEach(() => {
-      jest.mocked(config.get).mockReturnValue('role-editor-group-id')
-      jest.clearAllMocks()
-    })
-
-    test('should successfully sync admin users when lock is acquired', async () => {
-      const mockGroupMembers = [
-        {
-          id: 'user-1',
-          displayName: 'User One',
-          email: 'user1@example.com'
-        },
-        {
-          id: 'user-2',
-          displayName: 'User Two',
-          email: 'user2@example.com'
-        }
-      ]
-
-      const mockSession = {
-        withTransaction: jest.fn((fn) => fn()),
-        endSession: jest.fn()
-      }
-
-      jest
-        .mocked(client.startSession)
-        .mockReturnValue(/** @type {any} */ (mockSession))
-
-      jest.spyOn(azureAdModule, 'getAzureAdService').mockReturnValue(
-        /** @type {any} */ ({
-          getGroupMembers: jest.fn().mockResolvedValue(mockGroupMembers)
+          output: expect.objectContaining({ statusCode: 403 })
         })
       )
-
-      jest.mocked(getAll).mockResolvedValue([])
-      jest
-        .mocked(create)
-        .mockResolvedValue(/** @type {any} */ ({ acknowledged: true }))
-      jest.mocked(withLock).mockImplementation(async (name, fn) => {
-        return await fn()
-      })
-
-      await syncAdminUsersFromGroup()
-
-      expect(withLock).toHaveBeenCalledWith(
-        'admin-user-sync',
-        expect.any(Function)
-      )
-
-      expect(client.startSession).toHaveBeenCalled()
-      expect(mockSession.endSession).toHaveBeenCalled()
     })
 
-    test('should log info when lock is not acquired (already running)', async () => {
-      jest.mocked(withLock).mockResolvedValue(null)
-
-      const consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation()
-
-      await syncAdminUsersFromGroup()
-
-      expect(withLock).toHaveBeenCalledWith(
-        'admin-user-sync',
-        expect.any(Function)
-      )
+    it('should succeed when superadmin deletes any user', async () => {
+      jest.mocked(remove).mockResolvedValue(mockUserListWithIds[1])
+      jest.mocked(get).mockResolvedValueOnce({
+        _id: new ObjectId(),
+        userId: 'target-admin',
+        roles: [Roles.Admin],
+        email: 'admin@example.com',
+        displayName: 'Target Admin'
+      })
 
-      expect(client.startSession).not.toHaveBeenCalled()
+      const result = await deleteUser('target-admin', superadminCallingUser)
 
-      consoleInfoSpy.mockRestore()
+      expect(result.id).toBe('target-admin')
+      expect(countWithRole).not.toHaveBeenCalled()
     })
 
-    test('should handle errors thrown during sync', async () => {
-      const mockError = new Error('Azure AD connection failed')
-      const mockSession = {
-        withTransaction: jest.fn((fn) => fn()),
-        endSession: jest.fn()
+    it('should throw 409 when deleting the last superadmin', async () => {
+      const superadmin = {
+        _id: new ObjectId(),
+        userId: 'target-superadmin',
+        roles: [Roles.Superadmin],
+        email: 'superadmin@example.com',
+        displayName: 'Target Superadmin'
       }
+      jest.mocked(config.get).mockReturnValue(1)
+      jest.mocked(countWithRole).mockResolvedValue(0)
+      jest.mocked(get).mockResolvedValueOnce(superadmin)
+      jest.mocked(remove).mockResolvedValue(superadmin)
 
-      jest
-        .mocked(client.startSession)
-        .mockReturnValue(/** @type {any} */ (mockSession))
-
-      jest.spyOn(azureAdModule, 'getAzureAdService').mockReturnValue(
-        /** @type {any} */ ({
-          getGroupMembers: jest.fn().mockRejectedValue(mockError)
+      await expect(
+        deleteUser('target-superadmin', superadminCallingUser)
+      ).rejects.toThrow(
+        expect.objectContaining({
+          output: expect.objectContaining({ statusCode: 409 })
         })
       )
-
-      jest.mocked(withLock).mockImplementation(async (name, fn) => {
-        return await fn()
-      })
-
-      await expect(syncAdminUsersFromGroup()).rejects.toThrow(mockError)
-
-      expect(mockSession.endSession).toHaveBeenCalled()
+      expect(countWithRole).toHaveBeenCalledWith(Roles.Superadmin, mockSession)
+      expect(saveEntitlementDeletedEvent).not.toHaveBeenCalled()
     })
 
-    test('should handle empty group members', async () => {
-      const mockSession = {
-        withTransaction: jest.fn((fn) => fn()),
-        endSession: jest.fn()
-      }
+    it('should refuse the second of two superadmins deleted at once', async () => {
+      jest.mocked(config.get).mockReturnValue(1)
+
+      // Committed superadmins, and the session of the transaction that has
+      // written the guard but not yet committed
+      const superadmins = new Set(['superadmin-1', 'superadmin-2'])
+      /** @type {unknown} */
+      let guardHolder = null
+
+      jest.mocked(client.startSession).mockImplementation(() => {
+        /** @type {Set<string>} */
+        const removed = new Set()
+
+        /** @type {any} */
+        const session = {
+          removed,
+          endSession: jest.fn().mockResolvedValue(undefined),
+          withTransaction: jest.fn(
+            /** @param {() => Promise<void>} fn */
+            async (fn) => {
+              for (let attempt = 1; ; attempt++) {
+                removed.clear()
+
+                try {
+                  await fn()
+                  removed.forEach((userId) => superadmins.delete(userId))
+                  return
+                } catch (err) {
+                  if (
+                    attempt === 10 ||
+                    !(err instanceof MongoServerError) ||
+                    !err.hasErrorLabel('TransientTransactionError')
+                  ) {
+                    throw err
+                  }
+                } finally {
+                  if (guardHolder === session) {
+                    guardHolder = null
+                  }
+                }
+
+                await Promise.resolve()
+              }
+            }
+          )
+        }
 
-      jest
-        .mocked(client.startSession)
-        .mockReturnValue(/** @type {any} */ (mockSession))
+        return session
+      })
 
-      jest.spyOn(azureAdModule, 'getAzureAdService').mockReturnValue(
-        /** @type {any} */ ({
-          getGroupMembers: jest.fn().mockResolvedValue([])
+      jest.mocked(get).mockImplementation((userId) =>
+        Promise.resolve({
+          _id: new ObjectId(),
+          userId,
+          roles: [Roles.Superadmin],
+          email: `${userId}@example.com`,
+          displayName: userId
         })
       )
+      jest.mocked(remove).mockImplementation((userId, session) => {
+        const { removed } = /** @type {any} */ (session)
+        removed.add(userId)
 
-      jest.mocked(withLock).mockImplementation(async (name, fn) => {
-        return await fn()
+        return Promise.resolve({
+          _id: new ObjectId(),
+          userId,
+          roles: [Roles.Superadmin],
+          email: `${userId}@example.com`,
+          displayName: userId
+        })
       })
+      jest.mocked(lockSuperadmins).mockImplementation((session) => {
+        if (guardHolder && guardHolder !== session) {
+          const err = new MongoServerError({
+            message: 'Write conflict',
+            code: 112
+          })
+          err.addErrorLabel('TransientTransactionError')
+
+          return Promise.reject(err)
+        }
 
-      await syncAdminUsersFromGroup()
-
-      expect(withLock).toHaveBeenCalled()
+        guardHolder = session
+        return Promise.resolve()
+      })
+      jest
+        .mocked(countWithRole)
+        .mockImplementation((role, session) =>
+          Promise.resolve(
+            [...superadmins].filter(
+              (userId) => !(/** @type {any} */ (session).removed.has(userId))
+            ).length
+          )
+        )
 
-      expect(client.startSession).toHaveBeenCalled()
-      expect(mockSession.endSession).toHaveBeenCalled()
+      const results = await Promise.allSettled([
+        deleteUser('superadmin-1', superadminCallingUser),
+        deleteUser('superadmin-2', superadminCallingUser)
+      ])
 
-      expect(mockSession.withTransaction).not.toHaveBeenCalled()
+      expect(results.map(({ status }) => status).sort()).toEqual([
+        'fulfilled',
+        'rejected'
+      ])
+      expect(results).toContainEqual({
+        status: 'rejected',
+        reason: expect.objectContaining({
+          output: expect.objectContaining({ statusCode: 409 })
+        })
+      })
+      expect(superadmins.size).toBe(1)
+      expect(saveEntitlementDeletedEvent).toHaveBeenCalledTimes(1)
     })
   })
 })
+
+/**
+ * @import { AuthCredentials } from '@hapi/hapi'
+ * @import { UserQueryOptions } from '~/src/api/types.js'
+ */
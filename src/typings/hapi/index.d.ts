@@ -1,9 +1,11 @@
 import {
   AuthCredentials,
   UserCredentials,
+  PluginSpecificConfiguration,
+  PluginsStates,
   ServerApplicationState
 } from '@hapi/hapi'
-import { Roles } from '@defra/forms-model'
+import { AuditUser, Roles } from '@defra/forms-model'
 
 declare module '@hapi/hapi' {
   interface UserCredentials {
@@ -23,6 +25,33 @@ declare module '@hapi/hapi' {
      * Roles resolved from the user entitlement record
      */
     roles: Roles[]
+
+    /**
+     * Whether the user has an entitlement record, as opposed to being signed in without one
+     */
+    entitled?: boolean
+
+    /**
+     * Name of the platform service, when authenticated with the scheduler service token
+     */
+    service?: string
+  }
+
+  interface PluginSpecificConfiguration {
+    /**
+     * Whether requests sent with an Idempotency-Key are replayed rather than handled again
+     */
+    idempotency?: boolean
+  }
+
+  interface PluginsStates {
+    /**
+     * The Idempotency-Key reserved for the request
+     */
+    idempotency?: {
+      key: string
+      callerId: string
+    }
   }
 
   interface ServerApplicationState {
@@ -38,7 +67,13 @@ declare module '@hapi/hapi' {
         taskFunction: Function,
         runImmediately?: boolean
       ): boolean
-      triggerTask(name: string): Promise<boolean>
+      triggerTask(name: string, caller?: AuditUser): Promise<unknown>
+      getTasks(): {
+        name: string
+        cronExpression: string
+        isRunning: boolean
+        nextRun: Date | null
+      }[]
     } | null
   }
 }
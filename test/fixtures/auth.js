@@ -14,7 +14,8 @@ export const auth = {
       oid: 'aaaaaaaa-1111-2222-3333-444444444444'
     },
     scope: RoleScopes[Roles.Admin],
-    roles: [Roles.Admin]
+    roles: [Roles.Admin],
+    entitled: true
   }
 }
 
@@ -32,7 +33,8 @@ export const superadminAuth = {
       oid: '86758ba9-92e7-4287-9751-7705e449688e'
     },
     scope: RoleScopes[Roles.Superadmin],
-    roles: [Roles.Superadmin]
+    roles: [Roles.Superadmin],
+    entitled: true
   }
 }
 
@@ -52,7 +54,8 @@ export const formCreatorAuth = {
       oid: 'bbbbbbbb-1111-2222-3333-444444444444'
     },
     scope: RoleScopes[Roles.FormCreator],
-    roles: [Roles.FormCreator]
+    roles: [Roles.FormCreator],
+    entitled: true
   }
 }
 
@@ -70,6 +73,7 @@ export const noEntitlementAuth = {
       oid: 'cccccccc-1111-2222-3333-444444444444'
     },
     scope: [],
-    roles: []
+    roles: [],
+    entitled: false
   }
 }